@@ -1,242 +1,256 @@
 // api/backfill_token_prices_direct.js
-// Direct token price collection - EXACT COPY of working job without scrubbing logic
-// Force Node runtime (pg not supported on Edge)
-module.exports.config = { runtime: 'nodejs18.x' };
-
-require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
-const { Pool } = require('pg');
+// Direct token price collection - prices pass the quality gates in lib/price_validation.js before the upsert
+// Force Node runtime (pg not supported on Edge) - config is attached below, after module.exports is set
 
-function generateJobRunId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { archiveParams } = require('../lib/raw_archive');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { toCoinId, chunk, loadActiveTokens } = require('../lib/token_universe');
+const {
+  createPriceValidator, loadPreviousPrices, quarantinePrices, writeQualitySummary
+} = require('../lib/price_validation');
 
-const EVM_CHAINS = new Set([
-  'ethereum','unichain','base','arbitrum','optimism','polygon','bsc','avalanche',
-  'linea','scroll','blast','fantom','celo','gnosis','zksync era','metis','mantle','aurora'
-]);
+// Dispatcher runs every 5 minutes - one snapshot per window
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
 
-function isValidAddress(chain, address) {
-  if (!address || typeof address !== 'string') return false;
-  const a = address.trim();
-  if (EVM_CHAINS.has(chain)) return /^0x[0-9a-fA-F]{40}$/.test(a);
-  return /^[A-Za-z0-9:_-]{4,}$/.test(a); // non-EVM: basic sanity, let API decide
-}
+// History mode - every point /coins/chart returns, at the timestamp DeFiLlama observed it
+// Defaults ask for the last day of hourly points; span, period and searchWidth pass straight to the API
+const HISTORY_CONFIG = {
+  span: 24,          // Points per coin
+  period: '1h',      // Spacing between points
+  searchWidth: '600' // Seconds either side of each point to look for a price
+};
 
-function chunk(arr, n) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n));
-  return out;
+async function fetchCurrentPricesForBatch(coinIds, apiKey, query) {
+  const coinsParam = encodeURIComponent(coinIds.join(','));
+  // { coins: { "<id>": { symbol, decimals, confidence, prices: [{timestamp, price}] } } }
+  return llamaGet(`/coins/chart/${coinsParam}`, { apiKey, query });
 }
 
-async function fetchCurrentPricesForBatch(coinIds, apiKey) {
-  const coinsParam = encodeURIComponent(coinIds.join(','));
-  const url = `https://pro-api.llama.fi/${apiKey}/coins/chart/${coinsParam}`;
-  const res = await fetch(url); // Node 18+ global fetch
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`${res.status} ${res.statusText}${text ? ` | ${text}` : ''}`);
+/**
+ * /coins/chart query of a history-mode run; start / end (ISO or unix seconds) bound the span when given
+ */
+function historyQuery(params) {
+  const query = {
+    span: parseIntParam(params.span, HISTORY_CONFIG.span),
+    period: params.period || HISTORY_CONFIG.period,
+    searchWidth: params.searchWidth || HISTORY_CONFIG.searchWidth
+  };
+  for (const key of ['start', 'end']) {
+    if (params[key] === undefined || params[key] === '') continue;
+    const numeric = Number(params[key]);
+    const sec = Number.isFinite(numeric) ? numeric : Date.parse(params[key]) / 1000;
+    if (!Number.isFinite(sec)) throw new Error(`Invalid ${key}: ${params[key]}`);
+    query[key] = Math.floor(sec);
   }
-  return res.json(); // { coins: { "<id>": { symbol, decimals, confidence, prices: [{timestamp, price}] } } }
+  return query;
 }
 
+const PRICE_WRITE_SPEC = {
+  table: '"update".token_price_daily',
+  columns: ['coin_id', 'symbol', 'confidence', 'decimals', 'price_timestamp', 'price_usd'],
+  conflictColumns: ['coin_id', 'price_timestamp'],
+  // inserted_at moves with every write so the promotion watermark picks up rewritten points
+  updateColumns: ['price_usd', 'confidence', 'decimals', 'symbol', 'inserted_at'],
+  updateExpressions: { inserted_at: 'NOW()' }
+};
+
 async function upsertCleanBatch(client, records) {
-  for (const r of records) {
-    const tsIso = new Date(r.tsSec * 1000).toISOString();
-    await client.query(
-      `INSERT INTO "update".token_price_daily
-         (coin_id, symbol, confidence, decimals, price_timestamp, price_usd)
-       VALUES ($1,$2,$3,$4,$5,$6)
-       ON CONFLICT (coin_id, price_timestamp)
-       DO UPDATE SET
-         price_usd  = EXCLUDED.price_usd,
-         confidence = EXCLUDED.confidence,
-         decimals   = EXCLUDED.decimals,
-         symbol     = EXCLUDED.symbol`,
-      [r.coinId, r.symbol, r.confidence, r.decimals, tsIso, r.price]
-    );
-  }
+  const rows = records.map(r => [
+    r.coinId, r.symbol, r.confidence, r.decimals, new Date(r.tsSec * 1000).toISOString(), r.price
+  ]);
+  return writeRows(client, PRICE_WRITE_SPEC, rows, { savepoints: true });
 }
 
-// Build a pg Pool from SUPABASE_DB_URL or PG* parts
-function makePoolFromEnv() {
-  const { SUPABASE_DB_URL } = process.env;
-  if (SUPABASE_DB_URL) {
-    return new Pool({
-      connectionString: SUPABASE_DB_URL,
-      ssl: { rejectUnauthorized: false },
-      statement_timeout: 0,
-      query_timeout: 0
-    });
+/**
+ * Validates a history-mode series oldest point first: each point is checked against the coin's last accepted point
+ * (and the jump quarantined after it), starting from the last price stored before the series
+ */
+async function validateHistory(client, validator, records) {
+  const sorted = [...records].sort((a, b) => a.tsSec - b.tsSec);
+  if (!sorted.length) return { accepted: [], rejected: [] };
+
+  const previous = await loadPreviousPrices(client, [...new Set(sorted.map(r => r.coinId))], new Date(sorted[0].tsSec * 1000));
+  const accepted = [];
+  const rejected = [];
+  for (const record of sorted) {
+    const outcome = validator.validate([record], previous);
+    accepted.push(...outcome.accepted);
+    rejected.push(...outcome.rejected);
+    if (outcome.accepted.length) {
+      previous.set(record.coinId, { price: record.price, decimals: record.decimals });
+    } else if (previous.has(record.coinId) && outcome.rejected[0].failures.some(f => f.code === 'PRICE_JUMP')) {
+      previous.set(record.coinId, { ...previous.get(record.coinId), jumpPrice: record.price });
+    }
   }
-  const {
-    PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD, PGSSLMODE
-  } = process.env;
+  return { accepted, rejected };
+}
 
-  if (!PGHOST || !PGPORT || !PGDATABASE || !PGUSER || !PGPASSWORD) {
-    throw new Error('Missing DB env: need SUPABASE_DB_URL or PGHOST/PGPORT/PGDATABASE/PGUSER/PGPASSWORD');
+/**
+ * Coin ids of the run's slice of the active token list (canon.token_universe), or params.coinIds when given.
+ * Curation changes the list between runs, so the resolved ids are archived with the run and a replay prices those.
+ */
+async function resolveCoinIds(pool, params, offset, limit, details) {
+  if (params.coinIds) {
+    return Array.isArray(params.coinIds) ? params.coinIds : String(params.coinIds).split(',').filter(Boolean);
   }
 
-  const sslRequired = (PGSSLMODE || '').toLowerCase() === 'require';
-  return new Pool({
-    host: PGHOST,
-    port: Number(PGPORT),
-    database: PGDATABASE,
-    user: PGUSER,
-    password: PGPASSWORD,
-    ssl: sslRequired ? { rejectUnauthorized: false } : undefined,
-    statement_timeout: 0,
-    query_timeout: 0
-  });
+  // Load ACTIVE token list (curated to tokens with fresh price data)
+  const entries = await loadActiveTokens(pool);
+  const slice = entries.slice(offset, offset + limit);
+
+  // Build coin IDs
+  const coinIds = [];
+  let skipped = 0;
+  for (const item of slice) {
+    const coinId = toCoinId(item);
+    if (!coinId) { skipped++; continue; }
+    coinIds.push(coinId);
+  }
+  details.invalidAddresses = skipped;
+  details.sliceSize = slice.length;
+  archiveParams({ coinIds });
+  return coinIds;
 }
 
-module.exports = async (req, res) => {
-  const jobRunId = generateJobRunId();
-  const startTime = Date.now();
-  
-  // Simple metrics tracking
-  let totalRecords = 0;
-  let insertedRecords = 0;
-  let skippedRecords = 0;
-
-  try {
-    const { DEFILLAMA_API_KEY } = process.env;
-    if (!DEFILLAMA_API_KEY) {
-      return res.status(500).json({ error: 'Missing DEFILLAMA_API_KEY' });
-    }
+/**
+ * Collects current prices for a slice of the active token list (canon.token_universe)
+ * Snapshot mode (default) stores each coin's latest chart point under the run's snapshot time; mode=history stores
+ * every point of the chart under its own timestamp, so one call fills intraday history.
+ *
+ * @param {{ offset?: number|string, limit?: number|string, coinIds?: string[]|string, snapshotTs?: string|number,
+ *           mode?: 'snapshot'|'history', span?: number|string, period?: string, searchWidth?: string,
+ *           start?: string|number, end?: string|number }} params
+ *        coinIds (array or comma list) replaces the offset / limit slice, as a replay does;
+ *        span / period / searchWidth / start / end shape the history-mode chart request (HISTORY_CONFIG defaults)
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runTokenPriceJob(params = {}, options = {}) {
+  return runJob('token_prices_direct', { ...options, params, archive: true }, async ({ jobName, jobRunId, pool, getApiKey, log, result }) => {
+    const apiKey = getApiKey();
 
     // Parse offset/limit
-    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
-    const offset = Math.max(0, parseInt(url.searchParams.get('offset') || '0', 10));
-    const limit  = Math.max(1, Math.min(2000, parseInt(url.searchParams.get('limit') || '500', 10)));
-
-    // Load ACTIVE token list (filtered for tokens with fresh price data)
-    const filePath = path.join(process.cwd(), 'token_list_active.json');
-    const entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-    const slice = entries.slice(offset, offset + limit);
-
-    if (!slice.length) {
-      return res.status(200).json({ message: 'No tokens in this slice.', offset, limit });
+    const offset = Math.max(0, parseIntParam(params.offset, 0));
+    const limit  = Math.max(1, Math.min(2000, parseIntParam(params.limit, 500)));
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS);
+    const mode = params.mode || 'snapshot';
+    if (mode !== 'snapshot' && mode !== 'history') {
+      throw new Error(`Invalid mode: ${mode} (expected snapshot or history)`);
     }
+    const query = mode === 'history' ? historyQuery(params) : undefined;
+    result.details = { offset, limit, mode, ...(query ? { history: query } : { snapshotTs: snapshotTs.toISOString() }) };
 
-    // Build coin IDs
-    const coinIds = [];
-    let skipped = 0;
-    for (const item of slice) {
-      const chain = String(item.chain || '').trim().toLowerCase();
-      const address = String(item.address || '').trim();
-      if (!chain || !isValidAddress(chain, address)) { skipped++; continue; }
-      const addrForSlug = EVM_CHAINS.has(chain) ? address.toLowerCase() : address;
-      coinIds.push(`${chain}:${addrForSlug}`);
-    }
+    const coinIds = await resolveCoinIds(pool, params, offset, limit, result.details);
     if (!coinIds.length) {
-      return res.status(200).json({ message: 'All tokens in slice invalid.', offset, limit, skipped });
+      result.message = result.details.sliceSize === 0 ? 'No tokens in this slice.' : 'All tokens in slice invalid.';
+      return true;
     }
 
+    // Request pacing and retries live in the shared llama client
     const BATCH_SIZE = 25;
-    const SLEEP_MS = 120;
-    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-    const pool = makePoolFromEnv();
-    const client = await pool.connect();
-    
-    try {
-      // No scrub tables needed - direct insertion only
-
-      for (const group of chunk(coinIds, BATCH_SIZE)) {
-        try {
-          const data = await fetchCurrentPricesForBatch(group, DEFILLAMA_API_KEY);
-          const nodes = data?.coins || {};
-          const validRecords = [];
-
-          for (let i = 0; i < group.length; i++) {
-            const id = group[i];
-            totalRecords++;
-            const node = nodes[id];
-            
-            // Chart endpoint returns prices array, get the latest price
-            const latestPrice = node?.prices?.[node.prices.length - 1];
-            
-            // Skip if no valid price data
-            if (!node || !latestPrice || typeof latestPrice.price !== 'number' || latestPrice.price <= 0) {
-              skippedRecords++;
+    // Snapshot mode: every row of this run shares one snapshot time - reruns upsert onto (coin_id, price_timestamp)
+    const tsSec = snapshotTs.getTime() / 1000;
+    const validRecords = [];
+
+    for (const group of chunk(coinIds, BATCH_SIZE)) {
+      try {
+        const data = await fetchCurrentPricesForBatch(group, apiKey, query);
+        const nodes = data?.coins || {};
+
+        for (const id of group) {
+          const node = nodes[id];
+
+          // Chart endpoint returns prices array: the latest point in snapshot mode, all of them in history mode
+          const points = mode === 'history' ? node?.prices || [] : [node?.prices?.[node.prices.length - 1]];
+          if (!node || !points.length) {
+            result.totalRecords++;
+            result.skippedRecords++;
+            continue;
+          }
+
+          for (const point of points) {
+            result.totalRecords++;
+
+            // Skip if no valid price data (history rows are keyed on the point's own timestamp)
+            if (!point || typeof point.price !== 'number' || point.price <= 0 || (mode === 'history' && !Number.isFinite(point.timestamp))) {
+              result.skippedRecords++;
               continue;
             }
 
-            // Add microsecond offset to prevent timestamp collisions from parallel batches
-            // Use current time with microsecond offset to guarantee unique timestamps
-            const nowMs = Date.now();
-            const tsSec = (nowMs / 1000) + (i * 0.001); // Current time + millisecond offset per token
-            
-            const priceData = {
+            validRecords.push({
               coinId: id,
               symbol: node.symbol ?? null,
               confidence: node.confidence ?? null,
               decimals: node.decimals ?? null,
-              tsSec,
-              price: latestPrice.price,
-              timestamp: tsSec
-            };
-
-            validRecords.push(priceData);
+              tsSec: mode === 'history' ? point.timestamp : tsSec,
+              sourceTsSec: point.timestamp,
+              price: point.price,
+              raw: node
+            });
           }
+        }
 
-          // Insert all valid records directly into main table
-          if (validRecords.length) {
-            await upsertCleanBatch(client, validRecords);
-            insertedRecords += validRecords.length;
-          }
+      } catch (e) {
+        // Whole group failed
+        result.skippedRecords += group.length;
+        log.error(`Batch failed for group:`, group, e.message);
+      }
+    }
 
-        } catch (e) {
-          // Whole group failed
-          skippedRecords += group.length;
-          console.error(`Batch failed for group:`, group, e.message);
+    // Quality gates, then write the whole slice in one transaction so a failed batch leaves no partial snapshot
+    const validator = createPriceValidator();
+    const client = await pool.connect();
+    try {
+      await withTransaction(client, async () => {
+        const { accepted, rejected } = mode === 'history'
+          ? await validateHistory(client, validator, validRecords)
+          : validator.validate(validRecords, await loadPreviousPrices(client, validRecords.map(r => r.coinId), snapshotTs));
+
+        const { insertedCount, errorCount, rejects } = await upsertCleanBatch(client, accepted);
+        result.insertedRecords += insertedCount;
+        result.errorRecords += errorCount;
+        for (const reject of rejects) {
+          log.error(`❌ Error upserting price for ${accepted[reject.index].coinId}:`, reject.error);
         }
-        
-        await sleep(SLEEP_MS);
-      }
 
+        if (rejected.length) {
+          await quarantinePrices(client, rejected, jobRunId, { savepoints: true });
+          log.warn(`🧹 Quarantined ${rejected.length} prices: ${rejected.map(r => `${r.record.coinId} (${r.failures[0].code})`).join(', ')}`);
+        }
+        result.skippedRecords += rejected.length;
+        result.details.quarantined = rejected.length;
+
+        await writeQualitySummary(client, {
+          jobName,
+          jobRunId,
+          totalRecords: result.totalRecords,
+          cleanRecords: insertedCount,
+          rejected,
+          errorRecords: errorCount,
+          processingTimeMs: Date.now() - Date.parse(result.startedAt)
+        });
+      });
     } finally {
       client.release();
-      await pool.end();
     }
 
     // Consider job successful if we inserted some records
-    const jobSuccess = insertedRecords > 0;
-    
-    return res.status(200).json({
-      success: jobSuccess,
-      job_run_id: jobRunId,
-      date: new Date().toISOString(),
-      offset, limit,
-      
-      // Simple metrics
-      total_records: totalRecords,
-      inserted_records: insertedRecords,
-      skipped_records: skippedRecords,
-      success_rate: totalRecords > 0 ? (insertedRecords / totalRecords) * 100 : 0,
-      
-      // Processing time
-      processing_time_ms: Date.now() - startTime,
-      
-      // Success message
-      message: jobSuccess ? 
-        `Successfully inserted ${insertedRecords}/${totalRecords} token prices (${skippedRecords} skipped)` :
-        `Failed to insert any token prices`
-    });
-    
-  } catch (e) {
-    console.error('Token price job failed:', e.message);
-    
-    return res.status(500).json({ 
-      success: false,
-      job_run_id: jobRunId,
-      error: e.message,
-      total_records: totalRecords,
-      inserted_records: insertedRecords,
-      skipped_records: skippedRecords,
-      processing_time_ms: Date.now() - startTime
-    });
-  }
-};
\ No newline at end of file
+    const jobSuccess = result.insertedRecords > 0;
+    result.details.successRate = result.totalRecords > 0 ? (result.insertedRecords / result.totalRecords) * 100 : 0;
+    result.message = jobSuccess ?
+      `Successfully inserted ${result.insertedRecords}/${result.totalRecords} token prices (${result.skippedRecords} skipped)` :
+      `Failed to insert any token prices`;
+
+    return jobSuccess;
+  });
+}
+
+module.exports = createHandler((params) => runTokenPriceJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runTokenPriceJob = runTokenPriceJob;
+module.exports.SNAPSHOT_INTERVAL_MS = SNAPSHOT_INTERVAL_MS;
+module.exports.HISTORY_CONFIG = HISTORY_CONFIG;
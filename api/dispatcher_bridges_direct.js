@@ -0,0 +1,103 @@
+// api/dispatcher_bridges_direct.js
+// Direct bridge volume dispatcher - per-bridge batches in parallel, then the all-bridges overview as the last batch
+// ?mode=backfill writes each series' full history (or ?days=N of it) instead of the last BRIDGE_CONFIG.days days
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+
+// Import the direct bridge jobs
+const { runBridgeVolumeJob, fetchBridgeCount, BRIDGE_CONFIG } = require('./job_bridges_direct.js');
+const { runBridgeOverviewJob } = require('./job_bridge_overview_direct.js');
+const { resolveSnapshotTs } = require('../lib/snapshot');
+const { planBatches, runWithConcurrency } = require('../lib/batch_plan');
+const { DAY_MS } = require('../lib/bridges');
+
+// Bridge configuration - the bridge count comes from the API at run time
+const BRIDGE_DISPATCH_CONFIG = {
+  targetBatchSize: 25, // Bridges per batch (each bridge is one request per chain)
+  maxConcurrency: 2    // Parallel batches
+};
+
+/**
+ * Splits the bridge list into batches, runs them with bounded concurrency, then writes the overview
+ *
+ * @param {{ day?: string|number, days?: number|string, mode?: string, batchSize?: number|string, concurrency?: number|string }} params
+ *        batchSize / concurrency override BRIDGE_DISPATCH_CONFIG for one run
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runBridgesDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_bridges_direct', { ...options, runIdPrefix: 'dispatcher_bridges', recordRun: true, params }, async ({ pool, getApiKey, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Bridge Volume Dispatcher...');
+
+    // One end day for every batch of this run; pass ?day= to retry a specific day
+    const day = resolveSnapshotTs(params.day, DAY_MS).toISOString();
+    const days = parseIntParam(params.days, params.mode === 'backfill' ? 0 : BRIDGE_CONFIG.days);
+    const targetBatchSize = parseIntParam(params.batchSize, BRIDGE_DISPATCH_CONFIG.targetBatchSize);
+    const maxConcurrency = parseIntParam(params.concurrency, BRIDGE_DISPATCH_CONFIG.maxConcurrency);
+
+    // Ask the API how many bridges there are now, so new bridges are never cut off
+    const totalBridges = await fetchBridgeCount(getApiKey(), log);
+    const batches = planBatches(totalBridges, targetBatchSize);
+
+    log.info(`🕐 Day: ${day.slice(0, 10)}, days: ${days || 'all'}`);
+    log.info(`📊 Config: ${totalBridges} bridges, ${batches.length} batches of up to ${batches[0]?.limit ?? 0}, ${maxConcurrency} parallel batches`);
+
+    if (!batches.length) {
+      throw new Error('API returned no bridges - nothing to dispatch');
+    }
+
+    let successfulBatches = 0;
+    let failedBatches = 0;
+
+    const results = await runWithConcurrency(batches, maxConcurrency, async (batch) => {
+      log.info(`🔄 Starting batch ${batch.batchNumber}/${batches.length}: offset=${batch.offset}, limit=${batch.limit}`);
+
+      const jobResult = await runBridgeVolumeJob({ offset: batch.offset, limit: batch.limit, day, days }, { pool });
+      await recordBatch(batch, jobResult);
+
+      if (jobResult.success) {
+        log.info(`✅ Batch ${batch.batchNumber} completed: SUCCESS`);
+        successfulBatches++;
+        return { success: true, batch: batch.batchNumber, result: jobResult };
+      }
+
+      log.error(`❌ Batch ${batch.batchNumber} failed:`, jobResult.error || `${jobResult.details?.failedSeries?.length} series failed`);
+      failedBatches++;
+      return { success: false, batch: batch.batchNumber, error: jobResult.error, result: jobResult };
+    });
+
+    // The overview is one request for all bridges - recorded as the batch after the last bridge batch
+    const overviewResult = await runBridgeOverviewJob({ day, days }, { pool });
+    await recordBatch({ batchNumber: batches.length + 1 }, overviewResult);
+    if (!overviewResult.success) {
+      log.error('❌ Bridge overview failed:', overviewResult.error);
+    }
+
+    // Calculate totals - a batch with some failed series still wrote the rest
+    const written = results.filter(r => r.result).map(r => r.result).concat(overviewResult.success ? [overviewResult] : []);
+    result.totalRecords = written.reduce((sum, r) => sum + r.totalRecords, 0);
+    result.insertedRecords = written.reduce((sum, r) => sum + r.insertedRecords, 0);
+    result.errorRecords = written.reduce((sum, r) => sum + r.errorRecords, 0);
+    result.details = {
+      day: day.slice(0, 10),
+      days,
+      totalBridges,
+      totalBatches: batches.length,
+      successfulBatches,
+      failedBatches,
+      overview: { success: overviewResult.success, insertedRecords: overviewResult.insertedRecords, error: overviewResult.error },
+      batchResults: results
+    };
+    result.message = 'Direct bridge volume collection completed';
+
+    log.info('🎉 Direct Bridge Volume Dispatcher Complete!');
+    log.info(`✅ Successful batches: ${successfulBatches}/${batches.length}`);
+    log.info(`❌ Failed batches: ${failedBatches}/${batches.length}`);
+    log.info(`📊 Total records inserted: ${result.insertedRecords}`);
+
+    return overviewResult.success;
+  });
+}
+
+module.exports = createHandler((params) => runBridgesDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runBridgesDispatcher = runBridgesDispatcher;
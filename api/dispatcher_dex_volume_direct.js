@@ -0,0 +1,41 @@
+// api/dispatcher_dex_volume_direct.js
+// Direct DEX volume dispatcher - /api/overview/dexs is unpaginated, so one job run covers every DEX
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+
+// Import the direct DEX volume job
+const { runDexVolumeJob } = require('./job_dex_volume_direct.js');
+
+/**
+ * Runs the DEX volume job once and reports its result
+ *
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runDexVolumeDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_dex_volume_direct', { ...options, runIdPrefix: 'dispatcher_dex_volume', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct DEX Volume Dispatcher...');
+
+    // Execute the DEX volume job directly, sharing this dispatcher's pool
+    const jobResult = await runDexVolumeJob(params, { pool });
+    await recordBatch({ batchNumber: 1 }, jobResult);
+
+    result.totalRecords = jobResult.totalRecords;
+    result.insertedRecords = jobResult.insertedRecords;
+    result.skippedRecords = jobResult.skippedRecords;
+    result.errorRecords = jobResult.errorRecords;
+    result.details = { jobResults: jobResult };
+
+    if (!jobResult.success) {
+      throw new Error(`DEX volume job failed: ${jobResult.error || 'unknown error'}`);
+    }
+
+    log.info('🎉 Direct DEX Volume Dispatcher Complete!');
+    log.info(`📊 Records Inserted: ${jobResult.insertedRecords}`);
+    log.info(`❌ Records with Errors: ${jobResult.errorRecords}`);
+    result.message = 'Direct DEX volume collection completed successfully';
+  });
+}
+
+module.exports = createHandler((params) => runDexVolumeDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runDexVolumeDispatcher = runDexVolumeDispatcher;
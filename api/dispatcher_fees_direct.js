@@ -0,0 +1,62 @@
+// api/dispatcher_fees_direct.js
+// Direct fees dispatcher - one job run per data type (fees, revenue), all for the same day
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+
+// Import the direct fees job
+const { runFeesJob, FEES_CONFIG } = require('./job_fees_direct.js');
+const { resolveSnapshotTs } = require('../lib/snapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Runs the fees job for each configured data type, recording each as one batch
+ *
+ * @param {{ day?: string|number, dataTypes?: string }} params  dataTypes: comma-separated override of FEES_CONFIG.dataTypes
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runFeesDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_fees_direct', { ...options, runIdPrefix: 'dispatcher_fees', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Fees Dispatcher...');
+
+    // One day for every data type of this run, even if the run crosses midnight
+    const day = resolveSnapshotTs(params.day, DAY_MS).toISOString();
+    const dataTypes = params.dataTypes ? String(params.dataTypes).split(',').filter(Boolean) : FEES_CONFIG.dataTypes;
+
+    const results = [];
+    for (let i = 0; i < dataTypes.length; i++) {
+      const dataType = dataTypes[i];
+      log.info(`🔄 Collecting ${dataType} (${i + 1}/${dataTypes.length})`);
+
+      const jobResult = await runFeesJob({ day, dataType }, { pool });
+      await recordBatch({ batchNumber: i + 1 }, jobResult);
+
+      if (jobResult.success) {
+        log.info(`✅ ${dataType} completed: SUCCESS`);
+      } else {
+        log.error(`❌ ${dataType} failed:`, jobResult.error);
+      }
+      results.push({ dataType, success: jobResult.success, result: jobResult });
+    }
+
+    const succeeded = results.filter(r => r.success);
+    result.totalRecords = succeeded.reduce((sum, r) => sum + r.result.totalRecords, 0);
+    result.insertedRecords = succeeded.reduce((sum, r) => sum + r.result.insertedRecords, 0);
+    result.skippedRecords = succeeded.reduce((sum, r) => sum + r.result.skippedRecords, 0);
+    result.errorRecords = succeeded.reduce((sum, r) => sum + r.result.errorRecords, 0);
+    result.details = { day: day.slice(0, 10), dataTypeResults: results };
+
+    const failed = results.filter(r => !r.success).map(r => r.dataType);
+    if (failed.length) {
+      throw new Error(`Fees job failed for ${failed.join(', ')}`);
+    }
+
+    log.info('🎉 Direct Fees Dispatcher Complete!');
+    log.info(`📊 Records Inserted: ${result.insertedRecords}`);
+    result.message = 'Direct fees collection completed successfully';
+  });
+}
+
+module.exports = createHandler((params) => runFeesDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runFeesDispatcher = runFeesDispatcher;
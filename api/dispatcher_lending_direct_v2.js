@@ -2,60 +2,40 @@
 // Direct lending market dispatcher - no validation, fast data collection
 // V2 - Force new deployment to bypass Vercel caching
 
-module.exports.config = { runtime: 'nodejs18.x' };
+const { runJob, createHandler } = require('../lib/job_runtime');
 
 // Import the direct lending job
-const lendingJob = require('./job_lending_direct.js');
-
-module.exports = async function(req, res) {
-  const startTime = Date.now();
-  
-  try {
-    console.log('🚀 Starting Direct Lending Market Dispatcher V2 (DIRECT VERSION - NO BATCHING)...');
-    console.log('📋 This is the NEW DIRECT dispatcher - should NOT show batching logic');
-    console.log('🔄 V2 - Bypassing Vercel cache with new filename');
-    
-    // Create mock request/response for the job
-    const jobReq = {};
-    let jobResult = null;
-    
-    const jobRes = {
-      status: (code) => ({
-        json: (data) => {
-          jobResult = { statusCode: code, data };
-        }
-      })
-    };
-    
-    // Execute the lending job directly
-    await lendingJob(jobReq, jobRes);
-    
-    const duration = Date.now() - startTime;
-    
-    if (jobResult && jobResult.statusCode === 200) {
-      console.log('🎉 Direct Lending Dispatcher V2 Complete!');
-      console.log(`✅ Job Status: SUCCESS`);
-      console.log(`📊 Records Inserted: ${jobResult.data.insertedRecords}`);
-      console.log(`❌ Records with Errors: ${jobResult.data.errorRecords}`);
-      console.log(`⏱️  Total Time: ${duration}ms`);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Direct lending market collection completed successfully (V2)',
-        jobResults: jobResult.data,
-        totalTimeMs: duration
-      });
-    } else {
-      throw new Error(`Lending job failed with status: ${jobResult?.statusCode || 'unknown'}`);
+const { runLendingJob } = require('./job_lending_direct.js');
+
+/**
+ * Runs the lending job once and reports its result
+ *
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runLendingDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_lending_direct_v2', { ...options, runIdPrefix: 'dispatcher_lending', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Lending Market Dispatcher V2 (DIRECT VERSION - NO BATCHING)...');
+
+    // Execute the lending job directly, sharing this dispatcher's pool
+    const jobResult = await runLendingJob(params, { pool });
+    await recordBatch({ batchNumber: 1 }, jobResult);
+
+    result.totalRecords = jobResult.totalRecords;
+    result.insertedRecords = jobResult.insertedRecords;
+    result.errorRecords = jobResult.errorRecords;
+    result.details = { jobResults: jobResult };
+
+    if (!jobResult.success) {
+      throw new Error(`Lending job failed: ${jobResult.error || 'unknown error'}`);
     }
-    
-  } catch (error) {
-    console.error('❌ Direct Lending Dispatcher V2 failed:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      totalTimeMs: Date.now() - startTime
-    });
-  }
-};
+
+    log.info('🎉 Direct Lending Dispatcher V2 Complete!');
+    log.info(`📊 Records Inserted: ${jobResult.insertedRecords}`);
+    log.info(`❌ Records with Errors: ${jobResult.errorRecords}`);
+    result.message = 'Direct lending market collection completed successfully (V2)';
+  });
+}
+
+module.exports = createHandler((params) => runLendingDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runLendingDispatcher = runLendingDispatcher;
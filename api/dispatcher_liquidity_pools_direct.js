@@ -1,126 +1,95 @@
 // api/dispatcher_liquidity_pools_direct.js
 // Direct liquidity pools dispatcher - no validation, fast parallel data collection
 
-module.exports.config = { runtime: 'nodejs18.x' };
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
 
 // Import the direct pools job
-const poolsJob = require('./job_liquidity_pools_direct.js');
+const { runPoolsJob, fetchPools, SNAPSHOT_INTERVAL_MS } = require('./job_liquidity_pools_direct.js');
+const { resolveSnapshotTs } = require('../lib/snapshot');
+const { planBatches, runWithConcurrency } = require('../lib/batch_plan');
 
-// Pool configuration - optimized for direct collection
+// Pool configuration - the pool list comes from the API at run time
 const POOL_CONFIG = {
-  totalPools: 19200,    // Total pools to process
-  batchSize: 1600,      // Pools per batch
-  maxConcurrency: 6     // Parallel batches
+  targetBatchSize: 1600, // Pools per batch (evened out across batches)
+  maxConcurrency: 6      // Parallel batches
 };
 
-module.exports = async function(req, res) {
-  const startTime = Date.now();
-  
-  try {
-    console.log('🚀 Starting Direct Liquidity Pools Dispatcher...');
-    console.log(`📊 Config: ${POOL_CONFIG.totalPools} pools, ${POOL_CONFIG.batchSize} per batch, ${POOL_CONFIG.maxConcurrency} parallel batches`);
-    
-    // Calculate batches
-    const totalBatches = Math.ceil(POOL_CONFIG.totalPools / POOL_CONFIG.batchSize);
-    const batches = [];
-    
-    for (let i = 0; i < totalBatches; i++) {
-      const offset = i * POOL_CONFIG.batchSize;
-      const limit = Math.min(POOL_CONFIG.batchSize, POOL_CONFIG.totalPools - offset);
-      
-      batches.push({ offset, limit, batchNumber: i + 1 });
+/**
+ * Splits the pool universe into batches and runs them with bounded concurrency
+ *
+ * @param {{ snapshotTs?: string|number, batchSize?: number|string, concurrency?: number|string }} params
+ *        batchSize / concurrency override POOL_CONFIG for one run
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runPoolsDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_liquidity_pools_direct', { ...options, runIdPrefix: 'dispatcher_pools', recordRun: true, params }, async ({ pool, getApiKey, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Liquidity Pools Dispatcher...');
+
+    // One canonical snapshot time for every batch of this run; pass ?snapshotTs= to retry a specific snapshot
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS).toISOString();
+    const targetBatchSize = parseIntParam(params.batchSize, POOL_CONFIG.targetBatchSize);
+    const maxConcurrency = parseIntParam(params.concurrency, POOL_CONFIG.maxConcurrency);
+
+    // Fetch the current pools once, so new pools are never cut off and every batch slices the same list
+    const pools = await fetchPools(getApiKey());
+    const totalPools = pools.length;
+    const batches = planBatches(totalPools, targetBatchSize);
+
+    log.info(`🕐 Snapshot: ${snapshotTs}`);
+    log.info(`📊 Config: ${totalPools} pools, ${batches.length} batches of up to ${batches[0]?.limit ?? 0}, ${maxConcurrency} parallel batches`);
+
+    if (!batches.length) {
+      throw new Error('API returned no pools - nothing to dispatch');
     }
-    
-    console.log(`📦 Created ${batches.length} batches to process in parallel`);
-    
-    // Process batches in parallel with concurrency limit
-    const results = [];
+
+    log.info(`📦 Created ${batches.length} batches to process in parallel`);
+
     let successfulBatches = 0;
     let failedBatches = 0;
-    
-    for (let i = 0; i < batches.length; i += POOL_CONFIG.maxConcurrency) {
-      const batchGroup = batches.slice(i, i + POOL_CONFIG.maxConcurrency);
-      
-      const batchPromises = batchGroup.map(async (batch) => {
-        try {
-          console.log(`🔄 Starting batch ${batch.batchNumber}/${batches.length}: offset=${batch.offset}, limit=${batch.limit}`);
-          
-          // Create mock request/response for the job
-          const jobReq = {
-            query: {
-              offset: batch.offset.toString(),
-              limit: batch.limit.toString()
-            }
-          };
-          
-          let jobResult = null;
-          const jobRes = {
-            status: (code) => ({
-              json: (data) => {
-                jobResult = { statusCode: code, data };
-              }
-            })
-          };
-          
-          // Execute the pools job
-          await poolsJob(jobReq, jobRes);
-          
-          if (jobResult && jobResult.statusCode === 200) {
-            console.log(`✅ Batch ${batch.batchNumber} completed: SUCCESS`);
-            successfulBatches++;
-            return { success: true, batch: batch.batchNumber, result: jobResult.data };
-          } else {
-            throw new Error(`Job failed with status: ${jobResult?.statusCode || 'unknown'}`);
-          }
-          
-        } catch (error) {
-          console.error(`❌ Batch ${batch.batchNumber} failed:`, error.message);
-          failedBatches++;
-          return { success: false, batch: batch.batchNumber, error: error.message };
-        }
-      });
-      
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-    }
-    
-    const duration = Date.now() - startTime;
-    
+
+    const results = await runWithConcurrency(batches, maxConcurrency, async (batch) => {
+      log.info(`🔄 Starting batch ${batch.batchNumber}/${batches.length}: offset=${batch.offset}, limit=${batch.limit}`);
+
+      const jobResult = await runPoolsJob(
+        { offset: batch.offset, limit: batch.limit, snapshotTs },
+        { pool, pools: pools.slice(batch.offset, batch.offset + batch.limit) }
+      );
+      await recordBatch(batch, jobResult);
+
+      if (jobResult.success) {
+        log.info(`✅ Batch ${batch.batchNumber} completed: SUCCESS`);
+        successfulBatches++;
+        return { success: true, batch: batch.batchNumber, result: jobResult };
+      }
+
+      log.error(`❌ Batch ${batch.batchNumber} failed:`, jobResult.error);
+      failedBatches++;
+      return { success: false, batch: batch.batchNumber, error: jobResult.error };
+    });
+
     // Calculate totals
-    const totalInserted = results
-      .filter(r => r.success)
-      .reduce((sum, r) => sum + (r.result?.insertedRecords || 0), 0);
-    
-    const totalErrors = results
-      .filter(r => r.success)
-      .reduce((sum, r) => sum + (r.result?.errorRecords || 0), 0);
-    
-    console.log('🎉 Direct Liquidity Pools Dispatcher Complete!');
-    console.log(`✅ Successful batches: ${successfulBatches}/${batches.length}`);
-    console.log(`❌ Failed batches: ${failedBatches}/${batches.length}`);
-    console.log(`📊 Total records inserted: ${totalInserted}`);
-    console.log(`❌ Total records with errors: ${totalErrors}`);
-    console.log(`⏱️  Total time: ${(duration / 1000).toFixed(1)}s`);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Direct liquidity pools collection completed',
+    const succeeded = results.filter(r => r.success);
+    result.totalRecords = succeeded.reduce((sum, r) => sum + r.result.totalRecords, 0);
+    result.insertedRecords = succeeded.reduce((sum, r) => sum + r.result.insertedRecords, 0);
+    result.errorRecords = succeeded.reduce((sum, r) => sum + r.result.errorRecords, 0);
+    result.details = {
+      snapshotTs,
+      totalPools,
       totalBatches: batches.length,
       successfulBatches,
       failedBatches,
-      totalInserted,
-      totalErrors,
-      processingTimeMs: duration,
       batchResults: results
-    });
-    
-  } catch (error) {
-    console.error('❌ Direct Liquidity Pools Dispatcher failed:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      processingTimeMs: Date.now() - startTime
-    });
-  }
-};
+    };
+    result.message = 'Direct liquidity pools collection completed';
+
+    log.info('🎉 Direct Liquidity Pools Dispatcher Complete!');
+    log.info(`✅ Successful batches: ${successfulBatches}/${batches.length}`);
+    log.info(`❌ Failed batches: ${failedBatches}/${batches.length}`);
+    log.info(`📊 Total records inserted: ${result.insertedRecords}`);
+    log.info(`❌ Total records with errors: ${result.errorRecords}`);
+  });
+}
+
+module.exports = createHandler((params) => runPoolsDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runPoolsDispatcher = runPoolsDispatcher;
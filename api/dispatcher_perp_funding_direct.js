@@ -0,0 +1,41 @@
+// api/dispatcher_perp_funding_direct.js
+// Direct perp funding rate dispatcher - the perps endpoint is unpaginated, so one job run covers every market
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+
+// Import the direct perp funding job
+const { runPerpFundingJob } = require('./job_perp_funding_direct.js');
+
+/**
+ * Runs the perp funding job once and reports its result
+ *
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runPerpFundingDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_perp_funding_direct', { ...options, runIdPrefix: 'dispatcher_perp_funding', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Perp Funding Dispatcher...');
+
+    // execute the perp funding job directly, sharing this dispatcher's pool
+    const jobResult = await runPerpFundingJob(params, { pool });
+    await recordBatch({ batchNumber: 1 }, jobResult);
+
+    result.totalRecords = jobResult.totalRecords;
+    result.insertedRecords = jobResult.insertedRecords;
+    result.skippedRecords = jobResult.skippedRecords;
+    result.errorRecords = jobResult.errorRecords;
+    result.details = { jobResults: jobResult };
+
+    if (!jobResult.success) {
+      throw new Error(`Perp funding job failed: ${jobResult.error || 'unknown error'}`);
+    }
+
+    log.info('🎉 Direct Perp Funding Dispatcher Complete!');
+    log.info(`📊 Records Inserted: ${jobResult.insertedRecords}`);
+    log.info(`❌ Records with Errors: ${jobResult.errorRecords}`);
+    result.message = 'Direct perp funding rate collection completed successfully';
+  });
+}
+
+module.exports = createHandler((params) => runPerpFundingDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runPerpFundingDispatcher = runPerpFundingDispatcher;
@@ -0,0 +1,92 @@
+// api/dispatcher_protocol_tvl_direct.js
+// Direct protocol TVL dispatcher - no validation, fast parallel data collection
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+
+// Import the direct protocol TVL job
+const { runProtocolTvlJob, fetchProtocols, SNAPSHOT_INTERVAL_MS } = require('./job_protocol_tvl_direct.js');
+const { resolveSnapshotTs } = require('../lib/snapshot');
+const { planBatches, runWithConcurrency } = require('../lib/batch_plan');
+
+// Protocol TVL configuration - the protocol list comes from the API at run time
+const PROTOCOL_TVL_CONFIG = {
+  targetBatchSize: 1000, // Protocols per batch (evened out across batches)
+  maxConcurrency: 4      // Parallel batches
+};
+
+/**
+ * Splits the protocol list into batches and runs them with bounded concurrency
+ *
+ * @param {{ day?: string|number, batchSize?: number|string, concurrency?: number|string }} params
+ *        batchSize / concurrency override PROTOCOL_TVL_CONFIG for one run
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runProtocolTvlDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_protocol_tvl_direct', { ...options, runIdPrefix: 'dispatcher_protocol_tvl', recordRun: true, params }, async ({ pool, getApiKey, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Protocol TVL Dispatcher...');
+
+    // One day for every batch of this run; pass ?day= to retry a specific day
+    const day = resolveSnapshotTs(params.day, SNAPSHOT_INTERVAL_MS).toISOString();
+    const targetBatchSize = parseIntParam(params.batchSize, PROTOCOL_TVL_CONFIG.targetBatchSize);
+    const maxConcurrency = parseIntParam(params.concurrency, PROTOCOL_TVL_CONFIG.maxConcurrency);
+
+    // Fetch the current list once, so new listings are never cut off and every batch slices the same list
+    const protocols = await fetchProtocols(getApiKey());
+    const totalProtocols = protocols.length;
+    const batches = planBatches(totalProtocols, targetBatchSize);
+
+    log.info(`🕐 Day: ${day.slice(0, 10)}`);
+    log.info(`📊 Config: ${totalProtocols} protocols, ${batches.length} batches of up to ${batches[0]?.limit ?? 0}, ${maxConcurrency} parallel batches`);
+
+    if (!batches.length) {
+      throw new Error('API returned no protocols - nothing to dispatch');
+    }
+
+    let successfulBatches = 0;
+    let failedBatches = 0;
+
+    const results = await runWithConcurrency(batches, maxConcurrency, async (batch) => {
+      log.info(`🔄 Starting batch ${batch.batchNumber}/${batches.length}: offset=${batch.offset}, limit=${batch.limit}`);
+
+      const jobResult = await runProtocolTvlJob(
+        { offset: batch.offset, limit: batch.limit, day },
+        { pool, protocols: protocols.slice(batch.offset, batch.offset + batch.limit) }
+      );
+      await recordBatch(batch, jobResult);
+
+      if (jobResult.success) {
+        log.info(`✅ Batch ${batch.batchNumber} completed: SUCCESS`);
+        successfulBatches++;
+        return { success: true, batch: batch.batchNumber, result: jobResult };
+      }
+
+      log.error(`❌ Batch ${batch.batchNumber} failed:`, jobResult.error);
+      failedBatches++;
+      return { success: false, batch: batch.batchNumber, error: jobResult.error };
+    });
+
+    // Calculate totals
+    const succeeded = results.filter(r => r.success);
+    result.totalRecords = succeeded.reduce((sum, r) => sum + r.result.totalRecords, 0);
+    result.insertedRecords = succeeded.reduce((sum, r) => sum + r.result.insertedRecords, 0);
+    result.errorRecords = succeeded.reduce((sum, r) => sum + r.result.errorRecords, 0);
+    result.details = {
+      day: day.slice(0, 10),
+      totalProtocols,
+      totalBatches: batches.length,
+      successfulBatches,
+      failedBatches,
+      batchResults: results
+    };
+    result.message = 'Direct protocol TVL collection completed';
+
+    log.info('🎉 Direct Protocol TVL Dispatcher Complete!');
+    log.info(`✅ Successful batches: ${successfulBatches}/${batches.length}`);
+    log.info(`❌ Failed batches: ${failedBatches}/${batches.length}`);
+    log.info(`📊 Total records inserted: ${result.insertedRecords}`);
+  });
+}
+
+module.exports = createHandler((params) => runProtocolTvlDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runProtocolTvlDispatcher = runProtocolTvlDispatcher;
@@ -0,0 +1,41 @@
+// api/dispatcher_stablecoins_direct.js
+// Direct stablecoin market cap dispatcher - both endpoints are unpaginated, so one job run covers everything
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+
+// Import the direct stablecoins job
+const { runStablecoinsJob } = require('./job_stablecoins_direct.js');
+
+/**
+ * Runs the stablecoins job once and reports its result
+ *
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runStablecoinsDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_stablecoins_direct', { ...options, runIdPrefix: 'dispatcher_stablecoins', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    log.info('🚀 Starting Direct Stablecoin Dispatcher...');
+
+    // Execute the stablecoins job directly, sharing this dispatcher's pool
+    const jobResult = await runStablecoinsJob(params, { pool });
+    await recordBatch({ batchNumber: 1 }, jobResult);
+
+    result.totalRecords = jobResult.totalRecords;
+    result.insertedRecords = jobResult.insertedRecords;
+    result.skippedRecords = jobResult.skippedRecords;
+    result.errorRecords = jobResult.errorRecords;
+    result.details = { jobResults: jobResult };
+
+    if (!jobResult.success) {
+      throw new Error(`Stablecoins job failed: ${jobResult.error || 'unknown error'}`);
+    }
+
+    log.info('🎉 Direct Stablecoin Dispatcher Complete!');
+    log.info(`📊 Records Inserted: ${jobResult.insertedRecords}`);
+    log.info(`❌ Records with Errors: ${jobResult.errorRecords}`);
+    result.message = 'Direct stablecoin market cap collection completed successfully';
+  });
+}
+
+module.exports = createHandler((params) => runStablecoinsDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runStablecoinsDispatcher = runStablecoinsDispatcher;
@@ -2,128 +2,101 @@
 // Direct Parallel Token Price Collection Dispatcher
 // EXACT COPY of working dispatcher but calls direct job (no scrubbing)
 
-module.exports.config = { runtime: 'nodejs18.x' };
-
-const { Pool } = require('pg');
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
 
 // Import the actual job function - DIRECT VERSION
-const tokenPriceJob = require('./backfill_token_prices_direct.js');
+const { runTokenPriceJob, SNAPSHOT_INTERVAL_MS } = require('./backfill_token_prices_direct.js');
+const { resolveSnapshotTs } = require('../lib/snapshot');
+const { loadActiveTokens } = require('../lib/token_universe');
+const { planBatches, runWithConcurrency } = require('../lib/batch_plan');
 
-// Token price configuration - MATCH WORKING DISPATCHER
+// Token price configuration - the token count comes from the curated active list at run time
 const TOKEN_PRICE_CONFIG = {
-  totalTokens: 2454,   // Filtered to only tokens with fresh price data (67.1% coverage)
-  batchSize: 818,      // Adjusted to evenly divide active tokens across 3 batches
-  maxConcurrency: 3    // Keep 3 parallel batches for optimal performance
+  targetBatchSize: 820, // Tokens per batch (evened out across batches; 2454 active tokens -> 3 x 818)
+  maxConcurrency: 3     // Keep 3 parallel batches for optimal performance
 };
 
-function generateJobRunId() {
-  return `dispatcher_token_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
+// Passed through to the batches (history mode of the token price job)
+const HISTORY_PARAMS = ['mode', 'span', 'period', 'searchWidth', 'start', 'end'];
+
+/**
+ * Runs every token price batch with bounded concurrency; succeeds when at least 70% of batches do
+ *
+ * @param {{ snapshotTs?: string|number, batchSize?: number|string, concurrency?: number|string, mode?: string }} params
+ *        batchSize / concurrency override TOKEN_PRICE_CONFIG for one run; mode and the history params
+ *        (span, period, searchWidth, start, end) pass through to every batch
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runTokenPriceDispatcher(params = {}, options = {}) {
+  return runJob('dispatcher_token_prices_direct', { ...options, runIdPrefix: 'dispatcher_token', recordRun: true, params }, async ({ pool, log, result, recordBatch }) => {
+    // One canonical snapshot time for every batch of this run; pass ?snapshotTs= to retry a specific snapshot
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS).toISOString();
+    const targetBatchSize = parseIntParam(params.batchSize, TOKEN_PRICE_CONFIG.targetBatchSize);
+    const maxConcurrency = parseIntParam(params.concurrency, TOKEN_PRICE_CONFIG.maxConcurrency);
+    const history = Object.fromEntries(HISTORY_PARAMS.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+
+    // Size the universe from the list the batches will slice
+    const totalTokens = (await loadActiveTokens(pool)).length;
+    const batches = planBatches(totalTokens, targetBatchSize);
+
+    log.info(`🕐 Snapshot: ${snapshotTs}`);
+    log.info(`📊 Config: ${totalTokens} tokens, ${batches.length} batches of up to ${batches[0]?.limit ?? 0}, ${maxConcurrency} parallel batches`);
+    log.info(`🎯 DIRECT: Processing ${totalTokens} active tokens (no scrubbing)`);
 
-module.exports = async (req, res) => {
-  const startTime = Date.now();
-  const jobRunId = generateJobRunId();
-  
-  console.log(`🚀 Starting Direct Token Price Dispatcher: ${jobRunId}`);
-  console.log(`📊 Config: ${TOKEN_PRICE_CONFIG.totalTokens} tokens, ${TOKEN_PRICE_CONFIG.batchSize} per batch, ${TOKEN_PRICE_CONFIG.maxConcurrency} parallel batches`);
-  console.log(`🎯 DIRECT: Processing ${TOKEN_PRICE_CONFIG.totalTokens} active tokens (no scrubbing)`);
-
-  try {
-    // Calculate all batches
-    const batches = [];
-    for (let offset = 0; offset < TOKEN_PRICE_CONFIG.totalTokens; offset += TOKEN_PRICE_CONFIG.batchSize) {
-      batches.push({
-        offset,
-        limit: Math.min(TOKEN_PRICE_CONFIG.batchSize, TOKEN_PRICE_CONFIG.totalTokens - offset)
-      });
+    if (!batches.length) {
+      throw new Error('Active token list is empty - nothing to dispatch');
     }
 
-    console.log(`📦 Created ${batches.length} batches to process in parallel`);
-
-    // Execute all batches in parallel
-    const batchPromises = batches.map(async (batch, index) => {
-      console.log(`🔄 Starting batch ${index + 1}/${batches.length}: offset=${batch.offset}, limit=${batch.limit}`);
-      
-            // Create mock request/response for the job
-            const mockReq = {
-              query: {
-                offset: batch.offset.toString(),
-                limit: batch.limit.toString()
-              },
-              headers: {
-                host: 'localhost'
-              },
-              url: `/?offset=${batch.offset}&limit=${batch.limit}`
-            };
-      
-      let jobResult = null;
-      
-      const mockRes = {
-        status: (code) => ({
-          json: (data) => {
-            console.log(`✅ Batch ${index + 1} completed: ${data.success ? 'SUCCESS' : 'FAILED'}`);
-            if (data.inserted_records) {
-              console.log(`   📊 ${data.total_records} records, ${data.inserted_records} inserted, ${data.skipped_records} skipped`);
-            }
-            jobResult = { code, data }; // Capture the actual result
-            return { code, data };
-          }
-        })
-      };
+    log.info(`📦 Created ${batches.length} batches`);
+
+    const results = await runWithConcurrency(batches, maxConcurrency, async ({ batchNumber, offset, limit }) => {
+      log.info(`🔄 Starting batch ${batchNumber}/${batches.length}: offset=${offset}, limit=${limit}`);
+
+      const jobResult = await runTokenPriceJob({ offset, limit, snapshotTs, ...history }, { pool });
+      await recordBatch({ batchNumber, offset, limit }, jobResult);
 
-      try {
-        await tokenPriceJob(mockReq, mockRes);
-        // Check the actual job success, not just if it completed without throwing
-        const actualSuccess = jobResult?.data?.success || false;
-        return { 
-          batch: index + 1, 
-          success: actualSuccess,
-          error: actualSuccess ? null : (jobResult?.data?.error || 'Job completed but reported failure')
-        };
-      } catch (error) {
-        console.error(`❌ Batch ${index + 1} failed:`, error.message);
-        return { batch: index + 1, success: false, error: error.message };
+      log.info(`✅ Batch ${batchNumber} completed: ${jobResult.success ? 'SUCCESS' : 'FAILED'}`);
+      if (jobResult.insertedRecords) {
+        log.info(`   📊 ${jobResult.totalRecords} records, ${jobResult.insertedRecords} inserted, ${jobResult.skippedRecords} skipped`);
       }
+
+      return {
+        batch: batchNumber,
+        success: jobResult.success,
+        error: jobResult.success ? null : (jobResult.error || 'Job completed but reported failure'),
+        result: jobResult
+      };
     });
 
-    // Wait for all batches to complete
-    const results = await Promise.all(batchPromises);
-    
     // Calculate summary
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
-    const processingTime = Date.now() - startTime;
-
-    console.log(`🎉 Direct Token Price Dispatcher Complete!`);
-    console.log(`   ✅ Successful batches: ${successful}/${batches.length}`);
-    console.log(`   ❌ Failed batches: ${failed}/${batches.length}`);
-    console.log(`   ⏱️  Total time: ${(processingTime / 1000).toFixed(1)}s`);
 
-    // Return success if most batches succeeded
-    const success = successful >= Math.ceil(batches.length * 0.7); // 70% success threshold
-
-    res.status(200).json({
-      success,
-      jobRunId,
+    for (const r of results) {
+      result.totalRecords += r.result.totalRecords;
+      result.insertedRecords += r.result.insertedRecords;
+      result.skippedRecords += r.result.skippedRecords;
+    }
+    result.details = {
       dispatcher: 'token_prices_direct',
-      summary: {
-        totalBatches: batches.length,
-        successfulBatches: successful,
-        failedBatches: failed,
-        processingTimeMs: processingTime,
-        successRate: (successful / batches.length * 100).toFixed(1) + '%'
-      },
+      snapshotTs,
+      totalTokens,
+      totalBatches: batches.length,
+      successfulBatches: successful,
+      failedBatches: failed,
+      successRate: (successful / batches.length * 100).toFixed(1) + '%',
       results
-    });
+    };
 
-  } catch (error) {
-    console.error('❌ Direct Token Price Dispatcher failed:', error);
-    res.status(500).json({
-      success: false,
-      jobRunId,
-      dispatcher: 'token_prices_direct',
-      error: error.message,
-      processingTimeMs: Date.now() - startTime
-    });
-  }
-};
\ No newline at end of file
+    log.info(`🎉 Direct Token Price Dispatcher Complete!`);
+    log.info(`   ✅ Successful batches: ${successful}/${batches.length}`);
+    log.info(`   ❌ Failed batches: ${failed}/${batches.length}`);
+
+    // Return success if most batches succeeded
+    return successful >= Math.ceil(batches.length * 0.7); // 70% success threshold
+  });
+}
+
+module.exports = createHandler((params) => runTokenPriceDispatcher(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runTokenPriceDispatcher = runTokenPriceDispatcher;
@@ -0,0 +1,73 @@
+// api/job_backfill.js
+// Resumable historical backfill route - runs (or reports on) a registered dataset's backfill over a date range
+// ?dataset=fees&from=2025-09-01&to=2025-09-30 fills the missing days; rerunning resumes from the checkpoints.
+// ?action=status lists which periods are present, complete, partial, failed or missing without fetching anything.
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { runBackfillEngine, getBackfillStatus } = require('../lib/backfill');
+const { TOKEN_PRICE_DATASET } = require('../backfill_token_prices_historical.js');
+const { FEES_DATASET } = require('./job_fees_direct.js');
+const { DEX_VOLUME_DATASET } = require('./job_dex_volume_direct.js');
+const { LENDING_HISTORY_DATASET } = require('./job_lending_direct.js');
+const { POOL_HISTORY_DATASET } = require('./job_liquidity_pools_direct.js');
+
+const BACKFILL_CONFIG = {
+  timeBudgetMs: 240000 // Stop starting units before the function timeout; the next call resumes
+};
+
+// Dataset name -> backfill definition (see lib/backfill.js BackfillDataset)
+const BACKFILL_DATASETS = {
+  token_prices: TOKEN_PRICE_DATASET,
+  fees: FEES_DATASET,
+  dex_volume: DEX_VOLUME_DATASET,
+  lending: LENDING_HISTORY_DATASET,
+  pools: POOL_HISTORY_DATASET
+};
+
+function resolveDataset(name) {
+  const dataset = BACKFILL_DATASETS[name];
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${name} (expected ${Object.keys(BACKFILL_DATASETS).join(', ')})`);
+  }
+  return dataset;
+}
+
+/**
+ * Runs one dataset's backfill; the job fails on an unknown dataset or when any unit failed
+ *
+ * @param {{ dataset?: string, from?: string, to?: string, days?: number|string, granularity?: string,
+ *           batchSize?: number|string, concurrency?: number|string, force?: boolean|string }} params
+ *        Dataset-specific params (e.g. fees dataType, token_prices limit) pass through
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}  details.progress / details.complete report how far it got
+ */
+async function runBackfillJob(params = {}, options = {}) {
+  const dataset = BACKFILL_DATASETS[params.dataset];
+  if (!dataset) {
+    return runJob('backfill', options, async () => { resolveDataset(params.dataset); });
+  }
+  return runBackfillEngine(dataset, params, {
+    timeBudgetMs: parseIntParam(params.timeBudgetMs, BACKFILL_CONFIG.timeBudgetMs),
+    ...options
+  });
+}
+
+/**
+ * Reports a dataset's backfill state over a range in details, without fetching or writing anything
+ *
+ * @param {{ dataset?: string, from?: string, to?: string, days?: number|string, granularity?: string }} params
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runBackfillStatus(params = {}, options = {}) {
+  return runJob('backfill_status', options, async ({ pool, result }) => {
+    const dataset = resolveDataset(params.dataset);
+    result.details = await getBackfillStatus(dataset, params, pool);
+    result.message = `${result.details.gaps.length}/${result.details.periods} periods still to backfill`;
+  });
+}
+
+module.exports = createHandler((params) => (params.action === 'status' ? runBackfillStatus(params) : runBackfillJob(params)));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runBackfillJob = runBackfillJob;
+module.exports.runBackfillStatus = runBackfillStatus;
+module.exports.BACKFILL_DATASETS = BACKFILL_DATASETS;
@@ -0,0 +1,62 @@
+// api/job_bridge_overview_direct.js
+// Bridge volume overview using DeFiLlama Pro API - daily deposits/withdrawals summed across all bridges in clean.bridge_volume_overview
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { fetchBridgeVolume, selectDays, DAY_MS } = require('../lib/bridges');
+const { BRIDGE_CONFIG } = require('./job_bridges_direct.js');
+
+const OVERVIEW_WRITE_SPEC = {
+  table: 'clean.bridge_volume_overview',
+  columns: ['day', 'deposit_usd', 'withdraw_usd', 'deposit_txs', 'withdraw_txs', 'inserted_at'],
+  conflictColumns: ['day'],
+  updateColumns: ['deposit_usd', 'withdraw_usd', 'deposit_txs', 'withdraw_txs', 'inserted_at']
+};
+
+/**
+ * Writes the all-bridges daily totals
+ *
+ * @param {{ day?: string|number, days?: number|string }} params  days: days ending at day (default BRIDGE_CONFIG.days); 0 = full history
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runBridgeOverviewJob(params = {}, options = {}) {
+  return runJob('bridge_overview_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const days = parseIntParam(params.days, BRIDGE_CONFIG.days);
+    const endDay = resolveSnapshotTs(params.day, DAY_MS);
+    result.details = { day: endDay.toISOString().slice(0, 10), days };
+
+    log.info(`🚀 Starting Bridge Volume Overview: days=${days || 'all'}`);
+
+    const points = selectDays(await fetchBridgeVolume(getApiKey(), 'all'), endDay, days);
+
+    const insertedAt = new Date();
+    const rows = points.map(point => [point.day, point.depositUsd, point.withdrawUsd, point.depositTxs, point.withdrawTxs, insertedAt]);
+
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+        writeRows(client, OVERVIEW_WRITE_SPEC, rows, { savepoints: true })
+      );
+      for (const reject of rejects) {
+        log.error(`❌ Error inserting bridge overview for ${rows[reject.index][0]}:`, reject.error);
+      }
+
+      result.totalRecords = rows.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.message = 'Bridge volume overview completed';
+
+      log.info('🎉 Bridge Volume Overview Complete!');
+      log.info(`✅ Inserted: ${insertedCount} days`);
+      log.info(`❌ Errors: ${errorCount} days`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runBridgeOverviewJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runBridgeOverviewJob = runBridgeOverviewJob;
@@ -0,0 +1,106 @@
+// api/job_bridges_direct.js
+// Direct bridge volume job using DeFiLlama Pro API - daily deposits/withdrawals per bridge and chain in clean.bridge_volume_daily
+// Each batch covers a slice of the bridge list; every (bridge, chain) series is one /bridges/bridgevolume call
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { runWithConcurrency } = require('../lib/batch_plan');
+const { fetchBridges, fetchBridgeVolume, selectDays, DAY_MS } = require('../lib/bridges');
+
+const BRIDGE_CONFIG = {
+  days: 2,               // Days written per series, ending at ?day= (yesterday settles on the next run); 0 = full history
+  requestConcurrency: 3  // Parallel /bridges/bridgevolume calls within a batch (pacing lives in the shared llama client)
+};
+
+// Reruns overwrite the day - the current day keeps growing until it closes
+const BRIDGE_WRITE_SPEC = {
+  table: 'clean.bridge_volume_daily',
+  columns: ['bridge_id', 'chain', 'day', 'deposit_usd', 'withdraw_usd', 'deposit_txs', 'withdraw_txs', 'inserted_at'],
+  conflictColumns: ['bridge_id', 'chain', 'day'],
+  updateColumns: ['deposit_usd', 'withdraw_usd', 'deposit_txs', 'withdraw_txs', 'inserted_at']
+};
+
+/**
+ * Current number of bridges the API serves - the dispatcher sizes its batches from this
+ */
+async function fetchBridgeCount(apiKey, log) {
+  return (await fetchBridges(apiKey, log)).length;
+}
+
+/**
+ * Collects one batch of bridges: every chain of every bridge in the slice
+ *
+ * @param {{ offset?: number|string, limit?: number|string, day?: string|number, days?: number|string }} params
+ *        days: days per series ending at day (default BRIDGE_CONFIG.days); 0 writes each full series
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runBridgeVolumeJob(params = {}, options = {}) {
+  return runJob('bridges_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const offset = parseIntParam(params.offset, 0);
+    const limit = parseIntParam(params.limit, 50);
+    const days = parseIntParam(params.days, BRIDGE_CONFIG.days);
+    const endDay = resolveSnapshotTs(params.day, DAY_MS);
+    result.details = { batchInfo: { offset, limit }, day: endDay.toISOString().slice(0, 10), days };
+
+    log.info(`🚀 Starting Direct Bridge Volume Collection: offset=${offset}, limit=${limit}, days=${days || 'all'}`);
+
+    const apiKey = getApiKey();
+    const bridges = (await fetchBridges(apiKey, log)).slice(offset, offset + limit);
+    const series = bridges.flatMap(bridge => bridge.chains.map(chain => ({ bridge, chain })));
+
+    // A failed series is logged and counted; the rest of the batch still lands
+    const failedSeries = [];
+    const fetched = await runWithConcurrency(series, BRIDGE_CONFIG.requestConcurrency, async ({ bridge, chain }) => {
+      try {
+        return selectDays(await fetchBridgeVolume(apiKey, chain, bridge.id), endDay, days);
+      } catch (error) {
+        log.error(`❌ Bridge ${bridge.id} (${bridge.name}) on ${chain}:`, error.message);
+        failedSeries.push({ bridgeId: bridge.id, chain, error: error.message });
+        return [];
+      }
+    });
+
+    const insertedAt = new Date();
+    const rows = [];
+    series.forEach(({ bridge, chain }, i) => {
+      for (const point of fetched[i]) {
+        rows.push([bridge.id, chain, point.day, point.depositUsd, point.withdrawUsd, point.depositTxs, point.withdrawTxs, insertedAt]);
+      }
+    });
+
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+        writeRows(client, BRIDGE_WRITE_SPEC, rows, { savepoints: true })
+      );
+      for (const reject of rejects) {
+        const [bridgeId, chain, day] = rows[reject.index];
+        log.error(`❌ Error inserting bridge ${bridgeId} on ${chain} for ${day}:`, reject.error);
+      }
+
+      result.totalRecords = rows.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.details.bridges = bridges.length;
+      result.details.series = series.length;
+      result.details.failedSeries = failedSeries;
+      result.message = 'Direct bridge volume collection completed';
+
+      log.info('🎉 Direct Bridge Volume Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records from ${series.length - failedSeries.length}/${series.length} series`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
+      client.release();
+    }
+
+    return failedSeries.length === 0;
+  });
+}
+
+module.exports = createHandler((params) => runBridgeVolumeJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runBridgeVolumeJob = runBridgeVolumeJob;
+module.exports.fetchBridgeCount = fetchBridgeCount;
+module.exports.BRIDGE_CONFIG = BRIDGE_CONFIG;
@@ -0,0 +1,100 @@
+// api/job_dex_volume_direct.js
+// Direct DEX volume job using DeFiLlama Pro API - one row per DEX per day in update.dex_info
+// Daily mode stores /api/overview/dexs as of today; backfill mode (?mode=backfill) rebuilds past days from its daily chart
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { runBackfillEngine } = require('../lib/backfill');
+const { fetchOverview, writeLiveDay, protocolKey, overviewBackfillDataset } = require('../lib/overview');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEX_VOLUME_CONFIG = {
+  backfillDays: 30 // Default backfill range
+};
+
+/** @type {import('../lib/overview').OverviewSpec} */
+const DEX_SPEC = {
+  type: 'dexs',
+  table: 'update.dex_info',
+  dayColumn: 'data_timestamp',
+  dayValue: (date) => `${date}T00:00:00.000Z`,
+  daySql: "(data_timestamp AT TIME ZONE 'UTC')::date",
+  conflictColumns: ['defillama_id', 'data_timestamp'],
+  metadata: (protocol) => ({
+    defillama_id: protocolKey(protocol),
+    name: protocol.name || null,
+    display_name: protocol.displayName || null,
+    module: protocol.module || null,
+    category: protocol.category || null,
+    logo: protocol.logo || null,
+    chains: Array.isArray(protocol.chains) ? protocol.chains : null,
+    protocol_type: protocol.protocolType || null,
+    methodology_url: protocol.methodologyURL || null,
+    parent_protocol: protocol.parentProtocol || null,
+    slug: protocol.slug || null,
+    methodology: protocol.methodology ? JSON.stringify(protocol.methodology) : null,
+    linked_protocols: Array.isArray(protocol.linkedProtocols) ? protocol.linkedProtocols : null
+  })
+};
+
+/**
+ * Collects today's volume totals for every DEX
+ *
+ * @param {{ day?: string|number }} params
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runDexVolumeJob(params = {}, options = {}) {
+  return runJob('dex_volume_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const date = resolveSnapshotTs(params.day, DAY_MS).toISOString().slice(0, 10);
+    result.details = { day: date };
+
+    log.info(`🚀 Starting Direct DEX Volume Collection for ${date}`);
+
+    const { protocols } = await fetchOverview(getApiKey(), DEX_SPEC.type);
+
+    const client = await pool.connect();
+    try {
+      const written = await withTransaction(client, () => writeLiveDay(client, DEX_SPEC, protocols, date));
+      for (const reject of written.rejects) {
+        log.error(`❌ Error inserting volume for ${written.records[reject.index].name}:`, reject.error);
+      }
+
+      result.totalRecords = written.totalRecords;
+      result.insertedRecords = written.insertedCount;
+      result.skippedRecords = written.skipped;
+      result.errorRecords = written.errorCount;
+      result.message = 'Direct DEX volume collection completed';
+
+      log.info('🎉 Direct DEX Volume Collection Complete!');
+      log.info(`✅ Inserted: ${written.insertedCount} records`);
+      log.info(`❌ Errors: ${written.errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+const DEX_VOLUME_DATASET = {
+  ...overviewBackfillDataset('dex_volume', DEX_SPEC),
+  defaultDays: DEX_VOLUME_CONFIG.backfillDays
+};
+
+/**
+ * Rebuilds past days of DEX volume from the per-protocol daily chart, one checkpointed unit per day
+ *
+ * @param {{ days?: number|string, from?: string, to?: string, force?: boolean|string }} params
+ *        Days back from today (default DEX_VOLUME_CONFIG.backfillDays); days already stored are skipped unless force
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runDexVolumeBackfill(params = {}, options = {}) {
+  return runBackfillEngine(DEX_VOLUME_DATASET, params, options);
+}
+
+module.exports = createHandler((params) => (params.mode === 'backfill' ? runDexVolumeBackfill(params) : runDexVolumeJob(params)));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runDexVolumeJob = runDexVolumeJob;
+module.exports.runDexVolumeBackfill = runDexVolumeBackfill;
+module.exports.DEX_VOLUME_DATASET = DEX_VOLUME_DATASET;
@@ -0,0 +1,149 @@
+// api/job_etf_direct.js
+// Direct ETF flows job using DeFiLlama Pro API - daily BTC/ETH ETF flows in update.raw_etf, one row per asset, ticker and day
+// Asset totals (ticker = 'all') come from the flow history; per-ticker rows from the overview of each ETF's latest day.
+// Issuers revise recent days, so every run rewrites the last ETF_CONFIG.historyDays days and records what changed.
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { withTransaction } = require('../lib/snapshot');
+
+const ETF_CONFIG = {
+  historyDays: 14 // Newest days of each asset's history rewritten per run; 0 = the full series
+};
+
+// gecko_id -> the endpoints covering that asset's ETFs
+const ETF_ASSETS = [
+  { geckoId: 'bitcoin', overviewPath: '/etfs/overview', historyPath: '/etfs/history' },
+  { geckoId: 'ethereum', overviewPath: '/etfs/overviewEth', historyPath: '/etfs/historyEth' }
+];
+
+// A changed flow is a revision once the day already had a value
+const FLOW_REVISED = 't.total_flow_usd IS NOT NULL AND t.total_flow_usd IS DISTINCT FROM EXCLUDED.total_flow_usd';
+
+// Unchanged rows are left alone, so updated_at (the promotion watermark) only moves when something changed
+const ETF_WRITE_SPEC = {
+  table: 'update.raw_etf',
+  columns: ['gecko_id', 'ticker', 'day', 'total_flow_usd', 'issuer', 'etf_name', 'aum_usd', 'volume_usd', 'updated_at'],
+  conflictColumns: ['gecko_id', 'ticker', 'day'],
+  updateColumns: [
+    'total_flow_usd', 'issuer', 'etf_name', 'aum_usd', 'volume_usd',
+    'previous_flow_usd', 'revised_at', 'revision_count', 'updated_at'
+  ],
+  updateExpressions: {
+    previous_flow_usd: `CASE WHEN ${FLOW_REVISED} THEN t.total_flow_usd ELSE t.previous_flow_usd END`,
+    revised_at: `CASE WHEN ${FLOW_REVISED} THEN NOW() ELSE t.revised_at END`,
+    revision_count: `t.revision_count + CASE WHEN ${FLOW_REVISED} THEN 1 ELSE 0 END`
+  },
+  updateWhere: '(t.total_flow_usd, t.issuer, t.etf_name, t.aum_usd, t.volume_usd) IS DISTINCT FROM ' +
+    '(EXCLUDED.total_flow_usd, EXCLUDED.issuer, EXCLUDED.etf_name, EXCLUDED.aum_usd, EXCLUDED.volume_usd)',
+  // An updated row (xmax set) whose revised_at is this transaction's NOW() was revised by this write
+  returning: '(t.xmax <> 0 AND t.revised_at = NOW()) AS revised'
+};
+
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// 'YYYY-MM-DD' from an ISO date/datetime string or unix seconds
+function toDay(value) {
+  const numeric = Number(value);
+  const date = Number.isFinite(numeric) ? new Date(numeric * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+async function fetchEtfList(path, apiKey) {
+  console.log(`📡 Fetching ${path} from DeFiLlama Pro API`);
+
+  const data = await llamaGet(path, { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error(`Invalid API response format - expected array from ${path}`);
+  }
+
+  console.log(`✅ Fetched ${data.length} entries from ${path}`);
+  return data;
+}
+
+/**
+ * Asset totals (ticker 'all') for the newest `days` days of the flow history
+ */
+function historyRows(asset, history, days, updatedAt) {
+  const points = history
+    .map(point => ({ day: toDay(point.day), flow: num(point.total_flow_usd) }))
+    .filter(point => point.day)
+    .sort((a, b) => a.day.localeCompare(b.day));
+  const selected = days > 0 ? points.slice(-days) : points;
+  return selected.map(point => [asset.geckoId, 'all', point.day, point.flow, null, null, null, null, updatedAt]);
+}
+
+/**
+ * One row per ETF for the day its overview entry reports
+ */
+function overviewRows(asset, overview, updatedAt) {
+  return overview
+    .filter(etf => etf.ticker && toDay(etf.timestamp))
+    .map(etf => [
+      asset.geckoId,
+      etf.ticker,
+      toDay(etf.timestamp),
+      num(etf.flows),
+      etf.issuer || null,
+      etf.etf_name || null,
+      num(etf.aum),
+      num(etf.volume),
+      updatedAt
+    ]);
+}
+
+/**
+ * Collects BTC and ETH ETF flows
+ *
+ * @param {{ days?: number|string }} params  days: newest history days rewritten per asset (default ETF_CONFIG.historyDays); 0 = all
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runEtfJob(params = {}, options = {}) {
+  return runJob('etf_direct', { ...options, runIdPrefix: 'etf', recordRun: true, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Direct ETF Flows Collection...');
+
+    const apiKey = getApiKey();
+    const days = parseIntParam(params.days, ETF_CONFIG.historyDays);
+    const updatedAt = new Date();
+
+    const rows = [];
+    const perAsset = {};
+    for (const asset of ETF_ASSETS) {
+      const history = historyRows(asset, await fetchEtfList(asset.historyPath, apiKey), days, updatedAt);
+      const tickers = overviewRows(asset, await fetchEtfList(asset.overviewPath, apiKey), updatedAt);
+      rows.push(...history, ...tickers);
+      perAsset[asset.geckoId] = { days: history.length, tickers: tickers.length };
+    }
+
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, rejects, returned } = await withTransaction(client, () =>
+        writeRows(client, ETF_WRITE_SPEC, rows, { savepoints: true })
+      );
+      const revised = returned.filter(row => row.revised).length;
+      for (const reject of rejects) {
+        const [geckoId, ticker, day] = rows[reject.index];
+        log.error(`❌ Error inserting ETF flow ${geckoId}/${ticker} for ${day}:`, reject.error);
+      }
+
+      result.totalRecords = rows.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.details = { days, assets: perAsset, revisedRecords: revised };
+      result.message = 'Direct ETF flows collection completed';
+
+      log.info('🎉 Direct ETF Flows Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records`);
+      log.info(`✏️ Revised: ${revised} records`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runEtfJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runEtfJob = runEtfJob;
@@ -0,0 +1,116 @@
+// api/job_fees_direct.js
+// Direct protocol fees/revenue job using DeFiLlama Pro API - one row per protocol, data type and day in update.protocol_fees_daily
+// Daily mode stores /api/overview/fees as of today; backfill mode (?mode=backfill) rebuilds past days from its daily chart
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { runBackfillEngine } = require('../lib/backfill');
+const { fetchOverview, writeLiveDay, protocolKey, overviewBackfillDataset } = require('../lib/overview');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEES_CONFIG = {
+  dataTypes: ['dailyFees', 'dailyRevenue'], // Collected by the dispatcher, one job run each
+  backfillDays: 30                          // Default backfill range
+};
+
+const DATA_TYPES = new Set(['dailyFees', 'dailyRevenue', 'dailyHoldersRevenue']);
+
+/** @type {import('../lib/overview').OverviewSpec} */
+const FEES_SPEC = {
+  type: 'fees',
+  table: 'update.protocol_fees_daily',
+  dayColumn: 'collection_date',
+  dayValue: (date) => date,
+  daySql: 'collection_date',
+  conflictColumns: ['defillama_id', 'data_type', 'collection_date'],
+  metadata: (protocol, { dataType }) => ({
+    protocol_id: protocol.slug || null,             // slug, as in update.protocol_chain_tvl_daily
+    defillama_id: protocolKey(protocol),
+    name: protocol.name || null,
+    display_name: protocol.displayName || null,
+    slug: protocol.slug || null,
+    category: protocol.category || null,
+    chains: Array.isArray(protocol.chains) ? protocol.chains : null,
+    module: protocol.module || null,
+    protocol_type: protocol.protocolType || null,
+    logo: protocol.logo || null,
+    methodology_url: protocol.methodologyURL || null,
+    methodology: protocol.methodology ? JSON.stringify(protocol.methodology) : null,
+    data_type: dataType
+  })
+};
+
+function resolveDataType(value) {
+  const dataType = value || FEES_CONFIG.dataTypes[0];
+  if (!DATA_TYPES.has(dataType)) throw new Error(`Invalid dataType: ${dataType}`);
+  return dataType;
+}
+
+/**
+ * Collects today's fees (or revenue) totals for every protocol
+ *
+ * @param {{ day?: string|number, dataType?: string }} params  dataType: dailyFees (default), dailyRevenue or dailyHoldersRevenue
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runFeesJob(params = {}, options = {}) {
+  return runJob('fees_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const dataType = resolveDataType(params.dataType);
+    const date = resolveSnapshotTs(params.day, DAY_MS).toISOString().slice(0, 10);
+    result.details = { dataType, day: date };
+
+    log.info(`🚀 Starting Direct Fees Collection: ${dataType} for ${date}`);
+
+    const { protocols } = await fetchOverview(getApiKey(), FEES_SPEC.type, { dataType });
+
+    const client = await pool.connect();
+    try {
+      const written = await withTransaction(client, () => writeLiveDay(client, FEES_SPEC, protocols, date, { dataType }));
+      for (const reject of written.rejects) {
+        log.error(`❌ Error inserting fees for ${written.records[reject.index].name}:`, reject.error);
+      }
+
+      result.totalRecords = written.totalRecords;
+      result.insertedRecords = written.insertedCount;
+      result.skippedRecords = written.skipped;
+      result.errorRecords = written.errorCount;
+      result.message = 'Direct fees collection completed';
+
+      log.info('🎉 Direct Fees Collection Complete!');
+      log.info(`✅ Inserted: ${written.insertedCount} records`);
+      log.info(`❌ Errors: ${written.errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+// Checkpointed per data type - each one is a separate series in the same table
+const FEES_DATASET = {
+  ...overviewBackfillDataset('fees', FEES_SPEC, {
+    extra: (params) => ({ dataType: resolveDataType(params.dataType) }),
+    where: (params) => ({ sql: 'data_type = $3', values: [resolveDataType(params.dataType)] })
+  }),
+  defaultDays: FEES_CONFIG.backfillDays,
+  checkpointName: (params) => `fees:${resolveDataType(params.dataType)}`
+};
+
+/**
+ * Rebuilds past days of fees (or revenue) from the per-protocol daily chart, one checkpointed unit per day
+ *
+ * @param {{ days?: number|string, from?: string, to?: string, dataType?: string, force?: boolean|string }} params
+ *        Days back from today (default FEES_CONFIG.backfillDays); days already stored are skipped unless force
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runFeesBackfill(params = {}, options = {}) {
+  return runBackfillEngine(FEES_DATASET, params, options);
+}
+
+module.exports = createHandler((params) => (params.mode === 'backfill' ? runFeesBackfill(params) : runFeesJob(params)));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runFeesJob = runFeesJob;
+module.exports.runFeesBackfill = runFeesBackfill;
+module.exports.FEES_CONFIG = FEES_CONFIG;
+module.exports.FEES_DATASET = FEES_DATASET;
@@ -0,0 +1,110 @@
+// api/job_gap_detector.js
+// Gap detector - finds missing scheduled snapshots per entity in the token price, lending and pool tables,
+// queues them in meta.data_gaps and repairs them through the historical backfill (lib/gaps.js)
+// ?repair=false only detects and queues; ?datasets=pools,lending limits the scan
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { resolveRange } = require('../lib/backfill');
+const { detectGaps, recordGaps, repairGaps } = require('../lib/gaps');
+const { TOKEN_PRICE_DATASET } = require('../backfill_token_prices_historical.js');
+const { SNAPSHOT_INTERVAL_MS: TOKEN_PRICE_INTERVAL_MS } = require('./backfill_token_prices_direct.js');
+const { LENDING_HISTORY_DATASET, SNAPSHOT_INTERVAL_MS: LENDING_INTERVAL_MS } = require('./job_lending_direct.js');
+const { POOL_HISTORY_DATASET, SNAPSHOT_INTERVAL_MS: POOL_INTERVAL_MS } = require('./job_liquidity_pools_direct.js');
+
+const GAP_CONFIG = {
+  days: 7,              // Scan range ending now
+  maxAttempts: 3,       // Repair runs per gap before it stays failed
+  timeBudgetMs: 240000  // Stop starting repairs before the function timeout; the rest stay queued
+};
+
+/** @type {import('../lib/gaps').GapSpec[]} */
+const GAP_DATASETS = [
+  {
+    name: 'token_prices',
+    table: 'update.token_price_daily',
+    entityColumn: 'coin_id',
+    tsColumn: 'price_timestamp',
+    tsType: 'timestamptz',
+    intervalMs: TOKEN_PRICE_INTERVAL_MS,
+    backfill: TOKEN_PRICE_DATASET,
+    repairGranularity: 'hour' // Historical prices at each missing hour mark
+  },
+  {
+    name: 'lending',
+    table: 'update.lending_market_history',
+    entityColumn: 'pool_id',
+    tsColumn: 'data_timestamp',
+    tsType: 'timestamptz',
+    intervalMs: LENDING_INTERVAL_MS,
+    backfill: LENDING_HISTORY_DATASET,
+    repairGranularity: 'day'  // The lend/borrow chart is daily
+  },
+  {
+    name: 'pools',
+    table: 'update.cl_pool_hist',
+    entityColumn: 'pool_id',
+    tsColumn: 'ts',
+    tsType: 'epoch_ms',
+    intervalMs: POOL_INTERVAL_MS,
+    backfill: POOL_HISTORY_DATASET,
+    repairGranularity: 'day'  // The pool chart is daily
+  }
+];
+
+/**
+ * Scans each dataset for missing snapshots, queues them and repairs the queue
+ *
+ * @param {{ days?: number|string, from?: string, to?: string, datasets?: string, repair?: string|boolean }} params
+ *        datasets: comma list of GAP_DATASETS names (default all); repair=false skips the repair step
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}  details has the per-dataset found / repaired counts
+ */
+async function runGapDetectorJob(params = {}, options = {}) {
+  return runJob('gap_detector', { ...options, runIdPrefix: 'gap_detector', recordRun: true, params }, async ({ jobRunId, pool, log, result }) => {
+    log.info('🚀 Starting Gap Detector...');
+
+    const { from, to } = resolveRange(params, GAP_CONFIG.days);
+    const names = params.datasets ? String(params.datasets).split(',').map(s => s.trim()) : GAP_DATASETS.map(d => d.name);
+    const unknown = names.filter(name => !GAP_DATASETS.some(d => d.name === name));
+    if (unknown.length) {
+      throw new Error(`Unknown datasets: ${unknown.join(', ')} (expected ${GAP_DATASETS.map(d => d.name).join(', ')})`);
+    }
+    const repair = params.repair !== false && params.repair !== 'false';
+    const deadline = Date.now() + parseIntParam(options.timeBudgetMs, GAP_CONFIG.timeBudgetMs);
+
+    log.info(`📅 Scanning ${from.toISOString()} → ${to.toISOString()}`);
+
+    const datasets = {};
+    let failed = 0;
+    for (const spec of GAP_DATASETS.filter(d => names.includes(d.name))) {
+      const gaps = await detectGaps(pool, spec, { from, to });
+      const { newGaps } = await recordGaps(pool, spec, gaps);
+      const missingSnapshots = gaps.reduce((sum, gap) => sum + gap.missing_snapshots, 0);
+      log.info(`🔎 ${spec.name}: ${gaps.length} gaps (${newGaps} new), ${missingSnapshots} missing snapshots`);
+
+      const repaired = repair ? await repairGaps(pool, spec, { maxAttempts: GAP_CONFIG.maxAttempts, deadline, parentRunId: jobRunId, log }) : null;
+      if (repaired) {
+        log.info(`🩹 ${spec.name}: ${repaired.repaired} repaired, ${repaired.unfilled} unfilled, ${repaired.failed} failed, ${repaired.pending} still queued`);
+        failed += repaired.failed;
+        result.insertedRecords += repaired.filledSnapshots;
+      }
+
+      datasets[spec.name] = { gaps: gaps.length, newGaps, missingSnapshots, repair: repaired };
+      result.totalRecords += gaps.length;
+    }
+
+    result.details = { from: from.toISOString(), to: to.toISOString(), datasets };
+    result.message = 'Gap detection completed';
+
+    log.info('🎉 Gap Detector Complete!');
+    log.info(`✅ Snapshots filled: ${result.insertedRecords}`);
+    log.info(`❌ Failed repairs: ${failed}`);
+
+    return failed === 0;
+  });
+}
+
+module.exports = createHandler((params) => runGapDetectorJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runGapDetectorJob = runGapDetectorJob;
+module.exports.GAP_DATASETS = GAP_DATASETS;
@@ -2,40 +2,23 @@
 // Direct lending job using DeFiLlama Pro API - no validation, direct data landing
 // Fast data collection for later cleaning/normalization
 
-module.exports.config = { runtime: 'nodejs18.x' };
-
-const { Pool } = require('pg');
+const { runJob, createHandler } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { yieldsHistoryDataset } = require('../lib/yields_history');
+const { toCoinId } = require('../lib/token_universe');
 
-function makePoolFromEnv() {
-  return new Pool({
-    connectionString: process.env.SUPABASE_DB_URL,
-    ssl: { rejectUnauthorized: false },
-  });
-}
+// Dispatcher runs every 10 minutes - one snapshot per window
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
 
 /**
  * Fetches both supply and borrow lending market data from DeFiLlama Pro API
  */
-async function fetchLendingData() {
-  const { DEFILLAMA_API_KEY } = process.env;
-  
-  console.log(`🔑 API Key loaded: ${DEFILLAMA_API_KEY ? 'YES' : 'NO'} (length: ${DEFILLAMA_API_KEY?.length || 0})`);
-  
-  if (!DEFILLAMA_API_KEY) {
-    throw new Error('DEFILLAMA_API_KEY environment variable is required');
-  }
-
-  const url = `https://pro-api.llama.fi/${DEFILLAMA_API_KEY}/yields/poolsBorrow`;
-  
+async function fetchLendingData(apiKey) {
   console.log(`📡 Fetching lending data with both supply and borrow APYs from DeFiLlama Pro API`);
   
-  const response = await fetch(url);
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => '');
-    throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
-  }
-  
-  const data = await response.json();
+  const data = await llamaGet('/yields/poolsBorrow', { apiKey });
   if (!data.data || !Array.isArray(data.data)) {
     throw new Error('Invalid API response format - expected array of lending data');
   }
@@ -44,130 +27,199 @@ async function fetchLendingData() {
   return data.data;
 }
 
+const LENDING_COLUMNS = [
+  'market_id', 'ts', 'project', 'chain', 'symbol',
+  'total_supply_usd', 'total_borrow_usd', 'debt_ceiling_usd',
+  'apy_base_supply', 'apy_reward_supply', 'apy_base_borrow', 'apy_reward_borrow',
+  'pool_id', 'tvl_usd', 'apy', 'apy_pct_1d', 'apy_pct_7d', 'apy_pct_30d',
+  'stablecoin', 'il_risk', 'exposure', 'ltv', 'borrowable',
+  'mu', 'sigma', 'count', 'outlier', 'apy_mean_30d',
+  'predictions', 'reward_tokens', 'underlying_tokens', 'pool_meta',
+  'data_timestamp'
+];
+
+// Reruns of the same snapshot overwrite the rows keyed on uniq_pool_timestamp (pool_id, data_timestamp);
+// inserted_at moves with every write so the promotion watermark picks up the rewrite
+const LENDING_WRITE_SPEC = {
+  table: 'update.lending_market_history',
+  columns: LENDING_COLUMNS,
+  conflictColumns: ['pool_id', 'data_timestamp'],
+  updateColumns: [...LENDING_COLUMNS.filter(col => col !== 'pool_id' && col !== 'data_timestamp'), 'inserted_at'],
+  updateExpressions: { inserted_at: 'NOW()' }
+};
+
+// Real zeros and false stay as they are; only absent or malformed values become NULL
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const bool = (value) => (typeof value === 'boolean' ? value : null);
+const json = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const TOKEN_COLUMNS = ['pool_id', 'role', 'token_address', 'position', 'chain', 'coin_id', 'first_seen_at', 'last_seen_at'];
+
+// One row per market, role and token; reruns and later snapshots only widen the seen range
+const TOKEN_WRITE_SPEC = {
+  table: 'update.lending_market_tokens',
+  columns: TOKEN_COLUMNS,
+  conflictColumns: ['pool_id', 'role', 'token_address'],
+  updateColumns: ['position', 'chain', 'coin_id', 'first_seen_at', 'last_seen_at'],
+  updateExpressions: {
+    first_seen_at: 'LEAST(t.first_seen_at, EXCLUDED.first_seen_at)',
+    last_seen_at: 'GREATEST(t.last_seen_at, EXCLUDED.last_seen_at)'
+  }
+};
+
 /**
- * Insert lending data directly into update table
+ * Maps one poolsBorrow entry onto LENDING_COLUMNS order
  */
-async function insertLendingData(client, lendingData) {
-  let insertedCount = 0;
-  let errorCount = 0;
-  
+function toLendingRow(pool, snapshotTs) {
+  return [
+    pool.pool || null,                              // market_id
+    snapshotTs,                                     // ts
+    pool.project || null,                           // project
+    pool.chain || null,                             // chain
+    pool.symbol || null,                            // symbol
+    num(pool.totalSupplyUsd),                       // total_supply_usd
+    num(pool.totalBorrowUsd),                       // total_borrow_usd
+    num(pool.debtCeilingUsd),                       // debt_ceiling_usd
+    num(pool.apyBase),                              // apy_base_supply (supply APY from poolsBorrow endpoint)
+    num(pool.apyReward),                            // apy_reward_supply (supply reward APY)
+    num(pool.apyBaseBorrow),                        // apy_base_borrow (borrow APY from poolsBorrow endpoint)
+    num(pool.apyRewardBorrow),                      // apy_reward_borrow (borrow reward APY)
+    pool.pool || null,                              // pool_id (duplicate of market_id, but API uses 'pool')
+    num(pool.tvlUsd),                               // tvl_usd
+    num(pool.apy),                                  // apy
+    num(pool.apyPct1D),                             // apy_pct_1d
+    num(pool.apyPct7D),                             // apy_pct_7d
+    num(pool.apyPct30D),                            // apy_pct_30d
+    bool(pool.stablecoin),                          // stablecoin
+    pool.ilRisk || null,                            // il_risk
+    pool.exposure || null,                          // exposure
+    num(pool.ltv),                                  // ltv
+    bool(pool.borrowable),                          // borrowable
+    num(pool.mu),                                   // mu
+    num(pool.sigma),                                // sigma
+    num(pool.count),                                // count
+    bool(pool.outlier),                             // outlier
+    num(pool.apyMean30d),                           // apy_mean_30d
+    json(pool.predictions),                         // predictions
+    json(pool.rewardTokens),                        // reward_tokens
+    json(pool.underlyingTokens),                    // underlying_tokens
+    pool.poolMeta || null,                          // pool_meta
+    snapshotTs                                      // data_timestamp
+  ];
+}
+
+/**
+ * Maps a market's underlyingTokens / rewardTokens onto TOKEN_COLUMNS rows, once per role and address.
+ * Addresses become coins API ids on the market's chain; entries already in 'chain:address' form are kept as the id,
+ * and addresses that are not valid for the chain are kept with a NULL coin_id.
+ */
+function toTokenRows(pool, snapshotTs) {
+  const rows = [];
+  for (const [role, tokens] of [['underlying', pool.underlyingTokens], ['reward', pool.rewardTokens]]) {
+    if (!Array.isArray(tokens)) continue;
+    const seen = new Set();
+    tokens.forEach((token, position) => {
+      if (typeof token !== 'string' || !token.trim() || seen.has(token)) return;
+      seen.add(token);
+      const coinId = token.includes(':') ? token : toCoinId({ chain: pool.chain, address: token });
+      rows.push([pool.pool, role, token, position, pool.chain || null, coinId, snapshotTs, snapshotTs]);
+    });
+  }
+  return rows;
+}
+
+/**
+ * Upsert lending data and the markets' token links into update tables in one transaction, all rows stamped with
+ * the run's snapshot
+ */
+async function insertLendingData(client, lendingData, snapshotTs) {
   console.log(`📝 Inserting ${lendingData.length} lending records...`);
-  
-  for (const pool of lendingData) {
-    try {
-      const insertQuery = `
-        INSERT INTO update.lending_market_history (
-          market_id, ts, project, chain, symbol,
-          total_supply_usd, total_borrow_usd, debt_ceiling_usd,
-          apy_base_supply, apy_reward_supply, apy_base_borrow, apy_reward_borrow,
-          pool_id, tvl_usd, apy, apy_pct_1d, apy_pct_7d, apy_pct_30d,
-          stablecoin, il_risk, exposure, ltv, borrowable,
-          mu, sigma, count, outlier, apy_mean_30d,
-          predictions, reward_tokens, underlying_tokens, pool_meta,
-          data_timestamp
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
-          $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28,
-          $29, $30, $31, $32, $33
-        )
-      `;
-      
-      const values = [
-        pool.pool || null,                              // market_id
-        new Date(),                                     // ts
-        pool.project || null,                           // project
-        pool.chain || null,                             // chain
-        pool.symbol || null,                            // symbol
-        pool.totalSupplyUsd || null,                    // total_supply_usd
-        pool.totalBorrowUsd || null,                    // total_borrow_usd
-        pool.debtCeilingUsd || null,                    // debt_ceiling_usd
-        pool.apyBase || null,                           // apy_base_supply (supply APY from poolsBorrow endpoint)
-        pool.apyReward || null,                         // apy_reward_supply (supply reward APY)
-        pool.apyBaseBorrow || null,                     // apy_base_borrow (borrow APY from poolsBorrow endpoint)
-        pool.apyRewardBorrow || null,                   // apy_reward_borrow (borrow reward APY)
-        pool.pool || null,                              // pool_id (duplicate of market_id, but API uses 'pool')
-        pool.tvlUsd || null,                            // tvl_usd
-        pool.apy || null,                               // apy
-        pool.apyPct1D || null,                          // apy_pct_1d
-        pool.apyPct7D || null,                          // apy_pct_7d
-        pool.apyPct30D || null,                         // apy_pct_30d
-        pool.stablecoin || false,                       // stablecoin
-        pool.ilRisk || null,                            // il_risk
-        pool.exposure || null,                          // exposure
-        pool.ltv || null,                               // ltv
-        pool.borrowable || false,                       // borrowable
-        pool.mu || null,                                // mu
-        pool.sigma || null,                             // sigma
-        pool.count || null,                             // count
-        pool.outlier || false,                          // outlier
-        pool.apyMean30d || null,                        // apy_mean_30d
-        pool.predictions ? JSON.stringify(pool.predictions) : null,  // predictions
-        pool.rewardTokens ? JSON.stringify(pool.rewardTokens) : null, // reward_tokens
-        pool.underlyingTokens ? JSON.stringify(pool.underlyingTokens) : null, // underlying_tokens
-        pool.poolMeta || null,                          // pool_meta
-        new Date()                                      // data_timestamp
-      ];
-      
-      await client.query(insertQuery, values);
-      insertedCount++;
-      
-    } catch (error) {
-      console.error(`❌ Error inserting lending record ${pool.pool}:`, error.message);
-      errorCount++;
+
+  const rows = lendingData.map(pool => toLendingRow(pool, snapshotTs));
+  const { insertedCount, errorCount, rejects, tokenCount } = await withTransaction(client, async () => {
+    const written = await writeRows(client, LENDING_WRITE_SPEC, rows, { savepoints: true });
+
+    // Tokens of rejected markets are left for the next snapshot that stores the market
+    const rejected = new Set(written.rejects.map(reject => reject.index));
+    const tokenRows = lendingData.flatMap((pool, i) => (rejected.has(i) || !pool.pool ? [] : toTokenRows(pool, snapshotTs)));
+    const tokens = await writeRows(client, TOKEN_WRITE_SPEC, tokenRows, { savepoints: true });
+    for (const reject of tokens.rejects) {
+      console.error(`❌ Error linking lending token ${tokenRows[reject.index][2]} of ${tokenRows[reject.index][0]}:`, reject.error);
     }
+    return { ...written, tokenCount: tokens.insertedCount };
+  });
+
+  for (const reject of rejects) {
+    console.error(`❌ Error inserting lending record ${lendingData[reject.index].pool}:`, reject.error);
   }
-  
-  return { insertedCount, errorCount };
+
+  return { insertedCount, errorCount, tokenCount };
 }
 
 /**
- * Main function
+ * Collects one snapshot of every lending market
+ *
+ * @param {{ snapshotTs?: string|number }} params  The poolsBorrow endpoint is not paginated
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
  */
-module.exports = async function(req, res) {
-  const startTime = Date.now();
-  let client;
-  
-  try {
-    console.log('🚀 Starting Direct Lending Data Collection...');
-    
-    // Create database connection
-    const pool = makePoolFromEnv();
-    client = await pool.connect();
-    
-    // Fetch lending data
-    const lendingData = await fetchLendingData();
-    
-    // Insert data directly
-    const { insertedCount, errorCount } = await insertLendingData(client, lendingData);
-    
-    const duration = Date.now() - startTime;
-    
-    console.log('🎉 Direct Lending Collection Complete!');
-    console.log(`✅ Inserted: ${insertedCount} records`);
-    console.log(`❌ Errors: ${errorCount} records`);
-    console.log(`⏱️  Processing time: ${duration}ms`);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Direct lending data collection completed',
-      insertedRecords: insertedCount,
-      errorRecords: errorCount,
-      totalProcessed: lendingData.length,
-      processingTimeMs: duration
-    });
-    
-  } catch (error) {
-    console.error('❌ Direct Lending Collection failed:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      processingTimeMs: Date.now() - startTime
-    });
-    
-  } finally {
-    if (client) {
+async function runLendingJob(params = {}, options = {}) {
+  return runJob('lending_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Direct Lending Data Collection...');
+
+    const apiKey = getApiKey();
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS);
+    result.details = { snapshotTs: snapshotTs.toISOString() };
+    const client = await pool.connect();
+
+    try {
+      // Fetch lending data
+      const lendingData = await fetchLendingData(apiKey);
+
+      // Insert data directly
+      const { insertedCount, errorCount, tokenCount } = await insertLendingData(client, lendingData, snapshotTs);
+
+      result.totalRecords = lendingData.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.details.tokenLinks = tokenCount;
+      result.message = 'Direct lending data collection completed';
+
+      log.info('🎉 Direct Lending Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records`);
+      log.info(`🔗 Token links: ${tokenCount}`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
       client.release();
     }
-  }
-};
+  });
+}
+
+// Missed snapshots rebuilt from each market's daily /yields/chartLendBorrow points (supply/borrow totals and APYs only)
+const LENDING_HISTORY_DATASET = yieldsHistoryDataset({
+  name: 'lending',
+  chartPath: (poolId) => `/yields/chartLendBorrow/${poolId}`,
+  table: 'update.lending_market_history',
+  tsColumn: 'data_timestamp',
+  tsType: 'timestamptz',
+  intervalMs: SNAPSHOT_INTERVAL_MS,
+  metadataColumns: ['market_id', 'project', 'chain', 'symbol'],
+  columns: [
+    'market_id', 'ts', 'project', 'chain', 'symbol',
+    'total_supply_usd', 'total_borrow_usd', 'debt_ceiling_usd',
+    'apy_base_supply', 'apy_reward_supply', 'apy_base_borrow', 'apy_reward_borrow',
+    'pool_id', 'data_timestamp'
+  ],
+  toRow: (point, meta, slot) => [
+    meta.market_id || meta.pool_id, slot, meta.project, meta.chain, meta.symbol,
+    num(point.totalSupplyUsd), num(point.totalBorrowUsd), num(point.debtCeilingUsd),
+    num(point.apyBase), num(point.apyReward), num(point.apyBaseBorrow), num(point.apyRewardBorrow),
+    meta.pool_id, slot
+  ]
+});
+
+module.exports = createHandler((params) => runLendingJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runLendingJob = runLendingJob;
+module.exports.SNAPSHOT_INTERVAL_MS = SNAPSHOT_INTERVAL_MS;
+module.exports.LENDING_HISTORY_DATASET = LENDING_HISTORY_DATASET;
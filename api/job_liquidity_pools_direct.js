@@ -1,176 +1,206 @@
 // api/job_liquidity_pools_direct.js
 // Direct liquidity pool data collection - no validation, direct data landing
 // Fast data collection for later cleaning/normalization
+// The dispatcher fetches /yields/pools once and hands each offset/limit batch its slice; a batch run on its own fetches
+// its page
 
-module.exports.config = { runtime: 'nodejs18.x' };
-
-require('dotenv').config();
-const { Pool } = require('pg');
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { archiveParams, archiveResponse } = require('../lib/raw_archive');
+const { yieldsHistoryDataset } = require('../lib/yields_history');
 
-// API_KEY will be loaded from environment variable
-
-function makePoolFromEnv() {
-  const {
-    PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD, PGSSLMODE
-  } = process.env;
-
-  if (!PGHOST || !PGPORT || !PGDATABASE || !PGUSER || !PGPASSWORD) {
-    throw new Error('Missing DB env: need PGHOST/PGPORT/PGDATABASE/PGUSER/PGPASSWORD');
-  }
-
-  const sslRequired = (PGSSLMODE || '').toLowerCase() === 'require';
-  return new Pool({
-    host: PGHOST,
-    port: Number(PGPORT),
-    database: PGDATABASE,
-    user: PGUSER,
-    password: PGPASSWORD,
-    ssl: sslRequired ? { rejectUnauthorized: false } : undefined,
-    statement_timeout: 0,
-    query_timeout: 0
-  });
-}
+// Dispatcher runs hourly - one snapshot per hour
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
 
 /**
  * Fetch liquidity pool data from DeFiLlama Pro API
+ *
+ * @param {import('../lib/job_runtime').JobContext['log']} log  The run's logger, so the lines carry its job run id
  */
-async function fetchPoolData(offset, limit) {
-  const { DEFILLAMA_API_KEY } = process.env;
-  
-  console.log(`🔑 API Key loaded: ${DEFILLAMA_API_KEY ? 'YES' : 'NO'} (length: ${DEFILLAMA_API_KEY?.length || 0})`);
-  
-  if (!DEFILLAMA_API_KEY) {
-    throw new Error('DEFILLAMA_API_KEY environment variable is required');
-  }
-
-  const url = `https://pro-api.llama.fi/${DEFILLAMA_API_KEY}/yields/pools?offset=${offset}&limit=${limit}`;
-  
-  console.log(`📡 Fetching pools ${offset}-${offset + limit - 1} from: ${url.replace(DEFILLAMA_API_KEY, '[API_KEY]')}`);
+async function fetchPoolData(apiKey, offset, limit, log) {
+  log.info(`📡 Fetching pools ${offset}-${offset + limit - 1} from /yields/pools`);
   
-  const response = await fetch(url);
-  if (!response.ok) {
-    const errorText = await response.text().catch(() => '');
-    throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+  const data = await llamaGet('/yields/pools', { apiKey, query: { offset, limit } });
+  if (!data.data || !Array.isArray(data.data)) {
+    throw new Error('Invalid API response format');
   }
   
-  const data = await response.json();
+  log.info(`✅ Fetched ${data.data.length} pools`);
+  return data.data;
+}
+
+/**
+ * Every pool the API serves now - the dispatcher sizes its batches from it and hands each one its slice
+ */
+async function fetchPools(apiKey) {
+  const data = await llamaGet('/yields/pools', { apiKey });
   if (!data.data || !Array.isArray(data.data)) {
     throw new Error('Invalid API response format');
   }
-  
-  console.log(`✅ Fetched ${data.data.length} pools`);
   return data.data;
 }
 
 /**
- * Insert pool data directly into update table
+ * The batch's pools: the slice the dispatcher fetched for it, or the offset/limit page of the API.
+ * A handed-in slice is archived as the run's page at offset 0, so a replay reads the same pools.
  */
-async function insertPoolData(client, poolData) {
-  let insertedCount = 0;
-  let errorCount = 0;
+async function loadBatchPools(pools, apiKey, offset, limit, log) {
+  if (!pools) return fetchPoolData(apiKey, offset, limit, log);
+
+  archiveParams({ offset: 0, limit: pools.length });
+  archiveResponse('/yields/pools', { offset: 0, limit: pools.length }, JSON.stringify({ data: pools }));
+  return pools;
+}
+
+const POOL_COLUMNS = [
+  'pool_id', 'ts', 'project', 'chain', 'symbol', 'tvl_usd', 'apy', 'apy_base', 'url',
+  'apy_reward', 'apy_pct_1d', 'apy_pct_7d', 'apy_pct_30d', 'apy_mean_30d', 'apy_base_7d', 'apy_base_inception',
+  'il_7d', 'volume_usd_1d', 'volume_usd_7d', 'stablecoin', 'il_risk', 'exposure', 'pool_meta',
+  'mu', 'sigma', 'count', 'outlier', 'reward_tokens', 'underlying_tokens', 'predictions', 'raw'
+];
+
+// inserted_at moves with every write so the promotion watermark picks up a rerun of the hour
+const POOL_WRITE_SPEC = {
+  table: 'update.cl_pool_hist',
+  columns: POOL_COLUMNS,
+  conflictColumns: ['pool_id', 'ts'],
+  updateColumns: [...POOL_COLUMNS.filter(col => col !== 'pool_id' && col !== 'ts'), 'inserted_at'],
+  updateExpressions: { inserted_at: 'NOW()' }
+};
+
+// Real zeros and false stay as they are; only absent or malformed values become NULL
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const bool = (value) => (typeof value === 'boolean' ? value : null);
+const json = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+/**
+ * Maps one /yields/pools entry onto POOL_COLUMNS order
+ */
+function toPoolRow(pool, snapshotMs) {
+  return [
+    pool.pool || null,                   // pool_id
+    snapshotMs,                          // ts (one per run - reruns upsert onto (pool_id, ts))
+    pool.project || null,                // project
+    pool.chain || null,                  // chain
+    pool.symbol || null,                 // symbol
+    num(pool.tvlUsd),                    // tvl_usd
+    num(pool.apy),                       // apy
+    num(pool.apyBase),                   // apy_base
+    pool.url || null,                    // url
+    num(pool.apyReward),                 // apy_reward
+    num(pool.apyPct1D),                  // apy_pct_1d
+    num(pool.apyPct7D),                  // apy_pct_7d
+    num(pool.apyPct30D),                 // apy_pct_30d
+    num(pool.apyMean30d),                // apy_mean_30d
+    num(pool.apyBase7d),                 // apy_base_7d
+    num(pool.apyBaseInception),          // apy_base_inception
+    num(pool.il7d),                      // il_7d
+    num(pool.volumeUsd1d),               // volume_usd_1d
+    num(pool.volumeUsd7d),               // volume_usd_7d
+    bool(pool.stablecoin),               // stablecoin
+    pool.ilRisk || null,                 // il_risk
+    pool.exposure || null,               // exposure
+    pool.poolMeta || null,               // pool_meta
+    num(pool.mu),                        // mu
+    num(pool.sigma),                     // sigma
+    num(pool.count),                     // count
+    bool(pool.outlier),                  // outlier
+    json(pool.rewardTokens),             // reward_tokens
+    json(pool.underlyingTokens),         // underlying_tokens
+    json(pool.predictions),              // predictions
+    JSON.stringify(pool)                 // raw (fields the API adds later land here first)
+  ];
+}
+
+/**
+ * Insert pool data directly into update table, all rows stamped with the run's snapshot
+ */
+async function insertPoolData(client, poolData, snapshotTs, log) {
+  log.info(`📝 Inserting ${poolData.length} pool records...`);
   
-  console.log(`📝 Inserting ${poolData.length} pool records...`);
+  // Snapshot timestamp in milliseconds (for bigint column)
+  const snapshotMs = snapshotTs.getTime();
+  const rows = poolData.map(pool => toPoolRow(pool, snapshotMs));
   
-  // Base timestamp in milliseconds (for bigint column)
-  const baseTimestamp = Date.now();
+  const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+    writeRows(client, POOL_WRITE_SPEC, rows, { savepoints: true })
+  );
   
-  for (let i = 0; i < poolData.length; i++) {
-    const pool = poolData[i];
-    try {
-      const insertQuery = `
-        INSERT INTO update.cl_pool_hist (
-          pool_id, ts, project, chain, symbol, tvl_usd, apy, apy_base, url
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        ON CONFLICT (pool_id, ts) DO UPDATE SET
-          project = EXCLUDED.project,
-          chain = EXCLUDED.chain,
-          symbol = EXCLUDED.symbol,
-          tvl_usd = EXCLUDED.tvl_usd,
-          apy = EXCLUDED.apy,
-          apy_base = EXCLUDED.apy_base,
-          url = EXCLUDED.url
-      `;
-      
-      // Add millisecond offset to ensure unique timestamps (bigint compatible)
-      const uniqueTimestamp = baseTimestamp + i;
-      
-      const values = [
-        pool.pool || null,                    // pool_id
-        uniqueTimestamp,                      // ts (unix timestamp with microsecond offset)
-        pool.project || null,                // project
-        pool.chain || null,                  // chain
-        pool.symbol || null,                 // symbol
-        pool.tvlUsd || null,                 // tvl_usd
-        pool.apy || null,                    // apy
-        pool.apyBase || null,                // apy_base
-        pool.url || null                     // url
-      ];
-      
-      await client.query(insertQuery, values);
-      insertedCount++;
-      
-    } catch (error) {
-      console.error(`❌ Error inserting pool record ${pool.pool}:`, error.message);
-      errorCount++;
-    }
+  for (const reject of rejects) {
+    log.error(`❌ Error inserting pool record ${poolData[reject.index].pool}:`, reject.error);
   }
   
   return { insertedCount, errorCount };
 }
 
 /**
- * Main function - processes a batch of pools
+ * Collects one batch of pools
+ *
+ * @param {{ offset?: number|string, limit?: number|string, snapshotTs?: string|number }} params
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, pools?: Object[] }} options
+ *        pools: the batch's slice of /yields/pools, when the dispatcher already fetched it
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
  */
-module.exports = async function(req, res) {
-  const startTime = Date.now();
-  let client;
-  
-  try {
-    // Get batch parameters from query string
-    const offset = parseInt(req.query.offset) || 0;
-    const limit = parseInt(req.query.limit) || 1600;
-    
-    console.log(`🚀 Starting Direct Pool Collection: offset=${offset}, limit=${limit}`);
-    
-    // Create database connection
-    const pool = makePoolFromEnv();
-    client = await pool.connect();
-    
-    // Fetch pool data
-    const poolData = await fetchPoolData(offset, limit);
-    
-    // Insert data directly
-    const { insertedCount, errorCount } = await insertPoolData(client, poolData);
-    
-    const duration = Date.now() - startTime;
-    
-    console.log('🎉 Direct Pool Collection Complete!');
-    console.log(`✅ Inserted: ${insertedCount} records`);
-    console.log(`❌ Errors: ${errorCount} records`);
-    console.log(`⏱️  Processing time: ${duration}ms`);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Direct pool data collection completed',
-      insertedRecords: insertedCount,
-      errorRecords: errorCount,
-      totalProcessed: poolData.length,
-      batchInfo: { offset, limit },
-      processingTimeMs: duration
-    });
-    
-  } catch (error) {
-    console.error('❌ Direct Pool Collection failed:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      processingTimeMs: Date.now() - startTime
-    });
-    
-  } finally {
-    if (client) {
+async function runPoolsJob(params = {}, options = {}) {
+  return runJob('liquidity_pools_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const offset = parseIntParam(params.offset, 0);
+    const limit = parseIntParam(params.limit, 1600);
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS);
+    result.details = { batchInfo: { offset, limit }, snapshotTs: snapshotTs.toISOString() };
+
+    log.info(`🚀 Starting Direct Pool Collection: offset=${offset}, limit=${limit}`);
+
+    const apiKey = getApiKey();
+    const client = await pool.connect();
+
+    try {
+      // Fetch pool data
+      const poolData = await loadBatchPools(options.pools, apiKey, offset, limit, log);
+
+      // Insert data directly
+      const { insertedCount, errorCount } = await insertPoolData(client, poolData, snapshotTs, log);
+
+      result.totalRecords = poolData.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.message = 'Direct pool data collection completed';
+
+      log.info('🎉 Direct Pool Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
       client.release();
     }
-  }
-};
+  });
+}
+
+// Missed hourly snapshots rebuilt from each pool's daily /yields/chart points; pool attributes the chart lacks are
+// carried over from the pool's latest stored snapshot
+const POOL_HISTORY_DATASET = yieldsHistoryDataset({
+  name: 'pools',
+  chartPath: (poolId) => `/yields/chart/${poolId}`,
+  table: 'update.cl_pool_hist',
+  tsColumn: 'ts',
+  tsType: 'epoch_ms',
+  intervalMs: SNAPSHOT_INTERVAL_MS,
+  metadataColumns: ['project', 'chain', 'symbol', 'url', 'stablecoin', 'il_risk', 'exposure', 'pool_meta', 'reward_tokens', 'underlying_tokens'],
+  columns: [
+    'pool_id', 'ts', 'project', 'chain', 'symbol', 'tvl_usd', 'apy', 'apy_base', 'url',
+    'apy_reward', 'apy_base_7d', 'il_7d', 'stablecoin', 'il_risk', 'exposure', 'pool_meta', 'reward_tokens', 'underlying_tokens'
+  ],
+  toRow: (point, meta, slot) => [
+    meta.pool_id, slot.getTime(), meta.project, meta.chain, meta.symbol,
+    num(point.tvlUsd), num(point.apy), num(point.apyBase), meta.url,
+    num(point.apyReward), num(point.apyBase7d), num(point.il7d),
+    meta.stablecoin, meta.il_risk, meta.exposure, meta.pool_meta, json(meta.reward_tokens), json(meta.underlying_tokens)
+  ]
+});
+
+module.exports = createHandler((params) => runPoolsJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runPoolsJob = runPoolsJob;
+module.exports.SNAPSHOT_INTERVAL_MS = SNAPSHOT_INTERVAL_MS;
+module.exports.fetchPools = fetchPools;
+module.exports.POOL_HISTORY_DATASET = POOL_HISTORY_DATASET;
@@ -0,0 +1,178 @@
+// api/job_narratives_direct.js
+// Direct narratives job using DeFiLlama Pro API - FDV performance by sector, one wide row per day in update.narratives
+// Rows reach clean.narratives through the 'narratives' pipeline of api/job_promote_clean.js
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { withTransaction } = require('../lib/snapshot');
+
+const NARRATIVES_CONFIG = {
+  period: '30', // /fdv/performance/{period} - 7, 30, ytd or 365; every stored row must use the same one
+  days: 1       // Newest points written per run; 0 = every point in the response (backfill)
+};
+
+// Upstream category name -> *.narratives column
+const CATEGORY_COLUMNS = {
+  'Analytics': 'analytics',
+  'Artificial Intelligence (AI)': 'artificial_intelligence',
+  'Bitcoin': 'bitcoin',
+  'Bridge Governance Tokens': 'bridge_governance_tokens',
+  'Centralized Exchange (CEX) Token': 'centralized_exchange_token',
+  'Data Availability': 'data_availability',
+  'Decentralized Finance (DeFi)': 'decentralized_finance',
+  'Decentralized Identifier (DID)': 'decentralized_identifier',
+  'DePIN': 'depin',
+  'Ethereum': 'ethereum',
+  'Gaming (GameFi)': 'gaming_gamefi',
+  'Liquid Staking Governance Tokens': 'liquid_staking_governance_tokens',
+  'Meme': 'meme',
+  'NFT Marketplace': 'nft_marketplace',
+  'Oracle': 'oracle',
+  'PolitiFi': 'politifi',
+  'Prediction Markets': 'prediction_markets',
+  'Real World Assets (RWA)': 'real_world_assets',
+  'Rollup': 'rollup',
+  'Smart Contract Platform': 'smart_contract_platform',
+  'SocialFi': 'socialfi',
+  'Solana': 'solana',
+  'null': 'null_category'
+};
+
+const NARRATIVE_COLUMNS = ['date', ...Object.values(CATEGORY_COLUMNS), 'inserted_at'];
+
+// Reruns overwrite the day; inserted_at moves with every write so the promotion watermark picks up revisions
+const NARRATIVE_WRITE_SPEC = {
+  table: 'update.narratives',
+  columns: NARRATIVE_COLUMNS,
+  conflictColumns: ['date'],
+  updateColumns: NARRATIVE_COLUMNS.filter(col => col !== 'date')
+};
+
+/**
+ * Fetches the daily FDV performance series for every category
+ */
+async function fetchPerformance(apiKey, period) {
+  console.log(`📡 Fetching ${period}d FDV performance by category from DeFiLlama Pro API`);
+
+  const data = await llamaGet(`/fdv/performance/${encodeURIComponent(period)}`, { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid API response format - expected array of daily category performance');
+  }
+
+  console.log(`✅ Fetched ${data.length} days of category performance`);
+  return data;
+}
+
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+/**
+ * Maps one daily point onto NARRATIVE_COLUMNS order
+ */
+function toNarrativeRow(point, insertedAt) {
+  return [
+    Number(point.date),
+    ...Object.keys(CATEGORY_COLUMNS).map(category => num(point[category])),
+    insertedAt
+  ];
+}
+
+/**
+ * Records every category seen in the response - with its column, or NULL when the schema has none
+ */
+async function recordCategories(client, points, jobRunId) {
+  const latest = new Map();
+  for (const point of points) {
+    for (const [category, value] of Object.entries(point)) {
+      if (category === 'date') continue;
+      // points are in date order; keep the newest one with a value
+      if (!latest.has(category) || num(value) !== null) {
+        latest.set(category, { date: Number(point.date), value: num(value) });
+      }
+    }
+  }
+  if (!latest.size) return;
+
+  const categories = [...latest.keys()];
+  await client.query(
+    `INSERT INTO meta.narrative_categories (category, column_name, last_seen_date, last_value, last_job_run_id)
+     SELECT category, column_name, last_seen_date, last_value, $5
+     FROM UNNEST($1::text[], $2::text[], $3::int[], $4::numeric[]) AS t (category, column_name, last_seen_date, last_value)
+     ON CONFLICT (category) DO UPDATE SET
+       column_name = EXCLUDED.column_name,
+       last_seen_at = NOW(),
+       last_seen_date = EXCLUDED.last_seen_date,
+       last_value = EXCLUDED.last_value,
+       last_job_run_id = EXCLUDED.last_job_run_id`,
+    [
+      categories,
+      categories.map(c => CATEGORY_COLUMNS[c] || null),
+      categories.map(c => latest.get(c).date),
+      categories.map(c => latest.get(c).value),
+      jobRunId
+    ]
+  );
+}
+
+/**
+ * Collects the newest FDV performance points by sector
+ *
+ * @param {{ period?: string, days?: number|string }} params  days: newest points to write; 0 writes the whole response
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runNarrativesJob(params = {}, options = {}) {
+  return runJob('narratives_direct', { ...options, params, archive: true }, async ({ jobRunId, pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Direct Narratives Collection...');
+
+    const period = params.period || NARRATIVES_CONFIG.period;
+    const days = parseIntParam(params.days, NARRATIVES_CONFIG.days);
+
+    const points = (await fetchPerformance(getApiKey(), period))
+      .filter(point => Number.isInteger(Number(point.date)) && Number(point.date) > 0)
+      .sort((a, b) => Number(a.date) - Number(b.date));
+    const selected = days > 0 ? points.slice(-days) : points;
+
+    // New upstream sectors have no column yet - surface them rather than drop their values unnoticed
+    const unmapped = [...new Set(points.flatMap(Object.keys))]
+      .filter(category => category !== 'date' && !CATEGORY_COLUMNS[category]);
+    if (unmapped.length) {
+      log.warn(`⚠️ Unmapped narrative categories (no column in update.narratives): ${unmapped.join(', ')}`);
+    }
+
+    const insertedAt = new Date();
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, async () => {
+        await recordCategories(client, points, jobRunId);
+        return writeRows(client, NARRATIVE_WRITE_SPEC, selected.map(point => toNarrativeRow(point, insertedAt)), { savepoints: true });
+      });
+      for (const reject of rejects) {
+        log.error(`❌ Error inserting narratives for ${selected[reject.index].date}:`, reject.error);
+      }
+
+      result.totalRecords = selected.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.details = {
+        period,
+        dates: selected.map(point => Number(point.date)),
+        unmappedCategories: unmapped
+      };
+      result.message = unmapped.length
+        ? `Narratives collected; ${unmapped.length} unmapped categories recorded in meta.narrative_categories`
+        : 'Direct narratives collection completed';
+
+      log.info('🎉 Direct Narratives Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} days`);
+      log.info(`❌ Errors: ${errorCount} days`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runNarrativesJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runNarrativesJob = runNarrativesJob;
+module.exports.CATEGORY_COLUMNS = CATEGORY_COLUMNS;
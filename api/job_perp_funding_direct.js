@@ -0,0 +1,218 @@
+// api/job_perp_funding_direct.js
+// Direct perpetual funding rate job using DeFiLlama Pro API - one row per perp per run snapshot
+// Rolling 7d/30d funding averages and sums are taken from the API, or derived from stored funding events when it leaves them out
+// and those events cover the whole window (a new market or a collection gap leaves them null rather than partial)
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+
+// Dispatcher runs hourly - one snapshot per hour
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upstream field names for each rolling window, filled from stored history when missing
+const ROLLING_WINDOWS = [
+  { days: 7, average: 'fundingRate7dAverage', sum: 'fundingRate7dSum' },
+  { days: 30, average: 'fundingRate30dAverage', sum: 'fundingRate30dSum' }
+];
+
+// A spacing between consecutive events above this multiple of the perp's usual funding interval is a missed event
+const MAX_GAP_FACTOR = 1.5;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Fetches every perp market with its current and previous funding rate
+ */
+async function fetchPerpsData(apiKey) {
+  console.log('📡 Fetching perp funding rates from DeFiLlama Pro API');
+
+  const data = await llamaGet('/yields/perps', { apiKey });
+  if (!data.data || !Array.isArray(data.data)) {
+    throw new Error('Invalid API response format - expected array of perps');
+  }
+
+  console.log(`✅ Fetched ${data.data.length} perp markets`);
+  return data.data;
+}
+
+// perp_id is a UUID and marketplace/market/base_asset are NOT NULL
+function isValidPerp(perp) {
+  return typeof perp.perp_id === 'string' && UUID_RE.test(perp.perp_id) &&
+    Boolean(perp.marketplace) && Boolean(perp.market) && Boolean(perp.baseAsset);
+}
+
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+// fundingTimePrevious has been seen in both seconds and milliseconds
+function toMs(fundingTime) {
+  return fundingTime < 1e12 ? fundingTime * 1000 : fundingTime;
+}
+
+function needsRollingFill(perp) {
+  return ROLLING_WINDOWS.some(w => num(perp[w.average]) === null || num(perp[w.sum]) === null);
+}
+
+// Windows fillRollingFields derived for a perp (those the API left out and stored events fully covered)
+function derivedWindowCount(perp, filled) {
+  return ROLLING_WINDOWS.filter(w => num(perp[w.sum]) === null && num(filled[w.sum]) !== null).length;
+}
+
+/**
+ * Distinct funding events (previous funding time -> rate) stored for the perps before this snapshot,
+ * going back far enough for the longest window
+ *
+ * @returns {Promise<Map<string, Map<number, number>>>}  perp_id -> funding time (ms) -> rate
+ */
+async function loadFundingEvents(client, perpIds, snapshotTs) {
+  const events = new Map();
+  if (!perpIds.length) return events;
+
+  const longestDays = Math.max(...ROLLING_WINDOWS.map(w => w.days));
+  const { rows } = await client.query(
+    `SELECT DISTINCT perp_id::text AS perp_id, funding_time_previous::float8 AS funding_time, funding_rate_previous::float8 AS rate
+     FROM update.perp_funding_rates
+     WHERE perp_id = ANY($1::uuid[])
+       AND timestamp < $2 AND timestamp >= $3
+       AND funding_time_previous IS NOT NULL AND funding_rate_previous IS NOT NULL`,
+    [perpIds, snapshotTs, new Date(snapshotTs.getTime() - (longestDays + 1) * DAY_MS)]
+  );
+  for (const row of rows) {
+    if (!events.has(row.perp_id)) events.set(row.perp_id, new Map());
+    events.get(row.perp_id).set(toMs(row.funding_time), row.rate);
+  }
+  return events;
+}
+
+/**
+ * Whether sorted event times cover (fromMs, ...]: an event at or before the window start, then no spacing wider than
+ * MAX_GAP_FACTOR times the usual (median) funding interval
+ */
+function coversWindow(times, fromMs) {
+  const start = times.findLastIndex(time => time <= fromMs);
+  if (start === -1 || times.length < 2) return false;
+
+  const spacings = times.slice(1).map((time, i) => time - times[i]).sort((a, b) => a - b);
+  const interval = spacings[Math.floor(spacings.length / 2)];
+  return times.slice(start + 1).every((time, i) => time - times[start + i] <= interval * MAX_GAP_FACTOR);
+}
+
+/**
+ * Fills whichever rolling average/sum fields the API left out from the perp's funding events
+ * (stored history plus the one this response reports). Windows the events do not fully cover stay null.
+ */
+function fillRollingFields(perp, storedEvents, snapshotTs) {
+  const events = new Map(storedEvents || []);
+  if (num(perp.fundingTimePrevious) !== null && num(perp.fundingRatePrevious) !== null) {
+    events.set(toMs(perp.fundingTimePrevious), perp.fundingRatePrevious);
+  }
+  const times = [...events.keys()].filter(time => time <= snapshotTs.getTime()).sort((a, b) => a - b);
+
+  const filled = { ...perp };
+  for (const window of ROLLING_WINDOWS) {
+    const fromMs = snapshotTs.getTime() - window.days * DAY_MS;
+    if (!coversWindow(times, fromMs)) continue;
+    const rates = times.filter(time => time > fromMs).map(time => events.get(time));
+
+    const sum = rates.reduce((total, rate) => total + rate, 0);
+    if (num(filled[window.sum]) === null) filled[window.sum] = sum;
+    if (num(filled[window.average]) === null) filled[window.average] = sum / rates.length;
+  }
+  return filled;
+}
+
+const PERP_COLUMNS = [
+  'perp_id', 'timestamp', 'marketplace', 'market', 'base_asset',
+  'funding_rate', 'funding_rate_previous', 'funding_time_previous', 'open_interest', 'index_price',
+  'funding_rate_7d_average', 'funding_rate_7d_sum', 'funding_rate_30d_average', 'funding_rate_30d_sum'
+];
+
+// Reruns of the same snapshot overwrite the rows keyed on the (perp_id, timestamp) primary key
+const PERP_WRITE_SPEC = {
+  table: 'update.perp_funding_rates',
+  columns: PERP_COLUMNS,
+  conflictColumns: ['perp_id', 'timestamp'],
+  updateColumns: PERP_COLUMNS.filter(col => col !== 'perp_id' && col !== 'timestamp')
+};
+
+/**
+ * Maps one perps entry onto PERP_COLUMNS order
+ */
+function toPerpRow(perp, snapshotTs) {
+  return [
+    perp.perp_id,                                   // perp_id
+    snapshotTs,                                     // timestamp (one per run - reruns upsert)
+    perp.marketplace,                               // marketplace
+    perp.market,                                    // market
+    perp.baseAsset,                                 // base_asset
+    num(perp.fundingRate),                          // funding_rate
+    num(perp.fundingRatePrevious),                  // funding_rate_previous
+    num(perp.fundingTimePrevious),                  // funding_time_previous
+    num(perp.openInterest),                         // open_interest
+    num(perp.indexPrice),                           // index_price
+    num(perp.fundingRate7dAverage),                 // funding_rate_7d_average
+    num(perp.fundingRate7dSum),                     // funding_rate_7d_sum
+    num(perp.fundingRate30dAverage),                // funding_rate_30d_average
+    num(perp.fundingRate30dSum)                     // funding_rate_30d_sum
+  ];
+}
+
+/**
+ * Collects one snapshot of every perp market's funding rate
+ *
+ * @param {{ snapshotTs?: string|number }} params  The perps endpoint is not paginated
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runPerpFundingJob(params = {}, options = {}) {
+  return runJob('perp_funding_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Direct Perp Funding Rate Collection...');
+
+    const apiKey = getApiKey();
+    const snapshotTs = resolveSnapshotTs(params.snapshotTs, SNAPSHOT_INTERVAL_MS);
+    result.details = { snapshotTs: snapshotTs.toISOString() };
+
+    const perps = await fetchPerpsData(apiKey);
+    const valid = perps.filter(isValidPerp);
+    const invalid = perps.length - valid.length;
+    if (invalid) log.warn(`⚠️ Skipping ${invalid} perps without a UUID perp_id, marketplace, market or base asset`);
+
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, filledCount } = await withTransaction(client, async () => {
+        const incomplete = valid.filter(needsRollingFill);
+        const events = await loadFundingEvents(client, incomplete.map(p => p.perp_id), snapshotTs);
+        const filled = valid.map(perp => (needsRollingFill(perp) ? fillRollingFields(perp, events.get(perp.perp_id), snapshotTs) : perp));
+
+        const derived = valid.reduce((total, perp, i) => total + derivedWindowCount(perp, filled[i]), 0);
+        log.info(`📝 Inserting ${filled.length} perp funding records (${derived} rolling windows derived for ${incomplete.length} perps)...`);
+        const written = await writeRows(client, PERP_WRITE_SPEC, filled.map(perp => toPerpRow(perp, snapshotTs)), { savepoints: true });
+        for (const reject of written.rejects) {
+          log.error(`❌ Error inserting perp ${filled[reject.index].perp_id}:`, reject.error);
+        }
+        return { ...written, filledCount: derived };
+      });
+
+      result.totalRecords = perps.length;
+      result.insertedRecords = insertedCount;
+      result.skippedRecords = invalid;
+      result.errorRecords = errorCount;
+      result.details.derivedRollingWindows = filledCount;
+      result.message = 'Direct perp funding rate collection completed';
+
+      log.info('🎉 Direct Perp Funding Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runPerpFundingJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runPerpFundingJob = runPerpFundingJob;
+module.exports.SNAPSHOT_INTERVAL_MS = SNAPSHOT_INTERVAL_MS;
@@ -0,0 +1,243 @@
+// api/job_promote_clean.js
+// Scheduled update.* -> clean.* promotion - dedupes, normalizes snapshot times and enriches rows from a per-pipeline watermark
+// Incremental and resumable: progress lives in meta.promotion_watermarks, committed with every batch
+
+const { runJob, createHandler, createJobResult, parseIntParam } = require('../lib/job_runtime');
+const { promotePipeline, resetWatermark } = require('../lib/promotion');
+const { CATEGORY_COLUMNS } = require('./job_narratives_direct.js');
+
+const PROMOTION_CONFIG = {
+  batchRows: 50000,   // Source rows per batch (one transaction each)
+  settleMinutes: 30,  // Leave the newest snapshots alone until their dispatcher runs (and retries) are done
+  timeBudgetMs: 240000 // Stop starting new batches before Vercel's 300s maxDuration
+};
+
+// coin_id is 'chain:address'; the address itself may contain ':' on non-EVM chains
+const COIN_CHAIN = "split_part(s.coin_id, ':', 1)";
+const COIN_ADDRESS = "substr(s.coin_id, strpos(s.coin_id, ':') + 1)";
+
+const NARRATIVE_SECTORS = Object.values(CATEGORY_COLUMNS);
+
+/** @type {import('../lib/promotion').PromotionPipeline[]} */
+const PIPELINES = [
+  {
+    name: 'token_prices',
+    source: 'update.token_price_daily',
+    // Ingestion time, not price_timestamp: backfilled and history-mode points land behind the snapshot watermark
+    tsColumn: 'inserted_at',
+    validWhere: "s.price_usd > 0 AND strpos(s.coin_id, ':') > 1",
+    prepareSql: [
+      // Enrichment: every promoted coin gets a canonical token id
+      (window, valid) => `
+        INSERT INTO canon.tokens (chain, address, symbol, decimals)
+        SELECT DISTINCT ON (chain, address) chain, address, symbol, decimals FROM (
+          SELECT ${COIN_CHAIN} AS chain, ${COIN_ADDRESS} AS address, s.symbol, s.decimals, s.price_timestamp
+          FROM update.token_price_daily s WHERE ${window} AND ${valid}
+        ) x
+        ORDER BY chain, address, price_timestamp DESC
+        ON CONFLICT (chain, address) DO NOTHING`
+    ],
+    // Older rows carry per-row second offsets; truncating to the minute collapses them onto one snapshot
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.token_price_daily_enriched (token_id, chain, address, event_time, price_usd, confidence, symbol)
+      SELECT DISTINCT ON (t.chain, t.address, date_trunc('minute', s.price_timestamp))
+        t.token_id, t.chain, t.address, date_trunc('minute', s.price_timestamp), s.price_usd, s.confidence, COALESCE(s.symbol, t.symbol)
+      FROM update.token_price_daily s
+      JOIN canon.tokens t ON t.chain = ${COIN_CHAIN} AND t.address = ${COIN_ADDRESS}
+      WHERE ${window} AND ${valid}
+      ORDER BY t.chain, t.address, date_trunc('minute', s.price_timestamp), s.price_timestamp DESC
+      ON CONFLICT (chain, address, event_time) DO UPDATE SET
+        price_usd = EXCLUDED.price_usd,
+        confidence = EXCLUDED.confidence,
+        symbol = EXCLUDED.symbol,
+        ingest_time = NOW()`
+  },
+  {
+    name: 'lending',
+    source: 'update.lending_market_history',
+    // Ingestion time, so snapshots rebuilt by gap repairs are promoted too
+    tsColumn: 'inserted_at',
+    // Rows without a symbol are the degraded records clean_lending_history_after_sep20.js had to delete by hand
+    validWhere: "s.market_id IS NOT NULL AND NULLIF(trim(s.symbol), '') IS NOT NULL",
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.lending_market_history (
+        market_id, ts, project, chain, symbol, total_supply_usd, total_borrow_usd, debt_ceiling_usd,
+        apy_base_supply, apy_reward_supply, apy_base_borrow, apy_reward_borrow
+      )
+      SELECT DISTINCT ON (s.market_id, date_trunc('minute', s.data_timestamp))
+        s.market_id, EXTRACT(EPOCH FROM date_trunc('minute', s.data_timestamp))::bigint,
+        s.project, s.chain, trim(s.symbol), s.total_supply_usd, s.total_borrow_usd, s.debt_ceiling_usd,
+        s.apy_base_supply, s.apy_reward_supply, s.apy_base_borrow, s.apy_reward_borrow
+      FROM update.lending_market_history s
+      WHERE ${window} AND ${valid}
+      ORDER BY s.market_id, date_trunc('minute', s.data_timestamp), s.data_timestamp DESC
+      ON CONFLICT (market_id, ts) DO UPDATE SET
+        project = EXCLUDED.project,
+        chain = EXCLUDED.chain,
+        symbol = EXCLUDED.symbol,
+        total_supply_usd = EXCLUDED.total_supply_usd,
+        total_borrow_usd = EXCLUDED.total_borrow_usd,
+        debt_ceiling_usd = EXCLUDED.debt_ceiling_usd,
+        apy_base_supply = EXCLUDED.apy_base_supply,
+        apy_reward_supply = EXCLUDED.apy_reward_supply,
+        apy_base_borrow = EXCLUDED.apy_base_borrow,
+        apy_reward_borrow = EXCLUDED.apy_reward_borrow,
+        inserted_at = NOW()`
+  },
+  {
+    name: 'pools',
+    source: 'update.cl_pool_hist',
+    // Ingestion time, so hours rebuilt from yields charts are promoted too
+    tsColumn: 'inserted_at',
+    validWhere: 's.pool_id IS NOT NULL',
+    // update.cl_pool_hist.ts is epoch milliseconds; clean.cl_pool_hist.ts is epoch seconds
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.cl_pool_hist (pool_id, ts, project, chain, symbol, tvl_usd, apy, apy_base, url)
+      SELECT DISTINCT ON (s.pool_id, (s.ts / 60000) * 60)
+        s.pool_id, (s.ts / 60000) * 60, s.project, s.chain, s.symbol, s.tvl_usd, s.apy, s.apy_base, s.url
+      FROM update.cl_pool_hist s
+      WHERE ${window} AND ${valid}
+      ORDER BY s.pool_id, (s.ts / 60000) * 60, s.ts DESC
+      ON CONFLICT (pool_id, ts) DO UPDATE SET
+        project = EXCLUDED.project,
+        chain = EXCLUDED.chain,
+        symbol = EXCLUDED.symbol,
+        tvl_usd = EXCLUDED.tvl_usd,
+        apy = EXCLUDED.apy,
+        apy_base = EXCLUDED.apy_base,
+        url = EXCLUDED.url,
+        inserted_at = NOW()`
+  },
+  {
+    name: 'protocol_tvl',
+    source: 'update.protocol_chain_tvl_daily',
+    // The collector rewrites the current day on every run; inserted_at moves with each write
+    tsColumn: 'inserted_at',
+    validWhere: 's.total_liquidity_usd IS NOT NULL',
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.protocol_chain_tvl_daily (
+        protocol_id, chain, series_type, ts, total_liquidity_usd, protocol_name, symbol, category
+      )
+      SELECT s.protocol_id, s.chain, s.series_type, s.ts, s.total_liquidity_usd, s.protocol_name, s.symbol, s.category
+      FROM update.protocol_chain_tvl_daily s
+      WHERE ${window} AND ${valid}
+      ON CONFLICT (protocol_id, chain, series_type, ts) DO UPDATE SET
+        total_liquidity_usd = EXCLUDED.total_liquidity_usd,
+        protocol_name = EXCLUDED.protocol_name,
+        symbol = EXCLUDED.symbol,
+        category = EXCLUDED.category,
+        ingest_time = NOW()`
+  },
+  {
+    name: 'narratives',
+    source: 'update.narratives',
+    // The collector rewrites recent days; inserted_at moves with every write, so revisions are promoted too
+    tsColumn: 'inserted_at',
+    validWhere: 's.date > 0',
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.narratives (date, ${NARRATIVE_SECTORS.join(', ')})
+      SELECT s.date, ${NARRATIVE_SECTORS.map(col => `s.${col}`).join(', ')}
+      FROM update.narratives s
+      WHERE ${window} AND ${valid}
+      ON CONFLICT (date) DO UPDATE SET
+        ${NARRATIVE_SECTORS.map(col => `${col} = EXCLUDED.${col}`).join(',\n        ')},
+        inserted_at = NOW()`
+  },
+  {
+    name: 'etf',
+    source: 'update.raw_etf',
+    // The collector only touches a row when it changed; updated_at moves with each change
+    tsColumn: 'updated_at',
+    validWhere: 's.total_flow_usd IS NOT NULL',
+    // A changed flow keeps the value it replaced; the revision time is the collector's when it saw one
+    promoteSql: (window, valid) => `
+      INSERT INTO clean.etf_flows_daily AS c (gecko_id, ticker, day, total_flow_usd, previous_flow_usd, revised_at)
+      SELECT s.gecko_id, s.ticker, s.day, s.total_flow_usd, s.previous_flow_usd, s.revised_at
+      FROM update.raw_etf s
+      WHERE ${window} AND ${valid}
+      ON CONFLICT (gecko_id, ticker, day) DO UPDATE SET
+        total_flow_usd = EXCLUDED.total_flow_usd,
+        previous_flow_usd = c.total_flow_usd,
+        revised_at = COALESCE(EXCLUDED.revised_at, NOW()),
+        inserted_at = NOW()
+      WHERE c.total_flow_usd IS DISTINCT FROM EXCLUDED.total_flow_usd`
+  }
+];
+
+/**
+ * Promotes every pipeline (or the ones named in params.pipelines) up to the settle cutoff
+ *
+ * @param {{ pipelines?: string, from?: string, batchRows?: number|string, settleMinutes?: number|string }} params
+ *        pipelines: comma-separated names; from: move the watermark back to re-promote rows written since that time
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runPromotionJob(params = {}, options = {}) {
+  return runJob('promote_clean', { ...options, runIdPrefix: 'promote_clean', recordRun: true, params }, async ({ jobName, jobRunId, pool, log, result, recordBatch }) => {
+    const batchRows = parseIntParam(params.batchRows, PROMOTION_CONFIG.batchRows);
+    const settleMinutes = parseIntParam(params.settleMinutes, PROMOTION_CONFIG.settleMinutes);
+    const cutoff = new Date(Date.now() - settleMinutes * 60000).toISOString();
+    const deadline = Date.now() + PROMOTION_CONFIG.timeBudgetMs;
+
+    const names = params.pipelines ? String(params.pipelines).split(',').map(n => n.trim()) : PIPELINES.map(p => p.name);
+    const selected = names.map((name) => {
+      const pipeline = PIPELINES.find(p => p.name === name);
+      if (!pipeline) throw new Error(`Unknown pipeline: ${name}`);
+      return pipeline;
+    });
+    if (params.from !== undefined && Number.isNaN(Date.parse(params.from))) {
+      throw new Error(`Invalid from: ${params.from}`);
+    }
+
+    log.info(`🚚 Promoting ${names.join(', ')} up to ${cutoff}`);
+
+    const client = await pool.connect();
+    const summaries = [];
+    let failed = 0;
+    try {
+      for (const [index, pipeline] of selected.entries()) {
+        const pipelineResult = createJobResult(`${jobName}:${pipeline.name}`, jobRunId);
+        const started = Date.now();
+        try {
+          if (params.from !== undefined) {
+            await resetWatermark(client, pipeline, new Date(params.from).toISOString());
+          }
+          const summary = await promotePipeline(client, pipeline, { cutoff, batchRows, deadline, jobRunId, log: log.info });
+          summaries.push(summary);
+
+          pipelineResult.success = true;
+          pipelineResult.totalRecords = summary.total;
+          pipelineResult.insertedRecords = summary.promoted;
+          pipelineResult.skippedRecords = summary.duplicates;
+          pipelineResult.errorRecords = summary.rejected;
+          log.info(`✅ ${pipeline.name}: ${summary.promoted} promoted, ${summary.rejected} rejected, ${summary.duplicates} duplicates` +
+            ` - watermark ${summary.watermark}${summary.caughtUp ? '' : ' (time budget reached, resumes next run)'}`);
+        } catch (error) {
+          failed++;
+          pipelineResult.error = error.message;
+          summaries.push({ pipeline: pipeline.name, error: error.message });
+          log.error(`❌ ${pipeline.name} failed:`, error.message);
+        }
+
+        pipelineResult.finishedAt = new Date().toISOString();
+        pipelineResult.processingTimeMs = Date.now() - started;
+        result.totalRecords += pipelineResult.totalRecords;
+        result.insertedRecords += pipelineResult.insertedRecords;
+        result.skippedRecords += pipelineResult.skippedRecords;
+        result.errorRecords += pipelineResult.errorRecords;
+        await recordBatch({ batchNumber: index + 1 }, pipelineResult);
+      }
+    } finally {
+      client.release();
+    }
+
+    result.details = { cutoff, batchRows, pipelines: summaries };
+    result.message = `Promoted ${result.insertedRecords} rows, rejected ${result.errorRecords}`;
+    return failed === 0;
+  });
+}
+
+module.exports = createHandler((params) => runPromotionJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runPromotionJob = runPromotionJob;
+module.exports.PIPELINES = PIPELINES;
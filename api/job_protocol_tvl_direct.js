@@ -0,0 +1,157 @@
+// api/job_protocol_tvl_direct.js
+// Direct protocol TVL job using DeFiLlama Pro API - one row per protocol, chain and series per day
+// The dispatcher fetches /api/protocols once (it is not paginated) and hands each offset/limit batch its slice;
+// a batch run on its own fetches the list and slices it
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+const { archiveParams, archiveResponse } = require('../lib/raw_archive');
+
+// Dispatcher runs daily - one snapshot per UTC day
+const SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// chainTvls keys are '<Chain>' for the headline TVL and '<Chain>-<series>' for the rest;
+// a bare '<series>' key is the cross-chain sum and is not stored
+const SERIES_TYPES = new Set([
+  'staking', 'pool2', 'borrowed', 'vesting', 'treasury', 'offers', 'doublecounted', 'liquidstaking', 'dcAndLsOverlap'
+]);
+
+/**
+ * Fetches every protocol, ordered by slug so concurrent batches slice the same list even if the API reorders it
+ */
+async function fetchProtocols(apiKey) {
+  const data = await llamaGet('/api/protocols', { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid API response format - expected array of protocols');
+  }
+  return data
+    .filter(protocol => protocol.slug)
+    .sort((a, b) => (a.slug < b.slug ? -1 : a.slug > b.slug ? 1 : 0));
+}
+
+/**
+ * The batch's protocols: the slice the dispatcher fetched for it, or offset..offset+limit of a fresh list.
+ * A handed-in slice is archived as the run's /api/protocols response, at offset 0, so a replay reads the same protocols.
+ */
+async function loadBatchProtocols(protocols, { offset, limit }, apiKey) {
+  if (!protocols) return (await fetchProtocols(apiKey)).slice(offset, offset + limit);
+
+  archiveParams({ offset: 0, limit: protocols.length });
+  archiveResponse('/api/protocols', undefined, JSON.stringify(protocols));
+  return protocols;
+}
+
+/**
+ * Splits a chainTvls key into chain and series type; null for cross-chain aggregate keys
+ */
+function parseChainTvlKey(key) {
+  if (SERIES_TYPES.has(key)) return null;
+  const dash = key.lastIndexOf('-');
+  if (dash > 0 && SERIES_TYPES.has(key.slice(dash + 1))) {
+    return { chain: key.slice(0, dash), seriesType: key.slice(dash + 1) };
+  }
+  return { chain: key, seriesType: 'total' };
+}
+
+const PROTOCOL_TVL_COLUMNS = [
+  'protocol_id', 'protocol_name', 'chain', 'series_type', 'ts',
+  'total_liquidity_usd', 'category', 'symbol', 'url', 'inserted_at'
+];
+
+// Reruns of the same day overwrite the rows keyed on uniq_protocol_chain_tvl_daily;
+// inserted_at moves with every write so the promotion watermark picks up the rewrite
+const PROTOCOL_TVL_WRITE_SPEC = {
+  table: 'update.protocol_chain_tvl_daily',
+  columns: PROTOCOL_TVL_COLUMNS,
+  conflictColumns: ['protocol_id', 'chain', 'series_type', 'ts'],
+  updateColumns: ['protocol_name', 'total_liquidity_usd', 'category', 'symbol', 'url', 'inserted_at']
+};
+
+/**
+ * Expands one protocol into a row per chain and series, in PROTOCOL_TVL_COLUMNS order
+ */
+function toProtocolTvlRows(protocol, day, insertedAt) {
+  const rows = [];
+  for (const [key, tvl] of Object.entries(protocol.chainTvls || {})) {
+    const parsed = parseChainTvlKey(key);
+    if (!parsed || typeof tvl !== 'number' || !Number.isFinite(tvl)) continue;
+    rows.push([
+      protocol.slug,                                // protocol_id
+      protocol.name || null,                        // protocol_name
+      parsed.chain,                                 // chain
+      parsed.seriesType,                            // series_type
+      day,                                          // ts
+      tvl,                                          // total_liquidity_usd
+      protocol.category || null,                    // category
+      protocol.symbol && protocol.symbol !== '-' ? protocol.symbol : null, // symbol
+      protocol.url || null,                         // url
+      insertedAt                                    // inserted_at
+    ]);
+  }
+  return rows;
+}
+
+/**
+ * Collects one batch of protocols' TVL by chain for the day
+ *
+ * @param {{ offset?: number|string, limit?: number|string, day?: string|number }} params
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, protocols?: Object[] }} options
+ *        protocols: the batch's slice of /api/protocols, when the dispatcher already fetched it
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runProtocolTvlJob(params = {}, options = {}) {
+  return runJob('protocol_tvl_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    const offset = parseIntParam(params.offset, 0);
+    const limit = parseIntParam(params.limit, 1000);
+    const day = resolveSnapshotTs(params.day, SNAPSHOT_INTERVAL_MS).toISOString().slice(0, 10);
+    result.details = { batchInfo: { offset, limit }, day };
+
+    log.info(`🚀 Starting Direct Protocol TVL Collection: offset=${offset}, limit=${limit}`);
+
+    const protocols = await loadBatchProtocols(options.protocols, { offset, limit }, getApiKey());
+    log.info(`✅ Fetched ${protocols.length} protocols`);
+
+    const insertedAt = new Date();
+    const rows = [];
+    const rowProtocols = [];
+    let withoutTvl = 0;
+    for (const protocol of protocols) {
+      const protocolRows = toProtocolTvlRows(protocol, day, insertedAt);
+      if (!protocolRows.length) withoutTvl++;
+      rows.push(...protocolRows);
+      rowProtocols.push(...protocolRows.map(() => protocol.slug));
+    }
+
+    const client = await pool.connect();
+    try {
+      log.info(`📝 Inserting ${rows.length} protocol/chain TVL records...`);
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+        writeRows(client, PROTOCOL_TVL_WRITE_SPEC, rows, { savepoints: true })
+      );
+      for (const reject of rejects) {
+        log.error(`❌ Error inserting TVL record for ${rowProtocols[reject.index]}:`, reject.error);
+      }
+
+      result.totalRecords = rows.length;
+      result.insertedRecords = insertedCount;
+      result.errorRecords = errorCount;
+      result.details.protocols = protocols.length;
+      result.details.protocolsWithoutTvl = withoutTvl;
+      result.message = 'Direct protocol TVL collection completed';
+
+      log.info('🎉 Direct Protocol TVL Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runProtocolTvlJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runProtocolTvlJob = runProtocolTvlJob;
+module.exports.SNAPSHOT_INTERVAL_MS = SNAPSHOT_INTERVAL_MS;
+module.exports.fetchProtocols = fetchProtocols;
@@ -0,0 +1,102 @@
+// api/job_replay.js
+// Replay route - re-runs a collector's transform and load from the responses archived in raw.api_responses,
+// without calling the API (lib/raw_archive.js). Each archived run is replayed with its own params and clock.
+// ?job=lending_direct&from=2025-10-01&to=2025-10-07 replays every lending run started in that range
+
+const { runJob, createHandler } = require('../lib/job_runtime');
+const { resolveRange } = require('../lib/backfill');
+const { withReplay, listArchivedRuns, loadReplay } = require('../lib/raw_archive');
+const { runTokenPriceJob } = require('./backfill_token_prices_direct.js');
+const { runLendingJob } = require('./job_lending_direct.js');
+const { runPoolsJob } = require('./job_liquidity_pools_direct.js');
+const { runPerpFundingJob } = require('./job_perp_funding_direct.js');
+const { runProtocolTvlJob } = require('./job_protocol_tvl_direct.js');
+const { runTvlHistoryJob } = require('./job_tvl_defi_hist_direct.js');
+const { runStablecoinsJob } = require('./job_stablecoins_direct.js');
+const { runNarrativesJob } = require('./job_narratives_direct.js');
+const { runFeesJob } = require('./job_fees_direct.js');
+const { runDexVolumeJob } = require('./job_dex_volume_direct.js');
+const { runBridgeVolumeJob } = require('./job_bridges_direct.js');
+const { runBridgeOverviewJob } = require('./job_bridge_overview_direct.js');
+const { runEtfJob } = require('./job_etf_direct.js');
+
+const REPLAY_CONFIG = {
+  days: 1 // Default range ending now
+};
+
+// Archived job name (meta job name passed to runJob) -> collector; each one runs with runJob's archive option
+const REPLAY_JOBS = {
+  token_prices_direct: runTokenPriceJob,
+  lending_direct: runLendingJob,
+  liquidity_pools_direct: runPoolsJob,
+  perp_funding_direct: runPerpFundingJob,
+  protocol_tvl_direct: runProtocolTvlJob,
+  tvl_defi_hist_direct: runTvlHistoryJob,
+  stablecoins_direct: runStablecoinsJob,
+  narratives_direct: runNarrativesJob,
+  fees_direct: runFeesJob,
+  dex_volume_direct: runDexVolumeJob,
+  bridges_direct: runBridgeVolumeJob,
+  bridge_overview_direct: runBridgeOverviewJob,
+  etf_direct: runEtfJob
+};
+
+/**
+ * Replays every archived run of one collector started within a range, oldest first
+ *
+ * @param {{ job?: string, from?: string, to?: string, days?: number|string }} params
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}  details.runs has one entry per replayed run
+ */
+async function runReplayJob(params = {}, options = {}) {
+  return runJob('replay', { ...options, runIdPrefix: 'replay', recordRun: true, params }, async ({ pool, log, result }) => {
+    const collector = REPLAY_JOBS[params.job];
+    if (!collector) {
+      throw new Error(`Unknown job: ${params.job} (expected ${Object.keys(REPLAY_JOBS).join(', ')})`);
+    }
+    const { from, to } = resolveRange(params, REPLAY_CONFIG.days);
+
+    const archived = await listArchivedRuns(pool, params.job, { from, to });
+    log.info(`🔁 Replaying ${archived.length} ${params.job} runs: ${from.toISOString()} → ${to.toISOString()}`);
+
+    const runs = [];
+    for (const run of archived) {
+      const replay = await loadReplay(pool, run);
+      const replayed = await withReplay(replay, () => collector(run.params, { pool }));
+      // A request missing from the archive fails the run even when the collector counted it as skipped
+      if (replay.missing.length) {
+        replayed.success = false;
+        replayed.error = `No archived response for ${replay.missing.join(', ')}`;
+      }
+
+      result.totalRecords += replayed.totalRecords;
+      result.insertedRecords += replayed.insertedRecords;
+      result.skippedRecords += replayed.skippedRecords;
+      result.errorRecords += replayed.errorRecords;
+      runs.push({
+        sourceRunId: run.jobRunId,
+        jobRunId: replayed.jobRunId,
+        startedAt: run.startedAt.toISOString(),
+        success: replayed.success,
+        insertedRecords: replayed.insertedRecords,
+        error: replayed.error
+      });
+      if (!replayed.success) log.warn(`⚠️ Replay of ${run.jobRunId} failed: ${replayed.error}`);
+    }
+
+    const failed = runs.filter(run => !run.success).length;
+    result.details = { job: params.job, from: from.toISOString(), to: to.toISOString(), runs };
+    result.message = `Replayed ${runs.length - failed}/${runs.length} archived runs`;
+
+    log.info('🎉 Replay Complete!');
+    log.info(`✅ Inserted: ${result.insertedRecords} records`);
+    log.info(`❌ Failed runs: ${failed}`);
+
+    return failed === 0;
+  });
+}
+
+module.exports = createHandler((params) => runReplayJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runReplayJob = runReplayJob;
+module.exports.REPLAY_JOBS = REPLAY_JOBS;
@@ -0,0 +1,153 @@
+// api/job_stablecoins_direct.js
+// Direct stablecoin market cap job using DeFiLlama Pro API - market cap by peg, total and per chain
+// One row per day per peg per chain in update.stablecoin_mcap_by_peg_daily; chain = 'all' holds the cross-chain total
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { resolveSnapshotTs, withTransaction } = require('../lib/snapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STABLECOIN_CONFIG = {
+  historyDays: 7 // Trailing days of the total chart re-upserted each run (DeFiLlama revises recent days); 0 = full history
+};
+
+const ALL_CHAINS = 'all';
+
+/**
+ * Daily total circulating USD by peg across every chain
+ */
+async function fetchPegHistory(apiKey) {
+  console.log('📡 Fetching stablecoin market cap history by peg from DeFiLlama Pro API');
+
+  const data = await llamaGet('/stablecoins/stablecoincharts/all', { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid API response format - expected array of daily stablecoin totals');
+  }
+
+  console.log(`✅ Fetched ${data.length} days of stablecoin totals`);
+  return data;
+}
+
+/**
+ * Current circulating USD by peg for every chain
+ */
+async function fetchChainBreakdown(apiKey) {
+  console.log('📡 Fetching stablecoin market cap by chain from DeFiLlama Pro API');
+
+  const data = await llamaGet('/stablecoins/stablecoinchains', { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid API response format - expected array of chains');
+  }
+
+  console.log(`✅ Fetched stablecoin totals for ${data.length} chains`);
+  return data;
+}
+
+// 'peggedUSD' -> 'USD'
+function toPeg(key) {
+  return key.replace(/^pegged/, '');
+}
+
+/**
+ * Expands one { peggedUSD: n, ... } map into [day, peg, chain, amount] rows; missing or non-numeric amounts are skipped
+ *
+ * @returns {{ rows: any[][], skipped: number }}
+ */
+function toPegRows(day, chain, totals) {
+  const rows = [];
+  let skipped = 0;
+  for (const [key, amount] of Object.entries(totals || {})) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      skipped++;
+      continue;
+    }
+    rows.push([day, toPeg(key), chain, amount]);
+  }
+  return { rows, skipped };
+}
+
+const STABLECOIN_COLUMNS = ['day', 'peg', 'chain', 'amount_usd', 'ingest_time'];
+
+// Reruns of the same day overwrite the rows keyed on uniq_stablecoin_mcap_by_peg_daily_day_peg_chain
+const STABLECOIN_WRITE_SPEC = {
+  table: 'update.stablecoin_mcap_by_peg_daily',
+  columns: STABLECOIN_COLUMNS,
+  conflictColumns: ['day', 'peg', 'chain'],
+  updateColumns: ['amount_usd', 'ingest_time']
+};
+
+/**
+ * Collects stablecoin market cap by peg: the trailing history of the cross-chain total, plus today's per-chain split
+ *
+ * @param {{ day?: string|number, historyDays?: number|string }} params
+ *        day: the date the per-chain split is stored under (defaults to today, UTC) and the end of the history window
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runStablecoinsJob(params = {}, options = {}) {
+  return runJob('stablecoins_direct', { ...options, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Direct Stablecoin Market Cap Collection...');
+
+    const apiKey = getApiKey();
+    const day = resolveSnapshotTs(params.day, DAY_MS);
+    const dayStr = day.toISOString().slice(0, 10);
+    const historyDays = parseIntParam(params.historyDays, STABLECOIN_CONFIG.historyDays);
+    const fromSec = historyDays > 0 ? (day.getTime() - (historyDays - 1) * DAY_MS) / 1000 : -Infinity;
+
+    const history = await fetchPegHistory(apiKey);
+    const chains = await fetchChainBreakdown(apiKey);
+
+    const rows = [];
+    let skipped = 0;
+    const collect = (dayValue, chain, totals) => {
+      const expanded = toPegRows(dayValue, chain, totals);
+      rows.push(...expanded.rows);
+      skipped += expanded.skipped;
+    };
+
+    let historyDaysWritten = 0;
+    for (const point of history) {
+      const dateSec = Number(point.date);
+      if (!Number.isFinite(dateSec) || dateSec < fromSec || dateSec > day.getTime() / 1000) continue;
+      collect(new Date(dateSec * 1000).toISOString().slice(0, 10), ALL_CHAINS, point.totalCirculatingUSD);
+      historyDaysWritten++;
+    }
+    for (const chain of chains) {
+      if (!chain.name) continue;
+      collect(dayStr, chain.name, chain.totalCirculatingUSD);
+    }
+
+    const ingestTime = new Date();
+    const client = await pool.connect();
+    try {
+      log.info(`📝 Upserting ${rows.length} stablecoin market cap rows...`);
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+        writeRows(client, STABLECOIN_WRITE_SPEC, rows.map(row => [...row, ingestTime]), { savepoints: true })
+      );
+      for (const reject of rejects) {
+        const [rowDay, peg, chain] = rows[reject.index];
+        log.error(`❌ Error inserting stablecoin row ${rowDay} ${peg} ${chain}:`, reject.error);
+      }
+
+      result.totalRecords = rows.length + skipped;
+      result.insertedRecords = insertedCount;
+      result.skippedRecords = skipped;
+      result.errorRecords = errorCount;
+      result.details = { day: dayStr, historyDays: historyDaysWritten, chains: chains.length };
+      result.message = 'Direct stablecoin market cap collection completed';
+
+      log.info('🎉 Direct Stablecoin Collection Complete!');
+      log.info(`✅ Inserted: ${insertedCount} records (${historyDaysWritten} days of totals, ${chains.length} chains)`);
+      log.info(`⏭️ Skipped: ${skipped} pegs without an amount`);
+      log.info(`❌ Errors: ${errorCount} records`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runStablecoinsJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runStablecoinsJob = runStablecoinsJob;
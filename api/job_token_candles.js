@@ -0,0 +1,145 @@
+// api/job_token_candles.js
+// Token price candles - rolls update.token_price_daily prints into 1h / 1d / 1w OHLC candles (lib/candles.js)
+// Incremental from the token_price_candles watermark in meta.promotion_watermarks, which follows inserted_at so prints
+// written behind the newest candle (history mode, backfills) still rebuild the hours they land in - one transaction per
+// batch; ?from=2025-09-01&to=2025-09-30 rebuilds a range and leaves the watermark alone
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { withTransaction } = require('../lib/snapshot');
+const { resolveRange } = require('../lib/backfill');
+const { getWatermark, advanceWatermark } = require('../lib/promotion');
+const { CANDLE_LEVELS, rebuildCandles } = require('../lib/candles');
+
+const CANDLE_CONFIG = {
+  windowDays: 7,       // Source days recomputed per transaction of a rebuild
+  batchRows: 50000,    // New prints per incremental transaction
+  settleMinutes: 10,   // Leave the newest writes alone until their dispatcher batches are done
+  timeBudgetMs: 240000 // Stop starting new windows before the function timeout; the next run resumes
+};
+
+const WATERMARK = { name: 'token_price_candles' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Adds one window's per-level counts to the run totals
+function addStats(totals, stats) {
+  for (const [name, { candles, samples }] of Object.entries(stats)) {
+    totals[name] = totals[name] || { candles: 0, samples: 0 };
+    totals[name].candles += candles;
+    totals[name].samples += samples;
+  }
+}
+
+/**
+ * inserted_at of the last print in the next incremental batch after `lower`: up to batchRows prints (ties on inserted_at
+ * stay together), never past the cutoff. Null when nothing new has settled.
+ */
+async function nextBatchEnd(client, lower, cutoff, batchRows) {
+  const { rows: [{ upper }] } = await client.query(
+    `SELECT MAX(inserted_at)::text AS upper FROM (
+       SELECT inserted_at FROM update.token_price_daily
+       WHERE inserted_at > $1 AND inserted_at <= $2
+       ORDER BY inserted_at
+       LIMIT $3
+     ) x`,
+    [lower, cutoff, batchRows]
+  );
+  return upper;
+}
+
+/**
+ * Runs of consecutive hours holding a print written in (lower, upper], whatever their price_timestamp
+ */
+async function touchedHourRanges(client, lower, upper) {
+  const { rows } = await client.query(
+    `SELECT MIN(hour)::text AS "from", MAX(hour)::text AS "to"
+     FROM (
+       SELECT hour, hour - ROW_NUMBER() OVER (ORDER BY hour) * INTERVAL '1 hour' AS run
+       FROM (
+         SELECT DISTINCT date_trunc('hour', price_timestamp, 'UTC') AS hour FROM update.token_price_daily
+         WHERE inserted_at > $1 AND inserted_at <= $2
+       ) h
+     ) r
+     GROUP BY run
+     ORDER BY 1`,
+    [lower, upper]
+  );
+  return rows;
+}
+
+/**
+ * Builds candles from the watermark up to the settle cutoff, or rebuilds params.from..params.to
+ *
+ * @param {{ from?: string, to?: string, days?: number|string, windowDays?: number|string, settleMinutes?: number|string }} params
+ *        from / to (or days) switch to a rebuild of that range
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}  details.levels has candles / samples written per level
+ */
+async function runTokenCandlesJob(params = {}, options = {}) {
+  return runJob('token_candles', { ...options, runIdPrefix: 'token_candles', recordRun: true, params }, async ({ jobRunId, pool, log, result }) => {
+    const windowDays = Math.max(1, parseIntParam(params.windowDays, CANDLE_CONFIG.windowDays));
+    const deadline = Date.now() + parseIntParam(options.timeBudgetMs, CANDLE_CONFIG.timeBudgetMs);
+    const rebuild = params.from !== undefined || params.to !== undefined || params.days !== undefined;
+    const levels = {};
+    let windows = 0;
+    let caughtUp = false;
+
+    const client = await pool.connect();
+    try {
+      if (rebuild) {
+        const { from, to } = resolveRange(params, windowDays);
+        log.info(`🕯️ Rebuilding ${CANDLE_LEVELS.map(l => l.name).join(' / ')} candles: ${from.toISOString()} → ${to.toISOString()}`);
+
+        for (let start = from.getTime(); start <= to.getTime() && Date.now() < deadline; start += windowDays * DAY_MS) {
+          const end = new Date(Math.min(to.getTime(), start + windowDays * DAY_MS - 1));
+          addStats(levels, await withTransaction(client, () => rebuildCandles(client, { from: new Date(start), to: end })));
+          windows++;
+          caughtUp = end.getTime() === to.getTime();
+        }
+        result.details = { mode: 'rebuild', from: from.toISOString(), to: to.toISOString() };
+      } else {
+        const batchRows = Math.max(1, parseIntParam(params.batchRows, CANDLE_CONFIG.batchRows));
+        const cutoff = new Date(Date.now() - parseIntParam(params.settleMinutes, CANDLE_CONFIG.settleMinutes) * 60000).toISOString();
+        // Never run: every print stored so far is new
+        let lower = (await getWatermark(client, WATERMARK)) || '-infinity';
+        log.info(`🕯️ Building candles for prints written after ${lower} up to ${cutoff}`);
+
+        const from = lower;
+        while (Date.now() < deadline) {
+          const upper = await nextBatchEnd(client, lower, cutoff, batchRows);
+          if (!upper) break;
+
+          // Whole hours are recomputed, so a print landing beside candles built earlier joins them
+          const ranges = await touchedHourRanges(client, lower, upper);
+          const stats = await withTransaction(client, async () => {
+            const batchStats = {};
+            for (const range of ranges) addStats(batchStats, await rebuildCandles(client, range));
+            await advanceWatermark(client, WATERMARK, upper, jobRunId, { promoted: batchStats['1h']?.candles || 0, rejected: 0 });
+            return batchStats;
+          });
+          addStats(levels, stats);
+          windows++;
+          log.info(`   (${lower}, ${upper}] ${ranges.length} hour ranges → ${stats['1h']?.candles || 0} hourly candles`);
+          lower = upper;
+        }
+        caughtUp = !(await nextBatchEnd(client, lower, cutoff, batchRows));
+        result.details = { mode: 'incremental', from, watermark: lower, cutoff };
+      }
+    } finally {
+      client.release();
+    }
+
+    result.totalRecords = levels['1h']?.samples || 0;
+    result.insertedRecords = Object.values(levels).reduce((sum, level) => sum + level.candles, 0);
+    Object.assign(result.details, { windows, caughtUp, levels });
+    result.message = `Wrote ${result.insertedRecords} candles from ${result.totalRecords} prints` +
+      (caughtUp ? '' : ' (time budget reached, resumes next run)');
+
+    log.info('🎉 Token Candles Complete!');
+    log.info(`✅ ${result.message}`);
+  });
+}
+
+module.exports = createHandler((params) => runTokenCandlesJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runTokenCandlesJob = runTokenCandlesJob;
@@ -0,0 +1,215 @@
+// api/job_token_curation.js
+// Token universe curation - probes every token_list.json entry and maintains the active list in canon.token_universe
+// Tokens whose latest price goes stale (or drops below the confidence floor) are demoted; tokens that price again are promoted.
+// Every status change is written to canon.token_universe_changes.
+
+const fs = require('fs');
+const path = require('path');
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { withTransaction } = require('../lib/snapshot');
+const { toCoinId, chunk, readTokenListFile, loadActiveTokens } = require('../lib/token_universe');
+
+const CURATION_CONFIG = {
+  freshWithinHours: 24, // A token is active while its latest price is at most this old
+  minConfidence: 0.8,   // ...and at least this confident
+  probeBatchSize: 50,   // Coins per /coins/prices/current request
+  searchWidth: '4w'     // Look back far enough to learn when stale tokens were last priced
+};
+
+/**
+ * Latest price per coin: { coins: { "<id>": { symbol, decimals, price, timestamp, confidence } } }
+ */
+async function probeCurrentPrices(coinIds, apiKey) {
+  const coinsParam = encodeURIComponent(coinIds.join(','));
+  return llamaGet(`/coins/prices/current/${coinsParam}`, { apiKey, query: { searchWidth: CURATION_CONFIG.searchWidth } });
+}
+
+const UNIVERSE_WRITE_SPEC = {
+  table: 'canon.token_universe',
+  columns: [
+    'coin_id', 'chain', 'address', 'is_active', 'in_source_list', 'symbol',
+    'last_price_usd', 'last_confidence', 'last_priced_at', 'last_probed_at', 'status_changed_at'
+  ],
+  conflictColumns: ['coin_id'],
+  updateColumns: [
+    'is_active', 'in_source_list', 'symbol',
+    'last_price_usd', 'last_confidence', 'last_priced_at', 'last_probed_at', 'status_changed_at'
+  ]
+};
+
+const CHANGE_WRITE_SPEC = {
+  table: 'canon.token_universe_changes',
+  columns: ['coin_id', 'change', 'reason', 'last_priced_at', 'last_confidence', 'job_run_id']
+};
+
+/**
+ * Decides whether a token belongs in the active list, with the reason recorded in the audit trail
+ */
+function evaluateToken(state, asOf, config) {
+  if (!state.inSourceList) return { active: false, reason: 'removed from token_list.json' };
+  if (!state.lastPricedAt) return { active: false, reason: 'never priced' };
+
+  const ageHours = (asOf - state.lastPricedAt.getTime()) / 3600000;
+  if (ageHours > config.freshWithinHours) {
+    return { active: false, reason: `stale: last priced ${state.lastPricedAt.toISOString()}` };
+  }
+  if (state.lastConfidence === null || state.lastConfidence < config.minConfidence) {
+    return { active: false, reason: `low confidence ${state.lastConfidence}` };
+  }
+  return { active: true, reason: `fresh price (confidence ${state.lastConfidence})` };
+}
+
+/**
+ * Probes the full candidate list and promotes / demotes tokens in canon.token_universe
+ *
+ * @param {{ freshWithinHours?: number|string, minConfidence?: number|string, asOf?: string }} params
+ *        asOf evaluates freshness as of another time (replaying a past run); defaults to now
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runTokenCurationJob(params = {}, options = {}) {
+  return runJob('token_curation', { ...options, runIdPrefix: 'token_curation', recordRun: true, params }, async ({ jobRunId, pool, getApiKey, log, result }) => {
+    const config = {
+      ...CURATION_CONFIG,
+      freshWithinHours: parseIntParam(params.freshWithinHours, CURATION_CONFIG.freshWithinHours),
+      minConfidence: params.minConfidence !== undefined ? Number(params.minConfidence) : CURATION_CONFIG.minConfidence
+    };
+    const asOf = params.asOf ? Date.parse(params.asOf) : Date.now();
+    if (Number.isNaN(asOf)) throw new Error(`Invalid asOf: ${params.asOf}`);
+
+    const apiKey = getApiKey();
+
+    // Candidate list - invalid addresses never enter the universe
+    const candidates = new Map();
+    let invalid = 0;
+    for (const entry of readTokenListFile('token_list.json')) {
+      const coinId = toCoinId(entry);
+      if (!coinId) { invalid++; continue; }
+      const sep = coinId.indexOf(':');
+      candidates.set(coinId, { chain: coinId.slice(0, sep), address: coinId.slice(sep + 1) });
+    }
+    log.info(`📋 ${candidates.size} candidate tokens (${invalid} invalid addresses skipped)`);
+
+    // Current universe state
+    const { rows: existingRows } = await pool.query(
+      `SELECT coin_id, chain, address, is_active, symbol, last_price_usd, last_confidence, last_priced_at,
+              last_probed_at, status_changed_at
+       FROM canon.token_universe`
+    );
+    const existing = new Map(existingRows.map(row => [row.coin_id, row]));
+
+    // Probe every candidate; a failed request leaves its tokens untouched rather than demoting them
+    const probed = new Map();
+    const unprobed = new Set();
+    for (const group of chunk([...candidates.keys()], config.probeBatchSize)) {
+      try {
+        const data = await probeCurrentPrices(group, apiKey);
+        for (const id of group) probed.set(id, data?.coins?.[id] || null);
+      } catch (e) {
+        for (const id of group) unprobed.add(id);
+        log.error(`Probe failed for ${group.length} tokens:`, e.message);
+      }
+    }
+
+    const probedAt = new Date(asOf);
+    const rows = [];
+    const changes = [];
+    const counts = { promoted: 0, demoted: 0, fresh: 0 };
+
+    for (const coinId of new Set([...candidates.keys(), ...existing.keys()])) {
+      const prev = existing.get(coinId);
+      if (unprobed.has(coinId)) continue;
+
+      const candidate = candidates.get(coinId) || { chain: prev.chain, address: prev.address };
+      const node = probed.get(coinId);
+      const priced = node && typeof node.price === 'number' && node.price > 0 && node.timestamp;
+
+      const state = {
+        inSourceList: candidates.has(coinId),
+        symbol: node?.symbol ?? prev?.symbol ?? null,
+        lastPriceUsd: priced ? node.price : (prev?.last_price_usd ?? null),
+        lastConfidence: priced ? (node.confidence ?? null) : (prev?.last_confidence != null ? Number(prev.last_confidence) : null),
+        lastPricedAt: priced ? new Date(node.timestamp * 1000) : (prev?.last_priced_at ?? null)
+      };
+
+      const { active, reason } = evaluateToken(state, asOf, config);
+      const wasActive = prev ? prev.is_active : false;
+      if (active) counts.fresh++;
+
+      if (active !== wasActive) {
+        counts[active ? 'promoted' : 'demoted']++;
+        changes.push([coinId, active ? 'promoted' : 'demoted', reason, state.lastPricedAt, state.lastConfidence, jobRunId]);
+      }
+
+      rows.push([
+        coinId, candidate.chain, candidate.address, active, state.inSourceList, state.symbol,
+        state.lastPriceUsd, state.lastConfidence, state.lastPricedAt,
+        state.inSourceList ? probedAt : (prev?.last_probed_at ?? null),
+        active !== wasActive ? probedAt : (prev?.status_changed_at ?? null)
+      ]);
+    }
+
+    // Universe and audit trail move together
+    const client = await pool.connect();
+    try {
+      await withTransaction(client, async () => {
+        const written = await writeRows(client, UNIVERSE_WRITE_SPEC, rows, { savepoints: true });
+        if (written.errorCount) {
+          throw new Error(`Failed to write ${written.errorCount} universe rows: ${written.rejects[0].error}`);
+        }
+        await writeRows(client, CHANGE_WRITE_SPEC, changes, { savepoints: true });
+      });
+    } finally {
+      client.release();
+    }
+
+    result.totalRecords = candidates.size;
+    result.insertedRecords = rows.length;
+    result.skippedRecords = unprobed.size;
+    result.details = {
+      asOf: probedAt.toISOString(),
+      config,
+      invalidAddresses: invalid,
+      active: counts.fresh,
+      promoted: counts.promoted,
+      demoted: counts.demoted,
+      unprobed: unprobed.size,
+      coverage: candidates.size ? `${(counts.fresh / candidates.size * 100).toFixed(1)}%` : '0%'
+    };
+    result.message = `${counts.fresh} active tokens (${counts.promoted} promoted, ${counts.demoted} demoted)`;
+
+    log.info(`🎉 Curation complete: ${result.message}, ${result.details.coverage} coverage`);
+    if (unprobed.size) log.warn(`⚠️ ${unprobed.size} tokens could not be probed and kept their previous status`);
+
+    // Mostly-failed probes would leave a stale universe; surface that as a failed run
+    return unprobed.size < candidates.size / 2;
+  });
+}
+
+module.exports = createHandler((params) => runTokenCurationJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runTokenCurationJob = runTokenCurationJob;
+
+// Run locally: node api/job_token_curation.js
+// Also refreshes token_list_active.json, the fallback used before a database has been curated
+if (require.main === module) {
+  const { makePoolFromEnv } = require('../lib/job_runtime');
+  const pool = makePoolFromEnv();
+  runTokenCurationJob({}, { pool })
+    .then(async (result) => {
+      if (result.success) {
+        const active = await loadActiveTokens(pool);
+        fs.writeFileSync(path.join(process.cwd(), 'token_list_active.json'), JSON.stringify(active, null, 2));
+        console.log(`📝 Wrote ${active.length} tokens to token_list_active.json`);
+      }
+      await pool.end();
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(async (error) => {
+      console.error('❌ Token curation failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,92 @@
+// api/job_tvl_defi_hist_direct.js
+// Global DeFi TVL history using DeFiLlama Pro API - the whole daily series lands in clean.tvl_defi_hist
+// The series is small (one point per day since 2018), so every run is a full, idempotent backfill
+
+const { runJob, createHandler, parseIntParam } = require('../lib/job_runtime');
+const { writeRows } = require('../lib/batch_writer');
+const { llamaGet } = require('../lib/llama_client');
+const { withTransaction } = require('../lib/snapshot');
+
+const TVL_HIST_CONFIG = {
+  days: 0 // Newest points written per run; 0 = the full series
+};
+
+// Reruns overwrite the day - DeFiLlama revises recent points as adapters backfill
+const TVL_HIST_WRITE_SPEC = {
+  table: 'clean.tvl_defi_hist',
+  columns: ['date', 'tvl', 'inserted_at'],
+  conflictColumns: ['date'],
+  updateColumns: ['tvl', 'inserted_at']
+};
+
+/**
+ * Fetches the daily TVL series summed across every chain
+ *
+ * @param {string} apiKey
+ * @param {import('../lib/job_runtime').JobContext['log']} log  The run's logger, so the lines carry its job run id
+ */
+async function fetchGlobalTvlHistory(apiKey, log) {
+  log.info('📡 Fetching global DeFi TVL history from DeFiLlama Pro API');
+
+  const data = await llamaGet('/api/v2/historicalChainTvl', { apiKey });
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid API response format - expected array of daily TVL points');
+  }
+
+  log.info(`✅ Fetched ${data.length} days of global TVL`);
+  return data;
+}
+
+/**
+ * Backfills the global DeFi TVL series
+ *
+ * @param {{ days?: number|string }} params  days: newest points to write; 0 writes the whole series
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string }} options
+ * @returns {Promise<import('../lib/job_runtime').JobResult>}
+ */
+async function runTvlHistoryJob(params = {}, options = {}) {
+  return runJob('tvl_defi_hist_direct', { ...options, runIdPrefix: 'tvl_defi_hist', recordRun: true, params, archive: true }, async ({ pool, getApiKey, log, result }) => {
+    log.info('🚀 Starting Global DeFi TVL History Backfill...');
+
+    const days = parseIntParam(params.days, TVL_HIST_CONFIG.days);
+    const history = await fetchGlobalTvlHistory(getApiKey(), log);
+
+    const points = history
+      .filter(point => Number.isInteger(Number(point.date)) && typeof point.tvl === 'number' && Number.isFinite(point.tvl))
+      .sort((a, b) => Number(a.date) - Number(b.date));
+    const selected = days > 0 ? points.slice(-days) : points;
+    const skipped = history.length - points.length;
+
+    const insertedAt = new Date();
+    const client = await pool.connect();
+    try {
+      const { insertedCount, errorCount, rejects } = await withTransaction(client, () =>
+        writeRows(client, TVL_HIST_WRITE_SPEC, selected.map(point => [Number(point.date), point.tvl, insertedAt]), { savepoints: true })
+      );
+      for (const reject of rejects) {
+        log.error(`❌ Error inserting global TVL for ${selected[reject.index].date}:`, reject.error);
+      }
+
+      result.totalRecords = selected.length + skipped;
+      result.insertedRecords = insertedCount;
+      result.skippedRecords = skipped;
+      result.errorRecords = errorCount;
+      result.details = {
+        firstDate: selected.length ? Number(selected[0].date) : null,
+        lastDate: selected.length ? Number(selected[selected.length - 1].date) : null
+      };
+      result.message = 'Global DeFi TVL history backfill completed';
+
+      log.info('🎉 Global DeFi TVL History Backfill Complete!');
+      log.info(`✅ Inserted: ${insertedCount} days`);
+      log.info(`⏭️ Skipped: ${skipped} points without a date or TVL`);
+      log.info(`❌ Errors: ${errorCount} days`);
+    } finally {
+      client.release();
+    }
+  });
+}
+
+module.exports = createHandler((params) => runTvlHistoryJob(params));
+module.exports.config = { runtime: 'nodejs18.x' };
+module.exports.runTvlHistoryJob = runTvlHistoryJob;
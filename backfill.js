@@ -0,0 +1,57 @@
+// backfill.js
+// Resumable historical backfill CLI (same engine and datasets as /api/job_backfill)
+//   node backfill.js run --dataset fees --from 2025-09-01 --to 2025-09-30   fill the missing days of a range
+//   node backfill.js run --dataset token_prices --days 7 --granularity hour --batch-size 50
+//   node backfill.js status --dataset dex_volume --days 90                  list periods still to backfill
+// A killed or failed run resumes where it stopped when rerun with the same range; --force true refetches everything
+
+const { makePoolFromEnv } = require('./lib/job_runtime');
+const { runBackfillJob, runBackfillStatus } = require('./api/job_backfill');
+
+// --batch-size -> batchSize
+const toCamel = (key) => key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = toCamel(rest[i].replace(/^--/, ''));
+    options[key] = rest[i + 1];
+  }
+  return { command, options };
+}
+
+async function main(argv) {
+  const { command, options } = parseArgs(argv);
+  const pool = makePoolFromEnv();
+
+  try {
+    if (command === 'run') {
+      // No time budget (0) from the CLI - it runs until the range is done
+      const result = await runBackfillJob(options, { pool, timeBudgetMs: 0 });
+      if (!result.success) throw new Error(result.error || `${result.details?.progress?.failed} units failed - rerun to retry them`);
+      console.log(`✅ ${result.message}`);
+    } else if (command === 'status') {
+      const result = await runBackfillStatus(options, { pool });
+      if (!result.success) throw new Error(result.error);
+      const { gaps, ...summary } = result.details;
+      console.table([summary]);
+      if (gaps.length) console.table(gaps);
+    } else {
+      throw new Error(`Unknown command: ${command} (expected run or status)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
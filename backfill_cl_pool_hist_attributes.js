@@ -0,0 +1,108 @@
+// backfill_cl_pool_hist_attributes.js
+// Derives the migration 0022 pool attributes for update.cl_pool_hist rows collected before it (raw IS NULL):
+// apy_reward as apy - apy_base, and the pool attributes of lending markets from their latest lending snapshot.
+// Walks the table in id ranges, one short transaction per range, so live pool writes are never blocked for long
+//   node backfill_cl_pool_hist_attributes.js                                whole table
+//   node backfill_cl_pool_hist_attributes.js --batch-size 5000 --after-id 1200000   resume after a logged id
+// Rerunning is safe - every range derives the same values again
+
+const { makePoolFromEnv, parseIntParam } = require('./lib/job_runtime');
+const { withTransaction } = require('./lib/snapshot');
+
+const BACKFILL_CONFIG = {
+  batchSize: 10000 // Ids per range (and transaction)
+};
+
+async function deriveRange(client, afterId, upperId) {
+  // The API's apy is apy_base + apy_reward
+  const reward = await client.query(
+    `UPDATE update.cl_pool_hist
+     SET apy_reward = apy - apy_base
+     WHERE id > $1 AND id <= $2
+       AND raw IS NULL AND apy_reward IS NULL AND apy IS NOT NULL AND apy_base IS NOT NULL AND apy >= apy_base`,
+    [afterId, upperId]
+  );
+
+  // Lending markets share their pool id with /yields/pools - take the pool attributes from the market's latest lending
+  // snapshot at or before the pool snapshot
+  const lending = await client.query(
+    `UPDATE update.cl_pool_hist p
+     SET (stablecoin, il_risk, exposure, pool_meta, reward_tokens, underlying_tokens) = (
+       SELECT l.stablecoin, l.il_risk, l.exposure, l.pool_meta, l.reward_tokens, l.underlying_tokens
+       FROM update.lending_market_history l
+       WHERE l.pool_id = p.pool_id AND l.data_timestamp <= to_timestamp(p.ts / 1000.0)
+       ORDER BY l.data_timestamp DESC
+       LIMIT 1
+     )
+     WHERE p.id > $1 AND p.id <= $2
+       AND p.raw IS NULL AND EXISTS (SELECT 1 FROM update.lending_market_history l WHERE l.pool_id = p.pool_id)`,
+    [afterId, upperId]
+  );
+
+  return { reward: reward.rowCount, lending: lending.rowCount };
+}
+
+/**
+ * Derives the 0022 attributes range by range, up to the last row present when it starts
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ batchSize?: number|string, afterId?: number|string, log?: (...args: any[]) => void }} [options]
+ *        afterId: resume past this id; batchSize ids per range (BACKFILL_CONFIG default)
+ * @returns {Promise<{ ranges: number, reward: number, lending: number, lastId: number }>}
+ */
+async function backfillPoolAttributes(pool, options = {}) {
+  const batchSize = Math.max(1, parseIntParam(options.batchSize, BACKFILL_CONFIG.batchSize));
+  const log = options.log || console.log;
+  const totals = { ranges: 0, reward: 0, lending: 0, lastId: parseIntParam(options.afterId, 0) };
+
+  const client = await pool.connect();
+  try {
+    // Rows written from here on come from the extended collector and carry raw
+    const { rows: [{ maxId }] } = await client.query('SELECT COALESCE(MAX(id), 0)::bigint::float8 AS "maxId" FROM update.cl_pool_hist');
+
+    while (totals.lastId < maxId) {
+      const upperId = Math.min(totals.lastId + batchSize, maxId);
+      const counts = await withTransaction(client, () => deriveRange(client, totals.lastId, upperId));
+      totals.ranges++;
+      totals.reward += counts.reward;
+      totals.lending += counts.lending;
+      totals.lastId = upperId;
+      log(`📈 Ids up to ${upperId}/${maxId}: ${counts.reward} reward APYs, ${counts.lending} lending attributes`);
+    }
+  } finally {
+    client.release();
+  }
+  return totals;
+}
+
+// --batch-size -> batchSize
+const toCamel = (key) => key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    options[toCamel(argv[i].replace(/^--/, ''))] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main(argv) {
+  const pool = makePoolFromEnv();
+  try {
+    const totals = await backfillPoolAttributes(pool, parseArgs(argv));
+    console.log(`✅ ${totals.ranges} ranges: ${totals.reward} reward APYs and ${totals.lending} lending attributes derived`);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Pool attribute backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillPoolAttributes, main };
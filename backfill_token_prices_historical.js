@@ -1,188 +1,159 @@
 // backfill_token_prices_historical.js
 // Historical token price backfill for update.token_price_daily
 // Fills gap from 18+ days ago to current using DeFiLlama historical API
+// Prices pass the live job's quality gates (lib/price_validation.js) - rejected prints land in scrub.token_price_scrub
 
-const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
+const { writeRows } = require('./lib/batch_writer');
+const { llamaGet } = require('./lib/llama_client');
+const { toCoinId, loadActiveTokens } = require('./lib/token_universe');
+const { runBackfillEngine, GRANULARITY_MS } = require('./lib/backfill');
+const { withTransaction } = require('./lib/snapshot');
+const { createPriceValidator, loadPreviousPrices, quarantinePrices } = require('./lib/price_validation');
 
-const API_KEY = process.env.DEFILLAMA_API_KEY;
 const BATCH_SIZE = 20; // Tokens per API call (reduced to avoid URL length limits)
-const DELAY_BETWEEN_BATCHES_MS = 2000; // 2 seconds delay
-const MAX_CONCURRENCY = 3; // Parallel API calls
+const MAX_CONCURRENCY = 3; // Parallel API calls (pacing and retries live in the shared llama client)
 
 // Date range for backfill (18+ days of missing data)
-const END_DATE = new Date(); // Now
-const START_DATE = new Date();
-START_DATE.setDate(END_DATE.getDate() - 20); // Go back 20 days to be safe
-
-const pool = new Pool({
-  connectionString: process.env.SUPABASE_DB_URL,
-  ssl: {
-    rejectUnauthorized: false,
-  },
-});
-
-function generateJobRunId() {
-  return `backfill_historical_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
+const DEFAULT_DAYS_BACK = 20; // Go back 20 days to be safe
 
-// Get timestamps for each day in the backfill range
-function getBackfillTimestamps() {
-  const timestamps = [];
-  const current = new Date(START_DATE);
-  
-  while (current <= END_DATE) {
-    // Use noon UTC for each day to get daily prices
-    const noonUTC = new Date(current);
-    noonUTC.setUTCHours(12, 0, 0, 0);
-    timestamps.push(Math.floor(noonUTC.getTime() / 1000));
-    current.setDate(current.getDate() + 1);
-  }
-  
-  return timestamps;
-}
+const NOON_OFFSET_MS = 12 * 60 * 60 * 1000;
 
-async function fetchHistoricalPrices(coinIds, timestamp, apiKey) {
+async function fetchHistoricalPrices(coinIds, timestamp, apiKey, log) {
   const coinsParam = encodeURIComponent(coinIds.join(','));
-  // Use the historical endpoint format you suggested
-  const url = `https://pro-api.llama.fi/${apiKey}/coins/prices/historical/${timestamp}/${coinsParam}`;
   
-  console.log(`📡 Fetching ${coinIds.length} tokens for ${new Date(timestamp * 1000).toISOString()}`);
+  log.info(`📡 Fetching ${coinIds.length} tokens for ${new Date(timestamp * 1000).toISOString()}`);
   
-  const res = await fetch(url);
-  if (!res.ok) {
-    const text = await res.text().catch(() => '');
-    throw new Error(`${res.status} ${res.statusText}${text ? ` | ${text}` : ''}`);
-  }
-  
-  return res.json();
+  return llamaGet(`/coins/prices/historical/${timestamp}/${coinsParam}`, { apiKey });
 }
 
-async function insertHistoricalPrices(client, priceData, timestamp) {
-  const insertPromises = [];
-  
+const PRICE_WRITE_SPEC = {
+  table: 'update.token_price_daily',
+  columns: ['coin_id', 'symbol', 'confidence', 'decimals', 'price_timestamp', 'price_usd'],
+  conflictColumns: ['coin_id', 'price_timestamp'],
+  // inserted_at moves with every write so the promotion watermark picks up the backfilled points
+  updateColumns: ['symbol', 'confidence', 'decimals', 'price_usd', 'inserted_at'],
+  updateExpressions: { inserted_at: 'NOW()' }
+};
+
+// Priced coins of a /coins/prices/historical response, stored at the requested timestamp
+function toPriceRecords(priceData, timestamp) {
+  const records = [];
   for (const [coinId, priceInfo] of Object.entries(priceData.coins || {})) {
     if (typeof priceInfo?.price === 'number' && priceInfo.price > 0) {
-      const insertPromise = client.query(`
-        INSERT INTO update.token_price_daily (
-          coin_id, symbol, confidence, decimals, price_timestamp, price_usd
-        )
-        VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (coin_id, price_timestamp) DO UPDATE SET
-          symbol = EXCLUDED.symbol,
-          confidence = EXCLUDED.confidence,
-          decimals = EXCLUDED.decimals,
-          price_usd = EXCLUDED.price_usd
-      `, [
+      records.push({
         coinId,
-        priceInfo.symbol || null,
-        priceInfo.confidence || null,
-        priceInfo.decimals || null,
-        new Date(timestamp * 1000),
-        priceInfo.price
-      ]);
-      
-      insertPromises.push(insertPromise);
+        symbol: priceInfo.symbol || null,
+        confidence: priceInfo.confidence ?? null,
+        decimals: priceInfo.decimals ?? null,
+        tsSec: timestamp,
+        sourceTsSec: priceInfo.timestamp ?? timestamp,
+        price: priceInfo.price,
+        raw: priceInfo
+      });
     }
   }
-  
-  await Promise.all(insertPromises);
-  return insertPromises.length;
+  return records;
 }
 
-async function runBackfill() {
-  const jobRunId = generateJobRunId();
-  const startTime = Date.now();
-  
-  console.log(`🚀 Starting Historical Token Price Backfill: ${jobRunId}`);
-  console.log(`📅 Date range: ${START_DATE.toISOString()} → ${END_DATE.toISOString()}`);
-  
-  try {
-    // Load token list
-    const tokenListPath = path.join(process.cwd(), 'token_list_active.json'); // Use our optimized list
-    const tokens = JSON.parse(fs.readFileSync(tokenListPath, 'utf-8'));
-    console.log(`📋 Loaded ${tokens.length} active tokens`);
-    
-    // Convert to DeFiLlama coin ID format
-    const coinIds = tokens.map(token => `${token.chain}:${token.address}`);
-    
-    // Get all timestamps to backfill
-    const timestamps = getBackfillTimestamps();
-    console.log(`⏰ Processing ${timestamps.length} days of historical data`);
-    
+/**
+ * Runs a unit's prices through the live job's quality gates against the prices stored before its timestamp, upserts
+ * the accepted ones and quarantines the rest under the unit's run id - in one transaction
+ */
+async function insertHistoricalPrices(client, records, timestamp, unitResult, log) {
+  return withTransaction(client, async () => {
+    const previous = await loadPreviousPrices(client, records.map(r => r.coinId), new Date(timestamp * 1000));
+    const { accepted, rejected } = createPriceValidator().validate(records, previous);
+
+    const rows = accepted.map(r => [r.coinId, r.symbol, r.confidence, r.decimals, new Date(r.tsSec * 1000), r.price]);
+    const { insertedCount, rejects } = await writeRows(client, PRICE_WRITE_SPEC, rows, { savepoints: true });
+    for (const reject of rejects) {
+      log.error(`  ❌ Error inserting ${rows[reject.index][0]}: ${reject.error}`);
+    }
+
+    if (rejected.length) {
+      await quarantinePrices(client, rejected, unitResult.jobRunId, { savepoints: true });
+      log.warn(`  🧹 Quarantined ${rejected.length} prices: ${rejected.map(r => `${r.record.coinId} (${r.failures[0].code})`).join(', ')}`);
+    }
+    return { insertedCount, quarantined: rejected.length };
+  });
+}
+
+// Timestamp priced for a period: noon UTC for a day (its daily value), the period start for an hour
+const priceTimestamp = (unit) => new Date(unit.period.getTime() + (unit.granularity === 'day' ? NOON_OFFSET_MS : 0));
+
+/** @type {import('./lib/backfill').BackfillDataset} */
+const TOKEN_PRICE_DATASET = {
+  name: 'token_prices',
+  granularities: ['day', 'hour'],
+  defaultDays: DEFAULT_DAYS_BACK,
+  defaultBatchSize: BATCH_SIZE,
+  defaultConcurrency: MAX_CONCURRENCY,
+
+  // The curated active token list, optionally its first `limit` tokens; a restricted run (gap repair) prices its coin ids.
+  // Ids are normalized as the live job's, so backfilled prints land on the same coin_id (invalid addresses are dropped)
+  async prepare({ pool, params, entities, log }) {
+    if (entities) return { coinIds: entities };
+
+    const allTokens = await loadActiveTokens(pool);
+    const tokens = params.limit ? allTokens.slice(0, Number(params.limit)) : allTokens;
+    log.info(`📋 Loaded ${tokens.length} active tokens`);
+    return { coinIds: tokens.map(toCoinId).filter(Boolean) };
+  },
+
+  universe: (state) => state.coinIds,
+
+  // A period is present when any price sits at its timestamp - every restricted coin's price, for a restricted run
+  async existingPeriods(pool, { from, to, granularity, entities }) {
+    const offset = granularity === 'day' ? NOON_OFFSET_MS : 0;
+    const step = GRANULARITY_MS[granularity];
+    const { rows } = await pool.query(
+      `SELECT price_timestamp FROM update.token_price_daily
+       WHERE price_timestamp BETWEEN $1 AND $2 AND ($3::text[] IS NULL OR coin_id = ANY($3))
+       GROUP BY price_timestamp
+       HAVING $3::text[] IS NULL OR COUNT(DISTINCT coin_id) = cardinality($3::text[])`,
+      [new Date(from.getTime() + offset), new Date(to.getTime() + offset), entities]
+    );
+    return rows
+      .map(row => new Date(row.price_timestamp.getTime() - offset))
+      .filter(period => period.getTime() % step === 0);
+  },
+
+  async processUnit(unit, unitResult, { pool, getApiKey, log, state }) {
+    const batch = state.coinIds.slice(unit.offset, unit.offset + unit.limit);
+    const timestamp = Math.floor(priceTimestamp(unit).getTime() / 1000);
+
+    const priceData = await fetchHistoricalPrices(batch, timestamp, getApiKey(), log);
     const client = await pool.connect();
-    let totalRecords = 0;
-    let totalErrors = 0;
-    
     try {
-      // Process each timestamp
-      for (let i = 0; i < timestamps.length; i++) {
-        const timestamp = timestamps[i];
-        const date = new Date(timestamp * 1000).toISOString().split('T')[0];
-        
-        console.log(`\n📅 Day ${i + 1}/${timestamps.length}: ${date}`);
-        
-        // Process tokens in batches for this timestamp
-        const batches = [];
-        for (let j = 0; j < coinIds.length; j += BATCH_SIZE) {
-          batches.push(coinIds.slice(j, j + BATCH_SIZE));
-        }
-        
-        const batchPromises = batches.map(async (batch, batchIndex) => {
-          try {
-            await new Promise(resolve => setTimeout(resolve, batchIndex * 200)); // Stagger requests
-            const priceData = await fetchHistoricalPrices(batch, timestamp, API_KEY);
-            const recordsInserted = await insertHistoricalPrices(client, priceData, timestamp);
-            console.log(`  ✅ Batch ${batchIndex + 1}: ${recordsInserted} records`);
-            return recordsInserted;
-          } catch (error) {
-            console.error(`  ❌ Batch ${batchIndex + 1}: ${error.message}`);
-            return 0;
-          }
-        });
-        
-        // Wait for all batches for this day with concurrency limit
-        const results = [];
-        for (let k = 0; k < batchPromises.length; k += MAX_CONCURRENCY) {
-          const chunk = batchPromises.slice(k, k + MAX_CONCURRENCY);
-          const chunkResults = await Promise.all(chunk);
-          results.push(...chunkResults);
-        }
-        
-        const dayRecords = results.reduce((sum, count) => sum + count, 0);
-        totalRecords += dayRecords;
-        
-        console.log(`📊 Day ${i + 1} total: ${dayRecords} records`);
-        
-        // Delay between days
-        if (i < timestamps.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_BATCHES_MS));
-        }
-      }
-      
+      unitResult.totalRecords = batch.length;
+      const { insertedCount, quarantined } = await insertHistoricalPrices(client, toPriceRecords(priceData, timestamp), timestamp, unitResult, log);
+      unitResult.insertedRecords = insertedCount;
+      unitResult.skippedRecords = quarantined;
     } finally {
       client.release();
     }
-    
-    const processingTime = Date.now() - startTime;
-    
-    console.log(`\n🎉 HISTORICAL BACKFILL COMPLETE!`);
-    console.log(`📊 Total records inserted: ${totalRecords}`);
-    console.log(`📅 Days processed: ${timestamps.length}`);
-    console.log(`⏱️  Total time: ${(processingTime / 1000 / 60).toFixed(1)} minutes`);
-    console.log(`🎯 Average: ${(totalRecords / timestamps.length).toFixed(0)} records per day`);
-    
-  } catch (error) {
-    console.error(`❌ Backfill failed:`, error.message);
-    process.exit(1);
   }
+};
+
+/**
+ * Backfills one price per active token per day (noon UTC) or hour over the backfill range, resuming from checkpoints
+ *
+ * @param {{ days?: number, from?: string, to?: string, granularity?: string, limit?: number, entities?: string[]|string,
+ *           force?: boolean|string }} params
+ *        Days back from today (default 20) or an explicit from/to; first N tokens only, or only the given coin ids
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ * @returns {Promise<import('./lib/job_runtime').JobResult>}
+ */
+async function runBackfill(params = {}, options = {}) {
+  return runBackfillEngine(TOKEN_PRICE_DATASET, params, options);
 }
 
 // Run if called directly
 if (require.main === module) {
-  runBackfill().catch(console.error);
+  runBackfill().then((result) => {
+    console.log(`⏱️  Total time: ${(result.processingTimeMs / 1000 / 60).toFixed(1)} minutes`);
+    process.exit(result.success ? 0 : 1);
+  });
 }
 
-module.exports = { runBackfill };
+module.exports = { runBackfill, TOKEN_PRICE_DATASET };
@@ -1,12 +1,6 @@
-const { Pool } = require('pg');
-require('dotenv').config();
+const { makePoolFromEnv } = require('./lib/job_runtime');
 
-const pool = new Pool({
-  connectionString: process.env.SUPABASE_DB_URL,
-  ssl: {
-    rejectUnauthorized: false,
-  },
-});
+const pool = makePoolFromEnv();
 
 async function cleanLendingHistoryAfterSep20() {
   const client = await pool.connect();
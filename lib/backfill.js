@@ -0,0 +1,327 @@
+// lib/backfill.js
+// Resumable historical backfill engine shared by every backfillable dataset
+// A backfill covers a date range at a granularity (day / hour); each period is split into batches over the dataset's
+// universe, and every (period, batch) unit is checkpointed in meta.backfill_checkpoints as it finishes - under a hash of
+// the batch's entity ids, so a universe that changed between runs (curation) reruns the batches whose entities moved.
+// Reruns skip done units (resume after a crash or a time budget) and periods the dataset already has rows for (gaps only).
+
+const crypto = require('crypto');
+const { runJob, createJobResult, parseIntParam } = require('./job_runtime');
+const { planBatches, runWithConcurrency } = require('./batch_plan');
+
+const GRANULARITY_MS = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+/**
+ * @typedef {Object} BackfillUnit
+ * @property {Date} period          Start of the day / hour
+ * @property {string} date          'YYYY-MM-DD' of the period
+ * @property {string} granularity
+ * @property {number} offset        Slice of the universe (0 / null limit for datasets without batches)
+ * @property {number|null} limit
+ * @property {number} batchCount    Batches the period is split into
+ * @property {string} batchKey      Checkpoint key of the batch: hash of its entity ids ('' without batches)
+ */
+
+/**
+ * @typedef {Object} BackfillDataset
+ * @property {string} name
+ * @property {string[]} granularities                 Supported granularities, first is the default
+ * @property {number} [defaultDays]                 Range when neither from nor days is given (default 30)
+ * @property {number} [defaultBatchSize]              Universe items per batch
+ * @property {number} [defaultConcurrency]            Units in flight at once (default 1)
+ * @property {(params: Object) => string} [checkpointName]  Checkpoint key when params change what is written (default name)
+ * @property {(ctx: Object) => Promise<any>} [prepare]      Once per run (universe, shared API data); result is ctx.state.
+ *           ctx carries pool, getApiKey, log, params, granularity, from, to and entities (see parseEntities)
+ * @property {(state: any) => string[]} [universe]         Entity ids split into batches, in the order processUnit slices
+ *           them; omit for one unit per period
+ * @property {(pool: import('pg').Pool, range: { from: Date, to: Date, granularity: string, params: Object, entities: string[]|null }) => Promise<Date[]>} [existingPeriods]
+ *           Periods the target table already has rows for (for every entity, when restricted) - skipped unless force
+ * @property {(unit: BackfillUnit, unitResult: import('./job_runtime').JobResult, ctx: Object) => Promise<void>} processUnit
+ *           Writes one unit and fills unitResult's counters; throwing marks the unit failed (retried on the next run)
+ */
+
+/**
+ * Entity restriction of a run (params.entities as an array or comma list), or null for the dataset's whole universe.
+ * Gap repairs use it to refetch only the entities that are missing rows.
+ *
+ * @returns {string[]|null}
+ */
+function parseEntities(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const entities = (Array.isArray(value) ? value : String(value).split(',')).map(e => String(e).trim()).filter(Boolean);
+  return entities.length ? [...new Set(entities)].sort() : null;
+}
+
+const hashIds = (ids) => crypto.createHash('sha1').update(ids.join(',')).digest('hex').slice(0, 12);
+
+// Restricted runs checkpoint apart from full ones (and from each other), or a repair of a few entities would
+// mark whole periods done for the full backfill
+function resolveCheckpointName(dataset, params) {
+  const name = dataset.checkpointName ? dataset.checkpointName(params) : dataset.name;
+  const entities = parseEntities(params.entities);
+  if (!entities) return name;
+  return `${name}#${hashIds(entities)}`;
+}
+
+/**
+ * Resolves the range of a backfill: explicit from/to (ISO dates or datetimes), or `days` back from now
+ *
+ * @returns {{ from: Date, to: Date }}
+ */
+function resolveRange(params, defaultDays) {
+  const to = params.to ? new Date(params.to) : new Date();
+  const from = params.from
+    ? new Date(params.from)
+    : new Date(to.getTime() - parseIntParam(params.days, defaultDays) * GRANULARITY_MS.day);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new Error(`Invalid range: from=${params.from} to=${params.to}`);
+  }
+  if (from > to) throw new Error(`Invalid range: ${from.toISOString()} is after ${to.toISOString()}`);
+  return { from, to };
+}
+
+/**
+ * Start of every period from `from` to `to` (both floored to the granularity), inclusive
+ *
+ * @returns {Date[]}
+ */
+function listPeriods(from, to, granularity) {
+  const step = GRANULARITY_MS[granularity];
+  if (!step) throw new Error(`Invalid granularity: ${granularity} (expected ${Object.keys(GRANULARITY_MS).join(' or ')})`);
+
+  const periods = [];
+  for (let t = from.getTime() - (from.getTime() % step); t <= to.getTime(); t += step) {
+    periods.push(new Date(t));
+  }
+  return periods;
+}
+
+function resolveGranularity(dataset, value) {
+  const granularity = value || dataset.granularities[0];
+  if (!dataset.granularities.includes(granularity)) {
+    throw new Error(`Dataset ${dataset.name} does not support granularity ${granularity} (supports ${dataset.granularities.join(', ')})`);
+  }
+  return granularity;
+}
+
+async function loadCheckpoints(pool, name, granularity, from, to) {
+  const { rows } = await pool.query(
+    `SELECT period, batch_key, batch_count, status FROM meta.backfill_checkpoints
+     WHERE dataset = $1 AND granularity = $2 AND period BETWEEN $3 AND $4`,
+    [name, granularity, from, to]
+  );
+  return rows;
+}
+
+async function saveCheckpoint(pool, name, unit, unitResult, jobRunId) {
+  await pool.query(
+    `INSERT INTO meta.backfill_checkpoints (
+       dataset, period, granularity, batch_key, batch_offset, batch_limit, batch_count, status,
+       job_run_id, inserted_records, error_records, error_message
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     ON CONFLICT (dataset, granularity, period, batch_key) DO UPDATE SET
+       batch_offset = EXCLUDED.batch_offset,
+       batch_limit = EXCLUDED.batch_limit,
+       batch_count = EXCLUDED.batch_count,
+       status = EXCLUDED.status,
+       attempts = meta.backfill_checkpoints.attempts + 1,
+       job_run_id = EXCLUDED.job_run_id,
+       inserted_records = EXCLUDED.inserted_records,
+       error_records = EXCLUDED.error_records,
+       error_message = EXCLUDED.error_message,
+       updated_at = NOW()`,
+    [
+      name, unit.period, unit.granularity, unit.batchKey, unit.offset, unit.limit, unit.batchCount,
+      unitResult.success ? 'done' : 'failed', jobRunId,
+      unitResult.insertedRecords, unitResult.errorRecords, unitResult.error
+    ]
+  );
+}
+
+const periodKey = (period) => new Date(period).toISOString();
+
+/**
+ * Per-period state of a backfill range, without running anything:
+ * complete (every batch checkpointed done), failed, partial, present (rows exist but no backfill checkpointed it) or missing
+ *
+ * @param {BackfillDataset} dataset
+ * @param {{ from?: string, to?: string, days?: number|string, granularity?: string }} params
+ * @param {import('pg').Pool} pool
+ */
+async function getBackfillStatus(dataset, params, pool) {
+  const granularity = resolveGranularity(dataset, params.granularity);
+  const { from, to } = resolveRange(params, dataset.defaultDays || 30);
+  const periods = listPeriods(from, to, granularity);
+  const name = resolveCheckpointName(dataset, params);
+
+  const byPeriod = new Map();
+  for (const row of await loadCheckpoints(pool, name, granularity, periods[0], to)) {
+    const key = periodKey(row.period);
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(row);
+  }
+  // As in a run, checkpoints decide for the periods a backfill has touched
+  const present = new Set(
+    dataset.existingPeriods
+      ? (await dataset.existingPeriods(pool, { from: periods[0], to, granularity, params, entities: parseEntities(params.entities) }))
+        .map(periodKey)
+        .filter(key => !byPeriod.has(key))
+      : []
+  );
+
+  const counts = { present: 0, complete: 0, partial: 0, failed: 0, missing: 0 };
+  const gaps = [];
+  for (const period of periods) {
+    const key = periodKey(period);
+    const rows = byPeriod.get(key) || [];
+    const done = rows.filter(r => r.status === 'done').length;
+    let state;
+    if (present.has(key)) state = 'present';
+    else if (rows.length && done >= Math.max(...rows.map(r => r.batch_count))) state = 'complete';
+    else if (rows.some(r => r.status === 'failed')) state = 'failed';
+    else if (done > 0) state = 'partial';
+    else state = 'missing';
+    counts[state]++;
+    if (state !== 'present' && state !== 'complete') gaps.push({ period: key, state });
+  }
+
+  return { dataset: name, granularity, from: periods[0].toISOString(), to: to.toISOString(), periods: periods.length, ...counts, gaps };
+}
+
+/**
+ * Runs a dataset backfill over a range, resuming from its checkpoints
+ *
+ * @param {BackfillDataset} dataset
+ * @param {{ from?: string, to?: string, days?: number|string, granularity?: string, batchSize?: number|string,
+ *           concurrency?: number|string, force?: boolean|string }} params
+ *        force: also rerun done units and periods that already have rows; dataset-specific params pass through to it
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, timeBudgetMs?: number }} options
+ *        timeBudgetMs: stop starting new units after this long (the rest are picked up by the next run)
+ * @returns {Promise<import('./job_runtime').JobResult>}  details.progress reports units done, skipped and remaining
+ */
+async function runBackfillEngine(dataset, params = {}, options = {}) {
+  return runJob(`backfill_${dataset.name}`, {
+    ...options,
+    runIdPrefix: `backfill_${dataset.name}`,
+    recordRun: true,
+    params: { ...params, dataset: dataset.name }
+  }, async (ctx) => {
+    const { jobName, jobRunId, pool, getApiKey, log, result, recordBatch } = ctx;
+    const granularity = resolveGranularity(dataset, params.granularity);
+    const { from, to } = resolveRange(params, dataset.defaultDays || 30);
+    const name = resolveCheckpointName(dataset, params);
+    const entities = parseEntities(params.entities);
+    const force = params.force === true || params.force === 'true';
+    const runStart = Date.now();
+    const deadline = options.timeBudgetMs ? runStart + options.timeBudgetMs : Infinity;
+    const periods = listPeriods(from, to, granularity);
+
+    log.info(`📅 Backfilling ${name} by ${granularity}: ${periods[0].toISOString()} → ${to.toISOString()} (${periods.length} periods)`);
+
+    const checkpoints = force ? [] : await loadCheckpoints(pool, name, granularity, periods[0], to);
+    const checkpointed = new Set(checkpoints.map(row => periodKey(row.period)));
+    const done = new Set(checkpoints.filter(row => row.status === 'done').map(row => `${periodKey(row.period)}|${row.batch_key}`));
+
+    // Gap detection: closed periods the target already has rows for are not refetched. A period a backfill has
+    // checkpointed is left to its checkpoints - rows from its done batches must not hide a failed or unfinished one.
+    const closedUntil = runStart - GRANULARITY_MS[granularity];
+    const present = new Set(
+      !force && dataset.existingPeriods
+        ? (await dataset.existingPeriods(pool, { from: periods[0], to, granularity, params, entities }))
+          .filter(period => new Date(period).getTime() <= closedUntil)
+          .map(periodKey)
+          .filter(key => !checkpointed.has(key))
+        : []
+    );
+    const todo = periods.filter(period => !present.has(periodKey(period)));
+
+    const unitCtx = { pool, getApiKey, log, params, granularity, from: periods[0], to, entities, state: undefined };
+    unitCtx.state = todo.length && dataset.prepare ? await dataset.prepare(unitCtx) : undefined;
+
+    const batchSize = parseIntParam(params.batchSize, dataset.defaultBatchSize || 1);
+    const universe = dataset.universe && todo.length ? dataset.universe(unitCtx.state) : [];
+    const batches = dataset.universe
+      ? planBatches(universe.length, batchSize)
+        .map(batch => ({ ...batch, key: hashIds(universe.slice(batch.offset, batch.offset + batch.limit)) }))
+      : [{ batchNumber: 1, offset: 0, limit: null, key: '' }];
+
+    const units = [];
+    for (const period of todo) {
+      for (const batch of batches) {
+        if (done.has(`${periodKey(period)}|${batch.key}`)) continue;
+        units.push({
+          period,
+          date: periodKey(period).slice(0, 10),
+          granularity,
+          offset: batch.offset,
+          limit: batch.limit,
+          batchCount: batches.length,
+          batchKey: batch.key
+        });
+      }
+    }
+
+    const progress = {
+      periods: periods.length,
+      presentPeriods: present.size,
+      units: todo.length * batches.length,
+      alreadyDone: todo.length * batches.length - units.length,
+      processed: 0,
+      failed: 0,
+      remaining: units.length
+    };
+    result.details = { dataset: name, granularity, progress, complete: false };
+    log.info(`📋 ${units.length} units to run (${progress.alreadyDone} already done, ${present.size} periods already present)`);
+
+    const concurrency = parseIntParam(params.concurrency, dataset.defaultConcurrency || 1);
+    let sequence = 0;
+    await runWithConcurrency(units, concurrency, async (unit) => {
+      if (Date.now() >= deadline) return;
+
+      const batchNumber = ++sequence;
+      const label = `${unit.granularity === 'day' ? unit.date : periodKey(unit.period)}${unit.batchCount > 1 ? ` batch ${unit.offset}+${unit.limit}` : ''}`;
+      const unitStart = Date.now();
+      const unitResult = createJobResult(`${jobName}_unit`, `${jobRunId}_${batchNumber}`);
+
+      try {
+        await dataset.processUnit(unit, unitResult, unitCtx);
+        unitResult.success = true;
+      } catch (error) {
+        log.error(`❌ ${label}: ${error.message}`);
+        unitResult.error = error.message;
+        progress.failed++;
+      }
+      unitResult.finishedAt = new Date().toISOString();
+      unitResult.processingTimeMs = Date.now() - unitStart;
+
+      result.totalRecords += unitResult.totalRecords;
+      result.insertedRecords += unitResult.insertedRecords;
+      result.skippedRecords += unitResult.skippedRecords;
+      result.errorRecords += unitResult.errorRecords;
+
+      // A period that has not closed yet is never checkpointed done - its data keeps changing until it does
+      if (!unitResult.success || unit.period.getTime() + GRANULARITY_MS[granularity] <= runStart) {
+        await saveCheckpoint(pool, name, unit, unitResult, jobRunId)
+          .catch((e) => log.warn(`⚠️ Could not checkpoint ${label}:`, e.message));
+      }
+      await recordBatch({ batchNumber, offset: unit.offset, limit: unit.limit }, unitResult);
+
+      progress.processed++;
+      progress.remaining--;
+      log.info(`📈 ${label}: ${unitResult.insertedRecords} records - ${progress.processed}/${units.length} units (${Math.round(progress.processed / units.length * 100)}%)`);
+    });
+
+    result.details.complete = progress.remaining === 0 && progress.failed === 0;
+    result.message = progress.remaining > 0
+      ? `Time budget reached after ${progress.processed}/${units.length} units - rerun to resume`
+      : `Backfilled ${result.insertedRecords} records over ${progress.processed} units (${progress.failed} failed)`;
+
+    log.info(`🎉 ${result.message}`);
+    return progress.failed === 0;
+  });
+}
+
+module.exports = { runBackfillEngine, getBackfillStatus, resolveRange, listPeriods, parseEntities, GRANULARITY_MS };
@@ -0,0 +1,53 @@
+// lib/batch_plan.js
+// Splits a run's universe (tokens, pools, ...) into offset/limit batches and runs them with bounded concurrency
+// Dispatchers size the universe at run time, so nothing here depends on hand-maintained totals
+
+/**
+ * Plans offset/limit batches covering `total` items.
+ * The batch count comes from the target size; sizes are then evened out so the last batch isn't a sliver
+ * (2454 tokens at a target of 820 -> 3 x 818).
+ *
+ * @param {number} total
+ * @param {number} targetBatchSize
+ * @returns {Array<{ batchNumber: number, offset: number, limit: number }>}
+ */
+function planBatches(total, targetBatchSize) {
+  if (!(total > 0)) return [];
+  if (!(targetBatchSize > 0)) throw new Error(`Invalid target batch size: ${targetBatchSize}`);
+
+  const batchCount = Math.ceil(total / targetBatchSize);
+  const batchSize = Math.ceil(total / batchCount);
+
+  const batches = [];
+  for (let offset = 0; offset < total; offset += batchSize) {
+    batches.push({ batchNumber: batches.length + 1, offset, limit: Math.min(batchSize, total - offset) });
+  }
+  return batches;
+}
+
+/**
+ * Runs fn over items with at most maxConcurrency in flight; results keep the input order
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} maxConcurrency
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function runWithConcurrency(items, maxConcurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(1, maxConcurrency), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { planBatches, runWithConcurrency };
@@ -0,0 +1,112 @@
+// lib/batch_writer.js
+// Shared batched writer - multi-row INSERT ... VALUES with optional ON CONFLICT upsert
+// A failed chunk is retried row by row so bad rows are reported individually (like the old per-row loops)
+// Inside a transaction pass { savepoints: true } so a rejected statement does not abort the whole transaction
+
+// Postgres caps a single statement at 65535 bind parameters
+const MAX_PARAMS = 65535;
+const DEFAULT_CHUNK_SIZE = 500;
+
+/**
+ * @typedef {Object} WriteSpec
+ * @property {string} table               Fully-qualified table, e.g. 'update.cl_pool_hist'
+ * @property {string[]} columns           Column order of every row array
+ * @property {string[]} [conflictColumns] ON CONFLICT target; omit for a plain INSERT
+ * @property {string[]} [updateColumns]   Columns to overwrite on conflict; empty/omitted means DO NOTHING
+ * @property {Object<string, string>} [updateExpressions]  Column -> SQL expression used instead of EXCLUDED.<column>;
+ *                                        the stored row is aliased `t` (e.g. revision bookkeeping)
+ * @property {string} [updateWhere]       Only update when this holds (same `t` / EXCLUDED references)
+ * @property {string} [returning]         RETURNING list; the rows written come back in WriteResult.returned
+ * @property {number} [chunkSize]         Rows per statement (capped by the bind parameter limit)
+ */
+
+/**
+ * @typedef {Object} WriteResult
+ * @property {number} insertedCount
+ * @property {number} errorCount
+ * @property {{ index: number, error: string }[]} rejects  Index into the input rows
+ * @property {Object[]} [returned]        RETURNING rows of the inserted / updated rows, when spec.returning is set
+ */
+
+function buildInsertSql(spec, rowCount) {
+  const width = spec.columns.length;
+  const tuples = [];
+  for (let r = 0; r < rowCount; r++) {
+    const placeholders = [];
+    for (let c = 0; c < width; c++) placeholders.push(`$${r * width + c + 1}`);
+    tuples.push(`(${placeholders.join(', ')})`);
+  }
+
+  const expressions = spec.updateExpressions || {};
+  const aliased = Object.keys(expressions).length > 0 || Boolean(spec.updateWhere);
+
+  let sql = `INSERT INTO ${spec.table}${aliased ? ' AS t' : ''} (${spec.columns.join(', ')}) VALUES ${tuples.join(', ')}`;
+  if (spec.conflictColumns && spec.conflictColumns.length) {
+    const updates = (spec.updateColumns || []).map(col => `${col} = ${expressions[col] || `EXCLUDED.${col}`}`);
+    sql += ` ON CONFLICT (${spec.conflictColumns.join(', ')}) `;
+    sql += updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+    if (updates.length && spec.updateWhere) sql += ` WHERE ${spec.updateWhere}`;
+  }
+  if (spec.returning) sql += ` RETURNING ${spec.returning}`;
+  return sql;
+}
+
+// Runs one statement, guarded by a savepoint when the caller is inside a transaction
+async function execute(client, sql, params, savepoints) {
+  if (!savepoints) return client.query(sql, params);
+
+  await client.query('SAVEPOINT batch_writer');
+  try {
+    const res = await client.query(sql, params);
+    await client.query('RELEASE SAVEPOINT batch_writer');
+    return res;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT batch_writer');
+    throw error;
+  }
+}
+
+/**
+ * Writes rows in multi-row statements and reports per-row rejects
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {WriteSpec} spec
+ * @param {any[][]} rows  One array of values per row, in spec.columns order
+ * @param {{ savepoints?: boolean }} [options]
+ * @returns {Promise<WriteResult>}
+ */
+async function writeRows(client, spec, rows, options = {}) {
+  const savepoints = Boolean(options.savepoints);
+  const result = { insertedCount: 0, errorCount: 0, rejects: [] };
+  if (spec.returning) result.returned = [];
+  if (!rows.length) return result;
+
+  const maxRows = Math.floor(MAX_PARAMS / spec.columns.length);
+  const chunkSize = Math.max(1, Math.min(spec.chunkSize || DEFAULT_CHUNK_SIZE, maxRows));
+
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    try {
+      const res = await execute(client, buildInsertSql(spec, chunk.length), chunk.flat(), savepoints);
+      result.insertedCount += chunk.length;
+      if (spec.returning) result.returned.push(...res.rows);
+    } catch (chunkError) {
+      // Isolate the bad rows: one statement per row for this chunk only
+      const singleRowSql = buildInsertSql(spec, 1);
+      for (let i = 0; i < chunk.length; i++) {
+        try {
+          const res = await execute(client, singleRowSql, chunk[i], savepoints);
+          result.insertedCount++;
+          if (spec.returning) result.returned.push(...res.rows);
+        } catch (rowError) {
+          result.errorCount++;
+          result.rejects.push({ index: start + i, error: rowError.message });
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = { writeRows, buildInsertSql };
@@ -0,0 +1,76 @@
+// lib/bridges.js
+// Shared DeFiLlama bridges endpoints - the bridge list and daily deposit/withdrawal volume series
+// Used by api/job_bridges_direct.js (per bridge and chain) and api/job_bridge_overview_direct.js (all bridges)
+
+const { llamaGet } = require('./llama_client');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const num = (value) => {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Every bridge the API tracks, with the chains it runs on, ordered by id so offset/limit batches are stable
+ *
+ * @param {string} apiKey
+ * @param {import('./job_runtime').JobContext['log']} log  The run's logger, so the lines carry its job run id
+ * @returns {Promise<Array<{ id: number, name: string, chains: string[] }>>}
+ */
+async function fetchBridges(apiKey, log) {
+  log.info('📡 Fetching bridge list from /bridges/bridges');
+
+  const data = await llamaGet('/bridges/bridges', { apiKey, query: { includeChains: 'true' } });
+  if (!data || !Array.isArray(data.bridges)) {
+    throw new Error('Invalid API response format - expected bridges array');
+  }
+
+  const bridges = data.bridges
+    .filter(bridge => Number.isInteger(Number(bridge.id)))
+    .map(bridge => ({ ...bridge, id: Number(bridge.id), chains: Array.isArray(bridge.chains) ? bridge.chains : [] }))
+    .sort((a, b) => a.id - b.id);
+
+  log.info(`✅ Fetched ${bridges.length} bridges`);
+  return bridges;
+}
+
+/**
+ * Daily volume series for one chain ('all' for every chain), for one bridge or - without bridgeId - all bridges
+ *
+ * @returns {Promise<Array<{ day: string, depositUsd: number|null, withdrawUsd: number|null,
+ *                           depositTxs: number|null, withdrawTxs: number|null }>>}  Oldest first
+ */
+async function fetchBridgeVolume(apiKey, chain, bridgeId) {
+  const query = bridgeId === undefined ? undefined : { id: bridgeId };
+  const data = await llamaGet(`/bridges/bridgevolume/${encodeURIComponent(chain)}`, { apiKey, query });
+  if (!Array.isArray(data)) {
+    throw new Error(`Invalid API response format - expected array of daily volumes for ${chain}`);
+  }
+
+  return data
+    .filter(point => Number.isFinite(Number(point.date)))
+    .map(point => ({
+      day: new Date(Number(point.date) * 1000).toISOString().slice(0, 10),
+      depositUsd: num(point.depositUSD),
+      withdrawUsd: num(point.withdrawUSD),
+      depositTxs: num(point.depositTxs),
+      withdrawTxs: num(point.withdrawTxs)
+    }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Points of a daily series in the `days` days ending at endDay (inclusive); days = 0 keeps everything up to endDay
+ *
+ * @param {Array<{ day: string }>} points
+ * @param {Date} endDay
+ * @param {number} days
+ */
+function selectDays(points, endDay, days) {
+  const last = endDay.toISOString().slice(0, 10);
+  const first = days > 0 ? new Date(endDay.getTime() - (days - 1) * DAY_MS).toISOString().slice(0, 10) : '';
+  return points.filter(point => point.day >= first && point.day <= last);
+}
+
+module.exports = { fetchBridges, fetchBridgeVolume, selectDays, DAY_MS };
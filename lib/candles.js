@@ -0,0 +1,74 @@
+// lib/candles.js
+// Token price candle rollups - per-token OHLC buckets over update.token_price_daily
+// 1h candles aggregate the raw prints; 1d and 1w roll up the level below, so a recompute of a range rebuilds each level
+// from the one beneath it (the finer candles outside the range are already current - every source change is followed
+// by a recompute of its range, incrementally or through a rebuild).
+
+/**
+ * @typedef {Object} CandleLevel
+ * @property {string} name     1h | 1d | 1w
+ * @property {string} table
+ * @property {string} unit     date_trunc unit (UTC)
+ * @property {string} [from]   Finer level table it rolls up; omitted for the level built from the raw prints
+ */
+
+/** @type {CandleLevel[]} */
+const CANDLE_LEVELS = [
+  { name: '1h', table: 'clean.token_price_candles_1h', unit: 'hour' },
+  { name: '1d', table: 'clean.token_price_candles_1d', unit: 'day', from: 'clean.token_price_candles_1h' },
+  { name: '1w', table: 'clean.token_price_candles_1w', unit: 'week', from: 'clean.token_price_candles_1d' }
+];
+
+const CANDLE_COLUMNS = 'coin_id, bucket_start, open, high, low, close, sample_count, max_confidence, first_price_at, last_price_at';
+
+// Candles of the raw prints; the bucket's first / last print are its open / close
+const fromPricesSql = (level, bounds) => `
+  SELECT s.coin_id, date_trunc('${level.unit}', s.price_timestamp, 'UTC'),
+    (ARRAY_AGG(s.price_usd ORDER BY s.price_timestamp))[1], MAX(s.price_usd), MIN(s.price_usd),
+    (ARRAY_AGG(s.price_usd ORDER BY s.price_timestamp DESC))[1],
+    COUNT(*)::int, MAX(s.confidence), MIN(s.price_timestamp), MAX(s.price_timestamp)
+  FROM update.token_price_daily s, ${bounds} b
+  WHERE s.price_timestamp >= b.lo AND s.price_timestamp < b.hi AND s.price_usd > 0
+  GROUP BY s.coin_id, date_trunc('${level.unit}', s.price_timestamp, 'UTC')`;
+
+// Candles of the finer level's candles
+const fromCandlesSql = (level, bounds) => `
+  SELECT c.coin_id, date_trunc('${level.unit}', c.bucket_start, 'UTC'),
+    (ARRAY_AGG(c.open ORDER BY c.bucket_start))[1], MAX(c.high), MIN(c.low),
+    (ARRAY_AGG(c.close ORDER BY c.bucket_start DESC))[1],
+    SUM(c.sample_count)::int, MAX(c.max_confidence), MIN(c.first_price_at), MAX(c.last_price_at)
+  FROM ${level.from} c, ${bounds} b
+  WHERE c.bucket_start >= b.lo AND c.bucket_start < b.hi
+  GROUP BY c.coin_id, date_trunc('${level.unit}', c.bucket_start, 'UTC')`;
+
+/**
+ * Recomputes every level's buckets overlapping [from, to] - whole buckets, so a range starting mid-hour (or mid-week)
+ * still rebuilds the full candle. Run it inside a transaction so readers never see a half-rebuilt range.
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {{ from: string|Date, to: string|Date }} range
+ * @returns {Promise<Object<string, { candles: number, samples: number }>>}  Per level name
+ */
+async function rebuildCandles(client, { from, to }) {
+  const stats = {};
+  for (const level of CANDLE_LEVELS) {
+    const bounds = `(SELECT date_trunc('${level.unit}', $1::timestamptz, 'UTC') AS lo,
+      date_trunc('${level.unit}', $2::timestamptz, 'UTC') + INTERVAL '1 ${level.unit}' AS hi)`;
+
+    // Buckets whose prints are gone (e.g. quarantined after the fact) disappear rather than keep stale values
+    await client.query(
+      `DELETE FROM ${level.table} t USING ${bounds} b WHERE t.bucket_start >= b.lo AND t.bucket_start < b.hi`,
+      [from, to]
+    );
+    const { rows } = await client.query(
+      `INSERT INTO ${level.table} (${CANDLE_COLUMNS})
+       ${level.from ? fromCandlesSql(level, bounds) : fromPricesSql(level, bounds)}
+       RETURNING sample_count`,
+      [from, to]
+    );
+    stats[level.name] = { candles: rows.length, samples: rows.reduce((sum, row) => sum + row.sample_count, 0) };
+  }
+  return stats;
+}
+
+module.exports = { CANDLE_LEVELS, rebuildCandles };
@@ -0,0 +1,209 @@
+// lib/gaps.js
+// Gap detection and repair for the scheduled snapshot tables
+// Every entity (coin, pool) is expected to have a row in each schedule slot between its first and last row of the
+// scanned range; slots without one are grouped into missing windows, queued in meta.data_gaps and repaired through
+// the historical backfill engine restricted to the entities missing them.
+
+const { writeRows } = require('./batch_writer');
+const { withTransaction } = require('./snapshot');
+const { runBackfillEngine, GRANULARITY_MS } = require('./backfill');
+
+/**
+ * @typedef {Object} GapSpec
+ * @property {string} name                 meta.data_gaps dataset
+ * @property {string} table
+ * @property {string} entityColumn
+ * @property {string} tsColumn             Snapshot column
+ * @property {'timestamptz'|'epoch_ms'} tsType
+ * @property {number} intervalMs           Live schedule - one expected snapshot per slot
+ * @property {import('./backfill').BackfillDataset} backfill  Repairs the gaps (restricted to their entities)
+ * @property {string} repairGranularity    Granularity of the repair backfill
+ */
+
+/**
+ * @typedef {Object} Gap
+ * @property {string} entity_id
+ * @property {Date} gap_start        First missing slot
+ * @property {Date} gap_end          Last missing slot
+ * @property {number} missing_snapshots
+ */
+
+const GAP_WRITE_SPEC = {
+  table: 'meta.data_gaps',
+  columns: ['dataset', 'entity_id', 'gap_start', 'gap_end', 'missing_snapshots', 'last_detected_at'],
+  conflictColumns: ['dataset', 'entity_id', 'gap_start'],
+  updateColumns: ['gap_end', 'missing_snapshots', 'last_detected_at'],
+  // Settled gaps keep their record as it was repaired
+  updateWhere: "t.status IN ('queued', 'failed')"
+};
+
+// Epoch-ms SQL for the spec's snapshot column, and a timestamptz SQL expression in the column's own type
+const epochMsSql = (spec) => (spec.tsType === 'epoch_ms' ? spec.tsColumn : `(EXTRACT(EPOCH FROM ${spec.tsColumn}) * 1000)::bigint`);
+const columnValueSql = (spec, expr) => (spec.tsType === 'epoch_ms' ? `(EXTRACT(EPOCH FROM ${expr}) * 1000)::bigint` : expr);
+const columnValue = (spec, date) => (spec.tsType === 'epoch_ms' ? date.getTime() : date);
+
+/**
+ * Missing windows per entity between its first and last snapshot in the range.
+ * Windows inside a settled (repaired / unfilled) gap are not reported again - a repair at a coarser granularity than
+ * the schedule leaves slots empty by design - nor are windows strictly inside another recorded gap.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {GapSpec} spec
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<Gap[]>}
+ */
+async function detectGaps(pool, spec, { from, to }) {
+  const { rows } = await pool.query(
+    `WITH slots AS (
+       SELECT DISTINCT ${spec.entityColumn} AS entity_id, ${epochMsSql(spec)} / $3::bigint AS slot
+       FROM ${spec.table}
+       WHERE ${spec.tsColumn} BETWEEN $1 AND $2 AND ${spec.entityColumn} IS NOT NULL
+     ), runs AS (
+       SELECT entity_id, slot, LEAD(slot) OVER (PARTITION BY entity_id ORDER BY slot) AS next_slot FROM slots
+     ), gaps AS (
+       SELECT entity_id,
+         to_timestamp((slot + 1) * $3::bigint / 1000.0) AS gap_start,
+         to_timestamp((next_slot - 1) * $3::bigint / 1000.0) AS gap_end,
+         (next_slot - slot - 1)::int AS missing_snapshots
+       FROM runs
+       WHERE next_slot - slot > 1
+     )
+     SELECT g.* FROM gaps g
+     WHERE NOT EXISTS (
+       SELECT 1 FROM meta.data_gaps d
+       WHERE d.dataset = $4 AND d.entity_id = g.entity_id
+         AND g.gap_start >= d.gap_start AND g.gap_end <= d.gap_end
+         AND (d.status IN ('repaired', 'unfilled') OR d.gap_start < g.gap_start OR d.gap_end > g.gap_end)
+     )
+     ORDER BY g.entity_id, g.gap_start`,
+    [columnValue(spec, from), columnValue(spec, to), spec.intervalMs, spec.name]
+  );
+  return rows;
+}
+
+/**
+ * Queues detected gaps; a gap already queued or failed is refreshed in place
+ *
+ * @returns {Promise<{ newGaps: number }>}
+ */
+async function recordGaps(pool, spec, gaps) {
+  const detectedAt = new Date();
+  const rows = gaps.map(gap => [spec.name, gap.entity_id, gap.gap_start, gap.gap_end, gap.missing_snapshots, detectedAt]);
+
+  const client = await pool.connect();
+  try {
+    return await withTransaction(client, async () => {
+      const written = await writeRows(client, GAP_WRITE_SPEC, rows, { savepoints: true });
+      for (const reject of written.rejects) {
+        console.error(`❌ Error recording ${spec.name} gap for ${rows[reject.index][1]}:`, reject.error);
+      }
+      // detected_at defaults to NOW() - the transaction start - for exactly the gaps this scan added
+      const { rows: [{ count }] } = await client.query(
+        'SELECT COUNT(*)::int AS count FROM meta.data_gaps WHERE dataset = $1 AND detected_at = NOW()',
+        [spec.name]
+      );
+      return { newGaps: count };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Settles the gaps a repair backfill covered: repaired when rows now sit inside the window, unfilled when the backfill
+ * completed without any, failed when it did not complete
+ */
+async function settleGaps(pool, spec, gaps, run) {
+  const { rows } = await pool.query(
+    `UPDATE meta.data_gaps d SET
+       attempts = d.attempts + 1,
+       repair_job_run_id = $4,
+       filled_snapshots = f.filled,
+       status = CASE WHEN NOT $5 THEN 'failed' WHEN f.filled > 0 THEN 'repaired' ELSE 'unfilled' END,
+       error_message = $6,
+       repaired_at = CASE WHEN $5 THEN NOW() END
+     FROM (
+       SELECT g.entity_id, g.gap_start, (
+         SELECT COUNT(*)::int FROM ${spec.table} t
+         WHERE t.${spec.entityColumn} = g.entity_id
+           AND t.${spec.tsColumn} BETWEEN ${columnValueSql(spec, 'g.gap_start')} AND ${columnValueSql(spec, 'g.gap_end')}
+       ) AS filled
+       FROM meta.data_gaps g
+       JOIN unnest($2::text[], $3::timestamptz[]) AS k (entity_id, gap_start)
+         ON k.entity_id = g.entity_id AND k.gap_start = g.gap_start
+       WHERE g.dataset = $1
+     ) f
+     WHERE d.dataset = $1 AND d.entity_id = f.entity_id AND d.gap_start = f.gap_start
+     RETURNING d.status, d.filled_snapshots`,
+    [
+      spec.name,
+      gaps.map(g => g.entity_id),
+      gaps.map(g => g.gap_start),
+      run.jobRunId,
+      run.success,
+      run.success ? null : run.error || `${run.details?.progress?.failed} backfill units failed`
+    ]
+  );
+  return rows;
+}
+
+/**
+ * Repairs the queued gaps (and failed ones with attempts left) of one dataset, one backfill run per repair window
+ * with the entities missing it - an outage of every entity is a single run. Stops starting runs at the deadline;
+ * what is left stays queued, and a run cut short resumes from its checkpoints next time.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {GapSpec} spec
+ * @param {{ maxAttempts: number, deadline: number, parentRunId?: string, log: Object }} options
+ */
+async function repairGaps(pool, spec, { maxAttempts, deadline, parentRunId, log }) {
+  const { rows: gaps } = await pool.query(
+    `SELECT entity_id, gap_start, gap_end FROM meta.data_gaps
+     WHERE dataset = $1 AND (status = 'queued' OR (status = 'failed' AND attempts < $2))
+     ORDER BY gap_start, entity_id`,
+    [spec.name, maxAttempts]
+  );
+
+  const step = GRANULARITY_MS[spec.repairGranularity];
+  const floor = (date) => new Date(date.getTime() - (date.getTime() % step));
+  const windows = new Map();
+  for (const gap of gaps) {
+    const key = `${floor(gap.gap_start).toISOString()}|${floor(gap.gap_end).toISOString()}`;
+    if (!windows.has(key)) windows.set(key, { from: floor(gap.gap_start), to: gap.gap_end, gaps: [] });
+    const window = windows.get(key);
+    if (gap.gap_end > window.to) window.to = gap.gap_end;
+    window.gaps.push(gap);
+  }
+
+  const stats = { queued: gaps.length, repairRuns: 0, repaired: 0, unfilled: 0, failed: 0, pending: 0, filledSnapshots: 0 };
+  for (const window of windows.values()) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      stats.pending += window.gaps.length;
+      continue;
+    }
+
+    log.info(`🩹 Repairing ${window.gaps.length} ${spec.name} gaps: ${window.from.toISOString()} → ${window.to.toISOString()}`);
+    const run = await runBackfillEngine(spec.backfill, {
+      from: window.from.toISOString(),
+      to: window.to.toISOString(),
+      granularity: spec.repairGranularity,
+      entities: [...new Set(window.gaps.map(g => g.entity_id))]
+    }, { pool, parentRunId, timeBudgetMs: remainingMs });
+    stats.repairRuns++;
+
+    // Out of time part-way: the gaps stay queued and the checkpoints keep what was done
+    if (run.details?.progress?.remaining > 0) {
+      stats.pending += window.gaps.length;
+      continue;
+    }
+
+    for (const { status, filled_snapshots: filled } of await settleGaps(pool, spec, window.gaps, run)) {
+      stats[status]++;
+      stats.filledSnapshots += filled || 0;
+    }
+  }
+  return stats;
+}
+
+module.exports = { detectGaps, recordGaps, repairGaps };
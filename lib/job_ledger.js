@@ -0,0 +1,94 @@
+// lib/job_ledger.js
+// Persistent run ledger - writes meta.job_runs and meta.job_run_batches rows
+// Ledger writes never fail a job: callers log and carry on if the DB write errors
+
+/**
+ * Inserts the 'running' row for a run
+ */
+async function startRun(pool, { jobRunId, jobName, parentRunId, startedAt, params }) {
+  await pool.query(
+    `INSERT INTO meta.job_runs (job_run_id, job_name, parent_run_id, status, started_at, params)
+     VALUES ($1, $2, $3, 'running', $4, $5)
+     ON CONFLICT (job_run_id) DO NOTHING`,
+    [jobRunId, jobName, parentRunId || null, startedAt, params ? JSON.stringify(params) : null]
+  );
+}
+
+/**
+ * Closes a run with its final status and counts
+ *
+ * @param {import('pg').Pool} pool
+ * @param {import('./job_runtime').JobResult} result
+ */
+async function finishRun(pool, result) {
+  await pool.query(
+    `UPDATE meta.job_runs SET
+       status = $2,
+       finished_at = $3,
+       total_records = $4,
+       inserted_records = $5,
+       skipped_records = $6,
+       error_records = $7,
+       processing_time_ms = $8,
+       error_message = $9
+     WHERE job_run_id = $1`,
+    [
+      result.jobRunId,
+      result.success ? 'success' : 'failed',
+      result.finishedAt,
+      result.totalRecords,
+      result.insertedRecords,
+      result.skippedRecords,
+      result.errorRecords,
+      result.processingTimeMs,
+      result.error
+    ]
+  );
+}
+
+/**
+ * Records one batch of a run as a child row
+ *
+ * @param {import('pg').Pool} pool
+ * @param {string} jobRunId  Parent run
+ * @param {{ batchNumber: number, offset?: number, limit?: number }} batch
+ * @param {import('./job_runtime').JobResult} batchResult
+ */
+async function recordBatch(pool, jobRunId, batch, batchResult) {
+  await pool.query(
+    `INSERT INTO meta.job_run_batches (
+       job_run_id, batch_number, batch_job_run_id, batch_offset, batch_limit, status,
+       started_at, finished_at, total_records, inserted_records, skipped_records,
+       error_records, processing_time_ms, error_message
+     ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     ON CONFLICT (job_run_id, batch_number) DO UPDATE SET
+       batch_job_run_id = EXCLUDED.batch_job_run_id,
+       status = EXCLUDED.status,
+       started_at = EXCLUDED.started_at,
+       finished_at = EXCLUDED.finished_at,
+       total_records = EXCLUDED.total_records,
+       inserted_records = EXCLUDED.inserted_records,
+       skipped_records = EXCLUDED.skipped_records,
+       error_records = EXCLUDED.error_records,
+       processing_time_ms = EXCLUDED.processing_time_ms,
+       error_message = EXCLUDED.error_message`,
+    [
+      jobRunId,
+      batch.batchNumber,
+      batchResult.jobRunId,
+      batch.offset ?? null,
+      batch.limit ?? null,
+      batchResult.success ? 'success' : 'failed',
+      batchResult.startedAt,
+      batchResult.finishedAt,
+      batchResult.totalRecords,
+      batchResult.insertedRecords,
+      batchResult.skippedRecords,
+      batchResult.errorRecords,
+      batchResult.processingTimeMs,
+      batchResult.error
+    ]
+  );
+}
+
+module.exports = { startRun, finishRun, recordBatch };
@@ -0,0 +1,240 @@
+// lib/job_runtime.js
+// Shared job runtime - one DB config, API key handling, job_run_id, logger and result shape for every job
+// Jobs are plain async functions; Vercel handlers, dispatchers and local scripts all call them directly
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const ledger = require('./job_ledger');
+const { withRunContext, isReplaying } = require('./raw_archive');
+
+/**
+ * @typedef {Object} JobResult
+ * @property {boolean} success
+ * @property {string} jobName
+ * @property {string} jobRunId
+ * @property {string} startedAt        ISO timestamp
+ * @property {string|null} finishedAt  ISO timestamp
+ * @property {number} totalRecords
+ * @property {number} insertedRecords
+ * @property {number} skippedRecords
+ * @property {number} errorRecords
+ * @property {number} processingTimeMs
+ * @property {string|null} message
+ * @property {string|null} error
+ * @property {Object} details          Job-specific extras (batch info, per-batch results, ...)
+ */
+
+/**
+ * @typedef {Object} JobContext
+ * @property {string} jobName
+ * @property {string} jobRunId
+ * @property {import('pg').Pool} pool
+ * @property {() => string} getApiKey
+ * @property {{info: Function, warn: Function, error: Function}} log
+ * @property {JobResult} result
+ * @property {(batch: {batchNumber: number, offset?: number, limit?: number}, batchResult: JobResult) => Promise<void>} recordBatch
+ *           Writes a meta.job_run_batches child row when the run is recorded; no-op otherwise
+ */
+
+function generateJobRunId(prefix = 'job') {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Build a pg Pool from SUPABASE_DB_URL or PG* parts
+function makePoolFromEnv() {
+  const { SUPABASE_DB_URL } = process.env;
+  if (SUPABASE_DB_URL) {
+    return new Pool({
+      connectionString: SUPABASE_DB_URL,
+      ssl: { rejectUnauthorized: false },
+      statement_timeout: 0,
+      query_timeout: 0
+    });
+  }
+  const {
+    PGHOST, PGPORT, PGDATABASE, PGUSER, PGPASSWORD, PGSSLMODE
+  } = process.env;
+
+  if (!PGHOST || !PGPORT || !PGDATABASE || !PGUSER || !PGPASSWORD) {
+    throw new Error('Missing DB env: need SUPABASE_DB_URL or PGHOST/PGPORT/PGDATABASE/PGUSER/PGPASSWORD');
+  }
+
+  const sslRequired = (PGSSLMODE || '').toLowerCase() === 'require';
+  return new Pool({
+    host: PGHOST,
+    port: Number(PGPORT),
+    database: PGDATABASE,
+    user: PGUSER,
+    password: PGPASSWORD,
+    ssl: sslRequired ? { rejectUnauthorized: false } : undefined,
+    statement_timeout: 0,
+    query_timeout: 0
+  });
+}
+
+/**
+ * Returns the DeFiLlama Pro API key or throws if it is not configured
+ */
+function getApiKey() {
+  const { DEFILLAMA_API_KEY } = process.env;
+  if (!DEFILLAMA_API_KEY) {
+    throw new Error('DEFILLAMA_API_KEY environment variable is required');
+  }
+  return DEFILLAMA_API_KEY;
+}
+
+/**
+ * Console logger that prefixes every line with the job name and run id
+ */
+function createLogger(jobName, jobRunId) {
+  const prefix = `[${jobName}:${jobRunId}]`;
+  return {
+    info: (...args) => console.log(prefix, ...args),
+    warn: (...args) => console.warn(prefix, ...args),
+    error: (...args) => console.error(prefix, ...args)
+  };
+}
+
+/**
+ * @returns {JobResult}
+ */
+function createJobResult(jobName, jobRunId) {
+  return {
+    success: false,
+    jobName,
+    jobRunId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    totalRecords: 0,
+    insertedRecords: 0,
+    skippedRecords: 0,
+    errorRecords: 0,
+    processingTimeMs: 0,
+    message: null,
+    error: null,
+    details: {}
+  };
+}
+
+/**
+ * Runs a job body with a ready context and always returns a JobResult.
+ * The body fills ctx.result counters; a thrown error marks the run failed.
+ * Pass options.pool to share a connection pool (e.g. from a dispatcher) - it is not closed here.
+ * Pass options.recordRun to write the run to meta.job_runs (dispatchers and backfills do).
+ * Pass options.archive (collectors listed in api/job_replay.js) to archive the run's API responses with options.params,
+ * so the run can be replayed (lib/raw_archive.js). Dispatchers and backfills are never replayed and archive nothing.
+ *
+ * @param {string} jobName
+ * @param {{ pool?: import('pg').Pool, jobRunId?: string, runIdPrefix?: string,
+ *           recordRun?: boolean, parentRunId?: string, params?: Object, archive?: boolean }} options
+ * @param {(ctx: JobContext) => Promise<boolean|void>} body
+ * @returns {Promise<JobResult>}
+ */
+async function runJob(jobName, options, body) {
+  const startTime = Date.now();
+  const jobRunId = options.jobRunId || generateJobRunId(options.runIdPrefix);
+  const log = createLogger(jobName, jobRunId);
+  const result = createJobResult(jobName, jobRunId);
+  const ownsPool = !options.pool;
+  let pool = options.pool || null;
+  let recorded = false;
+
+  const recordBatch = async (batch, batchResult) => {
+    if (!recorded) return;
+    await ledger.recordBatch(pool, jobRunId, batch, batchResult)
+      .catch((e) => log.warn(`⚠️ Could not record batch ${batch.batchNumber} in ledger:`, e.message));
+  };
+
+  try {
+    if (!pool) pool = makePoolFromEnv();
+
+    if (options.recordRun) {
+      recorded = await ledger.startRun(pool, {
+        jobRunId,
+        jobName,
+        parentRunId: options.parentRunId,
+        startedAt: result.startedAt,
+        params: options.params
+      }).then(() => true, (e) => {
+        log.warn('⚠️ Could not record run start in ledger:', e.message);
+        return false;
+      });
+    }
+
+    // A replay is served from the archive and never calls the API, so it needs no key
+    const ctx = { jobName, jobRunId, pool, getApiKey: isReplaying() ? () => 'replay' : getApiKey, log, result, recordBatch };
+
+    const run = { pool, jobName, jobRunId, params: options.params, startedAt: result.startedAt, archive: Boolean(options.archive) };
+
+    // A body may return a boolean to decide success itself; otherwise finishing counts as success
+    const outcome = await withRunContext(run, () => body(ctx));
+    result.success = typeof outcome === 'boolean' ? outcome : true;
+  } catch (error) {
+    log.error('❌ Job failed:', error.message);
+    result.success = false;
+    result.error = error.message;
+  } finally {
+    result.finishedAt = new Date().toISOString();
+    result.processingTimeMs = Date.now() - startTime;
+
+    if (recorded) {
+      await ledger.finishRun(pool, result)
+        .catch((e) => log.warn('⚠️ Could not record run finish in ledger:', e.message));
+    }
+    if (ownsPool && pool) {
+      await pool.end().catch(() => {});
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Merges req.query and the URL search string into a plain params object
+ */
+function getRequestParams(req) {
+  const params = { ...(req?.query || {}) };
+  if (req?.url) {
+    const url = new URL(req.url, `http://${req.headers?.host || 'localhost'}`);
+    for (const [key, value] of url.searchParams) {
+      if (!(key in params)) params[key] = value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Wraps a job function as a Vercel handler: 200 with the JobResult on success, 500 otherwise.
+ * Errors thrown before the job body runs (param parsing, pool setup) still answer with a failed JobResult.
+ *
+ * @param {(params: Object) => Promise<JobResult>} jobFn
+ */
+function createHandler(jobFn) {
+  return async function handler(req, res) {
+    let result;
+    try {
+      result = await jobFn(getRequestParams(req));
+    } catch (error) {
+      console.error('❌ Handler failed:', error.message);
+      result = { ...createJobResult(null, null), finishedAt: new Date().toISOString(), error: error.message };
+    }
+    return res.status(result.success ? 200 : 500).json(result);
+  };
+}
+
+function parseIntParam(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+module.exports = {
+  generateJobRunId,
+  makePoolFromEnv,
+  getApiKey,
+  createLogger,
+  createJobResult,
+  runJob,
+  getRequestParams,
+  createHandler,
+  parseIntParam
+};
@@ -0,0 +1,152 @@
+// lib/llama_client.js
+// Shared DeFiLlama Pro API client - per-request timeout, bounded exponential retry with jitter,
+// Retry-After handling and one process-wide rate limiter. The API key never appears in errors or logs.
+// Responses fetched inside a job run are archived, and a replay answers from the archive (lib/raw_archive.js).
+
+const { getApiKey } = require('./job_runtime');
+const { archiveResponse, replayedResponse } = require('./raw_archive');
+
+const BASE_URL = (process.env.DEFILLAMA_API_BASE_URL || 'https://pro-api.llama.fi').replace(/\/+$/, '');
+
+const DEFAULTS = {
+  timeoutMs: Number(process.env.DEFILLAMA_TIMEOUT_MS) || 30000,
+  maxRetries: process.env.DEFILLAMA_MAX_RETRIES !== undefined ? Number(process.env.DEFILLAMA_MAX_RETRIES) : 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Minimum spacing between request starts across the whole process (replaces per-job sleeps)
+const MIN_INTERVAL_MS = Number(process.env.DEFILLAMA_MIN_INTERVAL_MS) || 120;
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+class LlamaApiError extends Error {
+  constructor(message, { status = null, path = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'LlamaApiError';
+    this.status = status;
+    this.path = path;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+let nextSlotAt = 0;
+
+// Reserve the next request slot; concurrent callers queue up behind each other
+async function acquireSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotAt);
+  nextSlotAt = slot + MIN_INTERVAL_MS;
+  if (slot > now) await sleep(slot - now);
+}
+
+// Hold every caller back until ts (used when the API tells us to back off)
+function pauseUntil(ts) {
+  nextSlotAt = Math.max(nextSlotAt, ts);
+}
+
+/**
+ * Replaces every occurrence of the API key in a string
+ */
+function redact(text, apiKey) {
+  if (!text) return text;
+  const key = apiKey || process.env.DEFILLAMA_API_KEY;
+  return key ? String(text).split(key).join('[API_KEY]') : String(text);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, opts) {
+  const exp = Math.min(opts.maxDelayMs, opts.baseDelayMs * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2)); // "equal jitter"
+}
+
+async function attempt(url, path, opts) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), opts.timeoutMs);
+
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      const error = new LlamaApiError(
+        `${res.status} ${res.statusText}${text ? ` | ${text.slice(0, 500)}` : ''}`,
+        { status: res.status, path, retryable: RETRYABLE_STATUS.has(res.status) }
+      );
+      error.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      throw error;
+    }
+    const text = await res.text();
+    return { text, body: JSON.parse(text) };
+  } catch (error) {
+    if (error instanceof LlamaApiError) throw error;
+    if (error.name === 'AbortError') {
+      throw new LlamaApiError(`Request timed out after ${opts.timeoutMs}ms`, { path, retryable: true });
+    }
+    if (error instanceof SyntaxError) {
+      throw new LlamaApiError(`Invalid JSON response: ${error.message}`, { path });
+    }
+    // Network-level failure (DNS, reset, ...)
+    throw new LlamaApiError(`Network error: ${error.message}`, { path, retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * GET a Pro API path (e.g. '/yields/poolsBorrow') and return the parsed JSON body
+ *
+ * @param {string} path    Path after the API key segment, leading slash included
+ * @param {{ apiKey?: string, query?: Object, timeoutMs?: number, maxRetries?: number, maxDelayMs?: number }} [options]
+ * @returns {Promise<any>}
+ */
+async function llamaGet(path, options = {}) {
+  const replayed = replayedResponse(path, options.query);
+  if (replayed !== undefined) return replayed;
+
+  const apiKey = options.apiKey || getApiKey();
+  const opts = { ...DEFAULTS, ...options };
+
+  let url = `${BASE_URL}/${apiKey}${path}`;
+  if (options.query) {
+    const qs = new URLSearchParams(options.query).toString();
+    if (qs) url += `${url.includes('?') ? '&' : '?'}${qs}`;
+  }
+
+  for (let i = 0; ; i++) {
+    await acquireSlot();
+    try {
+      const { text, body } = await attempt(url, path, opts);
+      archiveResponse(path, options.query, text);
+      return body;
+    } catch (error) {
+      error.message = redact(error.message, apiKey);
+      if (!error.retryable || i >= opts.maxRetries) {
+        error.message = `DeFiLlama ${redact(path, apiKey)} failed after ${i + 1} attempt(s): ${error.message}`;
+        throw error;
+      }
+
+      // A Retry-After longer than our own backoff cap would outlast the function timeout - give up instead of sleeping
+      if (error.retryAfterMs > opts.maxDelayMs) {
+        error.message = `DeFiLlama ${redact(path, apiKey)} asked to retry after ${error.retryAfterMs}ms (max ${opts.maxDelayMs}ms): ${error.message}`;
+        throw error;
+      }
+
+      const delay = error.retryAfterMs ?? backoffDelay(i, opts);
+      if (error.status === 429) pauseUntil(Date.now() + delay);
+      console.warn(`⏳ DeFiLlama ${redact(path, apiKey)} ${error.message} - retry ${i + 1}/${opts.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { llamaGet, LlamaApiError, redact };
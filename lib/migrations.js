@@ -0,0 +1,196 @@
+// lib/migrations.js
+// Ordered SQL migrations tracked in public.schema_migrations
+// Files live in migrations/ as NNNN_name.up.sql (+ optional NNNN_name.down.sql); each one runs in its own transaction
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withTransaction } = require('./snapshot');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes concurrent runners (two deploys, a deploy and a local run, ...)
+const LOCK_KEY = 7283410051;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version   Four-digit prefix, e.g. '0002'
+ * @property {string} name      e.g. 'baseline_update_tables'
+ * @property {string} up        SQL
+ * @property {string|null} down SQL, or null when the migration is irreversible
+ * @property {string} checksum  sha256 of the up SQL
+ */
+
+/**
+ * Reads migration files from dir, ordered by version
+ *
+ * @param {string} [dir]
+ * @returns {Migration[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.sql')) continue;
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Unexpected file in migrations/: ${file} (expected NNNN_name.up.sql / NNNN_name.down.sql)`);
+    }
+    const [, version, name, direction] = match;
+
+    const migration = byVersion.get(version) || { version, name, up: null, down: null, checksum: null };
+    if (migration.name !== name) {
+      throw new Error(`Duplicate migration version ${version}: ${migration.name} and ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf-8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+  for (const migration of migrations) {
+    if (migration.up === null) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has a down file but no up file`);
+    }
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM public.schema_migrations ORDER BY version');
+  return rows;
+}
+
+// Check out a client holding the migration lock for the duration of fn
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Applied and pending migrations, flagging applied files that were edited afterwards
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<Array<{ version: string, name: string, appliedAt: Date|null, modified: boolean, missing: boolean }>>}
+ */
+async function status(pool, options = {}) {
+  const migrations = loadMigrations(options.dir);
+  return withLock(pool, async (client) => {
+    const applied = new Map((await getApplied(client)).map(row => [row.version, row]));
+    const rows = migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+      modified: applied.has(m.version) && applied.get(m.version).checksum !== m.checksum,
+      missing: false
+    }));
+    // Applied in the database but no longer on disk
+    for (const row of applied.values()) {
+      if (!migrations.some(m => m.version === row.version)) {
+        rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, modified: false, missing: true });
+      }
+    }
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+/**
+ * Applies pending migrations in order, up to and including `to` when given
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ dir?: string, to?: string, log?: (msg: string) => void }} [options]
+ * @returns {Promise<string[]>} Applied migrations as 'NNNN_name'
+ */
+async function migrateUp(pool, options = {}) {
+  const { to, log = console.log } = options;
+  const migrations = loadMigrations(options.dir);
+
+  return withLock(pool, async (client) => {
+    const applied = new Map((await getApplied(client)).map(row => [row.version, row]));
+
+    for (const m of migrations) {
+      const row = applied.get(m.version);
+      if (row && row.checksum !== m.checksum) {
+        throw new Error(`Migration ${m.version}_${m.name} was edited after it was applied - add a new migration instead`);
+      }
+    }
+
+    const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+    const done = [];
+    for (const m of pending) {
+      log(`⬆️  ${m.version}_${m.name}`);
+      await withTransaction(client, async () => {
+        await client.query(m.up);
+        await client.query(
+          'INSERT INTO public.schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [m.version, m.name, m.checksum]
+        );
+      }).catch((error) => {
+        throw new Error(`Migration ${m.version}_${m.name} failed: ${error.message}`);
+      });
+      done.push(`${m.version}_${m.name}`);
+    }
+    return done;
+  });
+}
+
+/**
+ * Reverts applied migrations newest first - the last `steps` (default 1), or everything after `to`
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ dir?: string, steps?: number, to?: string, log?: (msg: string) => void }} [options]
+ * @returns {Promise<string[]>} Reverted migrations as 'NNNN_name'
+ */
+async function migrateDown(pool, options = {}) {
+  const { to, steps = 1, log = console.log } = options;
+  const migrations = new Map(loadMigrations(options.dir).map(m => [m.version, m]));
+
+  return withLock(pool, async (client) => {
+    const applied = (await getApplied(client)).reverse();
+    const targets = to !== undefined
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, steps);
+
+    const done = [];
+    for (const row of targets) {
+      const m = migrations.get(row.version);
+      if (!m) throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      if (m.down === null) throw new Error(`Migration ${m.version}_${m.name} has no down file`);
+
+      log(`⬇️  ${m.version}_${m.name}`);
+      await withTransaction(client, async () => {
+        await client.query(m.down);
+        await client.query('DELETE FROM public.schema_migrations WHERE version = $1', [m.version]);
+      }).catch((error) => {
+        throw new Error(`Reverting ${m.version}_${m.name} failed: ${error.message}`);
+      });
+      done.push(`${m.version}_${m.name}`);
+    }
+    return done;
+  });
+}
+
+module.exports = { loadMigrations, status, migrateUp, migrateDown, MIGRATIONS_DIR };
@@ -0,0 +1,271 @@
+// lib/overview.js
+// Shared collector for DeFiLlama's /api/overview/{type} endpoints (fees, dexs)
+// Live mode stores the endpoint's rolling totals per protocol for the day; backfill mode rebuilds them
+// day by day from the per-protocol daily breakdown chart. Either way a row for day D holds the totals as read on D:
+// total_24h is the last complete UTC day (D - 1), the one the live endpoint's total24h reports
+
+const { writeRows } = require('./batch_writer');
+const { llamaGet } = require('./llama_client');
+const { withTransaction } = require('./snapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} OverviewSpec
+ * @property {string} type                 /api/overview/{type}
+ * @property {string} table
+ * @property {string} dayColumn            Column holding the day the row belongs to
+ * @property {(date: string) => any} dayValue  'YYYY-MM-DD' -> dayColumn value
+ * @property {string} daySql             SQL for the UTC date of dayColumn (gap detection)
+ * @property {string[]} conflictColumns    Natural key (includes dayColumn)
+ * @property {(protocol: Object, extra: Object) => Object} metadata  Descriptive columns for one protocol entry
+ */
+
+// Column -> overview protocol field, rolling totals and changes as the live endpoint reports them
+const METRIC_FIELDS = {
+  total_24h: 'total24h',
+  total_48h_to_24h: 'total48hto24h',
+  total_7d: 'total7d',
+  total_14d_to_7d: 'total14dto7d',
+  total_30d: 'total30d',
+  total_60d_to_30d: 'total60dto30d',
+  total_1y: 'total1y',
+  total_all_time: 'totalAllTime',
+  average_1y: 'average1y',
+  monthly_average_1y: 'monthlyAverage1y',
+  change_1d: 'change_1d',
+  change_7d: 'change_7d',
+  change_1m: 'change_1m',
+  change_7d_over_7d: 'change_7dover7d',
+  change_30d_over_30d: 'change_30dover30d',
+  total_7_days_ago: 'total7DaysAgo',
+  total_30_days_ago: 'total30DaysAgo'
+};
+
+// Per-chain splits of the live totals; a backfilled day has none
+const BREAKDOWN_FIELDS = { breakdown_24h: 'breakdown24h', breakdown_30d: 'breakdown30d' };
+
+const num = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const json = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+function protocolKey(protocol) {
+  const id = protocol.defillamaId ?? protocol.id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Fetches an overview; breakdown adds the per-protocol daily chart used by backfills
+ *
+ * @param {string} apiKey
+ * @param {string} type  'fees' | 'dexs'
+ * @param {{ dataType?: string, breakdown?: boolean }} [options]
+ */
+async function fetchOverview(apiKey, type, { dataType, breakdown = false } = {}) {
+  console.log(`📡 Fetching /api/overview/${type}${dataType ? ` (${dataType})` : ''} from DeFiLlama Pro API`);
+
+  const query = {
+    excludeTotalDataChart: 'true',
+    excludeTotalDataChartBreakdown: breakdown ? 'false' : 'true'
+  };
+  if (dataType) query.dataType = dataType;
+
+  const data = await llamaGet(`/api/overview/${type}`, { apiKey, query });
+  if (!data || !Array.isArray(data.protocols)) {
+    throw new Error(`Invalid API response format - expected protocols array from /api/overview/${type}`);
+  }
+  if (breakdown && !Array.isArray(data.totalDataChartBreakdown)) {
+    throw new Error(`Invalid API response format - expected totalDataChartBreakdown from /api/overview/${type}`);
+  }
+
+  console.log(`✅ Fetched ${data.protocols.length} protocols`);
+  return data;
+}
+
+function writeSpec(spec, columns) {
+  return {
+    table: spec.table,
+    columns,
+    conflictColumns: spec.conflictColumns,
+    updateColumns: columns.filter(col => !spec.conflictColumns.includes(col))
+  };
+}
+
+// Turns column -> value objects into rows of one shared column order and writes them
+async function upsertRecords(client, spec, records) {
+  if (!records.length) return { insertedCount: 0, errorCount: 0, rejects: [] };
+  const columns = Object.keys(records[0]);
+  return writeRows(client, writeSpec(spec, columns), records.map(record => columns.map(col => record[col])), { savepoints: true });
+}
+
+/**
+ * Upserts the live overview totals of every protocol under one day
+ *
+ * @returns {Promise<{ totalRecords: number, insertedCount: number, errorCount: number, skipped: number, rejects: Array }>}
+ */
+async function writeLiveDay(client, spec, protocols, date, extra = {}) {
+  const insertedAt = new Date();
+  const records = [];
+  let skipped = 0;
+
+  for (const protocol of protocols) {
+    if (!protocolKey(protocol)) {
+      skipped++;
+      continue;
+    }
+    const record = { ...spec.metadata(protocol, extra) };
+    for (const [column, field] of Object.entries(METRIC_FIELDS)) record[column] = num(protocol[field]);
+    for (const [column, field] of Object.entries(BREAKDOWN_FIELDS)) record[column] = json(protocol[field]);
+    record[spec.dayColumn] = spec.dayValue(date);
+    record.inserted_at = insertedAt;
+    records.push(record);
+  }
+
+  const written = await upsertRecords(client, spec, records);
+  return { totalRecords: protocols.length, skipped, records, ...written };
+}
+
+/**
+ * Indexes totalDataChartBreakdown ([[unixSeconds, { <protocol name>: value }], ...]) as name -> 'YYYY-MM-DD' -> value
+ *
+ * @returns {Map<string, Map<string, number>>}
+ */
+function indexBreakdown(chart) {
+  const byName = new Map();
+  for (const [ts, values] of chart) {
+    const date = new Date(Number(ts) * 1000).toISOString().slice(0, 10);
+    for (const [name, value] of Object.entries(values || {})) {
+      if (num(value) === null) continue;
+      if (!byName.has(name)) byName.set(name, new Map());
+      byName.get(name).set(date, value);
+    }
+  }
+  return byName;
+}
+
+/**
+ * Rolling totals for one protocol as the live endpoint would have read them on `date`, from its daily series:
+ * windows end with the day before, the last complete one (only the windows the series can answer; the rest stay null)
+ */
+function metricsAsOf(series, date) {
+  const dayMs = Date.parse(`${date}T00:00:00Z`);
+  const valueDaysAgo = (k) => series.get(new Date(dayMs - k * DAY_MS).toISOString().slice(0, 10)) ?? null;
+  const sumDaysAgo = (from, to) => {
+    let sum = null;
+    for (let k = from; k <= to; k++) {
+      const value = valueDaysAgo(k);
+      if (value !== null) sum = (sum ?? 0) + value;
+    }
+    return sum;
+  };
+
+  const last = valueDaysAgo(1);
+  const before = valueDaysAgo(2);
+  const metrics = Object.fromEntries(Object.keys(METRIC_FIELDS).map(column => [column, null]));
+  return {
+    ...metrics,
+    total_24h: last,
+    total_48h_to_24h: before,
+    total_7d: sumDaysAgo(1, 7),
+    total_14d_to_7d: sumDaysAgo(8, 14),
+    total_30d: sumDaysAgo(1, 30),
+    total_60d_to_30d: sumDaysAgo(31, 60),
+    change_1d: last !== null && before ? ((last - before) / before) * 100 : null,
+    total_7_days_ago: valueDaysAgo(8),
+    total_30_days_ago: valueDaysAgo(31)
+  };
+}
+
+/**
+ * Upserts one backfilled day: a row for every protocol with a value on the day before in the breakdown chart.
+ * Chart series are keyed by protocol name; series without a matching protocol entry are counted as skipped.
+ */
+async function writeBackfillDay(client, spec, protocols, breakdown, date, extra = {}) {
+  const byName = new Map();
+  for (const protocol of protocols) {
+    if (!protocolKey(protocol)) continue;
+    if (protocol.name) byName.set(protocol.name, protocol);
+    if (protocol.displayName && !byName.has(protocol.displayName)) byName.set(protocol.displayName, protocol);
+  }
+
+  const insertedAt = new Date();
+  const records = [];
+  let skipped = 0;
+  let total = 0;
+
+  const lastDay = new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+  for (const [name, series] of breakdown) {
+    if (!series.has(lastDay)) continue;
+    total++;
+    const protocol = byName.get(name);
+    if (!protocol) {
+      skipped++;
+      continue;
+    }
+    const record = { ...spec.metadata(protocol, extra), ...metricsAsOf(series, date) };
+    for (const column of Object.keys(BREAKDOWN_FIELDS)) record[column] = null;
+    record[spec.dayColumn] = spec.dayValue(date);
+    record.inserted_at = insertedAt;
+    records.push(record);
+  }
+
+  const written = await upsertRecords(client, spec, records);
+  return { totalRecords: total, skipped, records, ...written };
+}
+
+/**
+ * Backfill dataset rebuilding days of an overview type from its breakdown chart, one unit per day.
+ * A day is already present when the spec's table has rows for it (matching `where`, e.g. the data type).
+ *
+ * @param {string} name
+ * @param {OverviewSpec} spec
+ * @param {{ extra?: (params: Object) => Object, where?: (params: Object) => { sql: string, values: any[] } }} [options]
+ *        extra: per-run metadata for spec.metadata (resolved once in prepare); where: filter for existing rows
+ * @returns {import('./backfill').BackfillDataset}
+ */
+function overviewBackfillDataset(name, spec, { extra = () => ({}), where } = {}) {
+  return {
+    name,
+    granularities: ['day'],
+    async prepare({ getApiKey, params }) {
+      const resolved = extra(params);
+      const overview = await fetchOverview(getApiKey(), spec.type, { ...resolved, breakdown: true });
+      return { extra: resolved, protocols: overview.protocols, breakdown: indexBreakdown(overview.totalDataChartBreakdown) };
+    },
+    async existingPeriods(pool, { from, to, params }) {
+      const filter = where ? where(params) : { sql: 'TRUE', values: [] };
+      const { rows } = await pool.query(
+        `SELECT DISTINCT (${spec.daySql})::text AS day FROM ${spec.table}
+         WHERE (${spec.daySql}) BETWEEN $1::date AND $2::date AND ${filter.sql}`,
+        [from.toISOString().slice(0, 10), to.toISOString().slice(0, 10), ...filter.values]
+      );
+      return rows.map(row => new Date(`${row.day}T00:00:00.000Z`));
+    },
+    async processUnit(unit, unitResult, { pool, log, state }) {
+      const client = await pool.connect();
+      try {
+        const written = await withTransaction(client, () =>
+          writeBackfillDay(client, spec, state.protocols, state.breakdown, unit.date, state.extra)
+        );
+        for (const reject of written.rejects) {
+          log.error(`  ❌ Error inserting ${spec.type} for ${written.records[reject.index].name}: ${reject.error}`);
+        }
+        unitResult.totalRecords = written.totalRecords;
+        unitResult.insertedRecords = written.insertedCount;
+        unitResult.skippedRecords = written.skipped;
+        unitResult.errorRecords = written.errorCount;
+      } finally {
+        client.release();
+      }
+    }
+  };
+}
+
+module.exports = {
+  fetchOverview,
+  writeLiveDay,
+  writeBackfillDay,
+  indexBreakdown,
+  metricsAsOf,
+  protocolKey,
+  overviewBackfillDataset
+};
@@ -0,0 +1,225 @@
+// lib/price_validation.js
+// Price quality gates - pluggable rules run between fetch and upsert
+// Rejected prints are quarantined in scrub.token_price_scrub with a reason code; each run writes a scrub.data_quality_summary row
+
+const { writeRows } = require('./batch_writer');
+
+/**
+ * @typedef {Object} PriceRecord
+ * @property {string} coinId
+ * @property {string|null} symbol
+ * @property {number|null} confidence
+ * @property {number|null} decimals
+ * @property {number} tsSec         Snapshot time the row is stored under (seconds)
+ * @property {number} sourceTsSec   Timestamp DeFiLlama reported for the price point (seconds)
+ * @property {number} price
+ * @property {Object} [raw]         Original API node, kept for quarantined rows
+ */
+
+/**
+ * @typedef {Object} PreviousPrice
+ * @property {number} price              Last stored price
+ * @property {number|null} decimals
+ * @property {number|null} [jumpPrice]   Newest print quarantined as a jump since then, if any
+ */
+
+/**
+ * @typedef {Object} PriceRule
+ * @property {string} code  Reason code stored with quarantined rows
+ * @property {(record: PriceRecord, previous: PreviousPrice|undefined, config: Object) => string|null} check
+ *           Returns a failure message, or null when the record passes
+ */
+
+/** Built-in rules, enabled by name through config.rules */
+const PRICE_RULES = {
+  min_confidence: {
+    code: 'LOW_CONFIDENCE',
+    check(record, previous, config) {
+      if (record.confidence === null || record.confidence === undefined) return null;
+      return record.confidence < config.minConfidence
+        ? `confidence ${record.confidence} below ${config.minConfidence}`
+        : null;
+    }
+  },
+  price_jump: {
+    code: 'PRICE_JUMP',
+    check(record, previous, config) {
+      if (!previous || !(previous.price > 0)) return null;
+      const movePct = (from) => Math.abs(record.price - from) / from * 100;
+      const jumpPct = movePct(previous.price);
+      if (jumpPct <= config.maxJumpPct) return null;
+      // The print before was quarantined at about this price - the move held, so it is a real step, not a spike
+      if (previous.jumpPrice > 0 && movePct(previous.jumpPrice) <= config.maxJumpPct) return null;
+      return `price moved ${jumpPct.toFixed(1)}% from last stored ${previous.price} (max ${config.maxJumpPct}%)`;
+    }
+  },
+  stale_timestamp: {
+    code: 'STALE_TIMESTAMP',
+    check(record, previous, config) {
+      const ageMinutes = (record.tsSec - record.sourceTsSec) / 60;
+      return ageMinutes > config.maxStaleMinutes
+        ? `price point is ${Math.round(ageMinutes)} minutes older than the snapshot (max ${config.maxStaleMinutes})`
+        : null;
+    }
+  },
+  decimals_mismatch: {
+    code: 'DECIMALS_MISMATCH',
+    check(record, previous) {
+      if (!previous || previous.decimals === null || record.decimals === null || record.decimals === undefined) return null;
+      return Number(previous.decimals) !== Number(record.decimals)
+        ? `decimals ${record.decimals} differ from last stored ${previous.decimals}`
+        : null;
+    }
+  }
+};
+
+const DEFAULT_RULES = ['min_confidence', 'price_jump', 'stale_timestamp', 'decimals_mismatch'];
+
+// An explicitly set threshold wins, 0 included; unset or unparsable falls back to the default
+function envNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+// Thresholds and enabled rules; PRICE_VALIDATION_RULES=none disables the stage
+function configFromEnv(env = process.env) {
+  const rules = env.PRICE_VALIDATION_RULES === undefined
+    ? DEFAULT_RULES
+    : env.PRICE_VALIDATION_RULES.split(',').map(r => r.trim()).filter(r => r && r !== 'none');
+  return {
+    rules,
+    minConfidence: envNumber(env.PRICE_MIN_CONFIDENCE, 0.8),
+    maxJumpPct: envNumber(env.PRICE_MAX_JUMP_PCT, 50),
+    maxStaleMinutes: envNumber(env.PRICE_MAX_STALE_MINUTES, 120)
+  };
+}
+
+/**
+ * Builds a validator from a config; config.rules may mix built-in rule names and custom PriceRule objects
+ *
+ * @param {Object} [overrides]  Merged over the environment config
+ * @returns {{ config: Object, validate: (records: PriceRecord[], previousByCoin: Map) => { accepted: PriceRecord[], rejected: Array<{ record: PriceRecord, failures: Array<{code: string, message: string}> }> } }}
+ */
+function createPriceValidator(overrides = {}) {
+  const config = { ...configFromEnv(), ...overrides };
+  const rules = config.rules.map((rule) => {
+    if (typeof rule !== 'string') return rule;
+    if (!PRICE_RULES[rule]) throw new Error(`Unknown price validation rule: ${rule}`);
+    return PRICE_RULES[rule];
+  });
+
+  function validate(records, previousByCoin = new Map()) {
+    const accepted = [];
+    const rejected = [];
+    for (const record of records) {
+      const previous = previousByCoin.get(record.coinId);
+      const failures = [];
+      for (const rule of rules) {
+        const message = rule.check(record, previous, config);
+        if (message) failures.push({ code: rule.code, message });
+      }
+      if (failures.length) rejected.push({ record, failures });
+      else accepted.push(record);
+    }
+    return { accepted, rejected };
+  }
+
+  return { config, validate };
+}
+
+/**
+ * Last stored price and decimals per coin strictly before the snapshot, for the jump and decimals rules, with the
+ * newest print quarantined as a jump after it (so a move that holds is accepted on its second print)
+ *
+ * @returns {Promise<Map<string, PreviousPrice>>}
+ */
+async function loadPreviousPrices(client, coinIds, snapshotTs) {
+  if (!coinIds.length) return new Map();
+  const { rows } = await client.query(
+    `SELECT p.coin_id, p.price, p.decimals, j.price AS jump_price
+     FROM (
+       SELECT DISTINCT ON (coin_id) coin_id, price_usd::float8 AS price, decimals, price_timestamp
+       FROM update.token_price_daily
+       WHERE coin_id = ANY($1) AND price_timestamp < $2
+       ORDER BY coin_id, price_timestamp DESC
+     ) p
+     LEFT JOIN LATERAL (
+       SELECT q.price_usd::float8 AS price
+       FROM scrub.token_price_scrub q
+       WHERE q.coin_id = p.coin_id AND q.is_outlier AND q.price_timestamp > p.price_timestamp AND q.price_timestamp < $2
+       ORDER BY q.price_timestamp DESC, q.id DESC
+       LIMIT 1
+     ) j ON TRUE`,
+    [coinIds, snapshotTs]
+  );
+  return new Map(rows.map(row => [row.coin_id, { price: row.price, decimals: row.decimals, jumpPrice: row.jump_price }]));
+}
+
+const QUARANTINE_WRITE_SPEC = {
+  table: 'scrub.token_price_scrub',
+  columns: [
+    'coin_id', 'symbol', 'price_usd', 'confidence', 'decimals', 'price_timestamp',
+    'validation_errors', 'reason_code', 'quality_score', 'is_outlier', 'outlier_reason', 'original_data', 'job_run_id'
+  ]
+};
+
+// 100 for a clean print, 25 points off per failed rule
+function qualityScore(failureCount) {
+  return Math.max(0, 100 - 25 * failureCount);
+}
+
+/**
+ * Writes rejected prints to the quarantine table
+ */
+async function quarantinePrices(client, rejected, jobRunId, options = {}) {
+  const rows = rejected.map(({ record, failures }) => {
+    const jump = failures.find(f => f.code === 'PRICE_JUMP');
+    return [
+      record.coinId, record.symbol, record.price, record.confidence, record.decimals,
+      new Date(record.tsSec * 1000).toISOString(),
+      failures.map(f => `${f.code}: ${f.message}`),
+      failures[0].code,
+      qualityScore(failures.length),
+      Boolean(jump),
+      jump ? jump.message : null,
+      record.raw ? JSON.stringify(record.raw) : null,
+      jobRunId
+    ];
+  });
+  return writeRows(client, QUARANTINE_WRITE_SPEC, rows, options);
+}
+
+/**
+ * Records one scrub.data_quality_summary row for the run
+ */
+async function writeQualitySummary(client, { jobName, jobRunId, totalRecords, cleanRecords, rejected, errorRecords, processingTimeMs }) {
+  const errorSummary = {};
+  for (const { failures } of rejected) {
+    for (const { code } of failures) errorSummary[code] = (errorSummary[code] || 0) + 1;
+  }
+  const scored = cleanRecords + rejected.length;
+  const overallScore = scored
+    ? (cleanRecords * 100 + rejected.reduce((sum, r) => sum + qualityScore(r.failures.length), 0)) / scored
+    : null;
+
+  await client.query(
+    `INSERT INTO scrub.data_quality_summary (
+       job_name, job_run_id, total_records, clean_records, scrubbed_records, error_records,
+       outlier_records, overall_quality_score, processing_time_ms, error_summary
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      jobName, jobRunId, totalRecords, cleanRecords, rejected.length, errorRecords,
+      errorSummary.PRICE_JUMP || 0, overallScore === null ? null : overallScore.toFixed(2),
+      processingTimeMs, JSON.stringify(errorSummary)
+    ]
+  );
+}
+
+module.exports = {
+  PRICE_RULES,
+  createPriceValidator,
+  loadPreviousPrices,
+  quarantinePrices,
+  writeQualitySummary
+};
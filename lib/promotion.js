@@ -0,0 +1,134 @@
+// lib/promotion.js
+// Incremental update.* -> clean.* promotion driven by a per-pipeline watermark in meta.promotion_watermarks
+// Each batch promotes the source rows in (watermark, upper] and advances the watermark in the same transaction,
+// so a run that dies part-way resumes exactly where it stopped
+
+const { withTransaction } = require('./snapshot');
+
+/**
+ * @typedef {Object} PromotionPipeline
+ * @property {string} name         Watermark key
+ * @property {string} source       Source table, aliased as s in every fragment
+ * @property {string} tsColumn     Source column the watermark follows - an ingestion time that moves with every write,
+ *                                 so rows written behind the watermark (backfills, repairs) are still promoted
+ * @property {(param: string) => string} [encodeTs]  timestamptz parameter -> tsColumn's type (default: as is)
+ * @property {(column: string) => string} [decodeTs] tsColumn -> timestamptz (default: as is)
+ * @property {string} validWhere   Rows failing this are counted as rejected and never promoted
+ * @property {Array<(window: string, valid: string) => string>} [prepareSql]  Run before promoteSql (enrichment lookups)
+ * @property {(window: string, valid: string) => string} promoteSql            INSERT ... SELECT; rowCount = promoted rows
+ */
+
+const EPOCH = '1970-01-01T00:00:00Z';
+
+const identity = (x) => x;
+
+async function getWatermark(client, pipeline) {
+  const { rows } = await client.query(
+    'SELECT watermark::text AS watermark FROM meta.promotion_watermarks WHERE pipeline = $1', [pipeline.name]
+  );
+  return rows.length ? rows[0].watermark : null;
+}
+
+/**
+ * Moves a pipeline's watermark (e.g. back, to re-promote a range)
+ */
+async function resetWatermark(client, pipeline, watermark) {
+  await client.query(
+    `INSERT INTO meta.promotion_watermarks (pipeline, watermark) VALUES ($1, $2)
+     ON CONFLICT (pipeline) DO UPDATE SET watermark = EXCLUDED.watermark, updated_at = NOW()`,
+    [pipeline.name, watermark]
+  );
+}
+
+/**
+ * Moves a pipeline's watermark forward with the run that did it and the batch's counts added to the running totals
+ */
+async function advanceWatermark(client, pipeline, watermark, jobRunId, batch) {
+  await client.query(
+    `INSERT INTO meta.promotion_watermarks (pipeline, watermark, last_job_run_id, promoted_records, rejected_records)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (pipeline) DO UPDATE SET
+       watermark = EXCLUDED.watermark,
+       last_job_run_id = EXCLUDED.last_job_run_id,
+       promoted_records = meta.promotion_watermarks.promoted_records + EXCLUDED.promoted_records,
+       rejected_records = meta.promotion_watermarks.rejected_records + EXCLUDED.rejected_records,
+       updated_at = NOW()`,
+    [pipeline.name, watermark, jobRunId, batch.promoted, batch.rejected]
+  );
+}
+
+/**
+ * Promotes one batch after `lower`: up to batchRows source rows (ties on the snapshot column stay together), never past cutoff.
+ * Returns null when there is nothing left to promote.
+ */
+async function promoteBatch(client, pipeline, { lower, cutoff, batchRows, jobRunId }) {
+  const encode = pipeline.encodeTs || identity;
+  const decode = pipeline.decodeTs || identity;
+  const col = `s.${pipeline.tsColumn}`;
+
+  // Timestamps travel as text so microsecond source values survive the round trip
+  const { rows: [{ upper }] } = await client.query(
+    `SELECT MAX(t)::text AS upper FROM (
+       SELECT ${decode(col)} AS t FROM ${pipeline.source} s
+       WHERE ${col} > ${encode('$1::timestamptz')} AND ${col} <= ${encode('$2::timestamptz')}
+       ORDER BY ${col}
+       LIMIT $3
+     ) x`,
+    [lower, cutoff, batchRows]
+  );
+  if (!upper) return null;
+
+  const window = `${col} > ${encode('$1::timestamptz')} AND ${col} <= ${encode('$2::timestamptz')}`;
+  const valid = `(${pipeline.validWhere})`;
+
+  return withTransaction(client, async () => {
+    const { rows: [counts] } = await client.query(
+      `SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE ${valid})::int AS valid
+       FROM ${pipeline.source} s WHERE ${window}`,
+      [lower, upper]
+    );
+    for (const sql of pipeline.prepareSql || []) {
+      await client.query(sql(window, valid), [lower, upper]);
+    }
+    const { rowCount } = await client.query(pipeline.promoteSql(window, valid), [lower, upper]);
+
+    const batch = {
+      lower,
+      upper,
+      total: counts.total,
+      promoted: rowCount,
+      rejected: counts.total - counts.valid,
+      duplicates: counts.valid - rowCount // collapsed by normalization or already in clean
+    };
+    await advanceWatermark(client, pipeline, upper, jobRunId, batch);
+    return batch;
+  });
+}
+
+/**
+ * Promotes batches until the pipeline reaches cutoff or the deadline passes
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {PromotionPipeline} pipeline
+ * @param {{ cutoff: string, batchRows: number, deadline: number, jobRunId: string, log?: Function }} options
+ */
+async function promotePipeline(client, pipeline, options) {
+  const { cutoff, batchRows, deadline, jobRunId, log = () => {} } = options;
+  const from = (await getWatermark(client, pipeline)) || EPOCH;
+  const summary = { pipeline: pipeline.name, from, watermark: from, batches: 0, total: 0, promoted: 0, rejected: 0, duplicates: 0, caughtUp: false };
+
+  while (Date.now() < deadline) {
+    const batch = await promoteBatch(client, pipeline, { lower: summary.watermark, cutoff, batchRows, jobRunId });
+    if (!batch) {
+      summary.caughtUp = true;
+      break;
+    }
+    summary.batches++;
+    summary.watermark = batch.upper;
+    for (const key of ['total', 'promoted', 'rejected', 'duplicates']) summary[key] += batch[key];
+    log(`   ${pipeline.name}: (${batch.lower}, ${batch.upper}] ${batch.promoted} promoted, ${batch.rejected} rejected, ${batch.duplicates} duplicates`);
+  }
+  return summary;
+}
+
+module.exports = { promotePipeline, promoteBatch, getWatermark, resetWatermark, advanceWatermark };
@@ -0,0 +1,177 @@
+// lib/raw_archive.js
+// Raw API response archive - every successful DeFiLlama fetch made inside a replayable job run (runJob's archive option)
+// is stored gzip-compressed in raw.api_responses, keyed by job_run_id and endpoint, together with the run's params and
+// start time.
+// A replay (api/job_replay.js) re-runs a job with those params while llamaGet serves the archived responses and the
+// run clock reads the original start time, so a fixed transform can be reloaded without calling the API.
+// DEFILLAMA_ARCHIVE_RESPONSES=false turns archiving off.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { promisify } = require('util');
+const zlib = require('zlib');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * @typedef {Object} Replay
+ * @property {string} sourceRunId               Archived run being replayed
+ * @property {Date} asOf                        Its start time - the clock of the replay
+ * @property {Map<string, string[]>} responses  Request key -> archived bodies, in fetch order
+ * @property {string[]} missing                 Requests the archive could not answer - the replay of the run failed
+ */
+
+// Store of the current job run: { pool, jobName, jobRunId, params, startedAt, archive, replay, pending }
+const runContext = new AsyncLocalStorage();
+
+const archivingEnabled = () => process.env.DEFILLAMA_ARCHIVE_RESPONSES !== 'false';
+
+// Path plus sorted query - the same request made by a replay maps onto the archived one
+function requestKey(path, query) {
+  const entries = Object.entries(query || {}).map(([key, value]) => [key, String(value)]).sort(([a], [b]) => a.localeCompare(b));
+  const qs = new URLSearchParams(entries).toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+/**
+ * Runs fn as one job run's archive context and waits for its archive writes before returning.
+ * A run started inside a replay (e.g. a dispatcher's batch) inherits the replay.
+ *
+ * @param {{ pool: import('pg').Pool, jobName: string, jobRunId: string, params?: Object, startedAt: string, archive?: boolean }} run
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withRunContext(run, fn) {
+  const parent = runContext.getStore();
+  const store = { ...run, replay: parent?.replay || null, pending: [] };
+  return runContext.run(store, async () => {
+    try {
+      return await fn();
+    } finally {
+      await Promise.all(store.pending);
+    }
+  });
+}
+
+/**
+ * Runs fn with every llamaGet answered from the replay and the run clock at replay.asOf
+ *
+ * @param {Replay} replay
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withReplay(replay, fn) {
+  return runContext.run({ replay, pending: [] }, fn);
+}
+
+const isReplaying = () => Boolean(runContext.getStore()?.replay);
+
+/**
+ * Current time of the run - the archived run's start during a replay, so "now"-based snapshots land where they did
+ *
+ * @returns {number} epoch ms
+ */
+function runClock() {
+  const replay = runContext.getStore()?.replay;
+  return replay ? replay.asOf.getTime() : Date.now();
+}
+
+/**
+ * Adds to the params archived with the run's responses - what the run resolved from changing state (e.g. the coin ids
+ * of its universe slice), so a replay runs on exactly that. Call it before the first fetch.
+ *
+ * @param {Object} resolved
+ */
+function archiveParams(resolved) {
+  const store = runContext.getStore();
+  if (!store || store.replay) return;
+  store.params = { ...store.params, ...resolved };
+}
+
+/**
+ * Queues the archive write of one response body; archive failures are logged and never fail the job
+ */
+function archiveResponse(path, query, text) {
+  const store = runContext.getStore();
+  if (!store || !store.archive || store.replay || !store.pool || !archivingEnabled()) return;
+
+  store.pending.push((async () => {
+    const payload = await gzip(Buffer.from(text, 'utf-8'));
+    await store.pool.query(
+      `INSERT INTO raw.api_responses (job_run_id, job_name, endpoint, query, params, run_started_at, payload, payload_bytes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        store.jobRunId, store.jobName, path, query ? JSON.stringify(query) : null,
+        JSON.stringify(store.params || {}), store.startedAt, payload, Buffer.byteLength(text, 'utf-8')
+      ]
+    );
+  })().catch((error) => console.warn(`⚠️ Could not archive ${path} response:`, error.message)));
+}
+
+/**
+ * The archived body for a request during a replay; undefined when not replaying.
+ * Repeated requests get the archived responses in order (the last one again once they run out).
+ * A request the archive cannot answer is recorded in replay.missing, since collectors may swallow the error.
+ */
+function replayedResponse(path, query) {
+  const replay = runContext.getStore()?.replay;
+  if (!replay) return undefined;
+
+  const key = requestKey(path, query);
+  const bodies = replay.responses.get(key);
+  if (!bodies || !bodies.length) {
+    replay.missing.push(key);
+    throw new Error(`No archived response for ${key} in run ${replay.sourceRunId}`);
+  }
+  return JSON.parse(bodies.length > 1 ? bodies.shift() : bodies[0]);
+}
+
+/**
+ * Archived runs of a job started within a range, oldest first
+ *
+ * @returns {Promise<{ jobRunId: string, params: Object, startedAt: Date, responses: number }[]>}
+ */
+async function listArchivedRuns(pool, jobName, { from, to }) {
+  const { rows } = await pool.query(
+    `SELECT job_run_id, (ARRAY_AGG(params ORDER BY id))[1] AS params, MIN(run_started_at) AS started_at, COUNT(*)::int AS responses
+     FROM raw.api_responses
+     WHERE job_name = $1 AND run_started_at BETWEEN $2 AND $3
+     GROUP BY job_run_id
+     ORDER BY started_at, job_run_id`,
+    [jobName, from, to]
+  );
+  return rows.map(row => ({ jobRunId: row.job_run_id, params: row.params || {}, startedAt: row.started_at, responses: row.responses }));
+}
+
+/**
+ * Loads and decompresses every response of one archived run
+ *
+ * @returns {Promise<Replay>}
+ */
+async function loadReplay(pool, run) {
+  const { rows } = await pool.query(
+    'SELECT endpoint, query, payload FROM raw.api_responses WHERE job_run_id = $1 ORDER BY id',
+    [run.jobRunId]
+  );
+  const responses = new Map();
+  for (const row of rows) {
+    const key = requestKey(row.endpoint, row.query);
+    if (!responses.has(key)) responses.set(key, []);
+    responses.get(key).push((await gunzip(row.payload)).toString('utf-8'));
+  }
+  return { sourceRunId: run.jobRunId, asOf: run.startedAt, responses, missing: [] };
+}
+
+module.exports = {
+  withRunContext,
+  withReplay,
+  isReplaying,
+  runClock,
+  archiveParams,
+  archiveResponse,
+  replayedResponse,
+  listArchivedRuns,
+  loadReplay
+};
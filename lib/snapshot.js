@@ -0,0 +1,50 @@
+// lib/snapshot.js
+// Canonical snapshot time per run and transactional write helpers
+// Every row of one logical snapshot shares one timestamp, so reruns upsert instead of duplicating
+
+const { runClock } = require('./raw_archive');
+
+/**
+ * Resolves the snapshot time for a run.
+ * An explicit value (ISO string or epoch ms) wins - use it to retry a specific snapshot;
+ * otherwise "now" is floored to the dataset's schedule interval so a retry inside the same window lands on the same key.
+ * During a replay "now" is the archived run's start, so the replay lands on the snapshot the run wrote.
+ *
+ * @param {string|number|Date|undefined} value
+ * @param {number} intervalMs
+ * @returns {Date}
+ */
+function resolveSnapshotTs(value, intervalMs) {
+  if (value !== undefined && value !== null && value !== '') {
+    const numeric = Number(value);
+    const date = Number.isFinite(numeric) ? new Date(numeric) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid snapshotTs: ${value}`);
+    }
+    return date;
+  }
+  const now = runClock();
+  return new Date(now - (now % intervalMs));
+}
+
+/**
+ * Runs fn inside BEGIN/COMMIT on a checked-out client, rolling back on error
+ *
+ * @template T
+ * @param {import('pg').PoolClient} client
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const value = await fn();
+    await client.query('COMMIT');
+    return value;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { resolveSnapshotTs, withTransaction };
@@ -0,0 +1,61 @@
+// lib/token_universe.js
+// Token universe helpers - coin id normalization and the active list the live price jobs slice
+// The active list lives in canon.token_universe (maintained by api/job_token_curation.js);
+// token_list_active.json is only a fallback until the curation job has run against a database
+
+const fs = require('fs');
+const path = require('path');
+
+const EVM_CHAINS = new Set([
+  'ethereum','unichain','base','arbitrum','optimism','polygon','bsc','avalanche',
+  'linea','scroll','blast','fantom','celo','gnosis','zksync era','metis','mantle','aurora'
+]);
+
+function isValidAddress(chain, address) {
+  if (!address || typeof address !== 'string') return false;
+  const a = address.trim();
+  if (EVM_CHAINS.has(chain)) return /^0x[0-9a-fA-F]{40}$/.test(a);
+  return /^[A-Za-z0-9:_-]{4,}$/.test(a); // non-EVM: basic sanity, let API decide
+}
+
+/**
+ * Normalizes a token list entry to the coins API id ('chain:address'), or null when the address is invalid
+ *
+ * @param {{ chain: string, address: string }} entry
+ * @returns {string|null}
+ */
+function toCoinId(entry) {
+  const chain = String(entry.chain || '').trim().toLowerCase();
+  const address = String(entry.address || '').trim();
+  if (!chain || !isValidAddress(chain, address)) return null;
+  const addrForSlug = EVM_CHAINS.has(chain) ? address.toLowerCase() : address;
+  return `${chain}:${addrForSlug}`;
+}
+
+function chunk(arr, n) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += n) out.push(arr.slice(i, i + n));
+  return out;
+}
+
+function readTokenListFile(name) {
+  return JSON.parse(fs.readFileSync(path.join(process.cwd(), name), 'utf-8'));
+}
+
+/**
+ * Active tokens in a stable order (offset/limit slices must line up across the batches of one run)
+ *
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<Array<{ chain: string, address: string }>>}
+ */
+async function loadActiveTokens(pool) {
+  const { rows } = await pool.query(
+    'SELECT chain, address FROM canon.token_universe WHERE is_active ORDER BY coin_id'
+  );
+  if (rows.length) return rows;
+
+  console.warn('⚠️ canon.token_universe has no active tokens - falling back to token_list_active.json (run job_token_curation)');
+  return readTokenListFile('token_list_active.json');
+}
+
+module.exports = { EVM_CHAINS, isValidAddress, toCoinId, chunk, readTokenListFile, loadActiveTokens };
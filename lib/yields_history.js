@@ -0,0 +1,115 @@
+// lib/yields_history.js
+// Backfill datasets over DeFiLlama's per-pool daily yield charts (/yields/chart, /yields/chartLendBorrow)
+// The live pool and lending jobs snapshot every pool on a schedule; these rebuild missed days from the chart's daily
+// points, stamped at the schedule slot the point falls in. Live snapshots are never overwritten.
+
+const { writeRows } = require('./batch_writer');
+const { llamaGet } = require('./llama_client');
+const { runWithConcurrency } = require('./batch_plan');
+const { withTransaction } = require('./snapshot');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUEST_CONCURRENCY = 3; // Parallel chart calls within a unit (pacing lives in the shared llama client)
+
+/**
+ * @typedef {Object} YieldsHistorySpec
+ * @property {string} name
+ * @property {(poolId: string) => string} chartPath   Chart endpoint of one pool
+ * @property {string} table
+ * @property {string} tsColumn                        Snapshot column (part of the unique key with pool_id)
+ * @property {'timestamptz'|'epoch_ms'} tsType
+ * @property {number} intervalMs                      Live schedule - chart points are stamped at the slot they fall in
+ * @property {string[]} metadataColumns               Copied from the pool's latest stored row (project, chain, ...)
+ * @property {string[]} columns                       Written columns, in toRow order
+ * @property {(point: Object, meta: Object, slot: Date) => any[]} toRow
+ */
+
+// Epoch ms of a timestamptz (Date) or epoch-ms (bigint string / number) snapshot value
+const slotMs = (value) => (value instanceof Date ? value.getTime() : Number(value));
+
+async function fetchChart(apiKey, path) {
+  const data = await llamaGet(path, { apiKey });
+  if (!data || !Array.isArray(data.data)) {
+    throw new Error(`Invalid API response format - expected data array from ${path}`);
+  }
+  return data.data;
+}
+
+/**
+ * Backfill dataset rebuilding days of a per-pool snapshot table from the pools' daily charts, one unit per day and
+ * batch of pools. The universe is the restricted pool ids (gap repair) or every pool with a row in the table's last day.
+ *
+ * @param {YieldsHistorySpec} spec
+ * @returns {import('./backfill').BackfillDataset}
+ */
+function yieldsHistoryDataset(spec) {
+  const writeSpec = { table: spec.table, columns: spec.columns, conflictColumns: ['pool_id', spec.tsColumn] };
+  const recent = spec.tsType === 'epoch_ms'
+    ? `${spec.tsColumn} >= (SELECT MAX(${spec.tsColumn}) FROM ${spec.table}) - ${DAY_MS}`
+    : `${spec.tsColumn} >= (SELECT MAX(${spec.tsColumn}) FROM ${spec.table}) - INTERVAL '1 day'`;
+  const poolIndex = spec.columns.indexOf('pool_id');
+  const tsIndex = spec.columns.indexOf(spec.tsColumn);
+
+  return {
+    name: spec.name,
+    granularities: ['day'],
+    defaultBatchSize: 20,
+
+    async prepare({ pool, entities, from, to, log }) {
+      const { rows } = await pool.query(
+        `SELECT DISTINCT ON (pool_id) pool_id, ${spec.metadataColumns.join(', ')} FROM ${spec.table}
+         WHERE ${entities ? 'pool_id = ANY($1)' : `pool_id IS NOT NULL AND ${recent}`}
+         ORDER BY pool_id, ${spec.tsColumn} DESC`,
+        entities ? [entities] : []
+      );
+      log.info(`📋 ${rows.length} pools to rebuild from ${spec.name} charts`);
+      // Each pool's chart is fetched once per run and trimmed to the run's range
+      return { universe: rows, charts: new Map(), from: from.getTime(), to: to.getTime() + DAY_MS };
+    },
+
+    universe: (state) => state.universe.map(meta => meta.pool_id),
+
+    async processUnit(unit, unitResult, { pool, getApiKey, state }) {
+      const pools = state.universe.slice(unit.offset, unit.offset + unit.limit);
+      const apiKey = getApiKey();
+
+      const rows = [];
+      await runWithConcurrency(pools, REQUEST_CONCURRENCY, async (meta) => {
+        if (!state.charts.has(meta.pool_id)) {
+          state.charts.set(meta.pool_id, fetchChart(apiKey, spec.chartPath(meta.pool_id)).then(points => points
+            .map(point => ({ point, ms: new Date(point.timestamp).getTime() }))
+            .filter(({ ms }) => ms >= state.from && ms < state.to)));
+        }
+        for (const { point, ms } of await state.charts.get(meta.pool_id)) {
+          if (new Date(ms).toISOString().slice(0, 10) !== unit.date) continue;
+          rows.push(spec.toRow(point, meta, new Date(ms - (ms % spec.intervalMs))));
+        }
+      });
+
+      // Slots that already hold a snapshot are skipped rather than overwritten
+      const { rows: stored } = await pool.query(
+        `SELECT pool_id, ${spec.tsColumn} AS ts FROM ${spec.table}
+         WHERE pool_id = ANY($1) AND ${spec.tsColumn} = ANY($2::${spec.tsType === 'epoch_ms' ? 'bigint' : 'timestamptz'}[])`,
+        [pools.map(p => p.pool_id), rows.map(row => row[tsIndex])]
+      );
+      const taken = new Set(stored.map(row => `${row.pool_id}|${slotMs(row.ts)}`));
+      const fresh = rows.filter(row => !taken.has(`${row[poolIndex]}|${slotMs(row[tsIndex])}`));
+
+      const client = await pool.connect();
+      try {
+        const written = await withTransaction(client, () => writeRows(client, writeSpec, fresh, { savepoints: true }));
+        for (const reject of written.rejects) {
+          console.error(`  ❌ Error inserting ${spec.name} history for ${fresh[reject.index][poolIndex]}: ${reject.error}`);
+        }
+        unitResult.totalRecords = rows.length;
+        unitResult.insertedRecords = written.insertedCount;
+        unitResult.skippedRecords = rows.length - fresh.length;
+        unitResult.errorRecords = written.errorCount;
+      } finally {
+        client.release();
+      }
+    }
+  };
+}
+
+module.exports = { yieldsHistoryDataset };
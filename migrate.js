@@ -0,0 +1,60 @@
+// migrate.js
+// Schema migration CLI
+//   node migrate.js up [--to 0005]        apply pending migrations (optionally stop at a version)
+//   node migrate.js down [--steps 2]      revert the newest applied migration(s)
+//   node migrate.js down --to 0004        revert everything after 0004
+//   node migrate.js status                list applied / pending migrations
+
+const { makePoolFromEnv } = require('./lib/job_runtime');
+const { migrateUp, migrateDown, status } = require('./lib/migrations');
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i].replace(/^--/, '');
+    options[key] = rest[i + 1];
+  }
+  return { command, options };
+}
+
+async function main(argv) {
+  const { command, options } = parseArgs(argv);
+  const pool = makePoolFromEnv();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool, { to: options.to });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(pool, {
+        to: options.to,
+        steps: options.steps !== undefined ? parseInt(options.steps, 10) : 1
+      });
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const rows = await status(pool);
+      console.table(rows.map(r => ({
+        version: r.version,
+        name: r.name,
+        state: r.missing ? 'applied (file missing)' : r.modified ? 'applied (modified!)' : r.appliedAt ? 'applied' : 'pending',
+        applied_at: r.appliedAt ? r.appliedAt.toISOString() : ''
+      })));
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,6 @@
+-- Revert: drop the schemas (only succeeds once every later migration has been reverted)
+DROP SCHEMA IF EXISTS meta;
+DROP SCHEMA IF EXISTS canon;
+DROP SCHEMA IF EXISTS scrub;
+DROP SCHEMA IF EXISTS clean;
+DROP SCHEMA IF EXISTS update;
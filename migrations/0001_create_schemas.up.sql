@@ -0,0 +1,10 @@
+-- Migration: Create the schemas every other migration builds on
+-- Date: 2025-10-02
+-- Purpose: update = live job output, clean = historical archive, scrub = rejected rows and quality stats,
+--          canon = canonical token registry, meta = job run bookkeeping
+
+CREATE SCHEMA IF NOT EXISTS update;
+CREATE SCHEMA IF NOT EXISTS clean;
+CREATE SCHEMA IF NOT EXISTS scrub;
+CREATE SCHEMA IF NOT EXISTS canon;
+CREATE SCHEMA IF NOT EXISTS meta;
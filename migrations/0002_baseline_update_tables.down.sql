@@ -0,0 +1,6 @@
+-- Revert: drop the baseline update.* tables
+DROP TABLE IF EXISTS update.stablecoin_mcap_by_peg_daily;
+DROP TABLE IF EXISTS update.raw_etf;
+DROP TABLE IF EXISTS update.cl_pool_hist;
+DROP TABLE IF EXISTS update.lending_market_history;
+DROP TABLE IF EXISTS update.token_price_daily;
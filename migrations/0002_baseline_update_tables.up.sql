@@ -0,0 +1,102 @@
+-- Migration: Baseline for the update.* tables the live jobs write to
+-- Date: 2025-10-02
+-- Purpose: These tables were created by hand in production; this recreates them (with the constraints the jobs' upserts rely on)
+--          so a fresh database can be built from the repo. IF NOT EXISTS keeps it a no-op against production.
+
+-- Token prices every 5 minutes (api/backfill_token_prices_direct.js, backfill_token_prices_historical.js)
+CREATE TABLE IF NOT EXISTS update.token_price_daily (
+  coin_id TEXT NOT NULL,                   -- chain:address (e.g. 'arbitrum:0xeee...')
+  symbol TEXT,
+  confidence NUMERIC,                      -- 0-1
+  decimals INTEGER,
+  price_timestamp TIMESTAMPTZ NOT NULL,    -- Run snapshot time
+  price_usd NUMERIC,
+  PRIMARY KEY (coin_id, price_timestamp)
+);
+
+-- Lending markets every 10 minutes (api/job_lending_direct.js)
+CREATE TABLE IF NOT EXISTS update.lending_market_history (
+  id SERIAL PRIMARY KEY,
+  market_id TEXT NOT NULL,
+  ts TIMESTAMPTZ NOT NULL,
+  project TEXT,
+  chain TEXT,
+  symbol TEXT,
+  total_supply_usd NUMERIC,
+  total_borrow_usd NUMERIC,
+  debt_ceiling_usd NUMERIC,
+  apy_base_supply NUMERIC,
+  apy_reward_supply NUMERIC,
+  apy_base_borrow NUMERIC,
+  apy_reward_borrow NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  pool_id TEXT,                            -- DeFiLlama pool uuid (Pro API identifier)
+  tvl_usd NUMERIC,
+  apy NUMERIC,
+  apy_pct_1d NUMERIC,
+  apy_pct_7d NUMERIC,
+  apy_pct_30d NUMERIC,
+  stablecoin BOOLEAN,
+  il_risk TEXT,
+  exposure TEXT,
+  ltv NUMERIC,
+  borrowable BOOLEAN,
+  mu NUMERIC,
+  sigma NUMERIC,
+  count INTEGER,
+  outlier BOOLEAN,
+  apy_mean_30d NUMERIC,
+  predictions JSONB,
+  reward_tokens JSONB,
+  underlying_tokens JSONB,
+  pool_meta TEXT,
+  data_timestamp TIMESTAMPTZ,              -- Run snapshot time
+  -- Replaces uniq_market_ts / uniq_pool_data_timestamp (previously swapped in by reset_lending_table_for_pro_api.js)
+  CONSTRAINT uniq_pool_timestamp UNIQUE (pool_id, data_timestamp)
+);
+
+-- Liquidity pools hourly (api/job_liquidity_pools_direct.js)
+CREATE TABLE IF NOT EXISTS update.cl_pool_hist (
+  id BIGSERIAL PRIMARY KEY,
+  pool_id TEXT NOT NULL,
+  ts BIGINT NOT NULL,                      -- Run snapshot time, epoch milliseconds
+  project TEXT,
+  chain TEXT,
+  symbol TEXT,
+  tvl_usd DOUBLE PRECISION,
+  apy DOUBLE PRECISION,
+  apy_base DOUBLE PRECISION,
+  url TEXT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT uniq_cl_pool_hist_pool_ts UNIQUE (pool_id, ts)
+);
+
+CREATE TABLE IF NOT EXISTS update.raw_etf (
+  id SERIAL PRIMARY KEY,
+  gecko_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  total_flow_usd NUMERIC,                  -- Positive = inflow, negative = outflow
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS update.stablecoin_mcap_by_peg_daily (
+  id SERIAL PRIMARY KEY,
+  day DATE NOT NULL,
+  peg TEXT NOT NULL,                       -- USD, EUR, ...
+  amount_usd NUMERIC,
+  ingest_time TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_token_price_daily_price_timestamp ON update.token_price_daily (price_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_lending_market_history_data_timestamp ON update.lending_market_history (data_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_cl_pool_hist_ts ON update.cl_pool_hist (ts DESC);
+CREATE INDEX IF NOT EXISTS idx_raw_etf_gecko_id_day ON update.raw_etf (gecko_id, day);
+CREATE INDEX IF NOT EXISTS idx_stablecoin_mcap_by_peg_daily_day_peg ON update.stablecoin_mcap_by_peg_daily (day, peg);
+
+-- Add comments for documentation
+COMMENT ON TABLE update.token_price_daily IS 'Live token prices, one row per coin per 5-minute run snapshot.';
+COMMENT ON TABLE update.lending_market_history IS 'Live lending market snapshots from /yields/poolsBorrow, one row per pool per run snapshot.';
+COMMENT ON TABLE update.cl_pool_hist IS 'Live liquidity pool TVL/APY snapshots from /yields/pools, one row per pool per hourly snapshot.';
+COMMENT ON TABLE update.raw_etf IS 'ETF flow data as it arrives, before processing and validation.';
+COMMENT ON TABLE update.stablecoin_mcap_by_peg_daily IS 'Live stablecoin market cap by peg currency.';
@@ -0,0 +1,9 @@
+-- Revert: drop the baseline clean.* tables and canon.tokens
+DROP TABLE IF EXISTS clean.cl_pool_hist;
+DROP TABLE IF EXISTS clean.bridge_volume_daily;
+DROP TABLE IF EXISTS clean.stablecoin_mcap_by_peg_daily;
+DROP TABLE IF EXISTS clean.etf_flows_daily;
+DROP TABLE IF EXISTS clean.protocol_chain_tvl_daily;
+DROP TABLE IF EXISTS clean.lending_market_history;
+DROP TABLE IF EXISTS clean.token_price_daily;
+DROP TABLE IF EXISTS canon.tokens;
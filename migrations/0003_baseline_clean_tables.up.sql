@@ -0,0 +1,116 @@
+-- Migration: Baseline for the clean.* historical archive and the canon.tokens registry it references
+-- Date: 2025-10-02
+-- Purpose: Recreate the production tables listed in database_schema_for_llm.json so a fresh database can be built from the repo.
+--          IF NOT EXISTS keeps it a no-op against production.
+
+-- Canonical token registry (target of clean.token_price_daily.token_id)
+CREATE TABLE IF NOT EXISTS canon.tokens (
+  token_id BIGSERIAL PRIMARY KEY,
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  symbol TEXT,
+  decimals INTEGER,
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (chain, address)
+);
+
+CREATE TABLE IF NOT EXISTS clean.token_price_daily (
+  token_id BIGINT NOT NULL,
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  event_time TIMESTAMPTZ NOT NULL,         -- Price observation time
+  price_usd DOUBLE PRECISION,
+  confidence DOUBLE PRECISION,             -- 0-1
+  ingest_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (token_id, chain, address, event_time),
+  CONSTRAINT token_price_daily_token_id_fkey FOREIGN KEY (token_id) REFERENCES canon.tokens (token_id)
+);
+
+CREATE TABLE IF NOT EXISTS clean.lending_market_history (
+  market_id TEXT NOT NULL,
+  ts BIGINT NOT NULL,                      -- Unix timestamp of the snapshot
+  project TEXT,
+  chain TEXT,
+  symbol TEXT,
+  total_supply_usd DOUBLE PRECISION,
+  total_borrow_usd DOUBLE PRECISION,
+  debt_ceiling_usd DOUBLE PRECISION,
+  apy_base_supply DOUBLE PRECISION,
+  apy_reward_supply DOUBLE PRECISION,
+  apy_base_borrow DOUBLE PRECISION,
+  apy_reward_borrow DOUBLE PRECISION,
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (market_id, ts)
+);
+
+CREATE TABLE IF NOT EXISTS clean.protocol_chain_tvl_daily (
+  protocol_id TEXT NOT NULL,
+  chain TEXT NOT NULL,
+  series_type TEXT NOT NULL,               -- total, staked, borrowed, ...
+  ts DATE NOT NULL,
+  total_liquidity_usd NUMERIC NOT NULL,
+  ingest_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  protocol_name TEXT,
+  symbol TEXT,
+  category TEXT,                           -- Lending, DEX, ...
+  PRIMARY KEY (protocol_id, chain, series_type, ts)
+);
+
+CREATE TABLE IF NOT EXISTS clean.etf_flows_daily (
+  gecko_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  total_flow_usd DOUBLE PRECISION,         -- Positive = inflow, negative = outflow
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (gecko_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS clean.stablecoin_mcap_by_peg_daily (
+  day DATE NOT NULL,
+  peg TEXT NOT NULL,                       -- USD, EUR, JPY, ...
+  amount_usd NUMERIC NOT NULL,
+  ingest_time TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (day, peg)
+);
+
+-- No primary key in production
+CREATE TABLE IF NOT EXISTS clean.bridge_volume_daily (
+  chain TEXT NOT NULL,
+  day DATE NOT NULL,
+  bridge_id INTEGER NOT NULL,
+  deposit_usd DOUBLE PRECISION,
+  withdraw_usd DOUBLE PRECISION,
+  deposit_txs BIGINT,
+  withdraw_txs BIGINT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- No primary key in production
+CREATE TABLE IF NOT EXISTS clean.cl_pool_hist (
+  pool_id TEXT NOT NULL,
+  ts BIGINT NOT NULL,                      -- Unix timestamp of the snapshot
+  project TEXT,
+  chain TEXT,
+  symbol TEXT,
+  tvl_usd DOUBLE PRECISION,
+  apy DOUBLE PRECISION,
+  apy_base DOUBLE PRECISION,
+  url TEXT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_clean_token_price_daily_event_time ON clean.token_price_daily (event_time DESC);
+CREATE INDEX IF NOT EXISTS idx_clean_lending_market_history_ts ON clean.lending_market_history (ts DESC);
+CREATE INDEX IF NOT EXISTS idx_clean_protocol_chain_tvl_daily_ts ON clean.protocol_chain_tvl_daily (ts DESC);
+CREATE INDEX IF NOT EXISTS idx_clean_bridge_volume_daily_day ON clean.bridge_volume_daily (day DESC);
+CREATE INDEX IF NOT EXISTS idx_clean_cl_pool_hist_pool_id_ts ON clean.cl_pool_hist (pool_id, ts DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE canon.tokens IS 'Canonical token registry; clean.token_price_daily references token_id.';
+COMMENT ON TABLE clean.token_price_daily IS 'Historical token prices keyed by canonical token id.';
+COMMENT ON TABLE clean.lending_market_history IS 'Historical lending market snapshots (ts is a unix timestamp).';
+COMMENT ON TABLE clean.protocol_chain_tvl_daily IS 'Daily TVL by protocol, chain and series type.';
+COMMENT ON TABLE clean.etf_flows_daily IS 'Daily net ETF flows by asset.';
+COMMENT ON TABLE clean.stablecoin_mcap_by_peg_daily IS 'Daily stablecoin market cap by peg currency.';
+COMMENT ON TABLE clean.bridge_volume_daily IS 'Daily bridge volume and transaction counts by bridge and chain.';
+COMMENT ON TABLE clean.cl_pool_hist IS 'Historical hourly liquidity pool TVL/APY snapshots.';
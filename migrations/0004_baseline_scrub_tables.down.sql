@@ -0,0 +1,3 @@
+-- Revert: drop the baseline scrub.* tables
+DROP TABLE IF EXISTS scrub.token_price_scrub;
+DROP TABLE IF EXISTS scrub.data_quality_summary;
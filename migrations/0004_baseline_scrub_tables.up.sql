@@ -0,0 +1,48 @@
+-- Migration: Baseline for the scrub.* data quality tables
+-- Date: 2025-10-02
+-- Purpose: Recreate the production quality-gate tables (rejected price rows and per-run quality stats).
+--          IF NOT EXISTS keeps it a no-op against production.
+
+-- One row per job run that went through quality gates
+CREATE TABLE IF NOT EXISTS scrub.data_quality_summary (
+  id SERIAL PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  job_run_id TEXT NOT NULL,
+  run_timestamp TIMESTAMPTZ DEFAULT NOW(),
+  total_records INTEGER,
+  clean_records INTEGER,                   -- Passed quality gates
+  scrubbed_records INTEGER,                -- Sent to scrub tables
+  error_records INTEGER,
+  outlier_records INTEGER,
+  overall_quality_score NUMERIC,           -- Average 0-100
+  processing_time_ms INTEGER,
+  error_summary JSONB                      -- Validation error counts
+);
+
+-- Price rows that failed validation
+CREATE TABLE IF NOT EXISTS scrub.token_price_scrub (
+  id SERIAL PRIMARY KEY,
+  coin_id TEXT NOT NULL,
+  symbol TEXT,
+  price_usd NUMERIC,
+  confidence NUMERIC,
+  decimals INTEGER,
+  price_timestamp TIMESTAMPTZ,
+  validation_errors TEXT[],
+  quality_score INTEGER,                   -- 0-100
+  is_outlier BOOLEAN DEFAULT FALSE,
+  outlier_reason TEXT,
+  original_data JSONB,                     -- Original API response
+  processed_at TIMESTAMPTZ DEFAULT NOW(),
+  job_run_id TEXT,
+  retry_count INTEGER DEFAULT 0
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_data_quality_summary_job_name_run_timestamp ON scrub.data_quality_summary (job_name, run_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_token_price_scrub_coin_id ON scrub.token_price_scrub (coin_id);
+CREATE INDEX IF NOT EXISTS idx_token_price_scrub_job_run_id ON scrub.token_price_scrub (job_run_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE scrub.data_quality_summary IS 'Per-run data quality statistics (clean vs scrubbed vs error records, quality score).';
+COMMENT ON TABLE scrub.token_price_scrub IS 'Token price rows rejected by validation, with the reasons and the original API payload.';
@@ -0,0 +1,2 @@
+-- Revert: drop update.perp_funding_rates
+DROP TABLE IF EXISTS update.perp_funding_rates;
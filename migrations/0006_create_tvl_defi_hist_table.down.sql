@@ -0,0 +1,2 @@
+-- Revert: drop clean.tvl_defi_hist
+DROP TABLE IF EXISTS clean.tvl_defi_hist;
@@ -0,0 +1,2 @@
+-- Revert: drop clean.narratives
+DROP TABLE IF EXISTS clean.narratives;
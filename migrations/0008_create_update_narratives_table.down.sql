@@ -0,0 +1,2 @@
+-- Revert: drop update.narratives
+DROP TABLE IF EXISTS update.narratives;
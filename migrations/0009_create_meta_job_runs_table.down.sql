@@ -0,0 +1,3 @@
+-- Revert: drop the job run ledger (batches first - they reference job_runs)
+DROP TABLE IF EXISTS meta.job_run_batches;
+DROP TABLE IF EXISTS meta.job_runs;
@@ -0,0 +1,64 @@
+-- Migration: Create meta.job_runs and meta.job_run_batches ledger tables
+-- Date: 2025-10-01
+-- Purpose: Persist every dispatcher and backfill execution (and each of its batches) so run history is queryable with SQL
+
+CREATE SCHEMA IF NOT EXISTS meta;
+
+-- One row per dispatcher / backfill run
+CREATE TABLE IF NOT EXISTS meta.job_runs (
+  job_run_id TEXT PRIMARY KEY,             -- Runtime-generated id (e.g. dispatcher_token_1727..._abc123def)
+  job_name TEXT NOT NULL,                  -- Job name (e.g. dispatcher_lending_direct_v2)
+  parent_run_id TEXT,                      -- Run that triggered this one, if any
+  status TEXT NOT NULL DEFAULT 'running',  -- running | success | failed
+  started_at TIMESTAMPTZ NOT NULL,
+  finished_at TIMESTAMPTZ,
+  total_records INTEGER,
+  inserted_records INTEGER,
+  skipped_records INTEGER,
+  error_records INTEGER,
+  processing_time_ms INTEGER,
+  error_message TEXT,
+  params JSONB,                            -- Request parameters (offset/limit slice, date range, ...)
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT job_runs_status_check CHECK (status IN ('running', 'success', 'failed'))
+);
+
+-- One row per batch executed inside a run
+CREATE TABLE IF NOT EXISTS meta.job_run_batches (
+  id BIGSERIAL PRIMARY KEY,
+  job_run_id TEXT NOT NULL REFERENCES meta.job_runs (job_run_id) ON DELETE CASCADE,
+  batch_number INTEGER NOT NULL,
+  batch_job_run_id TEXT,                   -- job_run_id reported by the batch job itself
+  batch_offset INTEGER,
+  batch_limit INTEGER,
+  status TEXT NOT NULL,                    -- success | failed
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  total_records INTEGER,
+  inserted_records INTEGER,
+  skipped_records INTEGER,
+  error_records INTEGER,
+  processing_time_ms INTEGER,
+  error_message TEXT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (job_run_id, batch_number)
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_name_started_at ON meta.job_runs (job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON meta.job_runs (status);
+CREATE INDEX IF NOT EXISTS idx_job_runs_parent_run_id ON meta.job_runs (parent_run_id);
+CREATE INDEX IF NOT EXISTS idx_job_run_batches_job_run_id ON meta.job_run_batches (job_run_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE meta.job_runs IS 'Ledger of dispatcher and backfill executions with timing, status, record counts and request parameters.';
+COMMENT ON COLUMN meta.job_runs.status IS 'running while the job executes; a run stuck in running was killed (e.g. Vercel maxDuration)';
+COMMENT ON COLUMN meta.job_runs.params IS 'Parameters the run was invoked with, including the offset/limit slice';
+COMMENT ON TABLE meta.job_run_batches IS 'Per-batch child rows of meta.job_runs (one row per offset/limit slice processed by a dispatcher).';
+
+-- Query examples:
+-- When did lending last succeed?
+-- SELECT MAX(finished_at) FROM meta.job_runs WHERE job_name = 'dispatcher_lending_direct_v2' AND status = 'success';
+-- Failed batches in the last day:
+-- SELECT r.job_name, b.* FROM meta.job_run_batches b JOIN meta.job_runs r USING (job_run_id)
+-- WHERE b.status = 'failed' AND b.started_at >= NOW() - INTERVAL '1 day' ORDER BY b.started_at DESC;
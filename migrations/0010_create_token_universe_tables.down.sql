@@ -0,0 +1,3 @@
+-- Revert: drop the token universe (changes first - they reference token_universe)
+DROP TABLE IF EXISTS canon.token_universe_changes;
+DROP TABLE IF EXISTS canon.token_universe;
@@ -0,0 +1,49 @@
+-- Migration: Create canon.token_universe and canon.token_universe_changes
+-- Date: 2025-10-03
+-- Purpose: The active token list the price jobs slice lives here instead of a deployed token_list_active.json.
+--          api/job_token_curation.js probes every token_list.json entry and promotes / demotes tokens with an audit trail.
+
+-- One row per candidate token (every valid token_list.json entry)
+CREATE TABLE IF NOT EXISTS canon.token_universe (
+  coin_id TEXT PRIMARY KEY,                -- chain:address as used by the coins API
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,-- Sliced by the live price dispatcher when true
+  in_source_list BOOLEAN NOT NULL DEFAULT TRUE, -- Still present in token_list.json
+  symbol TEXT,
+  last_price_usd NUMERIC,
+  last_confidence NUMERIC,                 -- 0-1, from the last successful probe
+  last_priced_at TIMESTAMPTZ,              -- Price timestamp reported by the API on the last successful probe
+  last_probed_at TIMESTAMPTZ,              -- When the token was last probed (with or without a price)
+  status_changed_at TIMESTAMPTZ,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Audit trail: one row per promotion / demotion
+CREATE TABLE IF NOT EXISTS canon.token_universe_changes (
+  id BIGSERIAL PRIMARY KEY,
+  coin_id TEXT NOT NULL REFERENCES canon.token_universe (coin_id) ON DELETE CASCADE,
+  change TEXT NOT NULL,                    -- promoted | demoted
+  reason TEXT NOT NULL,                    -- e.g. 'fresh price (confidence 0.99)', 'stale: last priced 2025-09-20T...'
+  last_priced_at TIMESTAMPTZ,
+  last_confidence NUMERIC,
+  job_run_id TEXT,                         -- meta.job_runs run that made the change
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT token_universe_changes_change_check CHECK (change IN ('promoted', 'demoted'))
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_token_universe_active ON canon.token_universe (coin_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_token_universe_changes_coin_id ON canon.token_universe_changes (coin_id, changed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_token_universe_changes_changed_at ON canon.token_universe_changes (changed_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE canon.token_universe IS 'Candidate tokens for live price collection; is_active marks the curated active list (replaces token_list_active.json).';
+COMMENT ON COLUMN canon.token_universe.last_priced_at IS 'Timestamp of the freshest price the API returned on the last probe; NULL when never priced';
+COMMENT ON TABLE canon.token_universe_changes IS 'Audit trail of token promotions and demotions made by the curation job.';
+
+-- Query examples:
+-- Current active list size:
+-- SELECT COUNT(*) FROM canon.token_universe WHERE is_active;
+-- Tokens demoted in the last week and why:
+-- SELECT coin_id, reason, changed_at FROM canon.token_universe_changes WHERE change = 'demoted' AND changed_at >= NOW() - INTERVAL '7 days';
@@ -0,0 +1,3 @@
+-- Revert: drop reason_code from scrub.token_price_scrub
+DROP INDEX IF EXISTS scrub.idx_token_price_scrub_reason_code;
+ALTER TABLE scrub.token_price_scrub DROP COLUMN IF EXISTS reason_code;
@@ -0,0 +1,14 @@
+-- Migration: Add reason_code to scrub.token_price_scrub
+-- Date: 2025-10-04
+-- Purpose: The price validation stage (lib/price_validation.js) quarantines rejected prints here;
+--          reason_code is the first rule that rejected the row, validation_errors holds every failure message
+
+ALTER TABLE scrub.token_price_scrub ADD COLUMN IF NOT EXISTS reason_code TEXT; -- LOW_CONFIDENCE | PRICE_JUMP | STALE_TIMESTAMP | DECIMALS_MISMATCH
+
+CREATE INDEX IF NOT EXISTS idx_token_price_scrub_reason_code ON scrub.token_price_scrub (reason_code, processed_at DESC);
+
+COMMENT ON COLUMN scrub.token_price_scrub.reason_code IS 'Code of the first validation rule that rejected the price (LOW_CONFIDENCE, PRICE_JUMP, STALE_TIMESTAMP, DECIMALS_MISMATCH)';
+
+-- Query examples:
+-- Rejections by reason over the last day:
+-- SELECT reason_code, COUNT(*) FROM scrub.token_price_scrub WHERE processed_at >= NOW() - INTERVAL '1 day' GROUP BY reason_code;
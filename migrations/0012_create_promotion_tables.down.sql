@@ -0,0 +1,3 @@
+-- Revert: drop the promotion watermarks and the enriched price table
+DROP TABLE IF EXISTS clean.token_price_daily_enriched;
+DROP TABLE IF EXISTS meta.promotion_watermarks;
@@ -0,0 +1,40 @@
+-- Migration: Create meta.promotion_watermarks and clean.token_price_daily_enriched
+-- Date: 2025-10-05
+-- Purpose: api/job_promote_clean.js moves rows from update.* to clean.* incrementally; each pipeline's progress
+--          is a watermark over the source's snapshot column, committed together with the rows it covers
+
+CREATE TABLE IF NOT EXISTS meta.promotion_watermarks (
+  pipeline TEXT PRIMARY KEY,               -- e.g. token_prices, lending, pools
+  watermark TIMESTAMPTZ NOT NULL,          -- Source rows at or before this snapshot time have been promoted
+  last_job_run_id TEXT,                    -- meta.job_runs run that last advanced the watermark
+  promoted_records BIGINT NOT NULL DEFAULT 0, -- Running totals across runs
+  rejected_records BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Promoted token prices, enriched with the canonical token id
+CREATE TABLE IF NOT EXISTS clean.token_price_daily_enriched (
+  token_id BIGINT NOT NULL REFERENCES canon.tokens (token_id),
+  chain TEXT NOT NULL,
+  address TEXT NOT NULL,
+  event_time TIMESTAMPTZ NOT NULL,         -- Snapshot time, truncated to the minute
+  price_usd DOUBLE PRECISION,
+  confidence DOUBLE PRECISION,
+  ingest_time TIMESTAMPTZ DEFAULT NOW(),
+  symbol TEXT,
+  PRIMARY KEY (chain, address, event_time)
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_token_price_daily_enriched_token_id_event_time ON clean.token_price_daily_enriched (token_id, event_time DESC);
+CREATE INDEX IF NOT EXISTS idx_token_price_daily_enriched_symbol ON clean.token_price_daily_enriched (symbol);
+
+-- Add comments for documentation
+COMMENT ON TABLE meta.promotion_watermarks IS 'Per-pipeline progress of the update.* -> clean.* promotion job.';
+COMMENT ON COLUMN meta.promotion_watermarks.watermark IS 'Highest source snapshot time promoted; the next run starts strictly after it';
+COMMENT ON TABLE clean.token_price_daily_enriched IS 'Historical token prices promoted from update.token_price_daily, keyed by chain/address and enriched with canon.tokens ids.';
+
+-- Query examples:
+-- How far behind is each pipeline?
+-- SELECT pipeline, watermark, NOW() - watermark AS lag, promoted_records, rejected_records FROM meta.promotion_watermarks;
+-- Re-promote lending from a date: UPDATE meta.promotion_watermarks SET watermark = '2025-09-20' WHERE pipeline = 'lending';
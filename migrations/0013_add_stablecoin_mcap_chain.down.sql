@@ -0,0 +1,4 @@
+-- Revert: drop the chain breakdown from update.stablecoin_mcap_by_peg_daily
+DROP INDEX IF EXISTS update.uniq_stablecoin_mcap_by_peg_daily_day_peg_chain;
+DELETE FROM update.stablecoin_mcap_by_peg_daily WHERE chain <> 'all';
+ALTER TABLE update.stablecoin_mcap_by_peg_daily DROP COLUMN IF EXISTS chain;
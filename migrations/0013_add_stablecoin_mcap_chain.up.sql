@@ -0,0 +1,21 @@
+-- Migration: Add chain breakdown and a natural key to update.stablecoin_mcap_by_peg_daily
+-- Date: 2025-10-06
+-- Purpose: api/job_stablecoins_direct.js upserts one row per day per peg per chain;
+--          chain = 'all' rows are the cross-chain totals that match clean.stablecoin_mcap_by_peg_daily
+
+ALTER TABLE update.stablecoin_mcap_by_peg_daily ADD COLUMN IF NOT EXISTS chain TEXT NOT NULL DEFAULT 'all'; -- DeFiLlama chain name, or 'all'
+
+-- The old job appended a row per run; keep the newest copy of any duplicated day before adding the natural key
+DELETE FROM update.stablecoin_mcap_by_peg_daily a
+USING update.stablecoin_mcap_by_peg_daily b
+WHERE a.day = b.day AND a.peg = b.peg AND a.chain = b.chain AND a.id < b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_stablecoin_mcap_by_peg_daily_day_peg_chain
+  ON update.stablecoin_mcap_by_peg_daily (day, peg, chain);
+
+COMMENT ON COLUMN update.stablecoin_mcap_by_peg_daily.chain IS 'Chain the market cap is circulating on; ''all'' for the total across chains';
+
+-- Query examples:
+-- Latest USD-pegged supply by chain:
+-- SELECT chain, amount_usd FROM update.stablecoin_mcap_by_peg_daily
+-- WHERE peg = 'USD' AND chain <> 'all' AND day = (SELECT MAX(day) FROM update.stablecoin_mcap_by_peg_daily) ORDER BY amount_usd DESC;
@@ -0,0 +1,2 @@
+-- Revert: drop the narrative category registry
+DROP TABLE IF EXISTS meta.narrative_categories;
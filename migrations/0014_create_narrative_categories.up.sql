@@ -0,0 +1,25 @@
+-- Migration: Create meta.narrative_categories
+-- Date: 2025-10-07
+-- Purpose: Registry of every category name the FDV performance endpoint has returned.
+--          api/job_narratives_direct.js maps known names onto the wide *.narratives columns;
+--          names without a column are recorded here with column_name NULL instead of being dropped silently.
+
+CREATE TABLE IF NOT EXISTS meta.narrative_categories (
+  category TEXT PRIMARY KEY,               -- Upstream name, e.g. 'Artificial Intelligence (AI)'
+  column_name TEXT,                        -- *.narratives column it is stored in; NULL = unmapped
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_date INTEGER,                  -- Latest narratives date (unix seconds) the category had a value for
+  last_value NUMERIC,                      -- Its value on that date
+  last_job_run_id TEXT
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_narrative_categories_unmapped ON meta.narrative_categories (last_seen_at DESC) WHERE column_name IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE meta.narrative_categories IS 'Every FDV performance category seen upstream and the narratives column it maps to (NULL when the schema has no column for it yet).';
+
+-- Query examples:
+-- Categories the narratives tables cannot store yet:
+-- SELECT category, first_seen_at, last_value FROM meta.narrative_categories WHERE column_name IS NULL ORDER BY first_seen_at;
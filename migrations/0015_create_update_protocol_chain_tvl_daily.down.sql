@@ -0,0 +1,2 @@
+-- Revert: drop update.protocol_chain_tvl_daily
+DROP TABLE IF EXISTS update.protocol_chain_tvl_daily;
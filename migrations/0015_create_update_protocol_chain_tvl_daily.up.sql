@@ -0,0 +1,34 @@
+-- Migration: Create update.protocol_chain_tvl_daily
+-- Date: 2025-10-08
+-- Purpose: Daily TVL per protocol per chain and series, collected by api/dispatcher_protocol_tvl_direct.js
+--          and promoted to clean.protocol_chain_tvl_daily by api/job_promote_clean.js
+
+CREATE TABLE IF NOT EXISTS update.protocol_chain_tvl_daily (
+  id SERIAL PRIMARY KEY,
+  protocol_id TEXT NOT NULL,               -- DeFiLlama protocol slug (e.g. aave-v3)
+  protocol_name TEXT,
+  chain TEXT NOT NULL,                     -- Chain name as DeFiLlama reports it (e.g. Ethereum)
+  series_type TEXT NOT NULL,               -- total, staking, borrowed, pool2, ...
+  ts DATE NOT NULL,                        -- Day of the snapshot (UTC)
+  total_liquidity_usd NUMERIC,
+  category TEXT,                           -- Lending, Dexs, ...
+  symbol TEXT,
+  url TEXT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()    -- Moves with every rewrite of the day
+);
+
+-- The table predates this migration in production; the natural key is added separately so it lands there too
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_protocol_chain_tvl_daily
+  ON update.protocol_chain_tvl_daily (protocol_id, chain, series_type, ts);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_protocol_chain_tvl_daily_ts ON update.protocol_chain_tvl_daily (ts DESC);
+CREATE INDEX IF NOT EXISTS idx_protocol_chain_tvl_daily_inserted_at ON update.protocol_chain_tvl_daily (inserted_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE update.protocol_chain_tvl_daily IS 'Live daily TVL by protocol, chain and series type from /api/protocols.';
+
+-- Query examples:
+-- Top protocols on Ethereum today:
+-- SELECT protocol_name, total_liquidity_usd FROM update.protocol_chain_tvl_daily
+-- WHERE chain = 'Ethereum' AND series_type = 'total' AND ts = CURRENT_DATE ORDER BY total_liquidity_usd DESC LIMIT 10;
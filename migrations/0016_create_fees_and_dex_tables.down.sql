@@ -0,0 +1,3 @@
+-- Revert: drop the fees and DEX volume tables
+DROP TABLE IF EXISTS update.dex_info;
+DROP TABLE IF EXISTS update.protocol_fees_daily;
@@ -0,0 +1,105 @@
+-- Migration: Create update.protocol_fees_daily and update.dex_info
+-- Date: 2025-10-09
+-- Purpose: Daily protocol fees/revenue (/api/overview/fees) and DEX volume (/api/overview/dexs) snapshots,
+--          written by api/job_fees_direct.js and api/job_dex_volume_direct.js (daily run or backfill)
+
+-- One row per protocol per data type per day
+CREATE TABLE IF NOT EXISTS update.protocol_fees_daily (
+  id SERIAL PRIMARY KEY,
+  protocol_id TEXT,                        -- Protocol slug - joins update.protocol_chain_tvl_daily.protocol_id
+  defillama_id TEXT NOT NULL,
+  name TEXT,
+  display_name TEXT,
+  slug TEXT,
+  category TEXT,
+  chains TEXT[],
+  module TEXT,
+  protocol_type TEXT,
+  logo TEXT,
+  total_24h NUMERIC,
+  total_48h_to_24h NUMERIC,
+  total_7d NUMERIC,
+  total_14d_to_7d NUMERIC,
+  total_30d NUMERIC,
+  total_60d_to_30d NUMERIC,
+  total_1y NUMERIC,
+  total_all_time NUMERIC,
+  average_1y NUMERIC,
+  monthly_average_1y NUMERIC,
+  change_1d NUMERIC,
+  change_7d NUMERIC,
+  change_1m NUMERIC,
+  change_7d_over_7d NUMERIC,
+  change_30d_over_30d NUMERIC,
+  total_7_days_ago NUMERIC,
+  total_30_days_ago NUMERIC,
+  breakdown_24h JSONB,
+  breakdown_30d JSONB,
+  methodology JSONB,
+  methodology_url TEXT,
+  collection_date DATE NOT NULL,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Fees and revenue share the table; existing rows are fees
+ALTER TABLE update.protocol_fees_daily ADD COLUMN IF NOT EXISTS data_type TEXT NOT NULL DEFAULT 'dailyFees'; -- dailyFees | dailyRevenue | dailyHoldersRevenue
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_protocol_fees_daily
+  ON update.protocol_fees_daily (defillama_id, data_type, collection_date);
+
+-- One row per DEX per day
+CREATE TABLE IF NOT EXISTS update.dex_info (
+  id SERIAL PRIMARY KEY,
+  defillama_id TEXT NOT NULL,
+  name TEXT,
+  display_name TEXT,
+  module TEXT,
+  category TEXT,
+  logo TEXT,
+  chains TEXT[],
+  protocol_type TEXT,
+  methodology_url TEXT,
+  parent_protocol TEXT,
+  slug TEXT,
+  total_24h NUMERIC,
+  total_48h_to_24h NUMERIC,
+  total_7d NUMERIC,
+  total_14d_to_7d NUMERIC,
+  total_30d NUMERIC,
+  total_60d_to_30d NUMERIC,
+  total_1y NUMERIC,
+  total_all_time NUMERIC,
+  average_1y NUMERIC,
+  monthly_average_1y NUMERIC,
+  change_1d NUMERIC,
+  change_7d NUMERIC,
+  change_1m NUMERIC,
+  change_7d_over_7d NUMERIC,
+  change_30d_over_30d NUMERIC,
+  total_7_days_ago NUMERIC,
+  total_30_days_ago NUMERIC,
+  breakdown_24h JSONB,
+  breakdown_30d JSONB,
+  methodology JSONB,
+  linked_protocols TEXT[],
+  data_timestamp TIMESTAMPTZ NOT NULL,     -- Start of the UTC day the snapshot belongs to
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_dex_info_day
+  ON update.dex_info (defillama_id, data_timestamp);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_protocol_fees_daily_collection_date ON update.protocol_fees_daily (collection_date DESC);
+CREATE INDEX IF NOT EXISTS idx_protocol_fees_daily_protocol_id ON update.protocol_fees_daily (protocol_id);
+CREATE INDEX IF NOT EXISTS idx_dex_info_data_timestamp ON update.dex_info (data_timestamp DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE update.protocol_fees_daily IS 'Daily protocol fees and revenue from /api/overview/fees, one row per protocol, data type and day.';
+COMMENT ON TABLE update.dex_info IS 'Daily DEX volume from /api/overview/dexs, one row per DEX per day.';
+
+-- Query examples:
+-- Fees next to TVL for lending protocols:
+-- SELECT f.protocol_id, f.total_24h, t.total_liquidity_usd FROM update.protocol_fees_daily f
+-- JOIN update.protocol_chain_tvl_daily t ON t.protocol_id = f.protocol_id AND t.ts = f.collection_date AND t.series_type = 'total'
+-- WHERE f.data_type = 'dailyFees' AND f.category = 'Lending' AND f.collection_date = CURRENT_DATE;
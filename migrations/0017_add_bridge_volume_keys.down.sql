@@ -0,0 +1,3 @@
+-- Revert: drop the bridge overview table and the bridge volume natural key
+DROP TABLE IF EXISTS clean.bridge_volume_overview;
+DROP INDEX IF EXISTS clean.uniq_bridge_volume_daily;
@@ -0,0 +1,32 @@
+-- Migration: Add a natural key to clean.bridge_volume_daily and create clean.bridge_volume_overview
+-- Date: 2025-10-10
+-- Purpose: api/dispatcher_bridges_direct.js upserts one row per bridge per chain per day, and the all-bridges
+--          daily totals; reruns and backfills overwrite the day instead of appending duplicates
+
+-- clean.bridge_volume_daily has no primary key in production; keep the newest copy of any duplicated day first
+DELETE FROM clean.bridge_volume_daily a
+USING clean.bridge_volume_daily b
+WHERE a.bridge_id = b.bridge_id AND a.chain = b.chain AND a.day = b.day
+  AND (COALESCE(a.inserted_at, '-infinity'), a.ctid) < (COALESCE(b.inserted_at, '-infinity'), b.ctid);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_bridge_volume_daily
+  ON clean.bridge_volume_daily (bridge_id, chain, day);
+
+CREATE TABLE IF NOT EXISTS clean.bridge_volume_overview (
+  day DATE PRIMARY KEY,
+  deposit_usd DOUBLE PRECISION,            -- Summed across all bridges and chains
+  withdraw_usd DOUBLE PRECISION,
+  deposit_txs BIGINT,
+  withdraw_txs BIGINT,
+  inserted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE clean.bridge_volume_overview IS 'Daily bridge deposit/withdrawal volume and transaction counts across all bridges.';
+
+-- Query examples:
+-- Largest bridges by deposits over the last week:
+-- SELECT bridge_id, SUM(deposit_usd) AS deposits FROM clean.bridge_volume_daily
+-- WHERE day > CURRENT_DATE - 7 GROUP BY bridge_id ORDER BY deposits DESC LIMIT 10;
+-- Net flow across all bridges:
+-- SELECT day, deposit_usd - withdraw_usd AS net_usd FROM clean.bridge_volume_overview ORDER BY day DESC LIMIT 30;
@@ -0,0 +1,20 @@
+-- Revert: back to one ETF flow row per asset per day, without revision tracking
+DELETE FROM clean.etf_flows_daily WHERE ticker <> 'all';
+ALTER TABLE clean.etf_flows_daily DROP CONSTRAINT IF EXISTS etf_flows_daily_pkey;
+ALTER TABLE clean.etf_flows_daily ADD CONSTRAINT etf_flows_daily_pkey PRIMARY KEY (gecko_id, day);
+ALTER TABLE clean.etf_flows_daily DROP COLUMN IF EXISTS revised_at;
+ALTER TABLE clean.etf_flows_daily DROP COLUMN IF EXISTS previous_flow_usd;
+ALTER TABLE clean.etf_flows_daily DROP COLUMN IF EXISTS ticker;
+
+DROP INDEX IF EXISTS update.idx_raw_etf_updated_at;
+DROP INDEX IF EXISTS update.uniq_raw_etf_gecko_id_ticker_day;
+DELETE FROM update.raw_etf WHERE ticker <> 'all';
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS revision_count;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS revised_at;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS previous_flow_usd;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS volume_usd;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS aum_usd;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS etf_name;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS issuer;
+ALTER TABLE update.raw_etf DROP COLUMN IF EXISTS ticker;
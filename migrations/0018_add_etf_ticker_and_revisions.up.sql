@@ -0,0 +1,48 @@
+-- Migration: Per-ticker ETF flows with revision tracking in update.raw_etf and clean.etf_flows_daily
+-- Date: 2025-10-11
+-- Purpose: api/job_etf_direct.js upserts one row per asset, ticker and day into update.raw_etf (ticker = 'all' is the
+--          asset total), and api/job_promote_clean.js normalizes it into clean.etf_flows_daily. Issuers revise recent
+--          days after the fact; a changed value keeps the one it replaced and the time it changed.
+
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS ticker TEXT NOT NULL DEFAULT 'all'; -- ETF ticker (IBIT, FBTC, ...), or 'all'
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS issuer TEXT;
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS etf_name TEXT;
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS aum_usd NUMERIC;
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS volume_usd NUMERIC;
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS previous_flow_usd NUMERIC;      -- Value before the latest revision
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS revised_at TIMESTAMPTZ;         -- When total_flow_usd last changed; NULL = never revised
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS revision_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE update.raw_etf ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(); -- Moves with every change; drives promotion
+
+-- Keep the newest copy of any duplicated day before adding the natural key
+DELETE FROM update.raw_etf a
+USING update.raw_etf b
+WHERE a.gecko_id = b.gecko_id AND a.ticker = b.ticker AND a.day = b.day AND a.id < b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_raw_etf_gecko_id_ticker_day
+  ON update.raw_etf (gecko_id, ticker, day);
+
+-- Existing clean rows are asset totals
+ALTER TABLE clean.etf_flows_daily ADD COLUMN IF NOT EXISTS ticker TEXT NOT NULL DEFAULT 'all';
+ALTER TABLE clean.etf_flows_daily ADD COLUMN IF NOT EXISTS previous_flow_usd DOUBLE PRECISION;
+ALTER TABLE clean.etf_flows_daily ADD COLUMN IF NOT EXISTS revised_at TIMESTAMPTZ;
+
+ALTER TABLE clean.etf_flows_daily DROP CONSTRAINT IF EXISTS etf_flows_daily_pkey;
+ALTER TABLE clean.etf_flows_daily ADD CONSTRAINT etf_flows_daily_pkey PRIMARY KEY (gecko_id, ticker, day);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_raw_etf_updated_at ON update.raw_etf (updated_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN update.raw_etf.ticker IS 'ETF ticker, or ''all'' for the total across every ETF of the asset';
+COMMENT ON COLUMN update.raw_etf.revised_at IS 'When total_flow_usd last changed after the first write; previous_flow_usd holds the value it replaced';
+COMMENT ON COLUMN clean.etf_flows_daily.ticker IS 'ETF ticker, or ''all'' for the total across every ETF of the asset';
+COMMENT ON COLUMN clean.etf_flows_daily.revised_at IS 'When total_flow_usd last changed after the first write; previous_flow_usd holds the value it replaced';
+
+-- Query examples:
+-- Yesterday's flows by BTC ETF:
+-- SELECT ticker, total_flow_usd FROM clean.etf_flows_daily
+-- WHERE gecko_id = 'bitcoin' AND ticker <> 'all' AND day = CURRENT_DATE - 1 ORDER BY total_flow_usd DESC;
+-- Revisions in the last week:
+-- SELECT gecko_id, ticker, day, previous_flow_usd, total_flow_usd, revised_at FROM update.raw_etf
+-- WHERE revised_at > NOW() - INTERVAL '7 days' ORDER BY revised_at DESC;
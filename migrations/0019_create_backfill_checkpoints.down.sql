@@ -0,0 +1,2 @@
+-- Revert: drop the backfill checkpoints
+DROP TABLE IF EXISTS meta.backfill_checkpoints;
@@ -0,0 +1,34 @@
+-- Migration: Create meta.backfill_checkpoints
+-- Date: 2025-10-12
+-- Purpose: lib/backfill.js splits a backfill into (period, batch) units and checkpoints each one as it finishes,
+--          so a backfill that dies part-way resumes with the units it had not finished
+
+CREATE TABLE IF NOT EXISTS meta.backfill_checkpoints (
+  dataset TEXT NOT NULL,                   -- Backfill dataset (e.g. token_prices, fees:dailyRevenue)
+  period TIMESTAMPTZ NOT NULL,             -- Start of the day / hour the unit covers
+  granularity TEXT NOT NULL,               -- day | hour
+  batch_offset INTEGER NOT NULL DEFAULT 0, -- Slice of the dataset's universe (0 for datasets without batches)
+  batch_limit INTEGER,
+  batch_count INTEGER NOT NULL DEFAULT 1,  -- Batches the period was split into when this unit ran
+  status TEXT NOT NULL,                    -- done | failed
+  attempts INTEGER NOT NULL DEFAULT 1,
+  job_run_id TEXT,                         -- meta.job_runs run that last processed the unit
+  inserted_records INTEGER,
+  error_records INTEGER,
+  error_message TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (dataset, granularity, period, batch_offset),
+  CONSTRAINT backfill_checkpoints_status_check CHECK (status IN ('done', 'failed'))
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_backfill_checkpoints_status ON meta.backfill_checkpoints (dataset, status);
+
+-- Add comments for documentation
+COMMENT ON TABLE meta.backfill_checkpoints IS 'Completed and failed (period, batch) units of historical backfills; done units are skipped when a backfill resumes.';
+COMMENT ON COLUMN meta.backfill_checkpoints.batch_count IS 'A period is complete once it has batch_count done units';
+
+-- Query examples:
+-- Progress of a dataset:
+-- SELECT status, COUNT(*), MIN(period), MAX(period) FROM meta.backfill_checkpoints WHERE dataset = 'token_prices' GROUP BY status;
+-- Retry everything from a day onwards: DELETE FROM meta.backfill_checkpoints WHERE dataset = 'token_prices' AND period >= '2025-09-01';
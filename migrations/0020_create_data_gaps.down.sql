@@ -0,0 +1,2 @@
+-- Revert: drop the gap records
+DROP TABLE IF EXISTS meta.data_gaps;
@@ -0,0 +1,37 @@
+-- Migration: Create meta.data_gaps
+-- Date: 2025-10-13
+-- Purpose: api/job_gap_detector.js scans the scheduled snapshot tables for missing snapshots per entity, queues each
+--          missing window here and repairs it through the historical backfill engine (lib/backfill.js).
+--          A row is the record of what was found and what the repair filled.
+
+CREATE TABLE IF NOT EXISTS meta.data_gaps (
+  dataset TEXT NOT NULL,                   -- token_prices | lending | pools
+  entity_id TEXT NOT NULL,                 -- coin_id / pool_id
+  gap_start TIMESTAMPTZ NOT NULL,          -- First missing schedule slot
+  gap_end TIMESTAMPTZ NOT NULL,            -- Last missing schedule slot
+  missing_snapshots INTEGER NOT NULL,      -- Schedule slots without a row when detected
+  status TEXT NOT NULL DEFAULT 'queued',   -- queued | repaired | unfilled | failed
+  attempts INTEGER NOT NULL DEFAULT 0,     -- Repair runs that covered the gap
+  filled_snapshots INTEGER,                -- Rows inside the window after the last repair
+  repair_job_run_id TEXT,                  -- meta.job_runs run of the last backfill that covered the gap
+  error_message TEXT,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  repaired_at TIMESTAMPTZ,
+  PRIMARY KEY (dataset, entity_id, gap_start),
+  CONSTRAINT data_gaps_status_check CHECK (status IN ('queued', 'repaired', 'unfilled', 'failed'))
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_data_gaps_status ON meta.data_gaps (dataset, status);
+
+-- Add comments for documentation
+COMMENT ON TABLE meta.data_gaps IS 'Missing snapshot windows per dataset and entity, and their repair through the historical backfill.';
+COMMENT ON COLUMN meta.data_gaps.status IS 'queued: awaiting repair; repaired: the backfill filled rows in the window; unfilled: the backfill ran but its source has nothing at that resolution; failed: the backfill failed (retried up to the detector''s attempt limit)';
+
+-- Query examples:
+-- Open gaps per dataset:
+-- SELECT dataset, status, COUNT(*), SUM(missing_snapshots) FROM meta.data_gaps WHERE status IN ('queued', 'failed') GROUP BY 1, 2;
+-- What the last week of repairs filled:
+-- SELECT dataset, SUM(missing_snapshots) AS missing, SUM(filled_snapshots) AS filled FROM meta.data_gaps
+-- WHERE repaired_at > NOW() - INTERVAL '7 days' GROUP BY dataset;
@@ -0,0 +1,2 @@
+-- Revert: drop the lending market token links
+DROP TABLE IF EXISTS update.lending_market_tokens;
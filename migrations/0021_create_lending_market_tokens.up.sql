@@ -0,0 +1,34 @@
+-- Migration: Create update.lending_market_tokens
+-- Date: 2025-10-14
+-- Purpose: api/job_lending_direct.js normalizes each market's underlyingTokens / rewardTokens arrays into one row per
+--          market, role and token, with the token's coins API id (chain:address, as in update.token_price_daily.coin_id)
+--          so supplied / borrowed amounts and rewards can be priced by joining the price tables.
+--          The JSONB arrays on update.lending_market_history stay as the raw per-snapshot record.
+
+CREATE TABLE IF NOT EXISTS update.lending_market_tokens (
+  pool_id TEXT NOT NULL,                   -- update.lending_market_history.pool_id
+  role TEXT NOT NULL,                      -- underlying | reward
+  token_address TEXT NOT NULL,             -- As the API reports it
+  position SMALLINT NOT NULL,              -- Index in the API array (underlying order matters for LP-style markets)
+  chain TEXT,                              -- Market chain as the API reports it
+  coin_id TEXT,                            -- chain:address in coins API form; NULL when the address is not valid for the chain
+  first_seen_at TIMESTAMPTZ NOT NULL,      -- Earliest snapshot listing the token
+  last_seen_at TIMESTAMPTZ NOT NULL,       -- Latest snapshot listing the token
+  PRIMARY KEY (pool_id, role, token_address),
+  CONSTRAINT lending_market_tokens_role_check CHECK (role IN ('underlying', 'reward'))
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_lending_market_tokens_coin_id ON update.lending_market_tokens (coin_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE update.lending_market_tokens IS 'Underlying and reward tokens of each lending market, linked to token price coin ids.';
+COMMENT ON COLUMN update.lending_market_tokens.coin_id IS 'Joins update.token_price_daily.coin_id / clean.token_price_daily.coin_id';
+
+-- Query examples:
+-- Markets supplying a token:
+-- SELECT pool_id FROM update.lending_market_tokens WHERE role = 'underlying' AND coin_id = 'ethereum:0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+-- Reward tokens of a market with their latest price:
+-- SELECT t.coin_id, p.price_usd FROM update.lending_market_tokens t
+-- LEFT JOIN LATERAL (SELECT price_usd FROM update.token_price_daily WHERE coin_id = t.coin_id ORDER BY price_timestamp DESC LIMIT 1) p ON TRUE
+-- WHERE t.pool_id = 'e880e828-ca59-4ec6-8d4f-27182a4dc23d' AND t.role = 'reward';
@@ -0,0 +1,23 @@
+-- Revert: back to the nine collected pool columns
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS raw;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS predictions;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS underlying_tokens;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS reward_tokens;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS outlier;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS count;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS sigma;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS mu;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS pool_meta;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS exposure;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS il_risk;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS stablecoin;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS volume_usd_7d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS volume_usd_1d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS il_7d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_base_inception;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_base_7d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_mean_30d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_pct_30d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_pct_7d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_pct_1d;
+ALTER TABLE update.cl_pool_hist DROP COLUMN IF EXISTS apy_reward;
@@ -0,0 +1,40 @@
+-- Migration: Full /yields/pools payload in update.cl_pool_hist
+-- Date: 2025-10-15
+-- Purpose: api/job_liquidity_pools_direct.js stores every attribute /yields/pools serves (reward APY, APY changes,
+--          volumes, risk flags, token arrays, predictions) instead of nine columns, plus the raw pool entry for fields
+--          added to the API later. Columns only - the rows written before this migration get what can be derived from
+--          what was stored from backfill_cl_pool_hist_attributes.js, which walks the table in short id-range transactions.
+
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_reward DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_pct_1d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_pct_7d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_pct_30d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_mean_30d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_base_7d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS apy_base_inception DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS il_7d DOUBLE PRECISION;           -- Impermanent loss over 7 days
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS volume_usd_1d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS volume_usd_7d DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS stablecoin BOOLEAN;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS il_risk TEXT;                     -- yes | no
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS exposure TEXT;                    -- single | multi
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS pool_meta TEXT;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS mu DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS sigma DOUBLE PRECISION;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS count INTEGER;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS outlier BOOLEAN;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS reward_tokens JSONB;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS underlying_tokens JSONB;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS predictions JSONB;
+ALTER TABLE update.cl_pool_hist ADD COLUMN IF NOT EXISTS raw JSONB;                        -- The /yields/pools entry as served
+
+-- Add comments for documentation
+COMMENT ON COLUMN update.cl_pool_hist.raw IS 'The /yields/pools entry as served; NULL for rows collected before migration 0022 or rebuilt from pool charts';
+COMMENT ON COLUMN update.cl_pool_hist.apy_reward IS 'Reward APY; derived as apy - apy_base for rows collected before migration 0022';
+
+-- Query examples:
+-- Stablecoin pools by reward share of their APY:
+-- SELECT pool_id, project, symbol, apy, apy_reward FROM update.cl_pool_hist
+-- WHERE ts = (SELECT MAX(ts) FROM update.cl_pool_hist) AND stablecoin AND apy_reward > 0 ORDER BY apy_reward / NULLIF(apy, 0) DESC;
+-- Fields the API added after the columns were defined:
+-- SELECT raw - ARRAY['pool', 'chain', 'project', 'symbol'] FROM update.cl_pool_hist WHERE raw IS NOT NULL LIMIT 1;
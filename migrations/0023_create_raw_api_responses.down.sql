@@ -0,0 +1,3 @@
+-- Revert: drop the raw response archive
+DROP TABLE IF EXISTS raw.api_responses;
+DROP SCHEMA IF EXISTS raw;
@@ -0,0 +1,35 @@
+-- Migration: Create raw.api_responses
+-- Date: 2025-10-16
+-- Purpose: lib/llama_client.js archives every DeFiLlama response fetched inside a job run, gzip-compressed and keyed by
+--          job_run_id and endpoint, with the run's params and start time. api/job_replay.js (and replay.js) re-run a
+--          job's transform and load from these payloads over a date range without calling the API.
+
+CREATE SCHEMA IF NOT EXISTS raw;
+
+CREATE TABLE IF NOT EXISTS raw.api_responses (
+  id BIGSERIAL PRIMARY KEY,
+  job_run_id TEXT NOT NULL,                -- Run that fetched the response
+  job_name TEXT NOT NULL,                  -- e.g. lending_direct
+  endpoint TEXT NOT NULL,                  -- API path without the key, e.g. /yields/poolsBorrow
+  query JSONB,                             -- Query string parameters, NULL when none
+  params JSONB NOT NULL DEFAULT '{}',      -- The run's job params - a replay runs the job with them again
+  run_started_at TIMESTAMPTZ NOT NULL,     -- The run's start - the replay's clock for "now"-based snapshots
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  content_encoding TEXT NOT NULL DEFAULT 'gzip',
+  payload BYTEA NOT NULL,                  -- Response body as served, compressed
+  payload_bytes INTEGER NOT NULL           -- Uncompressed size
+);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_api_responses_job_run_id_endpoint ON raw.api_responses (job_run_id, endpoint);
+CREATE INDEX IF NOT EXISTS idx_api_responses_job_name_started ON raw.api_responses (job_name, run_started_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE raw.api_responses IS 'Compressed DeFiLlama responses per job run and endpoint, replayable into the update tables.';
+COMMENT ON COLUMN raw.api_responses.payload IS 'gzip of the response body as served (content_encoding)';
+
+-- Query examples:
+-- Archive size per job over the last week:
+-- SELECT job_name, COUNT(*), pg_size_pretty(SUM(octet_length(payload))) AS stored, pg_size_pretty(SUM(payload_bytes)::bigint) AS raw
+-- FROM raw.api_responses WHERE run_started_at > NOW() - INTERVAL '7 days' GROUP BY job_name;
+-- Retention: DELETE FROM raw.api_responses WHERE run_started_at < NOW() - INTERVAL '90 days';
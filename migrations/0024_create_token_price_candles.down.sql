@@ -0,0 +1,5 @@
+-- Revert: drop the token price candles and their watermark
+DROP TABLE IF EXISTS clean.token_price_candles_1w;
+DROP TABLE IF EXISTS clean.token_price_candles_1d;
+DROP TABLE IF EXISTS clean.token_price_candles_1h;
+DELETE FROM meta.promotion_watermarks WHERE pipeline = 'token_price_candles';
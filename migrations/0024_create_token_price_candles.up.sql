@@ -0,0 +1,42 @@
+-- Migration: Create clean.token_price_candles_1h / _1d / _1w
+-- Date: 2025-10-17
+-- Purpose: api/job_token_candles.js rolls the raw 5-minute prints of update.token_price_daily into per-token OHLC
+--          candles - 1h from the prints, 1d from the 1h candles, 1w (ISO weeks, Monday 00:00 UTC) from the 1d candles.
+--          Runs are incremental from the token_price_candles watermark in meta.promotion_watermarks; ?from=&to=
+--          rebuilds a range after a backfill.
+
+CREATE TABLE IF NOT EXISTS clean.token_price_candles_1h (
+  coin_id TEXT NOT NULL,                   -- chain:address, as in update.token_price_daily
+  bucket_start TIMESTAMPTZ NOT NULL,       -- Start of the hour (UTC)
+  open NUMERIC NOT NULL,                   -- First print of the bucket
+  high NUMERIC NOT NULL,
+  low NUMERIC NOT NULL,
+  close NUMERIC NOT NULL,                  -- Last print of the bucket
+  sample_count INTEGER NOT NULL,           -- Prints aggregated
+  max_confidence NUMERIC,
+  first_price_at TIMESTAMPTZ NOT NULL,     -- Time of the open print
+  last_price_at TIMESTAMPTZ NOT NULL,      -- Time of the close print
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (coin_id, bucket_start)
+);
+
+CREATE TABLE IF NOT EXISTS clean.token_price_candles_1d (LIKE clean.token_price_candles_1h INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS clean.token_price_candles_1w (LIKE clean.token_price_candles_1h INCLUDING ALL);
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_token_price_candles_1h_bucket_start ON clean.token_price_candles_1h (bucket_start);
+CREATE INDEX IF NOT EXISTS idx_token_price_candles_1d_bucket_start ON clean.token_price_candles_1d (bucket_start);
+CREATE INDEX IF NOT EXISTS idx_token_price_candles_1w_bucket_start ON clean.token_price_candles_1w (bucket_start);
+
+-- Add comments for documentation
+COMMENT ON TABLE clean.token_price_candles_1h IS 'Hourly OHLC candles per token from the update.token_price_daily prints.';
+COMMENT ON TABLE clean.token_price_candles_1d IS 'Daily (UTC) OHLC candles per token, rolled up from the hourly candles.';
+COMMENT ON TABLE clean.token_price_candles_1w IS 'Weekly (ISO week, Monday UTC) OHLC candles per token, rolled up from the daily candles.';
+
+-- Query examples:
+-- Daily returns of a token over the last 30 days:
+-- SELECT bucket_start::date AS day, close, close / open - 1 AS intraday_return, (high - low) / low AS range_pct
+-- FROM clean.token_price_candles_1d
+-- WHERE coin_id = 'ethereum:0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2' AND bucket_start > NOW() - INTERVAL '30 days' ORDER BY bucket_start;
+-- Biggest weekly movers: SELECT coin_id, close / open - 1 AS weekly_return FROM clean.token_price_candles_1w
+-- WHERE bucket_start = date_trunc('week', NOW(), 'UTC') - INTERVAL '1 week' AND sample_count > 1000 ORDER BY weekly_return DESC LIMIT 20;
@@ -0,0 +1,12 @@
+-- Revert: drop the ingestion columns added for promotion; the token_prices and lending watermarks are ingestion times
+-- and mean nothing as snapshot times, so they are dropped too (the next promotion starts over, idempotently)
+DROP INDEX IF EXISTS update.idx_token_price_daily_inserted_at;
+DROP INDEX IF EXISTS update.idx_lending_market_history_inserted_at;
+DROP INDEX IF EXISTS update.idx_cl_pool_hist_inserted_at;
+CREATE INDEX IF NOT EXISTS idx_clean_cl_pool_hist_pool_id_ts ON clean.cl_pool_hist (pool_id, ts DESC);
+DROP INDEX IF EXISTS clean.uniq_clean_cl_pool_hist_pool_ts;
+ALTER TABLE update.token_price_daily DROP COLUMN IF EXISTS inserted_at;
+ALTER TABLE update.lending_market_history DROP COLUMN IF EXISTS inserted_at;
+DELETE FROM meta.promotion_watermarks WHERE pipeline IN ('token_prices', 'lending', 'pools');
+COMMENT ON TABLE meta.promotion_watermarks IS 'Per-pipeline progress of the update.* -> clean.* promotion job.';
+COMMENT ON COLUMN meta.promotion_watermarks.watermark IS 'Highest source snapshot time promoted; the next run starts strictly after it';
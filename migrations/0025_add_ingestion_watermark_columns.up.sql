@@ -0,0 +1,60 @@
+-- Migration: Watermark promotion on ingestion time for token prices, lending and pools
+-- Date: 2025-10-18
+-- Purpose: api/job_promote_clean.js followed price_timestamp / data_timestamp / ts, so rows written behind the
+--          watermark (historical and gap backfills, history-mode points, yields chart rebuilds) never reached clean.*.
+--          Like protocol_tvl, narratives and etf, these pipelines (and the token price candles) now follow a column that
+--          moves with every write.
+--          Existing rows read as the epoch (a constant default, so no table rewrite); the few past each pipeline's
+--          watermark are stamped now so the next run still promotes them. A pool hour rewritten after its promotion
+--          now overwrites the clean row, so clean.cl_pool_hist gets the (pool_id, ts) key the upsert needs.
+
+ALTER TABLE update.token_price_daily ADD COLUMN IF NOT EXISTS inserted_at TIMESTAMPTZ NOT NULL DEFAULT 'epoch';
+ALTER TABLE update.token_price_daily ALTER COLUMN inserted_at SET DEFAULT NOW();
+ALTER TABLE update.lending_market_history ADD COLUMN IF NOT EXISTS inserted_at TIMESTAMPTZ NOT NULL DEFAULT 'epoch';
+ALTER TABLE update.lending_market_history ALTER COLUMN inserted_at SET DEFAULT NOW();
+-- update.cl_pool_hist.inserted_at exists since the baseline and is set on insert
+
+UPDATE update.token_price_daily s SET inserted_at = NOW()
+FROM meta.promotion_watermarks w
+WHERE w.pipeline = 'token_prices' AND s.price_timestamp > w.watermark;
+
+UPDATE update.lending_market_history s SET inserted_at = NOW()
+FROM meta.promotion_watermarks w
+WHERE w.pipeline = 'lending' AND s.data_timestamp > w.watermark;
+
+-- The token price candles follow inserted_at too (api/job_token_candles.js)
+UPDATE update.token_price_daily s SET inserted_at = NOW()
+FROM meta.promotion_watermarks w
+WHERE w.pipeline = 'token_price_candles' AND s.price_timestamp > w.watermark AND s.inserted_at = 'epoch';
+
+-- Pipelines never promoted start below the epoch so every existing row is picked up
+INSERT INTO meta.promotion_watermarks (pipeline, watermark) VALUES ('token_prices', '-infinity'), ('lending', '-infinity')
+ON CONFLICT (pipeline) DO NOTHING;
+
+-- clean.cl_pool_hist has no key in production; keep the newest copy of any duplicated hour first
+DELETE FROM clean.cl_pool_hist a
+USING clean.cl_pool_hist b
+WHERE a.pool_id = b.pool_id AND a.ts = b.ts
+  AND (COALESCE(a.inserted_at, '-infinity'), a.ctid) < (COALESCE(b.inserted_at, '-infinity'), b.ctid);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_clean_cl_pool_hist_pool_ts ON clean.cl_pool_hist (pool_id, ts);
+-- Same columns as the unique key
+DROP INDEX IF EXISTS clean.idx_clean_cl_pool_hist_pool_id_ts;
+
+-- Add indexes for efficient queries
+CREATE INDEX IF NOT EXISTS idx_token_price_daily_inserted_at ON update.token_price_daily (inserted_at);
+CREATE INDEX IF NOT EXISTS idx_lending_market_history_inserted_at ON update.lending_market_history (inserted_at);
+CREATE INDEX IF NOT EXISTS idx_cl_pool_hist_inserted_at ON update.cl_pool_hist (inserted_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN update.token_price_daily.inserted_at IS 'Last write of the row (promotion watermark); the epoch for rows written before migration 0025';
+COMMENT ON COLUMN update.lending_market_history.inserted_at IS 'Last write of the row (promotion watermark); the epoch for rows written before migration 0025';
+COMMENT ON COLUMN update.cl_pool_hist.inserted_at IS 'Last write of the row (promotion watermark)';
+-- 0012 described every watermark as a snapshot time
+COMMENT ON TABLE meta.promotion_watermarks IS 'Per-pipeline progress of incremental jobs over update.* (promotion to clean.*, token price candles).';
+COMMENT ON COLUMN meta.promotion_watermarks.watermark IS 'Highest value of the source column the pipeline follows that has been processed; the next run starts strictly after it. An ingestion time (inserted_at / updated_at) for the promotion pipelines, so rows written behind their snapshot time are still picked up';
+
+-- Query examples:
+-- Rows written behind their snapshot time (backfills and repairs) in the last day:
+-- SELECT coin_id, price_timestamp, inserted_at FROM update.token_price_daily
+-- WHERE inserted_at > NOW() - INTERVAL '1 day' AND price_timestamp < inserted_at - INTERVAL '1 hour';
@@ -0,0 +1,7 @@
+-- Revert: key meta.backfill_checkpoints by batch offset again; batched checkpoints are dropped (offsets and keys of
+-- the same period may collide), so those batches run once more
+DELETE FROM meta.backfill_checkpoints WHERE batch_key <> '';
+ALTER TABLE meta.backfill_checkpoints DROP CONSTRAINT backfill_checkpoints_pkey;
+ALTER TABLE meta.backfill_checkpoints ADD PRIMARY KEY (dataset, granularity, period, batch_offset);
+ALTER TABLE meta.backfill_checkpoints DROP COLUMN IF EXISTS batch_key;
+COMMENT ON COLUMN meta.backfill_checkpoints.batch_offset IS NULL;
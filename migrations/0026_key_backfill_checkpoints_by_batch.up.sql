@@ -0,0 +1,18 @@
+-- Migration: Key meta.backfill_checkpoints by a hash of each batch's entity ids
+-- Date: 2025-10-19
+-- Purpose: Checkpoints were keyed by the batch offset into the dataset's universe, which token curation changes between
+--          runs - a resumed backfill skipped whichever coins had moved into an offset that was already done.
+--          lib/backfill.js now keys each batch by a hash of its entity ids ('' for datasets without batches).
+--          Batched checkpoints written before this have no key and are dropped: those batches run once more.
+
+ALTER TABLE meta.backfill_checkpoints ADD COLUMN IF NOT EXISTS batch_key TEXT NOT NULL DEFAULT '';
+DELETE FROM meta.backfill_checkpoints WHERE batch_limit IS NOT NULL;
+ALTER TABLE meta.backfill_checkpoints DROP CONSTRAINT backfill_checkpoints_pkey;
+ALTER TABLE meta.backfill_checkpoints ADD PRIMARY KEY (dataset, granularity, period, batch_key);
+
+-- Add comments for documentation
+COMMENT ON COLUMN meta.backfill_checkpoints.batch_key IS 'First 12 hex chars of the sha1 of the batch''s comma-joined entity ids; empty for datasets without batches';
+COMMENT ON COLUMN meta.backfill_checkpoints.batch_offset IS 'Offset of the batch when it last ran - informational, batch_key identifies it';
+
+-- Query examples:
+-- Batches of a day: SELECT batch_offset, batch_limit, batch_key, status FROM meta.backfill_checkpoints WHERE dataset = 'token_prices' AND period = '2025-09-01' ORDER BY batch_offset;
@@ -0,0 +1,39 @@
+// replay.js
+// Replays archived API responses through a collector (same as /api/job_replay) - no API calls are made
+//   node replay.js --job lending_direct --from 2025-10-01 --to 2025-10-07
+//   node replay.js --job liquidity_pools_direct --days 2
+// Use it after fixing a mapping bug to reload the affected snapshots from what the API returned at the time
+
+const { makePoolFromEnv } = require('./lib/job_runtime');
+const { runReplayJob } = require('./api/job_replay');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    options[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main(argv) {
+  const pool = makePoolFromEnv();
+  try {
+    const result = await runReplayJob(parseArgs(argv), { pool });
+    if (result.details?.runs?.length) console.table(result.details.runs);
+    if (!result.success) throw new Error(result.error || result.message);
+    console.log(`✅ ${result.message}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Replay failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,46 @@
+// test/batch_plan.test.js
+// Batch planning and bounded concurrency used by the dispatchers
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planBatches, runWithConcurrency } = require('../lib/batch_plan');
+
+describe('planBatches', () => {
+  it('evens out batch sizes instead of leaving a sliver', () => {
+    assert.deepEqual(planBatches(2454, 820).map(b => b.limit), [818, 818, 818]);
+    assert.deepEqual(planBatches(19201, 1600).map(b => b.limit), Array(13).fill(1477));
+  });
+
+  it('covers every item exactly once', () => {
+    for (const [total, target] of [[1, 5], [10, 3], [6, 4], [12, 5], [19200, 1600]]) {
+      const batches = planBatches(total, target);
+      assert.equal(batches.reduce((sum, b) => sum + b.limit, 0), total);
+      batches.forEach((b, i) => {
+        assert.equal(b.batchNumber, i + 1);
+        assert.ok(b.limit > 0 && b.limit <= target);
+        if (i > 0) assert.equal(b.offset, batches[i - 1].offset + batches[i - 1].limit);
+      });
+    }
+  });
+
+  it('returns no batches for an empty universe', () => {
+    assert.deepEqual(planBatches(0, 100), []);
+  });
+});
+
+describe('runWithConcurrency', () => {
+  it('keeps input order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await runWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(r => setTimeout(r, ms));
+      inFlight--;
+      return i;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+});
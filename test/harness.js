@@ -0,0 +1,96 @@
+// test/harness.js
+// Integration test harness - throwaway Postgres database + local DeFiLlama stub per test file
+// Needs TEST_DATABASE_URL pointing at a server where the user may CREATE DATABASE (e.g. postgres://postgres@localhost:5432/postgres)
+
+const path = require('path');
+const { Pool } = require('pg');
+const { createLlamaStub } = require('./llama_stub_server');
+const { migrateUp } = require('../lib/migrations');
+
+const ROOT = path.join(__dirname, '..');
+
+const { TEST_DATABASE_URL } = process.env;
+
+/** Reason to skip integration tests, or false when they can run */
+const skipReason = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL not set - skipping Postgres integration tests';
+
+function withDatabase(url, database) {
+  const u = new URL(url);
+  u.pathname = `/${database}`;
+  return u.toString();
+}
+
+/**
+ * Creates a uniquely named database, applies every migration and returns a pool on it
+ *
+ * @param {{ migrate?: boolean }} [options]  migrate: false leaves the database empty
+ * @returns {Promise<{ pool: import('pg').Pool, databaseName: string, drop: () => Promise<void> }>}
+ */
+async function createTestDatabase(options = {}) {
+  const databaseName = `alive_test_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const admin = new Pool({ connectionString: TEST_DATABASE_URL, max: 1 });
+  await admin.query(`CREATE DATABASE ${databaseName}`);
+
+  const pool = new Pool({ connectionString: withDatabase(TEST_DATABASE_URL, databaseName) });
+  if (options.migrate !== false) {
+    await migrateUp(pool, { log: () => {} });
+  }
+
+  return {
+    pool,
+    databaseName,
+    async drop() {
+      // FORCE may terminate a connection pool.end() is still closing
+      pool.on('error', () => {});
+      await pool.end();
+      await admin.query(`DROP DATABASE IF EXISTS ${databaseName} WITH (FORCE)`);
+      await admin.end();
+    }
+  };
+}
+
+/**
+ * Starts the stub and points the llama client at it.
+ * Must run before any job module is required - the client reads its base URL at load time.
+ */
+async function startStub() {
+  const stub = createLlamaStub();
+  const baseUrl = await stub.start();
+  process.env.DEFILLAMA_API_BASE_URL = baseUrl;
+  process.env.DEFILLAMA_API_KEY = stub.apiKey;
+  process.env.DEFILLAMA_MIN_INTERVAL_MS = '1';
+  process.env.DEFILLAMA_MAX_RETRIES = '1';
+  return stub;
+}
+
+// Job logs are chatty (and their emoji output trips the node --test stdout parser); set TEST_VERBOSE=1 to keep them
+function silenceJobLogs() {
+  if (process.env.TEST_VERBOSE) return;
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+/**
+ * Sets up stub + database for a test file; returns handles and a teardown
+ */
+async function setup() {
+  silenceJobLogs();
+  const stub = await startStub();
+  const db = await createTestDatabase();
+  return {
+    stub,
+    db,
+    async teardown() {
+      await stub.stop();
+      await db.drop();
+    }
+  };
+}
+
+async function count(pool, table, where = 'TRUE', params = []) {
+  const { rows } = await pool.query(`SELECT COUNT(*)::int AS n FROM ${table} WHERE ${where}`, params);
+  return rows[0].n;
+}
+
+module.exports = { skipReason, setup, createTestDatabase, startStub, count, ROOT };
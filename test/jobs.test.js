@@ -0,0 +1,1085 @@
+// test/jobs.test.js
+// Integration tests: each job runs against the DeFiLlama stub and a throwaway Postgres database
+// Run with: TEST_DATABASE_URL=postgres://... npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { skipReason, setup, count } = require('./harness');
+const { toCoinId, loadActiveTokens } = require('../lib/token_universe');
+
+describe('jobs against stub API and throwaway Postgres', { skip: skipReason }, () => {
+  let env;
+  let pool;
+  let jobs;
+
+  before(async () => {
+    env = await setup();
+    pool = env.db.pool;
+
+    // Required after the stub is up so the llama client picks up its base URL
+    jobs = {
+      tokenPrices: require('../api/backfill_token_prices_direct.js'),
+      tokenDispatcher: require('../api/dispatcher_token_prices_direct.js'),
+      lending: require('../api/job_lending_direct.js'),
+      lendingDispatcher: require('../api/dispatcher_lending_direct_v2.js'),
+      pools: require('../api/job_liquidity_pools_direct.js'),
+      poolsDispatcher: require('../api/dispatcher_liquidity_pools_direct.js'),
+      historical: require('../backfill_token_prices_historical.js'),
+      stablecoins: require('../api/job_stablecoins_direct.js'),
+      perpFunding: require('../api/job_perp_funding_direct.js'),
+      perpFundingDispatcher: require('../api/dispatcher_perp_funding_direct.js'),
+      narratives: require('../api/job_narratives_direct.js'),
+      protocolTvl: require('../api/job_protocol_tvl_direct.js'),
+      protocolTvlDispatcher: require('../api/dispatcher_protocol_tvl_direct.js'),
+      tvlHistory: require('../api/job_tvl_defi_hist_direct.js'),
+      promote: require('../api/job_promote_clean.js'),
+      stablecoinsDispatcher: require('../api/dispatcher_stablecoins_direct.js'),
+      fees: require('../api/job_fees_direct.js'),
+      feesDispatcher: require('../api/dispatcher_fees_direct.js'),
+      dexVolume: require('../api/job_dex_volume_direct.js'),
+      dexVolumeDispatcher: require('../api/dispatcher_dex_volume_direct.js'),
+      bridges: require('../api/job_bridges_direct.js'),
+      bridgesDispatcher: require('../api/dispatcher_bridges_direct.js'),
+      etf: require('../api/job_etf_direct.js'),
+      backfill: require('../api/job_backfill.js'),
+      gapDetector: require('../api/job_gap_detector.js'),
+      replay: require('../api/job_replay.js'),
+      candles: require('../api/job_token_candles.js')
+    };
+  });
+
+  after(async () => {
+    if (env) await env.teardown();
+  });
+
+  beforeEach(() => {
+    env.stub.clearFaults();
+  });
+
+  describe('token prices', () => {
+    const snapshotTs = '2025-09-29T15:00:00.000Z';
+
+    it('writes priced tokens at the run snapshot and skips missing, zero and invalid ones', async () => {
+      // Slice 0..6: aptos:0xa is invalid, 3 priced, one zero price, one absent from the response
+      const result = await jobs.tokenPrices.runTokenPriceJob({ offset: 0, limit: 6, snapshotTs }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.invalidAddresses, 1);
+      assert.equal(result.totalRecords, 5);
+      assert.equal(result.insertedRecords, 3);
+      assert.equal(result.skippedRecords, 2);
+
+      const { rows } = await pool.query(
+        `SELECT coin_id, symbol, price_usd::float AS price, price_timestamp
+         FROM update.token_price_daily ORDER BY coin_id`
+      );
+      assert.equal(rows.length, 3);
+      assert.ok(rows.every(r => r.price_timestamp.toISOString() === snapshotTs));
+      assert.deepEqual(rows.map(r => r.symbol), ['PEAS', 'SILO', 'BAL']);
+      assert.equal(rows[0].price, 3.44); // latest chart point
+    });
+
+    it('is idempotent when the same snapshot is re-run', async () => {
+      await jobs.tokenPrices.runTokenPriceJob({ offset: 0, limit: 6, snapshotTs }, { pool });
+      assert.equal(await count(pool, 'update.token_price_daily'), 3);
+    });
+
+    it('counts a failing chart endpoint as skipped and reports failure', async () => {
+      env.stub.setFault('chart', { status: 500 });
+      const result = await jobs.tokenPrices.runTokenPriceJob(
+        { offset: 0, limit: 6, snapshotTs: '2025-09-29T15:05:00.000Z' }, { pool }
+      );
+
+      assert.equal(result.success, false);
+      assert.equal(result.insertedRecords, 0);
+      assert.equal(result.skippedRecords, 5);
+    });
+
+    it('recovers from a 429 with Retry-After', async () => {
+      env.stub.setFault('chart', { status: 429, retryAfter: 0, times: 1 });
+      const result = await jobs.tokenPrices.runTokenPriceJob(
+        { offset: 0, limit: 6, snapshotTs: '2025-09-29T15:10:00.000Z' }, { pool }
+      );
+
+      assert.equal(result.insertedRecords, 3);
+      assert.equal(env.stub.requests.filter(r => r.endpoint === 'chart').length, 2);
+    });
+
+    it('dispatcher records the run and one child row per batch in the ledger', async () => {
+      const result = await jobs.tokenDispatcher.runTokenPriceDispatcher({ snapshotTs: '2025-09-29T15:15:00.000Z' }, { pool });
+      assert.equal(result.details.totalTokens, (await loadActiveTokens(pool)).length);
+
+      const { rows: runs } = await pool.query(
+        'SELECT status, inserted_records FROM meta.job_runs WHERE job_run_id = $1', [result.jobRunId]
+      );
+      assert.equal(runs.length, 1);
+      assert.equal(runs[0].inserted_records, result.insertedRecords);
+      assert.equal(await count(pool, 'meta.job_run_batches', 'job_run_id = $1', [result.jobRunId]), result.details.totalBatches);
+    });
+    it('quarantines prints that fail the quality gates', async () => {
+      const silo = 'arbitrum:0x0341c0c0ec423328621788d4854119b97f44e391';
+      const bal = 'arbitrum:0x040d1edc9569d4bab2d15287dc5a4f10f56a56b8';
+      // Last stored prices just before the snapshot: SILO 5x lower, BAL with different decimals
+      await pool.query(
+        `INSERT INTO update.token_price_daily (coin_id, symbol, decimals, price_timestamp, price_usd) VALUES
+         ($1, 'SILO', 18, '2025-09-29T15:19:00Z', 0.01), ($2, 'BAL', 6, '2025-09-29T15:19:00Z', 1.2)`,
+        [silo, bal]
+      );
+
+      const result = await jobs.tokenPrices.runTokenPriceJob(
+        { offset: 0, limit: 6, snapshotTs: '2025-09-29T15:20:00.000Z' }, { pool }
+      );
+
+      assert.equal(result.insertedRecords, 1);
+      assert.equal(result.details.quarantined, 2);
+      const { rows } = await pool.query(
+        'SELECT coin_id, reason_code FROM scrub.token_price_scrub WHERE job_run_id = $1 ORDER BY coin_id', [result.jobRunId]
+      );
+      assert.deepEqual(rows, [
+        { coin_id: silo, reason_code: 'PRICE_JUMP' },
+        { coin_id: bal, reason_code: 'DECIMALS_MISMATCH' }
+      ]);
+      assert.equal(
+        await count(pool, 'update.token_price_daily', "price_timestamp = '2025-09-29T15:20:00Z'"), 1
+      );
+
+      const { rows: [summary] } = await pool.query(
+        'SELECT clean_records, scrubbed_records, error_summary FROM scrub.data_quality_summary WHERE job_run_id = $1',
+        [result.jobRunId]
+      );
+      assert.deepEqual(summary, { clean_records: 1, scrubbed_records: 2, error_summary: { PRICE_JUMP: 1, DECIMALS_MISMATCH: 1 } });
+    });
+
+    it('accepts a price step after its first print was quarantined', async () => {
+      const silo = 'arbitrum:0x0341c0c0ec423328621788d4854119b97f44e391';
+
+      const result = await jobs.tokenPrices.runTokenPriceJob(
+        { offset: 0, limit: 6, snapshotTs: '2025-09-29T15:25:00.000Z' }, { pool }
+      );
+
+      assert.equal(result.success, true);
+      assert.equal(await count(pool, 'scrub.token_price_scrub', 'job_run_id = $1 AND coin_id = $2', [result.jobRunId, silo]), 0);
+      assert.equal(await count(pool, 'update.token_price_daily', "coin_id = $1 AND price_timestamp = '2025-09-29T15:25:00Z'", [silo]), 1);
+    });
+
+    it('history mode stores every chart point at its own timestamp', async () => {
+      const peas = 'arbitrum:0x02f92800f57bcd74066f5709f1daa1a4302df875';
+      const result = await jobs.tokenPrices.runTokenPriceJob(
+        { offset: 0, limit: 6, mode: 'history', span: 2, period: '1h', start: '2025-09-29T14:00:00Z' }, { pool }
+      );
+
+      assert.equal(result.success, true);
+      assert.deepEqual([result.totalRecords, result.insertedRecords, result.skippedRecords], [7, 5, 2]);
+      assert.deepEqual(env.stub.requests[0].query, { span: '2', period: '1h', searchWidth: '600', start: '1759154400' });
+
+      const { rows } = await pool.query(
+        `SELECT price_timestamp, price_usd::float AS price FROM update.token_price_daily
+         WHERE coin_id = $1 AND price_timestamp < '2025-09-29T15:05:00Z' ORDER BY price_timestamp`,
+        [peas]
+      );
+      assert.deepEqual(rows.map(r => [r.price_timestamp.toISOString(), r.price]), [
+        ['2025-09-29T14:00:00.000Z', 3.41],
+        ['2025-09-29T15:00:00.000Z', 3.44]
+      ]);
+    });
+
+    it('rejects an unknown mode', async () => {
+      const result = await jobs.tokenPrices.runTokenPriceJob({ mode: 'full' }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid mode: full/);
+    });
+  });
+
+  describe('lending', () => {
+    const snapshotTs = '2025-09-29T15:00:00.000Z';
+
+    it('writes one row per market at the run snapshot', async () => {
+      const result = await jobs.lending.runLendingJob({ snapshotTs }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, env.stub.fixtures.poolsBorrow.data.length);
+      assert.equal(
+        await count(pool, 'update.lending_market_history', 'data_timestamp = $1', [snapshotTs]),
+        env.stub.fixtures.poolsBorrow.data.length
+      );
+    });
+
+    it('overwrites instead of duplicating on retry', async () => {
+      await jobs.lending.runLendingJob({ snapshotTs }, { pool });
+      assert.equal(await count(pool, 'update.lending_market_history'), env.stub.fixtures.poolsBorrow.data.length);
+    });
+
+    it('keeps real zeros and false and stores token arrays as JSON arrays', async () => {
+      const { rows: [row] } = await pool.query(
+        `SELECT apy_base_supply::float AS apy_base_supply, total_borrow_usd::float AS total_borrow_usd, stablecoin, borrowable,
+           jsonb_typeof(reward_tokens) AS reward_type
+         FROM update.lending_market_history WHERE pool_id = $1 AND data_timestamp = $2`,
+        ['e880e828-ca59-4ec6-8d4f-27182a4dc23d', snapshotTs]
+      );
+
+      assert.deepEqual(row, { apy_base_supply: 0, total_borrow_usd: 0, stablecoin: false, borrowable: false, reward_type: 'array' });
+    });
+
+    it('links underlying and reward tokens to coin ids once per market', async () => {
+      const { rows } = await pool.query(
+        `SELECT pool_id, role, coin_id FROM update.lending_market_tokens WHERE pool_id = ANY($1) ORDER BY pool_id, role`,
+        [['e880e828-ca59-4ec6-8d4f-27182a4dc23d', '8edfdf02-cdbb-43f7-bca6-954e5fe56813']]
+      );
+
+      assert.deepEqual(rows.map(r => `${r.pool_id.slice(0, 8)} ${r.role} ${r.coin_id}`), [
+        '8edfdf02 underlying solana:So11111111111111111111111111111111111111112',
+        'e880e828 reward ethereum:0xc00e94cb662c3520282e6f5717214004a7f26888',
+        'e880e828 underlying ethereum:0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2'
+      ]);
+      // Two runs of the same snapshot above - still one row per market, role and token
+      assert.equal(await count(pool, 'update.lending_market_tokens'), 4);
+    });
+
+    it('fails the run on a malformed response', async () => {
+      env.stub.setFault('poolsBorrow', { malformed: true });
+      const result = await jobs.lending.runLendingJob({ snapshotTs: '2025-09-29T15:10:00.000Z' }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid API response format/);
+    });
+
+    it('dispatcher marks the ledger run failed when the job fails', async () => {
+      env.stub.setFault('poolsBorrow', { status: 500 });
+      const result = await jobs.lendingDispatcher.runLendingDispatcher({}, { pool });
+
+      assert.equal(result.success, false);
+      const { rows } = await pool.query('SELECT status, error_message FROM meta.job_runs WHERE job_run_id = $1', [result.jobRunId]);
+      assert.equal(rows[0].status, 'failed');
+      assert.doesNotMatch(rows[0].error_message, new RegExp(env.stub.apiKey));
+    });
+  });
+
+  describe('stablecoins', () => {
+    const day = '2025-09-29';
+
+    async function mcap(chain) {
+      const { rows } = await pool.query(
+        `SELECT day::text, peg, amount_usd::float AS amount FROM update.stablecoin_mcap_by_peg_daily
+         WHERE chain = $1 ORDER BY day, peg`,
+        [chain]
+      );
+      return rows;
+    }
+
+    it('writes the trailing peg totals and the per-chain split for the day', async () => {
+      const result = await jobs.stablecoins.runStablecoinsJob({ day, historyDays: 3 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 10);
+      assert.equal(result.skippedRecords, 1); // peggedVAR: null on the 29th
+      assert.deepEqual((await mcap('all')).map(r => `${r.day} ${r.peg}`), [
+        '2025-09-27 EUR', '2025-09-27 USD',
+        '2025-09-28 EUR', '2025-09-28 USD', '2025-09-28 VAR',
+        '2025-09-29 EUR', '2025-09-29 USD'
+      ]);
+      assert.deepEqual(await mcap('Tron'), [{ day, peg: 'USD', amount: 78100000000 }]);
+      assert.equal(await count(pool, 'update.stablecoin_mcap_by_peg_daily', 'chain = $1', ['Defichain']), 0);
+    });
+
+    it('upserts one row per day, peg and chain on rerun', async () => {
+      await jobs.stablecoins.runStablecoinsJob({ day, historyDays: 3 }, { pool });
+      assert.equal(await count(pool, 'update.stablecoin_mcap_by_peg_daily'), 10);
+    });
+
+    it('fails the run on a malformed response', async () => {
+      env.stub.setFault('stablecoinCharts', { malformed: true });
+      const result = await jobs.stablecoins.runStablecoinsJob({ day }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid API response format/);
+    });
+
+    it('dispatcher records the job as one ledger batch', async () => {
+      const result = await jobs.stablecoinsDispatcher.runStablecoinsDispatcher({ day, historyDays: 0 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 12); // full history: 9 totals + 3 chain rows
+      assert.equal(await count(pool, 'meta.job_run_batches', 'job_run_id = $1', [result.jobRunId]), 1);
+    });
+  });
+
+  describe('perp funding rates', () => {
+    const snapshotTs = '2025-09-29T15:00:00.000Z';
+    const BTC = '61533906-1626-45fc-b3ed-9a1103705373';
+    const ETH = '0b8f6c1e-6a43-4d54-9a5e-2f1d3c7a9b10';
+    const SOL = 'c3d2e1f0-1a2b-4c3d-8e9f-0a1b2c3d4e5f';
+
+    async function rolling(perpId) {
+      const { rows: [row] } = await pool.query(
+        `SELECT funding_rate_7d_average::float8 AS avg7, funding_rate_7d_sum::float8 AS sum7,
+                funding_rate_30d_average::float8 AS avg30, funding_rate_30d_sum::float8 AS sum30
+         FROM update.perp_funding_rates WHERE perp_id = $1 AND timestamp = $2`,
+        [perpId, snapshotTs]
+      );
+      return row;
+    }
+
+    function assertClose(actual, expected) {
+      assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+    }
+
+    it('keys rows on (perp_id, snapshot) and derives missing rolling windows from stored funding events', async () => {
+      // 8-hourly events from 2025-09-21 16:00 up to the response's 2025-09-29 08:00 one, each stored an hour later:
+      // ETH's cover the whole 7d window but not the 30d one; SOL's miss the 2025-09-25 00:00 event
+      for (const [perpId, market, missing] of [[ETH, 'ETHUSDT', null], [SOL, 'SOLUSDT', '2025-09-25T00:00:00Z']]) {
+        await pool.query(
+          `INSERT INTO update.perp_funding_rates (perp_id, timestamp, marketplace, market, base_asset, funding_rate_previous, funding_time_previous)
+           SELECT $1, t + INTERVAL '1 hour', 'Bybit', $2, split_part($2, 'USDT', 1), 0.0001, EXTRACT(EPOCH FROM t) * 1000
+           FROM generate_series('2025-09-21T16:00:00Z'::timestamptz, '2025-09-29T00:00:00Z', INTERVAL '8 hours') t
+           WHERE t IS DISTINCT FROM $3::timestamptz`,
+          [perpId, market, missing]
+        );
+      }
+
+      const result = await jobs.perpFunding.runPerpFundingJob({ snapshotTs }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 3);
+      assert.equal(result.skippedRecords, 1); // no perp_id
+      assert.equal(result.details.derivedRollingWindows, 1);
+
+      // Upstream values are kept as reported
+      assert.deepEqual(await rolling(BTC), { avg7: 0.000085, sum7: 0.001785, avg30: 0.00009, sum30: 0.0081 });
+
+      // 21 events in (2025-09-22 15:00, 2025-09-29 15:00], the last one (rate 0.0001) from the response
+      const eth = await rolling(ETH);
+      assertClose(eth.sum7, 0.0021);
+      assertClose(eth.avg7, 0.0001);
+      assert.equal(eth.sum30, null);
+      assert.equal(eth.avg30, null);
+
+      // A missed event leaves the window partial
+      assert.deepEqual(await rolling(SOL), { avg7: null, sum7: null, avg30: null, sum30: null });
+    });
+
+    it('overwrites instead of duplicating on retry', async () => {
+      await jobs.perpFunding.runPerpFundingJob({ snapshotTs }, { pool });
+      assert.equal(await count(pool, 'update.perp_funding_rates', 'timestamp = $1', [snapshotTs]), 3);
+      assertClose((await rolling(ETH)).sum7, 0.0021);
+    });
+
+    it('dispatcher fails the run on a malformed response', async () => {
+      env.stub.setFault('perps', { malformed: true });
+      const result = await jobs.perpFundingDispatcher.runPerpFundingDispatcher({ snapshotTs }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid API response format/);
+    });
+  });
+
+  describe('protocol TVL', () => {
+    const day = '2025-09-29';
+
+    it('dispatcher splits the protocol list into batches and writes one row per protocol, chain and series', async () => {
+      const result = await jobs.protocolTvlDispatcher.runProtocolTvlDispatcher({ day, batchSize: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.totalProtocols, 4); // the entry without a slug is not a protocol we can key
+      assert.equal(result.details.totalBatches, 2);
+      assert.equal(result.insertedRecords, 11);
+      // The list is fetched once, by the dispatcher
+      assert.equal(env.stub.requests.filter(r => r.endpoint === 'protocols').length, 1);
+
+      const { rows } = await pool.query(
+        `SELECT chain, series_type, total_liquidity_usd::float8 AS tvl FROM update.protocol_chain_tvl_daily
+         WHERE protocol_id = 'aave-v3' AND ts = $1 ORDER BY chain, series_type`,
+        [day]
+      );
+      assert.deepEqual(rows, [
+        { chain: 'Arbitrum', series_type: 'borrowed', tvl: 400000000 },
+        { chain: 'Arbitrum', series_type: 'total', tvl: 1100000000 },
+        { chain: 'Ethereum', series_type: 'borrowed', tvl: 12000000000 },
+        { chain: 'Ethereum', series_type: 'total', tvl: 25000000000 }
+      ]);
+    });
+
+    it('replays each dispatched batch from the slice it was handed', async () => {
+      const { rows: [{ startedAt }] } = await pool.query(
+        "SELECT MIN(run_started_at) AS \"startedAt\" FROM raw.api_responses WHERE job_name = 'protocol_tvl_direct'"
+      );
+      await pool.query('DELETE FROM update.protocol_chain_tvl_daily WHERE ts = $1', [day]);
+
+      const result = await jobs.replay.runReplayJob({ job: 'protocol_tvl_direct', from: startedAt.toISOString(), to: new Date().toISOString() }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.runs.length, 2);
+      assert.equal(env.stub.requests.length, 0);
+      assert.equal(await count(pool, 'update.protocol_chain_tvl_daily', 'ts = $1', [day]), 11);
+    });
+
+    it('overwrites the day on rerun and promotes it to clean.protocol_chain_tvl_daily', async () => {
+      await jobs.protocolTvl.runProtocolTvlJob({ day, offset: 0, limit: 10 }, { pool });
+      assert.equal(await count(pool, 'update.protocol_chain_tvl_daily'), 11);
+
+      const promoted = await jobs.promote.runPromotionJob({ pipelines: 'protocol_tvl', settleMinutes: 0 }, { pool });
+      assert.equal(promoted.insertedRecords, 11);
+      assert.equal(await count(pool, 'clean.protocol_chain_tvl_daily', "ts = $1 AND series_type = 'total'", [day]), 7);
+    });
+
+    it('backfills the global TVL series and then keeps it current', async () => {
+      const full = await jobs.tvlHistory.runTvlHistoryJob({}, { pool });
+      assert.equal(full.success, true);
+      assert.equal(full.insertedRecords, 5);
+      assert.equal(full.details.firstDate, 1530403200);
+
+      const recent = await jobs.tvlHistory.runTvlHistoryJob({ days: 2 }, { pool });
+      assert.equal(recent.insertedRecords, 2);
+      assert.equal(await count(pool, 'clean.tvl_defi_hist'), 5);
+    });
+  });
+
+  describe('narratives', () => {
+    it('writes one wide row per day and records categories without a column', async () => {
+      const result = await jobs.narratives.runNarrativesJob({ days: 0 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 3);
+      assert.deepEqual(result.details.unmappedCategories, ['Restaking']);
+
+      const { rows } = await pool.query(
+        'SELECT date, meme::float8 AS meme, null_category::float8 AS null_category, ethereum FROM update.narratives ORDER BY date'
+      );
+      assert.deepEqual(rows.map(r => r.date), [1758931200, 1759017600, 1759104000]);
+      assert.deepEqual(rows[2], { date: 1759104000, meme: null, null_category: 0.4, ethereum: null });
+
+      const { rows: categories } = await pool.query(
+        `SELECT category, column_name, last_seen_date, last_value::float8 AS last_value
+         FROM meta.narrative_categories WHERE category IN ('Restaking', 'Meme') ORDER BY category`
+      );
+      assert.deepEqual(categories, [
+        { category: 'Meme', column_name: 'meme', last_seen_date: 1759017600, last_value: 9.84 },
+        { category: 'Restaking', column_name: null, last_seen_date: 1759104000, last_value: 3.9 }
+      ]);
+    });
+
+    it('writes only the newest day by default', async () => {
+      const result = await jobs.narratives.runNarrativesJob({}, { pool });
+
+      assert.deepEqual(result.details.dates, [1759104000]);
+      assert.equal(await count(pool, 'update.narratives'), 3);
+    });
+
+    it('is promoted to clean.narratives, revisions included', async () => {
+      const first = await jobs.promote.runPromotionJob({ pipelines: 'narratives', settleMinutes: 0 }, { pool });
+      assert.equal(first.insertedRecords, 3);
+
+      await pool.query('UPDATE update.narratives SET meme = 11.5, inserted_at = NOW() WHERE date = 1759104000');
+      const second = await jobs.promote.runPromotionJob({ pipelines: 'narratives', settleMinutes: 0 }, { pool });
+      assert.equal(second.insertedRecords, 1);
+
+      const { rows } = await pool.query('SELECT date, meme::float8 AS meme FROM clean.narratives ORDER BY date');
+      assert.deepEqual(rows.map(r => r.meme), [7.3, 9.84, 11.5]);
+    });
+  });
+
+  describe('liquidity pools', () => {
+    it('honours offset/limit and stamps the batch with one snapshot', async () => {
+      const snapshotTs = '2025-09-29T15:00:00.000Z';
+      const result = await jobs.pools.runPoolsJob({ offset: 1, limit: 3, snapshotTs }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 3);
+      assert.deepEqual(env.stub.requests[0].query, { offset: '1', limit: '3' });
+
+      const { rows } = await pool.query('SELECT DISTINCT ts FROM update.cl_pool_hist');
+      assert.deepEqual(rows.map(r => Number(r.ts)), [Date.parse(snapshotTs)]);
+    });
+
+    it('keeps the full pool payload, real zeros and the raw entry', async () => {
+      const { rows } = await pool.query(
+        `SELECT pool_id, apy_base, apy_reward, apy_pct_7d, volume_usd_1d, stablecoin, il_risk, predictions->>'predictedClass' AS predicted,
+           jsonb_array_length(underlying_tokens) AS underlying, reward_tokens, raw->>'liquidityTier' AS tier
+         FROM update.cl_pool_hist WHERE pool_id = ANY($1) ORDER BY pool_id`,
+        [['db678df9-3281-4bc2-a8bb-01160ffd6d48', 'f981a304-bb6c-45b8-b0c5-fd2f515ad23a']]
+      );
+
+      assert.deepEqual(rows, [
+        {
+          pool_id: 'db678df9-3281-4bc2-a8bb-01160ffd6d48', apy_base: 18.4, apy_reward: 0, apy_pct_7d: 0, volume_usd_1d: 61000000,
+          stablecoin: false, il_risk: 'yes', predicted: 'Stable/Up', underlying: 2, reward_tokens: null, tier: 'deep'
+        },
+        {
+          pool_id: 'f981a304-bb6c-45b8-b0c5-fd2f515ad23a', apy_base: 0, apy_reward: 42.3, apy_pct_7d: null, volume_usd_1d: null,
+          stablecoin: null, il_risk: null, predicted: null, underlying: null, reward_tokens: null, tier: null
+        }
+      ]);
+    });
+
+    it('dispatcher sizes its batches from the API pool count', async () => {
+      const snapshotTs = '2025-09-29T16:00:00.000Z';
+      const result = await jobs.poolsDispatcher.runPoolsDispatcher({ snapshotTs, batchSize: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.totalPools, env.stub.fixtures.pools.data.length);
+      assert.equal(result.details.totalBatches, 3);
+      // One download of the pool list, sliced for the batches
+      assert.deepEqual(env.stub.requests.filter(r => r.endpoint === 'pools').map(r => r.query), [{}]);
+      assert.equal(
+        await count(pool, 'update.cl_pool_hist', 'ts = $1', [Date.parse(snapshotTs)]),
+        env.stub.fixtures.pools.data.length
+      );
+      // Only the replayable batch runs archive their responses, not the dispatcher's pool count
+      assert.equal(await count(pool, 'raw.api_responses', 'job_name = $1', ['dispatcher_liquidity_pools_direct']), 0);
+      assert.equal(await count(pool, 'raw.api_responses', "job_name = 'liquidity_pools_direct' AND params->>'snapshotTs' = $1", [snapshotTs]), 3);
+    });
+  });
+
+  describe('fees and DEX volume', () => {
+    const day = '2025-10-10';
+
+    // Moves a fixture's daily breakdown chart so its last point is yesterday, the last complete day, as the live API's
+    // would be - the fixture's total24h is that point
+    function rebaseBreakdown(fixture) {
+      const chart = fixture.totalDataChartBreakdown;
+      const yesterday = Math.floor(Date.now() / 86400000) * 86400 - 86400;
+      const shift = yesterday - chart[chart.length - 1][0];
+      fixture.totalDataChartBreakdown = chart.map(([ts, values]) => [ts + shift, values]);
+    }
+
+    it('dispatcher writes one fees and one revenue row per protocol for the day', async () => {
+      const result = await jobs.feesDispatcher.runFeesDispatcher({ day }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 6);
+      assert.equal(result.skippedRecords, 2); // the entry without an id, once per data type
+      assert.equal(await count(pool, 'meta.job_run_batches', 'job_run_id = $1', [result.jobRunId]), 2);
+
+      const { rows } = await pool.query(
+        `SELECT data_type, protocol_id, chains, total_24h::float8 AS total_24h, total_1y, breakdown_24h
+         FROM update.protocol_fees_daily WHERE defillama_id = '1599' ORDER BY data_type`
+      );
+      assert.deepEqual(rows.map(r => r.data_type), ['dailyFees', 'dailyRevenue']);
+      assert.equal(rows[0].protocol_id, 'aave-v3');
+      assert.deepEqual(rows[0].chains, ['Ethereum', 'Arbitrum']);
+      assert.equal(rows[0].total_24h, 2450000.5);
+      assert.deepEqual(rows[0].breakdown_24h, { ethereum: { 'Aave V3': 2100000 }, arbitrum: { 'Aave V3': 350000.5 } });
+      assert.equal(env.stub.requests.filter(r => r.endpoint === 'overview').at(-1).query.dataType, 'dailyRevenue');
+    });
+
+    it('overwrites the day on rerun and keeps zero totals', async () => {
+      const result = await jobs.fees.runFeesJob({ day, dataType: 'dailyFees' }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(await count(pool, 'update.protocol_fees_daily'), 6);
+      const { rows } = await pool.query(
+        "SELECT total_24h::float8 AS total_24h FROM update.protocol_fees_daily WHERE slug = 'lido' AND data_type = 'dailyFees'"
+      );
+      assert.deepEqual(rows, [{ total_24h: 0 }]);
+    });
+
+    it('rejects an unknown data type', async () => {
+      const result = await jobs.fees.runFeesJob({ day, dataType: 'dailyBribes' }, { pool });
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid dataType/);
+    });
+
+    it('backfills past days from the breakdown chart, one ledger batch per day', async () => {
+      rebaseBreakdown(env.stub.fixtures.overview.fees);
+      const result = await jobs.fees.runFeesBackfill({ days: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      // Today has 2 protocols, the two days before 3 each; Ghost Protocol has no protocol entry
+      assert.equal(result.insertedRecords, 8);
+      assert.equal(result.skippedRecords, 1);
+      assert.equal(await count(pool, 'meta.job_run_batches', 'job_run_id = $1', [result.jobRunId]), 3);
+
+      const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+      const { rows } = await pool.query(
+        `SELECT total_24h::float8 AS total_24h, total_48h_to_24h::float8 AS total_48h_to_24h, total_7d::float8 AS total_7d, breakdown_24h
+         FROM update.protocol_fees_daily WHERE slug = 'aave-v3' AND data_type = 'dailyFees' AND collection_date = $1`,
+        [yesterday]
+      );
+      assert.deepEqual(rows, [{ total_24h: 2310000, total_48h_to_24h: 2400000, total_7d: 9360000, breakdown_24h: null }]);
+    });
+
+    it('backfills a day with the same 24h windows the live job stored for it', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const read = async () => (await pool.query(
+        `SELECT total_24h::float8 AS total_24h, total_48h_to_24h::float8 AS total_48h_to_24h
+         FROM update.protocol_fees_daily WHERE slug = 'aave-v3' AND data_type = 'dailyFees' AND collection_date = $1`,
+        [today]
+      )).rows;
+
+      await jobs.fees.runFeesJob({ day: today, dataType: 'dailyFees' }, { pool });
+      const live = await read();
+      const backfill = await jobs.fees.runFeesBackfill({ days: 0 }, { pool });
+
+      assert.equal(backfill.details.progress.processed, 1);
+      assert.deepEqual(live, [{ total_24h: 2450000.5, total_48h_to_24h: 2310000 }]);
+      assert.deepEqual(await read(), live);
+    });
+
+    it('reruns only the open day, and skips stored days when there are no checkpoints', async () => {
+      const rerun = await jobs.fees.runFeesBackfill({ days: 2 }, { pool });
+      assert.equal(rerun.details.progress.alreadyDone, 2);
+      assert.equal(rerun.details.progress.processed, 1); // today is never checkpointed done
+
+      await pool.query("DELETE FROM meta.backfill_checkpoints WHERE dataset = 'fees:dailyFees'");
+      const gapsOnly = await jobs.fees.runFeesBackfill({ days: 2 }, { pool });
+      assert.equal(gapsOnly.success, true);
+      assert.equal(gapsOnly.details.progress.presentPeriods, 2);
+      assert.equal(gapsOnly.details.progress.processed, 1);
+    });
+
+    it('writes one DEX volume row per DEX per day, with parent and linked protocols', async () => {
+      const result = await jobs.dexVolumeDispatcher.runDexVolumeDispatcher({ day }, { pool });
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 2);
+
+      await jobs.dexVolume.runDexVolumeJob({ day }, { pool });
+      const { rows } = await pool.query(
+        'SELECT name, parent_protocol, linked_protocols, data_timestamp FROM update.dex_info ORDER BY name'
+      );
+      assert.equal(rows.length, 2);
+      assert.deepEqual(rows[1].linked_protocols, ['Uniswap V2', 'Uniswap V3', 'Uniswap V4']);
+      assert.equal(rows[1].parent_protocol, 'parent#uniswap');
+      assert.equal(rows[0].data_timestamp.toISOString(), `${day}T00:00:00.000Z`);
+    });
+
+    it('backfills DEX volume through the same day-by-day iteration', async () => {
+      rebaseBreakdown(env.stub.fixtures.overview.dexs);
+      const result = await jobs.dexVolume.runDexVolumeBackfill({ days: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 6);
+      assert.equal(await count(pool, 'update.dex_info'), 8);
+    });
+
+    it('fails on a malformed overview response', async () => {
+      env.stub.setFault('overview', { malformed: true });
+      const result = await jobs.dexVolume.runDexVolumeJob({ day }, { pool });
+      assert.equal(result.success, false);
+      assert.match(result.error, /expected protocols array/);
+    });
+  });
+
+  describe('bridges', () => {
+    const day = '2025-10-10';
+
+    it('dispatcher writes each bridge and chain for the last days, then the all-bridges overview', async () => {
+      const result = await jobs.bridgesDispatcher.runBridgesDispatcher({ day, batchSize: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.totalBridges, 3); // the entry without a numeric id is dropped
+      assert.equal(result.details.totalBatches, 2);
+      // 6 recorded series x 2 days (Base has no activity), plus 2 overview days
+      assert.equal(result.insertedRecords, 14);
+      assert.equal(await count(pool, 'meta.job_run_batches', 'job_run_id = $1', [result.jobRunId]), 3);
+
+      const { rows } = await pool.query(
+        `SELECT day::text, deposit_usd, withdraw_txs::int AS withdraw_txs FROM clean.bridge_volume_daily
+         WHERE bridge_id = 5 AND chain = 'Solana' ORDER BY day`
+      );
+      assert.deepEqual(rows, [
+        { day: '2025-10-09', deposit_usd: null, withdraw_txs: 2530 },
+        { day: '2025-10-10', deposit_usd: 10800000, withdraw_txs: 2760 }
+      ]);
+      assert.equal(await count(pool, 'clean.bridge_volume_overview'), 2);
+    });
+
+    it('backfill mode writes the full history without duplicating days already stored', async () => {
+      const result = await jobs.bridgesDispatcher.runBridgesDispatcher({ day, mode: 'backfill' }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.days, 0);
+      assert.equal(await count(pool, 'clean.bridge_volume_daily'), 18);
+      assert.equal(await count(pool, 'clean.bridge_volume_overview'), 3);
+    });
+
+    it('counts failed series and reports failure while keeping the rest of the batch', async () => {
+      env.stub.setFault('bridgeVolume', { status: 500 });
+      const result = await jobs.bridges.runBridgeVolumeJob({ day, offset: 0, limit: 1 }, { pool });
+
+      assert.equal(result.success, false);
+      assert.equal(result.details.failedSeries.length, 2);
+      assert.equal(result.insertedRecords, 0);
+    });
+  });
+
+  describe('ETF flows', () => {
+    // Replaces one day of a recorded history, as an issuer's late revision would
+    function reviseHistory(endpoint, day, flow) {
+      env.stub.fixtures.etfs[endpoint] = env.stub.fixtures.etfs[endpoint].map(point =>
+        (point.day.startsWith(day) ? { ...point, total_flow_usd: flow } : point)
+      );
+    }
+
+    it('writes asset totals and one row per ticker per day', async () => {
+      const result = await jobs.etf.runEtfJob({ days: 0 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.insertedRecords, 10); // 6 history days + 4 tickers; the entry without a ticker is dropped
+      assert.equal(result.details.revisedRecords, 0);
+      assert.deepEqual(result.details.assets.bitcoin, { days: 4, tickers: 3 });
+
+      const { rows } = await pool.query(
+        `SELECT ticker, total_flow_usd::float8 AS flow, issuer FROM update.raw_etf
+         WHERE gecko_id = 'bitcoin' AND day = '2025-10-08' ORDER BY ticker`
+      );
+      assert.deepEqual(rows, [
+        { ticker: 'FBTC', flow: 0, issuer: 'Fidelity' },
+        { ticker: 'GBTC', flow: 14500000, issuer: 'Grayscale' },
+        { ticker: 'IBIT', flow: 426200000, issuer: 'BlackRock' },
+        { ticker: 'all', flow: 440700000, issuer: null }
+      ]);
+    });
+
+    it('upserts late revisions and records what they replaced', async () => {
+      reviseHistory('history', '2025-10-08', 452100000);
+      reviseHistory('history', '2025-10-09', 118300000); // first value for the day - not a revision
+      const result = await jobs.etf.runEtfJob({ days: 2 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.revisedRecords, 1);
+      assert.equal(await count(pool, 'update.raw_etf'), 10);
+
+      const { rows } = await pool.query(
+        `SELECT day::text, total_flow_usd::float8 AS flow, previous_flow_usd::float8 AS previous, revision_count, revised_at IS NOT NULL AS revised
+         FROM update.raw_etf WHERE gecko_id = 'bitcoin' AND ticker = 'all' AND day >= '2025-10-08' ORDER BY day`
+      );
+      assert.deepEqual(rows, [
+        { day: '2025-10-08', flow: 452100000, previous: 440700000, revision_count: 1, revised: true },
+        { day: '2025-10-09', flow: 118300000, previous: null, revision_count: 0, revised: false }
+      ]);
+    });
+
+    it('promotes to clean.etf_flows_daily and carries later revisions over', async () => {
+      const first = await jobs.promote.runPromotionJob({ pipelines: 'etf', settleMinutes: 0 }, { pool });
+      assert.equal(first.insertedRecords, 10);
+      assert.equal(await count(pool, 'clean.etf_flows_daily', "ticker <> 'all'"), 4);
+
+      reviseHistory('historyEth', '2025-10-08', -9400000);
+      await jobs.etf.runEtfJob({}, { pool });
+      const second = await jobs.promote.runPromotionJob({ pipelines: 'etf', settleMinutes: 0 }, { pool });
+      assert.equal(second.insertedRecords, 1);
+
+      const { rows } = await pool.query(
+        `SELECT total_flow_usd AS flow, previous_flow_usd AS previous, revised_at IS NOT NULL AS revised
+         FROM clean.etf_flows_daily WHERE gecko_id = 'ethereum' AND ticker = 'all' AND day = '2025-10-08'`
+      );
+      assert.deepEqual(rows, [{ flow: -9400000, previous: -8700000, revised: true }]);
+    });
+  });
+
+  describe('historical backfill', () => {
+    it('writes one noon-UTC price per priced token per day', async () => {
+      const result = await jobs.historical.runBackfill({ days: 1, limit: 6 }, { pool });
+
+      assert.equal(result.success, true);
+      // 2 days (yesterday and today) x 2 tokens in the fixture
+      assert.equal(result.insertedRecords, 4);
+      assert.equal(
+        await count(pool, 'update.token_price_daily', "EXTRACT(HOUR FROM price_timestamp AT TIME ZONE 'UTC') = 12"),
+        4
+      );
+      // The fallback list's invalid aptos:0xa never reaches the API
+      assert.ok(env.stub.requests.every(r => !decodeURIComponent(r.path).includes('aptos:0xa')));
+    });
+
+    it('quarantines a backfilled print that fails the price quality gates', async () => {
+      const peas = 'arbitrum:0x02f92800f57bcd74066f5709f1daa1a4302df875';
+      // PEAS was last stored with other decimals the day before - the fixture's 18 no longer match
+      await pool.query(
+        `INSERT INTO update.token_price_daily (coin_id, symbol, confidence, decimals, price_timestamp, price_usd)
+         VALUES ($1, 'PEAS', 0.99, 6, '2025-09-04T12:00:00Z', 3.1)`,
+        [peas]
+      );
+
+      const result = await jobs.historical.runBackfill({ from: '2025-09-05', to: '2025-09-05', entities: [peas] }, { pool });
+      assert.equal(result.insertedRecords, 0);
+      assert.equal(result.skippedRecords, 1);
+
+      const { rows } = await pool.query(
+        'SELECT reason_code, price_timestamp FROM scrub.token_price_scrub WHERE coin_id = $1', [peas]
+      );
+      assert.deepEqual(rows, [{ reason_code: 'DECIMALS_MISMATCH', price_timestamp: new Date('2025-09-05T12:00:00Z') }]);
+      assert.equal(await count(pool, 'update.token_price_daily', "coin_id = $1 AND price_timestamp = '2025-09-05T12:00:00Z'", [peas]), 0);
+    });
+
+    it('checkpoints each day and batch, reports the failed unit and resumes only that one', async () => {
+      const range = { from: '2025-09-01', to: '2025-09-03', limit: 6, batchSize: 3, concurrency: 1 };
+      env.stub.setFault('historical', { status: 400, times: 1 });
+
+      const first = await jobs.historical.runBackfill(range, { pool });
+      assert.equal(first.success, false);
+      assert.deepEqual(first.details.progress, {
+        periods: 3, presentPeriods: 0, units: 6, alreadyDone: 0, processed: 6, failed: 1, remaining: 0
+      });
+
+      const status = await jobs.backfill.runBackfillStatus({ dataset: 'token_prices', from: range.from, to: range.to }, { pool });
+      assert.equal(status.details.complete, 2);
+      assert.deepEqual(status.details.gaps, [{ period: '2025-09-01T00:00:00.000Z', state: 'failed' }]);
+
+      // The first day has rows from its other batch, but its checkpoints still send the failed batch back through
+      const resumed = await jobs.backfill.runBackfillJob({ dataset: 'token_prices', ...range }, { pool });
+      assert.equal(resumed.success, true);
+      assert.equal(resumed.details.complete, true);
+      assert.equal(resumed.details.progress.alreadyDone, 5);
+      assert.equal(resumed.details.progress.processed, 1);
+
+      const { rows } = await pool.query(
+        "SELECT status, attempts FROM meta.backfill_checkpoints WHERE dataset = 'token_prices' AND period = '2025-09-01' AND batch_offset = 0"
+      );
+      assert.deepEqual(rows, [{ status: 'done', attempts: 2 }]);
+    });
+
+    it('reruns the batches whose coins changed when curation moves the universe between runs', async () => {
+      const range = { from: '2025-08-20', to: '2025-08-20', limit: 4, batchSize: 2 };
+      const coinIds = (await loadActiveTokens(pool)).map(toCoinId).filter(Boolean).slice(0, 5).sort();
+      for (const coinId of coinIds) {
+        await pool.query(
+          "INSERT INTO canon.token_universe (coin_id, chain, address, is_active) VALUES ($1, split_part($1, ':', 1), split_part($1, ':', 2), TRUE)",
+          [coinId]
+        );
+      }
+
+      try {
+        const first = await jobs.historical.runBackfill(range, { pool });
+        assert.equal(first.details.progress.processed, 2);
+
+        // The third coin drops out: the first batch keeps its coins, the second now holds the fifth
+        await pool.query('UPDATE canon.token_universe SET is_active = FALSE WHERE coin_id = $1', [coinIds[2]]);
+        const resumed = await jobs.historical.runBackfill(range, { pool });
+        assert.equal(resumed.details.progress.alreadyDone, 1);
+        assert.equal(resumed.details.progress.processed, 1);
+      } finally {
+        await pool.query('DELETE FROM canon.token_universe');
+      }
+    });
+
+    it('rejects an unknown dataset', async () => {
+      const result = await jobs.backfill.runBackfillJob({ dataset: 'yields' }, { pool });
+      assert.equal(result.success, false);
+      assert.match(result.error, /Unknown dataset/);
+    });
+  });
+
+  describe('gap detector', () => {
+    const range = { from: '2025-09-09', to: '2025-09-14' };
+    const peas = 'arbitrum:0x02f92800f57bcd74066f5709f1daa1a4302df875';
+    const silo = 'arbitrum:0x0341c0c0ec423328621788d4854119b97f44e391';
+    const poolId = '747c1d2a-c668-4682-b9f9-296708a3dd90';
+    const marketId = 'e880e828-ca59-4ec6-8d4f-27182a4dc23d';
+
+    before(async () => {
+      // PEAS misses 10:00-11:00 (5-minute schedule), SILO 10:05-10:15 - no hour mark to refill
+      // Stored at the fixture prices, so the repaired prints pass the jump gate
+      for (const [coinId, ts, price] of [[peas, '09:55', 3.12], [peas, '11:05', 3.12], [silo, '10:00', 0.049], [silo, '10:20', 0.049]]) {
+        await pool.query(
+          'INSERT INTO update.token_price_daily (coin_id, price_timestamp, price_usd) VALUES ($1, $2, $3)',
+          [coinId, `2025-09-12T${ts}:00Z`, price]
+        );
+      }
+      // The pool misses 02:00 on the 10th through 23:00 on the 12th (hourly schedule)
+      for (const ts of ['2025-09-10T00:00:00Z', '2025-09-10T01:00:00Z', '2025-09-13T00:00:00Z']) {
+        await pool.query(
+          "INSERT INTO update.cl_pool_hist (pool_id, ts, project, chain, symbol) VALUES ($1, $2, 'uniswap-v3', 'Ethereum', 'USDC-WETH')",
+          [poolId, new Date(ts).getTime()]
+        );
+      }
+      // The market misses 10:20-10:50 (10-minute schedule)
+      for (const ts of ['10:00', '10:10', '11:00']) {
+        await pool.query(
+          `INSERT INTO update.lending_market_history (market_id, pool_id, ts, data_timestamp, project, chain, symbol)
+           VALUES ($1, $1, $2, $2, 'compound-v3', 'Ethereum', 'WETH')`,
+          [marketId, `2025-09-11T${ts}:00Z`]
+        );
+      }
+    });
+
+    it('queues missing snapshots per entity and repairs them through the backfill', async () => {
+      const result = await jobs.gapDetector.runGapDetectorJob(range, { pool });
+
+      assert.equal(result.success, true);
+      const { token_prices: prices, pools, lending } = result.details.datasets;
+      assert.deepEqual([prices.gaps, prices.missingSnapshots, pools.missingSnapshots, lending.missingSnapshots], [2, 16, 70, 4]);
+      assert.deepEqual([prices.repair.repaired, prices.repair.unfilled, pools.repair.repaired, lending.repair.repaired], [1, 1, 1, 1]);
+      assert.equal(result.insertedRecords, 6); // 2 hour marks, 3 daily pool points, 1 daily market point
+
+      const { rows } = await pool.query(
+        `SELECT dataset, entity_id, status, missing_snapshots, filled_snapshots, repair_job_run_id IS NOT NULL AS linked
+         FROM meta.data_gaps ORDER BY dataset, entity_id`
+      );
+      assert.deepEqual(rows.map(r => [r.dataset, r.status, r.missing_snapshots, r.filled_snapshots, r.linked]), [
+        ['lending', 'repaired', 4, 1, true],
+        ['pools', 'repaired', 70, 3, true],
+        ['token_prices', 'repaired', 13, 2, true],
+        ['token_prices', 'unfilled', 3, 0, true]
+      ]);
+
+      // Chart points land in the slot they fall in, zeros kept; lending supply APY 0 stays 0
+      const { rows: poolRows } = await pool.query(
+        'SELECT ts, apy, tvl_usd FROM update.cl_pool_hist WHERE pool_id = $1 AND ts > $2 AND ts < $3 ORDER BY ts',
+        [poolId, new Date('2025-09-10T01:00:00Z').getTime(), new Date('2025-09-13T00:00:00Z').getTime()]
+      );
+      assert.deepEqual(poolRows.map(r => new Date(Number(r.ts)).toISOString()),
+        ['2025-09-10T23:00:00.000Z', '2025-09-11T23:00:00.000Z', '2025-09-12T23:00:00.000Z']);
+      assert.equal(poolRows[1].apy, 0);
+      const { rows: lendingRows } = await pool.query(
+        `SELECT apy_base_supply::float8 AS apy_base_supply, total_supply_usd::float8 AS total_supply_usd FROM update.lending_market_history
+         WHERE pool_id = $1 AND data_timestamp = '2025-09-11T10:30:00Z'`,
+        [marketId]
+      );
+      assert.deepEqual(lendingRows, [{ apy_base_supply: 0, total_supply_usd: 405500000 }]);
+    });
+
+    it('does not queue what a repair left empty by design again', async () => {
+      const result = await jobs.gapDetector.runGapDetectorJob(range, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.totalRecords, 0);
+      assert.equal(await count(pool, 'meta.data_gaps'), 4);
+    });
+  });
+
+  describe('raw archive and replay', () => {
+    const snapshotTs = '2025-10-01T10:00:00.000Z';
+    let archived;
+
+    it('archives each fetch compressed, keyed by run and endpoint', async () => {
+      archived = await jobs.lending.runLendingJob({ snapshotTs }, { pool });
+      assert.equal(archived.success, true);
+
+      const { rows } = await pool.query('SELECT endpoint, params, payload, payload_bytes FROM raw.api_responses WHERE job_run_id = $1', [archived.jobRunId]);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].endpoint, '/yields/poolsBorrow');
+      assert.deepEqual(rows[0].params, { snapshotTs });
+      assert.ok(rows[0].payload.length < rows[0].payload_bytes);
+      assert.deepEqual(JSON.parse(zlib.gunzipSync(rows[0].payload)), env.stub.fixtures.poolsBorrow);
+    });
+
+    it('reloads the archived runs of a range without calling the API', async () => {
+      await pool.query('DELETE FROM update.lending_market_history WHERE data_timestamp = $1', [snapshotTs]);
+
+      const result = await jobs.replay.runReplayJob({ job: 'lending_direct', from: archived.startedAt, to: new Date().toISOString() }, { pool });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.details.runs.map(r => r.sourceRunId), [archived.jobRunId]);
+      assert.equal(env.stub.requests.length, 0);
+      assert.equal(
+        await count(pool, 'update.lending_market_history', 'data_timestamp = $1', [snapshotTs]),
+        env.stub.fixtures.poolsBorrow.data.length
+      );
+      // A replay is not archived again
+      assert.equal(await count(pool, 'raw.api_responses', 'job_run_id = $1', [result.details.runs[0].jobRunId]), 0);
+    });
+
+    it('replays a token price run on the coins it archived after curation moved the universe', async () => {
+      const pricesTs = '2025-09-29T15:40:00.000Z';
+      const original = await jobs.tokenPrices.runTokenPriceJob({ offset: 0, limit: 6, snapshotTs: pricesTs }, { pool });
+      const { rows: [{ params }] } = await pool.query('SELECT params FROM raw.api_responses WHERE job_run_id = $1', [original.jobRunId]);
+      assert.equal(params.coinIds.length, 5);
+      assert.ok(original.insertedRecords > 0);
+
+      await pool.query(
+        `INSERT INTO canon.token_universe (coin_id, chain, address, is_active)
+         VALUES ('ethereum:0x000000000000000000000000000000000000dead', 'ethereum', '0x000000000000000000000000000000000000dead', TRUE)`
+      );
+      try {
+        await pool.query('DELETE FROM update.token_price_daily WHERE price_timestamp = $1', [pricesTs]);
+        const result = await jobs.replay.runReplayJob({ job: 'token_prices_direct', from: original.startedAt, to: new Date().toISOString() }, { pool });
+
+        assert.equal(result.success, true);
+        assert.equal(env.stub.requests.length, 1); // the original run's
+        assert.equal(await count(pool, 'update.token_price_daily', 'price_timestamp = $1', [pricesTs]), original.insertedRecords);
+      } finally {
+        await pool.query('DELETE FROM canon.token_universe');
+      }
+    });
+
+    it('fails the replay of a run whose response is missing from the archive', async () => {
+      const coinIds = (await loadActiveTokens(pool)).slice(0, 30).map(t => `${t.chain}:${t.address}`);
+      const original = await jobs.tokenPrices.runTokenPriceJob({ coinIds, snapshotTs: '2025-09-29T15:45:00.000Z' }, { pool });
+      await pool.query(
+        'DELETE FROM raw.api_responses WHERE id = (SELECT MAX(id) FROM raw.api_responses WHERE job_run_id = $1)', [original.jobRunId]
+      );
+
+      const result = await jobs.replay.runReplayJob({ job: 'token_prices_direct', from: original.startedAt, to: new Date().toISOString() }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.details.runs[0].error, /No archived response for \/coins\/chart\//);
+    });
+
+    it('rejects a job that cannot be replayed', async () => {
+      const result = await jobs.replay.runReplayJob({ job: 'promote_clean' }, { pool });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Unknown job: promote_clean/);
+    });
+  });
+
+  describe('token price candles', () => {
+    const coin = 'ethereum:0xca4d1e5';
+    const candle = async (level, bucketStart) => {
+      const { rows } = await pool.query(
+        `SELECT open::float8 AS open, high::float8 AS high, low::float8 AS low, close::float8 AS close, sample_count, max_confidence::float8 AS max_confidence
+         FROM clean.token_price_candles_${level} WHERE coin_id = $1 AND bucket_start = $2`,
+        [coin, bucketStart]
+      );
+      return rows[0];
+    };
+    const insertPrints = (prints) => pool.query(
+      `INSERT INTO update.token_price_daily (coin_id, price_timestamp, price_usd, confidence)
+       SELECT $1, p.ts, p.price, p.confidence FROM jsonb_to_recordset($2::jsonb) AS p(ts timestamptz, price numeric, confidence numeric)`,
+      [coin, JSON.stringify(prints)]
+    );
+
+    it('rolls prints up into hourly, daily and weekly candles', async () => {
+      await insertPrints([
+        { ts: '2025-09-01T00:05:00Z', price: 1.0, confidence: 0.9 },
+        { ts: '2025-09-01T00:30:00Z', price: 1.5, confidence: 0.95 },
+        { ts: '2025-09-01T00:55:00Z', price: 0.8 },
+        { ts: '2025-09-01T01:10:00Z', price: 1.2 },
+        { ts: '2025-09-02T10:00:00Z', price: 2.0 }
+      ]);
+
+      const result = await jobs.candles.runTokenCandlesJob({ settleMinutes: 0 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.caughtUp, true);
+      assert.deepEqual(await candle('1h', '2025-09-01T00:00:00Z'), { open: 1, high: 1.5, low: 0.8, close: 0.8, sample_count: 3, max_confidence: 0.95 });
+      assert.deepEqual(await candle('1d', '2025-09-01T00:00:00Z'), { open: 1, high: 1.5, low: 0.8, close: 1.2, sample_count: 4, max_confidence: 0.95 });
+      // 2025-09-01 is a Monday
+      assert.deepEqual(await candle('1w', '2025-09-01T00:00:00Z'), { open: 1, high: 2, low: 0.8, close: 2, sample_count: 5, max_confidence: 0.95 });
+    });
+
+    it('only recomputes the hours of prints written past the watermark, backfilled ones included', async () => {
+      // A print behind the newest candle, as history mode or a backfill writes them
+      await insertPrints([{ ts: '2025-09-02T10:20:00Z', price: 2.4 }]);
+
+      const result = await jobs.candles.runTokenCandlesJob({ settleMinutes: 0 }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.windows, 1);
+      assert.deepEqual(result.details.levels['1h'], { candles: 1, samples: 2 });
+      assert.deepEqual(await candle('1h', '2025-09-02T10:00:00Z'), { open: 2, high: 2.4, low: 2, close: 2.4, sample_count: 2, max_confidence: null });
+      assert.equal((await candle('1w', '2025-09-01T00:00:00Z')).sample_count, 6);
+      // Earlier hours keep their candles
+      assert.equal((await candle('1h', '2025-09-01T00:00:00Z')).sample_count, 3);
+
+      const again = await jobs.candles.runTokenCandlesJob({ settleMinutes: 0 }, { pool });
+      assert.equal(again.details.windows, 0);
+    });
+
+    it('rebuilds a range after a backfill without moving the watermark', async () => {
+      const watermark = () => pool.query("SELECT watermark, last_job_run_id FROM meta.promotion_watermarks WHERE pipeline = 'token_price_candles'");
+      const { rows: before } = await watermark();
+
+      const result = await jobs.candles.runTokenCandlesJob({ from: '2025-09-02', to: '2025-09-03' }, { pool });
+
+      assert.equal(result.success, true);
+      assert.equal(result.details.mode, 'rebuild');
+      assert.deepEqual(await candle('1h', '2025-09-02T10:00:00Z'), { open: 2, high: 2.4, low: 2, close: 2.4, sample_count: 2, max_confidence: null });
+      assert.equal((await candle('1d', '2025-09-02T00:00:00Z')).close, 2.4);
+      assert.equal((await candle('1w', '2025-09-01T00:00:00Z')).sample_count, 6);
+      assert.deepEqual((await watermark()).rows, before);
+    });
+  });
+});
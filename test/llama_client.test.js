@@ -0,0 +1,68 @@
+// test/llama_client.test.js
+// DeFiLlama client against the local stub - timeouts, Retry-After limits and API key redaction
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStub } = require('./harness');
+
+describe('llamaGet', () => {
+  let stub;
+  let client;
+
+  before(async () => {
+    // The client reads its base URL at load time
+    stub = await startStub();
+    client = require('../lib/llama_client');
+  });
+
+  after(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => stub.clearFaults());
+
+  it('gives up on a request that outlasts the timeout', async () => {
+    stub.setFault('perps', { delayMs: 500, times: 1 });
+
+    await assert.rejects(
+      client.llamaGet('/yields/perps', { timeoutMs: 50, maxRetries: 0 }),
+      (error) => error instanceof client.LlamaApiError && error.retryable && /timed out after 50ms/.test(error.message)
+    );
+  });
+
+  it('retries a timed out request', async () => {
+    stub.setFault('perps', { delayMs: 500, times: 1 });
+
+    const body = await client.llamaGet('/yields/perps', { timeoutMs: 200, maxRetries: 1, baseDelayMs: 1 });
+
+    assert.deepEqual(body, stub.fixtures.perps);
+    assert.equal(stub.requests.length, 2);
+  });
+
+  it('fails fast when Retry-After is longer than the backoff cap', async () => {
+    stub.setFault('perps', { status: 429, retryAfter: 3600, times: 1 });
+    const started = Date.now();
+
+    await assert.rejects(
+      client.llamaGet('/yields/perps', { maxRetries: 3 }),
+      (error) => error.status === 429 && /asked to retry after 3600000ms/.test(error.message)
+    );
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  it('keeps the API key out of error messages', async () => {
+    stub.setFault('perps', { status: 400, body: { error: `bad request: /${stub.apiKey}/yields/perps` } });
+
+    await assert.rejects(client.llamaGet('/yields/perps', { maxRetries: 0 }), (error) => {
+      assert.ok(!error.message.includes(stub.apiKey), error.message);
+      assert.match(error.message, /bad request: \/\[API_KEY\]\/yields\/perps/);
+      return true;
+    });
+  });
+
+  it('redacts every occurrence of the key', () => {
+    assert.equal(client.redact('k1/a?key=k1', 'k1'), '[API_KEY]/a?key=[API_KEY]');
+    assert.equal(client.redact(null, 'k1'), null);
+  });
+});
@@ -0,0 +1,216 @@
+// test/llama_stub_server.js
+// Local stand-in for the DeFiLlama Pro API, serving recorded fixtures from test/fixtures
+// Point the jobs at it with DEFILLAMA_API_BASE_URL=<stub.baseUrl>; faults can be injected per endpoint
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Endpoint name -> matcher over the path after the API key segment
+const ROUTES = [
+  { name: 'chart', pattern: /^\/coins\/chart\/([^/]+)$/ },
+  { name: 'historical', pattern: /^\/coins\/prices\/historical\/(\d+)\/([^/]+)$/ },
+  { name: 'current', pattern: /^\/coins\/prices\/current\/([^/]+)$/ },
+  { name: 'poolsBorrow', pattern: /^\/yields\/poolsBorrow$/ },
+  { name: 'poolChart', pattern: /^\/yields\/chart\/([^/]+)$/ },
+  { name: 'lendBorrowChart', pattern: /^\/yields\/chartLendBorrow\/([^/]+)$/ },
+  { name: 'pools', pattern: /^\/yields\/pools$/ },
+  { name: 'perps', pattern: /^\/yields\/perps$/ },
+  { name: 'protocols', pattern: /^\/api\/protocols$/ },
+  { name: 'historicalChainTvl', pattern: /^\/api\/v2\/historicalChainTvl$/ },
+  { name: 'fdvPerformance', pattern: /^\/fdv\/performance\/([^/]+)$/ },
+  { name: 'stablecoinCharts', pattern: /^\/stablecoins\/stablecoincharts\/all$/ },
+  { name: 'stablecoinChains', pattern: /^\/stablecoins\/stablecoinchains$/ },
+  { name: 'overview', pattern: /^\/api\/overview\/(fees|dexs)$/ },
+  { name: 'bridges', pattern: /^\/bridges\/bridges$/ },
+  { name: 'bridgeVolume', pattern: /^\/bridges\/bridgevolume\/([^/]+)$/ },
+  { name: 'etfs', pattern: /^\/etfs\/(overview|overviewEth|history|historyEth)$/ }
+];
+
+function loadFixture(fixturesDir, file) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf-8'));
+}
+
+// Keep only the requested coins - anything not recorded is simply absent (a partial response)
+function pickCoins(fixture, coinsParam) {
+  const requested = decodeURIComponent(coinsParam).split(',');
+  const coins = {};
+  for (const id of requested) {
+    if (fixture.coins[id]) coins[id] = fixture.coins[id];
+  }
+  return { coins };
+}
+
+// The historical endpoint reports the point it found near the requested time - the stub finds one exactly there
+function atTimestamp(data, timestamp) {
+  for (const id of Object.keys(data.coins)) data.coins[id] = { ...data.coins[id], timestamp };
+  return data;
+}
+
+/**
+ * Creates a stub server. Faults are keyed by endpoint name ('chart', 'historical', 'current', 'pools', 'poolsBorrow', 'poolChart',
+ * 'lendBorrowChart', 'perps', 'protocols', 'historicalChainTvl', 'fdvPerformance', 'stablecoinCharts', 'stablecoinChains', 'overview',
+ * 'bridges', 'bridgeVolume', 'etfs'):
+ *   { status: 429, retryAfter: 0, times: 1 }   respond with status (and Retry-After) for the next `times` calls
+ *   { status: 500 }                            fail every call
+ *   { malformed: true }                        return a 200 with a body that is not the expected shape
+ *   { status: 400, body: {...} }               respond with that error body instead of the default one
+ *   { delayMs: 200, times: 1 }                 answer normally, but only after delayMs
+ *
+ * @param {{ fixturesDir?: string, apiKey?: string }} [options]
+ */
+function createLlamaStub(options = {}) {
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const apiKey = options.apiKey || 'test-api-key';
+  const faults = {};
+  const requests = [];
+
+  const fixtures = {
+    chart: loadFixture(fixturesDir, 'coins_chart.json'),
+    historical: loadFixture(fixturesDir, 'coins_prices_historical.json'),
+    current: loadFixture(fixturesDir, 'coins_prices_current.json'),
+    pools: loadFixture(fixturesDir, 'yields_pools.json'),
+    poolsBorrow: loadFixture(fixturesDir, 'yields_poolsBorrow.json'),
+    poolChart: loadFixture(fixturesDir, 'yields_chart.json'),                // keyed by pool id
+    lendBorrowChart: loadFixture(fixturesDir, 'yields_chartLendBorrow.json'), // keyed by pool id
+    perps: loadFixture(fixturesDir, 'yields_perps.json'),
+    protocols: loadFixture(fixturesDir, 'api_protocols.json'),
+    historicalChainTvl: loadFixture(fixturesDir, 'api_v2_historicalChainTvl.json'),
+    fdvPerformance: loadFixture(fixturesDir, 'fdv_performance.json'),
+    stablecoinCharts: loadFixture(fixturesDir, 'stablecoins_stablecoincharts_all.json'),
+    stablecoinChains: loadFixture(fixturesDir, 'stablecoins_stablecoinchains.json'),
+    overview: {
+      fees: loadFixture(fixturesDir, 'api_overview_fees.json'),
+      dexs: loadFixture(fixturesDir, 'api_overview_dexs.json')
+    },
+    bridges: loadFixture(fixturesDir, 'bridges_bridges.json'),
+    bridgeVolume: loadFixture(fixturesDir, 'bridges_bridgevolume.json'), // 'all', or '<chain>:<bridge id>'
+    etfs: loadFixture(fixturesDir, 'etfs.json') // keyed by endpoint: history, historyEth, overview, overviewEth
+  };
+
+  function respond(res, status, body, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const prefix = `/${apiKey}`;
+    if (!url.pathname.startsWith(prefix)) {
+      return respond(res, 401, { error: 'invalid api key' });
+    }
+
+    const apiPath = url.pathname.slice(prefix.length);
+    const route = ROUTES.find(r => r.pattern.test(apiPath));
+    if (!route) return respond(res, 404, { error: `no fixture for ${apiPath}` });
+
+    requests.push({ endpoint: route.name, path: apiPath, query: Object.fromEntries(url.searchParams) });
+
+    const fault = faults[route.name];
+    if (fault && (fault.times === undefined || fault.times > 0)) {
+      if (fault.times !== undefined) fault.times--;
+      if (fault.delayMs) return setTimeout(() => serve(route, apiPath, url, res), fault.delayMs);
+      if (fault.malformed) return respond(res, 200, '{"unexpected": true}');
+      const headers = fault.retryAfter !== undefined ? { 'retry-after': String(fault.retryAfter) } : {};
+      return respond(res, fault.status, fault.body || { error: `injected ${fault.status}` }, headers);
+    }
+
+    return serve(route, apiPath, url, res);
+  }
+
+  function serve(route, apiPath, url, res) {
+
+    const match = apiPath.match(route.pattern);
+    switch (route.name) {
+      case 'chart':
+        return respond(res, 200, pickCoins(fixtures.chart, match[1]));
+      case 'historical':
+        return respond(res, 200, atTimestamp(pickCoins(fixtures.historical, match[2]), Number(match[1])));
+      case 'current':
+        return respond(res, 200, pickCoins(fixtures.current, match[1]));
+      case 'poolsBorrow':
+        return respond(res, 200, fixtures.poolsBorrow);
+      case 'pools': {
+        const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+        const limit = parseInt(url.searchParams.get('limit') || String(fixtures.pools.data.length), 10);
+        return respond(res, 200, { ...fixtures.pools, data: fixtures.pools.data.slice(offset, offset + limit) });
+      }
+      case 'poolChart':
+      case 'lendBorrowChart':
+        // Pools without a recorded chart have no history, as for a pool listed today
+        return respond(res, 200, { status: 'success', data: fixtures[route.name][decodeURIComponent(match[1])] || [] });
+      case 'perps':
+        return respond(res, 200, fixtures.perps);
+      case 'protocols':
+        return respond(res, 200, fixtures.protocols);
+      case 'historicalChainTvl':
+        return respond(res, 200, fixtures.historicalChainTvl);
+      case 'fdvPerformance':
+        return respond(res, 200, fixtures.fdvPerformance);
+      case 'stablecoinCharts':
+        return respond(res, 200, fixtures.stablecoinCharts);
+      case 'stablecoinChains':
+        return respond(res, 200, fixtures.stablecoinChains);
+      case 'overview': {
+        const { totalDataChartBreakdown, ...overview } = fixtures.overview[match[1]];
+        if (url.searchParams.get('excludeTotalDataChartBreakdown') === 'true') return respond(res, 200, overview);
+        return respond(res, 200, { ...overview, totalDataChartBreakdown });
+      }
+      case 'bridges':
+        return respond(res, 200, fixtures.bridges);
+      case 'bridgeVolume': {
+        // Without ?id= the series covers all bridges; series not recorded are empty, as for a chain with no activity
+        const chain = decodeURIComponent(match[1]);
+        const id = url.searchParams.get('id');
+        const key = id === null ? 'all' : `${chain}:${id}`;
+        return respond(res, 200, fixtures.bridgeVolume[key] || []);
+      }
+      case 'etfs':
+        return respond(res, 200, fixtures.etfs[match[1]]);
+    }
+  }
+
+  const server = http.createServer(handle);
+
+  return {
+    apiKey,
+    requests,
+    fixtures,
+    baseUrl: null,
+
+    /** Starts listening (on a random local port by default) and returns the base URL */
+    async start(port = 0) {
+      await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+      this.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return this.baseUrl;
+    },
+
+    async stop() {
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeAllConnections(); // fetch keeps connections alive
+      await closed;
+    },
+
+    setFault(endpoint, fault) {
+      faults[endpoint] = { ...fault };
+    },
+
+    clearFaults() {
+      for (const key of Object.keys(faults)) delete faults[key];
+      requests.length = 0;
+    }
+  };
+}
+
+// Run standalone: node test/llama_stub_server.js [port]
+if (require.main === module) {
+  const stub = createLlamaStub();
+  stub.start(Number(process.argv[2]) || 8787).then((baseUrl) => {
+    console.log(`🦙 DeFiLlama stub listening on ${baseUrl} (api key: ${stub.apiKey})`);
+    console.log(`   export DEFILLAMA_API_BASE_URL=${baseUrl} DEFILLAMA_API_KEY=${stub.apiKey}`);
+  });
+}
+
+module.exports = { createLlamaStub, FIXTURES_DIR };
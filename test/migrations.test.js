@@ -0,0 +1,133 @@
+// test/migrations.test.js
+// Migration runner against an empty throwaway Postgres database
+// Run with: TEST_DATABASE_URL=postgres://... npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { skipReason, createTestDatabase } = require('./harness');
+const { loadMigrations, status, migrateUp, migrateDown } = require('../lib/migrations');
+const { backfillPoolAttributes } = require('../backfill_cl_pool_hist_attributes');
+
+const quiet = { log: () => {} };
+
+async function tableExists(pool, qualifiedName) {
+  const { rows } = await pool.query('SELECT to_regclass($1) IS NOT NULL AS present', [qualifiedName]);
+  return rows[0].present;
+}
+
+describe('loadMigrations', () => {
+  it('orders the checked-in migrations and pairs every up with a down', () => {
+    const migrations = loadMigrations();
+    const versions = migrations.map(m => m.version);
+
+    assert.deepEqual(versions, [...versions].sort());
+    assert.equal(new Set(versions).size, versions.length);
+    assert.ok(migrations.every(m => m.down !== null));
+  });
+
+  it('rejects files that do not follow the naming scheme', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'create_something.sql'), 'SELECT 1;');
+      assert.throws(() => loadMigrations(dir), /Unexpected file in migrations/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('migration runner against an empty database', { skip: skipReason }, () => {
+  let db;
+  let pool;
+
+  before(async () => {
+    db = await createTestDatabase({ migrate: false });
+    pool = db.pool;
+  });
+
+  after(async () => {
+    if (db) await db.drop();
+  });
+
+  it('builds every table from the repo alone', async () => {
+    const applied = await migrateUp(pool, quiet);
+    assert.equal(applied.length, loadMigrations().length);
+
+    const expected = Object.keys(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'database_schema_for_llm.json'), 'utf-8')));
+    for (const table of [...expected, 'update.cl_pool_hist', 'meta.job_runs']) {
+      assert.ok(await tableExists(pool, table), `${table} should exist`);
+    }
+  });
+
+  it('is a no-op when nothing is pending', async () => {
+    assert.deepEqual(await migrateUp(pool, quiet), []);
+    assert.ok((await status(pool)).every(row => row.appliedAt && !row.modified));
+  });
+
+  it('reverts and re-applies in order', async () => {
+    const all = loadMigrations();
+    const reverted = await migrateDown(pool, { ...quiet, to: '0001' });
+    assert.equal(reverted.length, all.length - 1);
+    assert.equal(reverted[0], `${all[all.length - 1].version}_${all[all.length - 1].name}`);
+    assert.equal(await tableExists(pool, 'update.token_price_daily'), false);
+
+    await migrateUp(pool, { ...quiet, to: '0002' });
+    assert.ok(await tableExists(pool, 'update.token_price_daily'));
+    assert.equal(await tableExists(pool, 'clean.token_price_daily'), false);
+
+    await migrateUp(pool, quiet);
+    assert.ok((await status(pool)).every(row => row.appliedAt));
+  });
+
+  it('keeps the newest stablecoin row of a day appended more than once before 0013', async () => {
+    await migrateDown(pool, { ...quiet, to: '0012' });
+    await pool.query(
+      `INSERT INTO update.stablecoin_mcap_by_peg_daily (day, peg, amount_usd) VALUES
+         ('2025-10-01', 'USD', 1), ('2025-10-01', 'USD', 2), ('2025-10-01', 'EUR', 3)`
+    );
+
+    await migrateUp(pool, quiet);
+    const { rows } = await pool.query(
+      'SELECT peg, chain, amount_usd::float8 AS amount_usd FROM update.stablecoin_mcap_by_peg_daily ORDER BY peg'
+    );
+    assert.deepEqual(rows, [{ peg: 'EUR', chain: 'all', amount_usd: 3 }, { peg: 'USD', chain: 'all', amount_usd: 2 }]);
+  });
+
+  it('backfills reward APY and lending attributes for pool rows collected before 0022', async () => {
+    await migrateDown(pool, { ...quiet, to: '0021' });
+    await pool.query(
+      `INSERT INTO update.lending_market_history (market_id, ts, pool_id, stablecoin, exposure, underlying_tokens, data_timestamp)
+       VALUES ('m1', '2025-09-29T14:00:00Z', 'p1', true, 'single', '["0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48"]', '2025-09-29T14:00:00Z')`
+    );
+    await pool.query(
+      `INSERT INTO update.cl_pool_hist (pool_id, ts, apy, apy_base) VALUES
+         ('p1', $1, 5.5, 4), ('p1', $2, 3, 3), ('p2', $1, 2, NULL)`,
+      [Date.parse('2025-09-29T15:00:00Z'), Date.parse('2025-09-29T13:00:00Z')]
+    );
+
+    await migrateUp(pool, quiet);
+    // The migration only adds the columns - the backfill script derives them, here in ranges of 2 ids
+    const totals = await backfillPoolAttributes(pool, { batchSize: 2, log: () => {} });
+    assert.ok(totals.ranges >= 2);
+    assert.equal(totals.reward, 2);
+    assert.equal(totals.lending, 2);
+    const { rows } = await pool.query(
+      `SELECT pool_id, apy_reward, stablecoin, exposure, underlying_tokens FROM update.cl_pool_hist ORDER BY pool_id, ts DESC`
+    );
+    assert.deepEqual(rows, [
+      { pool_id: 'p1', apy_reward: 1.5, stablecoin: true, exposure: 'single', underlying_tokens: ['0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'] },
+      // Before the market's first lending snapshot
+      { pool_id: 'p1', apy_reward: 0, stablecoin: null, exposure: null, underlying_tokens: null },
+      { pool_id: 'p2', apy_reward: null, stablecoin: null, exposure: null, underlying_tokens: null }
+    ]);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    await pool.query("UPDATE public.schema_migrations SET checksum = 'stale' WHERE version = '0002'");
+    await assert.rejects(migrateUp(pool, quiet), /0002_baseline_update_tables was edited after it was applied/);
+    assert.equal((await status(pool)).find(row => row.version === '0002').modified, true);
+  });
+});
@@ -0,0 +1,92 @@
+// test/price_validation.test.js
+// Price quality gate rules
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPriceValidator } = require('../lib/price_validation');
+
+const SNAPSHOT_SEC = Date.parse('2025-09-29T15:00:00Z') / 1000;
+
+function record(overrides = {}) {
+  return {
+    coinId: 'ethereum:0xabc',
+    symbol: 'ABC',
+    confidence: 0.99,
+    decimals: 18,
+    tsSec: SNAPSHOT_SEC,
+    sourceTsSec: SNAPSHOT_SEC - 300,
+    price: 1,
+    ...overrides
+  };
+}
+
+function codes(validator, rec, previous) {
+  const { rejected } = validator.validate([rec], new Map(previous ? [[rec.coinId, previous]] : []));
+  return rejected.length ? rejected[0].failures.map(f => f.code) : [];
+}
+
+describe('createPriceValidator', () => {
+  const validator = createPriceValidator({
+    rules: ['min_confidence', 'price_jump', 'stale_timestamp', 'decimals_mismatch'],
+    minConfidence: 0.8,
+    maxJumpPct: 50,
+    maxStaleMinutes: 120
+  });
+
+  it('accepts a clean print', () => {
+    assert.deepEqual(codes(validator, record(), { price: 1.1, decimals: 18 }), []);
+  });
+
+  it('flags each rule with its reason code', () => {
+    assert.deepEqual(codes(validator, record({ confidence: 0.5 })), ['LOW_CONFIDENCE']);
+    assert.deepEqual(codes(validator, record({ price: 1.6 }), { price: 1, decimals: 18 }), ['PRICE_JUMP']);
+    assert.deepEqual(codes(validator, record({ price: 0.4 }), { price: 1, decimals: 18 }), ['PRICE_JUMP']);
+    assert.deepEqual(codes(validator, record({ sourceTsSec: SNAPSHOT_SEC - 3 * 3600 })), ['STALE_TIMESTAMP']);
+    assert.deepEqual(codes(validator, record({ decimals: 6 }), { price: 1, decimals: 18 }), ['DECIMALS_MISMATCH']);
+  });
+
+  it('skips history-based rules for a coin with no stored price', () => {
+    assert.deepEqual(codes(validator, record({ price: 1000, decimals: 6 })), []);
+  });
+
+  it('accepts a price step once the next print confirms it', () => {
+    // First print after the move was quarantined at 2.0; 2.1 confirms it, a return to 1.05 was a spike
+    assert.deepEqual(codes(validator, record({ price: 2.1 }), { price: 1, decimals: 18, jumpPrice: 2 }), []);
+    assert.deepEqual(codes(validator, record({ price: 1.05 }), { price: 1, decimals: 18, jumpPrice: 2 }), []);
+    assert.deepEqual(codes(validator, record({ price: 5 }), { price: 1, decimals: 18, jumpPrice: 2 }), ['PRICE_JUMP']);
+  });
+
+  it('reports every failing rule, first failure first', () => {
+    assert.deepEqual(
+      codes(validator, record({ confidence: 0.1, price: 10 }), { price: 1, decimals: 18 }),
+      ['LOW_CONFIDENCE', 'PRICE_JUMP']
+    );
+  });
+
+  it('accepts custom rules and an empty rule set', () => {
+    const custom = createPriceValidator({ rules: [{ code: 'TOO_CHEAP', check: r => (r.price < 0.01 ? 'dust' : null) }] });
+    assert.deepEqual(codes(custom, record({ price: 0.001, confidence: 0.1 })), ['TOO_CHEAP']);
+
+    const disabled = createPriceValidator({ rules: [] });
+    assert.deepEqual(codes(disabled, record({ confidence: 0 })), []);
+  });
+
+  it('takes an explicit 0 threshold from the environment and defaults an unset or unparsable one', () => {
+    const saved = { ...process.env };
+    try {
+      Object.assign(process.env, { PRICE_MAX_JUMP_PCT: '0', PRICE_MAX_STALE_MINUTES: 'soon' });
+      delete process.env.PRICE_MIN_CONFIDENCE;
+      const { config } = createPriceValidator();
+      assert.deepEqual([config.maxJumpPct, config.maxStaleMinutes, config.minConfidence], [0, 120, 0.8]);
+    } finally {
+      for (const key of ['PRICE_MAX_JUMP_PCT', 'PRICE_MAX_STALE_MINUTES', 'PRICE_MIN_CONFIDENCE']) {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      }
+    }
+  });
+
+  it('rejects unknown rule names', () => {
+    assert.throws(() => createPriceValidator({ rules: ['nope'] }), /Unknown price validation rule: nope/);
+  });
+});
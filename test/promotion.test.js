@@ -0,0 +1,153 @@
+// test/promotion.test.js
+// update.* -> clean.* promotion against a throwaway Postgres database
+// Run with: TEST_DATABASE_URL=postgres://... npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, setup, count } = require('./harness');
+
+const A = 'ethereum:0x000000000000d0151e748d25b766e77efe2a6c83';
+const B = 'ethereum:0x0000000000085d4780b73119b644ae5ecd22b376';
+const C = 'ethereum:0x0000000000095413afc295d19edeb1ad7b71c952';
+
+describe('promotion job', { skip: skipReason }, () => {
+  let env;
+  let pool;
+  let promote;
+
+  before(async () => {
+    env = await setup();
+    pool = env.db.pool;
+    promote = require('../api/job_promote_clean.js');
+
+    // 15:00 snapshot written at 15:01: A twice (old per-row second offsets), B once, C with a zero price;
+    // one more A print written just now is not settled yet
+    await pool.query(
+      `INSERT INTO update.token_price_daily (coin_id, symbol, decimals, confidence, price_timestamp, price_usd, inserted_at) VALUES
+       ($1, 'XSGD', 6, 0.99, '2025-09-29T15:00:00Z', 0.78, '2025-09-29T15:01:00Z'),
+       ($1, 'XSGD', 6, 0.99, '2025-09-29T15:00:02Z', 0.79, '2025-09-29T15:01:00Z'),
+       ($2, 'TUSD', 18, 0.99, '2025-09-29T15:00:01Z', 0.998, '2025-09-29T15:01:00Z'),
+       ($3, 'LON', 18, 0.97, '2025-09-29T15:00:00Z', 0, '2025-09-29T15:01:00Z'),
+       ($1, 'XSGD', 6, 0.99, '2025-09-29T15:10:00Z', 0.8, NOW())`,
+      [A, B, C]
+    );
+    await pool.query(
+      `INSERT INTO update.lending_market_history (market_id, pool_id, ts, data_timestamp, project, chain, symbol, total_supply_usd, inserted_at) VALUES
+       ('m1', 'm1', '2025-09-29T15:00:00Z', '2025-09-29T15:00:00Z', 'aave-v3', 'Ethereum', ' USDC ', 1000, '2025-09-29T15:01:00Z'),
+       ('m2', 'm2', '2025-09-29T15:00:00Z', '2025-09-29T15:00:00Z', 'aave-v3', 'Ethereum', '', 5, '2025-09-29T15:01:00Z')`
+    );
+    await pool.query(
+      `INSERT INTO update.cl_pool_hist (pool_id, ts, project, chain, symbol, tvl_usd, inserted_at) VALUES
+       ('p1', $1, 'lido', 'Ethereum', 'STETH', 1, '2025-09-29T15:01:00Z'), ('p2', $1, 'aave-v3', 'Ethereum', 'USDC', 2, '2025-09-29T15:01:00Z')`,
+      [Date.parse('2025-09-29T15:00:00Z')]
+    );
+  });
+
+  after(async () => {
+    if (env) await env.teardown();
+  });
+
+  function summary(result, name) {
+    return result.details.pipelines.find(p => p.pipeline === name);
+  }
+
+  it('promotes, dedupes, normalizes and enriches every pipeline, leaving unsettled rows alone', async () => {
+    const result = await promote.runPromotionJob({}, { pool });
+    assert.equal(result.success, true);
+
+    const prices = summary(result, 'token_prices');
+    assert.deepEqual(
+      { total: prices.total, promoted: prices.promoted, rejected: prices.rejected, duplicates: prices.duplicates },
+      { total: 4, promoted: 2, rejected: 1, duplicates: 1 }
+    );
+    const { rows } = await pool.query(
+      `SELECT e.chain, e.address, e.event_time, e.price_usd, e.symbol, e.token_id = t.token_id AS linked
+       FROM clean.token_price_daily_enriched e JOIN canon.tokens t USING (chain, address) ORDER BY address`
+    );
+    assert.equal(rows.length, 2);
+    assert.ok(rows.every(r => r.event_time.toISOString() === '2025-09-29T15:00:00.000Z' && r.linked));
+    assert.equal(rows[0].price_usd, 0.79); // latest print within the minute wins
+
+    const { rows: lending } = await pool.query('SELECT market_id, ts, symbol FROM clean.lending_market_history');
+    assert.deepEqual(lending, [{ market_id: 'm1', ts: String(Date.parse('2025-09-29T15:00:00Z') / 1000), symbol: 'USDC' }]);
+    assert.equal(summary(result, 'lending').rejected, 1);
+
+    const { rows: pools } = await pool.query('SELECT DISTINCT ts FROM clean.cl_pool_hist');
+    assert.deepEqual(pools.map(r => Number(r.ts)), [Date.parse('2025-09-29T15:00:00Z') / 1000]);
+
+    const { rows: ledger } = await pool.query(
+      'SELECT inserted_records, error_records FROM meta.job_run_batches WHERE job_run_id = $1 ORDER BY batch_number', [result.jobRunId]
+    );
+    assert.deepEqual(ledger, [
+      { inserted_records: 2, error_records: 1 },
+      { inserted_records: 1, error_records: 1 },
+      { inserted_records: 2, error_records: 0 },
+      { inserted_records: 0, error_records: 0 },
+      { inserted_records: 0, error_records: 0 },
+      { inserted_records: 0, error_records: 0 }
+    ]);
+  });
+
+  it('is incremental - a second run only picks up rows past the watermark', async () => {
+    const idle = await promote.runPromotionJob({}, { pool });
+    assert.equal(idle.insertedRecords, 0);
+    assert.ok(idle.details.pipelines.every(p => p.caughtUp && p.batches === 0));
+
+    await pool.query(
+      "INSERT INTO update.token_price_daily (coin_id, symbol, price_timestamp, price_usd, inserted_at) VALUES ($1, 'TUSD', '2025-09-29T15:05:00Z', 0.999, '2025-09-29T15:06:00Z')",
+      [B]
+    );
+    const result = await promote.runPromotionJob({ pipelines: 'token_prices' }, { pool });
+    assert.equal(summary(result, 'token_prices').promoted, 1);
+    assert.equal(await count(pool, 'clean.token_price_daily_enriched'), 3);
+  });
+
+  it('promotes rows backfilled behind the newest snapshot', async () => {
+    await pool.query(
+      `INSERT INTO update.token_price_daily (coin_id, symbol, price_timestamp, price_usd, inserted_at)
+       VALUES ($1, 'TUSD', '2025-09-01T00:00:00Z', 1.001, '2025-09-29T15:07:00Z')`,
+      [B]
+    );
+    await pool.query(
+      `INSERT INTO update.cl_pool_hist (pool_id, ts, project, chain, symbol, tvl_usd, inserted_at)
+       VALUES ('p1', $1, 'lido', 'Ethereum', 'STETH', 1, '2025-09-29T15:07:00Z')`,
+      [Date.parse('2025-09-01T00:00:00Z')]
+    );
+
+    const result = await promote.runPromotionJob({ pipelines: 'token_prices,pools' }, { pool });
+
+    assert.equal(summary(result, 'token_prices').promoted, 1);
+    assert.equal(summary(result, 'pools').promoted, 1);
+    assert.equal(await count(pool, 'clean.token_price_daily_enriched', "event_time = '2025-09-01T00:00:00Z'"), 1);
+    assert.equal(await count(pool, 'clean.cl_pool_hist', 'ts = $1', [Date.parse('2025-09-01T00:00:00Z') / 1000]), 1);
+  });
+
+  it('overwrites a promoted pool hour that was rewritten', async () => {
+    const hour = Date.parse('2025-09-29T15:00:00Z');
+    await pool.query("UPDATE update.cl_pool_hist SET tvl_usd = 5, inserted_at = '2025-09-29T15:08:00Z' WHERE pool_id = 'p1' AND ts = $1", [hour]);
+
+    const result = await promote.runPromotionJob({ pipelines: 'pools' }, { pool });
+
+    assert.equal(summary(result, 'pools').promoted, 1);
+    const { rows } = await pool.query("SELECT tvl_usd FROM clean.cl_pool_hist WHERE pool_id = 'p1' AND ts = $1", [hour / 1000]);
+    assert.deepEqual(rows, [{ tvl_usd: 5 }]);
+  });
+
+  it('resumes batch by batch and re-promotes idempotently from a given time', async () => {
+    const result = await promote.runPromotionJob({ pipelines: 'token_prices,pools', from: '2025-09-29T00:00:00Z', batchRows: 1 }, { pool });
+
+    assert.ok(summary(result, 'token_prices').batches > 1);
+    assert.equal(summary(result, 'pools').promoted, 3); // upserted over the rows already in clean.cl_pool_hist
+    assert.equal(await count(pool, 'clean.token_price_daily_enriched'), 4);
+    assert.equal(await count(pool, 'clean.cl_pool_hist'), 3);
+
+    const { rows: [mark] } = await pool.query("SELECT watermark FROM meta.promotion_watermarks WHERE pipeline = 'token_prices'");
+    assert.equal(mark.watermark.toISOString(), '2025-09-29T15:07:00.000Z');
+  });
+
+  it('rejects unknown pipelines', async () => {
+    const result = await promote.runPromotionJob({ pipelines: 'nope' }, { pool });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Unknown pipeline: nope/);
+  });
+});
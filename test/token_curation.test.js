@@ -0,0 +1,102 @@
+// test/token_curation.test.js
+// Token universe curation against the DeFiLlama stub and a throwaway Postgres database
+// Run with: TEST_DATABASE_URL=postgres://... npm test
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, setup, count } = require('./harness');
+
+const XSGD = 'ethereum:0x000000000000d0151e748d25b766e77efe2a6c83';
+const TUSD = 'ethereum:0x0000000000085d4780b73119b644ae5ecd22b376';
+
+// Fixture prices are stamped 2025-09-29 ~14:00 UTC; LON is weeks stale and CMC is low confidence
+const FRESH_AS_OF = '2025-09-29T15:00:00.000Z';
+const STALE_AS_OF = '2025-10-02T15:00:00.000Z';
+
+describe('token universe curation', { skip: skipReason }, () => {
+  let env;
+  let pool;
+  let curation;
+  let universe;
+
+  before(async () => {
+    env = await setup();
+    pool = env.db.pool;
+    curation = require('../api/job_token_curation.js');
+    universe = require('../lib/token_universe');
+  });
+
+  after(async () => {
+    if (env) await env.teardown();
+  });
+
+  beforeEach(() => {
+    env.stub.clearFaults();
+  });
+
+  async function activeCoins() {
+    const { rows } = await pool.query('SELECT coin_id FROM canon.token_universe WHERE is_active ORDER BY coin_id');
+    return rows.map(r => r.coin_id);
+  }
+
+  async function changesFor(coinId) {
+    const { rows } = await pool.query(
+      'SELECT change, reason FROM canon.token_universe_changes WHERE coin_id = $1 ORDER BY id', [coinId]
+    );
+    return rows;
+  }
+
+  it('promotes only fresh, confident tokens and records every candidate', async () => {
+    const result = await curation.runTokenCurationJob({ asOf: FRESH_AS_OF }, { pool });
+
+    assert.equal(result.success, true);
+    assert.equal(result.details.promoted, 2);
+    assert.deepEqual(await activeCoins(), [XSGD, TUSD].sort());
+    assert.equal(await count(pool, 'canon.token_universe'), result.totalRecords);
+    assert.deepEqual(await changesFor(XSGD), [{ change: 'promoted', reason: 'fresh price (confidence 0.99)' }]);
+  });
+
+  it('feeds the live price jobs their active list', async () => {
+    const tokens = await universe.loadActiveTokens(pool);
+    assert.deepEqual(tokens.map(universe.toCoinId), [XSGD, TUSD].sort());
+  });
+
+  it('demotes tokens once their price goes stale', async () => {
+    const result = await curation.runTokenCurationJob({ asOf: STALE_AS_OF }, { pool });
+
+    assert.equal(result.details.demoted, 2);
+    assert.deepEqual(await activeCoins(), []);
+    const [, demotion] = await changesFor(XSGD);
+    assert.equal(demotion.change, 'demoted');
+    assert.match(demotion.reason, /^stale: last priced 2025-09-29/);
+  });
+
+  it('leaves statuses alone when the probe fails', async () => {
+    env.stub.setFault('current', { status: 400 }); // not retryable - keeps the test fast
+    const result = await curation.runTokenCurationJob({ asOf: FRESH_AS_OF }, { pool });
+
+    assert.equal(result.success, false);
+    assert.equal(result.details.unprobed, result.totalRecords);
+    assert.deepEqual(await activeCoins(), []);
+    assert.equal((await changesFor(XSGD)).length, 2);
+  });
+
+  it('promotes tokens that price again and demotes ones dropped from the source list', async () => {
+    await pool.query(
+      `INSERT INTO canon.token_universe (coin_id, chain, address, is_active, last_priced_at, last_confidence)
+       VALUES ('ethereum:0x000000000000000000000000000000000000dead', 'ethereum', '0x000000000000000000000000000000000000dead', TRUE, $1, 0.99)`,
+      [FRESH_AS_OF]
+    );
+
+    const result = await curation.runTokenCurationJob({ asOf: FRESH_AS_OF }, { pool });
+
+    assert.equal(result.details.promoted, 2);
+    assert.equal(result.details.demoted, 1);
+    assert.deepEqual(await activeCoins(), [XSGD, TUSD].sort());
+    assert.deepEqual((await changesFor(XSGD)).map(c => c.change), ['promoted', 'demoted', 'promoted']);
+    assert.deepEqual(
+      await changesFor('ethereum:0x000000000000000000000000000000000000dead'),
+      [{ change: 'demoted', reason: 'removed from token_list.json' }]
+    );
+  });
+});
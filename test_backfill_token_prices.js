@@ -1,19 +1,14 @@
 // test_backfill_token_prices.js
 // Quick test of the historical token price backfill (just 1 day, 5 tokens)
 
-const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
+const { makePoolFromEnv } = require('./lib/job_runtime');
+const { llamaGet } = require('./lib/llama_client');
 
 const API_KEY = process.env.DEFILLAMA_API_KEY;
 
-const pool = new Pool({
-  connectionString: process.env.SUPABASE_DB_URL,
-  ssl: {
-    rejectUnauthorized: false,
-  },
-});
+const pool = makePoolFromEnv();
 
 async function testBackfill() {
   console.log('🧪 Testing Historical Token Price Backfill...');
@@ -39,16 +34,11 @@ async function testBackfill() {
     
     // Fetch test data
     const coinsParam = encodeURIComponent(testTokens.join(','));
-    const url = `https://pro-api.llama.fi/${API_KEY}/coins/prices/historical/${timestamp}/${coinsParam}`;
+    const apiPath = `/coins/prices/historical/${timestamp}/${coinsParam}`;
     
-    console.log(`📡 Fetching: ${url}`);
+    console.log(`📡 Fetching: ${apiPath}`);
     
-    const res = await fetch(url);
-    if (!res.ok) {
-      throw new Error(`API request failed: ${res.status} ${res.statusText}`);
-    }
-    
-    const data = await res.json();
+    const data = await llamaGet(apiPath, { apiKey: API_KEY });
     console.log(`✅ API Response:`, JSON.stringify(data, null, 2));
     
     // Test database insertion